@@ -0,0 +1,407 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/utils/Pausable.sol";
+import "@openzeppelin/contracts/access/Ownable.sol";
+
+/// @dev The part of PokemonNFT packs need; BoosterPacks must be granted the minter role (setMinter)
+interface IPokemonMinter {
+    function minterMint(
+        address to,
+        string memory uri,
+        string memory name,
+        string memory pokemonType,
+        uint8 hp,
+        uint8 attack,
+        uint8 defense,
+        uint8 rarity
+    ) external returns (uint256 tokenId);
+}
+
+error PackNotFound();
+error PackAlreadyLaunched();
+error PackNotOnSale();
+error InvalidPackConfig();
+error InvalidTemplate();
+error RarityOutOfRange();
+error PoolFull();
+error TemplateNotFound();
+error EmptyPool();
+error IncorrectPayment();
+error InvalidCommitment();
+error NotPurchaser();
+error AlreadyOpened();
+error InvalidReveal();
+error RevealTooEarly();
+error RevealWindowExpired();
+error RevealWindowOpen();
+error AlreadyRefunded();
+error NothingToWithdraw();
+error TransferFailed();
+
+/**
+ * @title BoosterPacks
+ * @dev Sells booster packs that mint random cards through PokemonNFT. The owner defines each pack type as weights
+ *      per rarity plus a weighted pool of card templates per rarity, then launches it, which freezes the contents.
+ *
+ *      Randomness is commit-reveal anchored to a block hash, so it needs no oracle and works on a local chain:
+ *      the buyer commits keccak256(secret, buyer) when paying; at least one block later they reveal the secret
+ *      and the cards are drawn from keccak256(blockhash(purchase block), secret, purchaseId). The buyer cannot
+ *      predict the block hash when committing, and whoever produces that block does not know the secret.
+ *      blockhash only reaches back REVEAL_WINDOW blocks; a pack not opened in time can no longer be opened, and
+ *      its buyer can take EXPIRED_REFUND_BPS of the price back with refundPack instead (e.g. after losing the
+ *      secret). Anyone can compute a pack's draw before opening it, so a full refund would let a buyer re-roll a
+ *      draw they dislike for free; the rest of the price goes to the owner as if the pack had been opened. The
+ *      price is held by the contract until the pack is opened or refunded, when it moves to the owner's proceeds.
+ *      Opening and refunding stay available while this contract is paused, so its pause never runs out a buyer's
+ *      window (opening mints, so it does stop while PokemonNFT is paused; refunding does not).
+ */
+contract BoosterPacks is ReentrancyGuard, Pausable, Ownable {
+    IPokemonMinter public immutable pokemonNFT;
+
+    /// @dev Upper bounds that keep openPack gas bounded
+    uint8 public constant MAX_CARDS_PER_PACK = 10;
+    uint256 public constant MAX_TEMPLATES_PER_RARITY = 50;
+    /// @dev Blocks after the purchase during which the pack can be opened (blockhash availability)
+    uint256 public constant REVEAL_WINDOW = 256;
+    /// @dev Share of the price, in basis points, refundPack returns for a pack that was never opened
+    uint256 public constant EXPIRED_REFUND_BPS = 1000;
+
+    /// @dev A card a pack can contain; weight is relative to the other templates of the same rarity
+    struct CardTemplate {
+        string name;
+        string pokemonType;
+        string uri;
+        uint8 hp;
+        uint8 attack;
+        uint8 defense;
+        uint32 weight;
+    }
+
+    /// @dev rarityWeights[r - 1] is the relative chance that a card slot is of rarity r
+    struct PackType {
+        string name;
+        uint256 price;
+        uint8 cardsPerPack;
+        uint32[5] rarityWeights;
+        bool launched;
+        bool onSale;
+    }
+
+    struct Purchase {
+        address buyer;
+        uint256 packTypeId;
+        bytes32 commitment;
+        uint256 blockNumber;
+        uint256 price; // held until opened or refunded
+        bool opened;
+        bool refunded;
+    }
+
+    uint256 public nextPackTypeId;
+    uint256 public nextPurchaseId;
+    mapping(uint256 => PackType) private _packTypes;
+    /// @dev packTypeId => rarity (1-5) => templates
+    mapping(uint256 => mapping(uint8 => CardTemplate[])) private _pools;
+    mapping(uint256 => Purchase) public purchases;
+    mapping(address => uint256[]) private _purchaseIdsByBuyer;
+
+    /// @dev Sales of opened and refunded packs not yet withdrawn by the owner
+    uint256 public proceeds;
+
+    event PackTypeCreated(uint256 indexed packTypeId, string name, uint256 price, uint8 cardsPerPack, uint32[5] rarityWeights);
+    event CardTemplateAdded(uint256 indexed packTypeId, uint8 indexed rarity, uint256 index, string name);
+    event CardTemplateRemoved(uint256 indexed packTypeId, uint8 indexed rarity, uint256 index);
+    event PackLaunched(uint256 indexed packTypeId);
+    event PackSaleUpdated(uint256 indexed packTypeId, uint256 price, bool onSale);
+    event PackPurchased(uint256 indexed purchaseId, uint256 indexed packTypeId, address indexed buyer, uint256 price);
+    event PackOpened(uint256 indexed purchaseId, address indexed buyer, uint256[] tokenIds);
+    event PackRefunded(uint256 indexed purchaseId, address indexed buyer, uint256 amount);
+    event ProceedsWithdrawn(address indexed to, uint256 amount);
+
+    constructor(address _pokemonNFT) Ownable(msg.sender) {
+        pokemonNFT = IPokemonMinter(_pokemonNFT);
+    }
+
+    /**
+     * @dev Create a pack type. Templates are added next; the pack goes on sale with launchPack.
+     * @param name Display name, e.g. "Base Set Booster"
+     * @param price Price in wei
+     * @param cardsPerPack Cards minted per pack (1 to MAX_CARDS_PER_PACK)
+     * @param rarityWeights Relative chance per rarity 1-5 for each card slot; a rarity with weight 0 never drops
+     * @return packTypeId ID of the new pack type
+     */
+    function createPackType(string calldata name, uint256 price, uint8 cardsPerPack, uint32[5] calldata rarityWeights)
+        external
+        onlyOwner
+        returns (uint256 packTypeId)
+    {
+        if (bytes(name).length == 0 || price == 0 || cardsPerPack == 0 || cardsPerPack > MAX_CARDS_PER_PACK) {
+            revert InvalidPackConfig();
+        }
+        packTypeId = nextPackTypeId++;
+        _packTypes[packTypeId] = PackType({
+            name: name,
+            price: price,
+            cardsPerPack: cardsPerPack,
+            rarityWeights: rarityWeights,
+            launched: false,
+            onSale: false
+        });
+        emit PackTypeCreated(packTypeId, name, price, cardsPerPack, rarityWeights);
+    }
+
+    /**
+     * @dev Add a card template to a pack type's pool for one rarity (before launch)
+     * @param packTypeId Pack type to add to
+     * @param rarity Rarity 1-5 the card drops as
+     * @param template Card data and weight within the rarity's pool
+     */
+    function addCardTemplate(uint256 packTypeId, uint8 rarity, CardTemplate calldata template) external onlyOwner {
+        _draftPack(packTypeId);
+        if (rarity < 1 || rarity > 5) revert RarityOutOfRange();
+        if (bytes(template.name).length == 0 || template.weight == 0) revert InvalidTemplate();
+        CardTemplate[] storage pool = _pools[packTypeId][rarity];
+        if (pool.length >= MAX_TEMPLATES_PER_RARITY) revert PoolFull();
+        pool.push(template);
+        emit CardTemplateAdded(packTypeId, rarity, pool.length - 1, template.name);
+    }
+
+    /**
+     * @dev Remove a card template (before launch). The last template moves into its index.
+     * @param packTypeId Pack type to remove from
+     * @param rarity Rarity pool holding the template
+     * @param index Index in that pool
+     */
+    function removeCardTemplate(uint256 packTypeId, uint8 rarity, uint256 index) external onlyOwner {
+        _draftPack(packTypeId);
+        CardTemplate[] storage pool = _pools[packTypeId][rarity];
+        if (index >= pool.length) revert TemplateNotFound();
+        pool[index] = pool[pool.length - 1];
+        pool.pop();
+        emit CardTemplateRemoved(packTypeId, rarity, index);
+    }
+
+    /**
+     * @dev Freeze a pack type's contents and put it on sale. Every rarity with a non-zero weight needs a template.
+     * @param packTypeId Pack type to launch
+     */
+    function launchPack(uint256 packTypeId) external onlyOwner {
+        PackType storage pack = _draftPack(packTypeId);
+        uint256 totalWeight;
+        for (uint8 r = 1; r <= 5; r++) {
+            uint32 weight = pack.rarityWeights[r - 1];
+            if (weight > 0 && _pools[packTypeId][r].length == 0) revert EmptyPool();
+            totalWeight += weight;
+        }
+        if (totalWeight == 0) revert EmptyPool();
+        pack.launched = true;
+        pack.onSale = true;
+        emit PackLaunched(packTypeId);
+    }
+
+    /**
+     * @dev Change a launched pack's price or take it off / put it back on sale. Contents stay frozen.
+     * @param packTypeId Launched pack type
+     * @param price New price in wei
+     * @param onSale Whether buyPack is open
+     */
+    function setPackSale(uint256 packTypeId, uint256 price, bool onSale) external onlyOwner {
+        PackType storage pack = _packTypes[packTypeId];
+        if (packTypeId >= nextPackTypeId) revert PackNotFound();
+        if (!pack.launched || price == 0) revert InvalidPackConfig();
+        pack.price = price;
+        pack.onSale = onSale;
+        emit PackSaleUpdated(packTypeId, price, onSale);
+    }
+
+    /**
+     * @dev Buy a pack. Open it with openPack from the next block on, within REVEAL_WINDOW blocks; after that
+     *      it can only be refunded, in part, with refundPack.
+     * @param packTypeId Pack type to buy
+     * @param commitment keccak256(abi.encode(secret, msg.sender)) for a random 32-byte secret kept by the buyer
+     * @return purchaseId ID to open the pack with
+     */
+    function buyPack(uint256 packTypeId, bytes32 commitment)
+        external
+        payable
+        whenNotPaused
+        nonReentrant
+        returns (uint256 purchaseId)
+    {
+        PackType storage pack = _packTypes[packTypeId];
+        if (packTypeId >= nextPackTypeId) revert PackNotFound();
+        if (!pack.onSale) revert PackNotOnSale();
+        if (msg.value != pack.price) revert IncorrectPayment();
+        if (commitment == bytes32(0)) revert InvalidCommitment();
+
+        purchaseId = nextPurchaseId++;
+        purchases[purchaseId] = Purchase({
+            buyer: msg.sender,
+            packTypeId: packTypeId,
+            commitment: commitment,
+            blockNumber: block.number,
+            price: msg.value,
+            opened: false,
+            refunded: false
+        });
+        _purchaseIdsByBuyer[msg.sender].push(purchaseId);
+
+        emit PackPurchased(purchaseId, packTypeId, msg.sender, msg.value);
+    }
+
+    /**
+     * @dev Reveal the secret committed at purchase and mint the pack's cards to the buyer. Allowed while this
+     *      contract is paused, but not while PokemonNFT is.
+     * @param purchaseId Purchase to open
+     * @param secret The secret behind the purchase's commitment
+     * @return tokenIds Minted card token IDs, in draw order
+     */
+    function openPack(uint256 purchaseId, bytes32 secret) external nonReentrant returns (uint256[] memory tokenIds) {
+        Purchase storage purchase = purchases[purchaseId];
+        if (purchase.buyer != msg.sender) revert NotPurchaser();
+        if (purchase.opened) revert AlreadyOpened();
+        if (purchase.refunded) revert AlreadyRefunded();
+        if (keccak256(abi.encode(secret, msg.sender)) != purchase.commitment) revert InvalidReveal();
+        if (block.number <= purchase.blockNumber) revert RevealTooEarly();
+        if (block.number - purchase.blockNumber > REVEAL_WINDOW) revert RevealWindowExpired();
+
+        purchase.opened = true;
+        proceeds += purchase.price;
+        uint256 packTypeId = purchase.packTypeId;
+        PackType storage pack = _packTypes[packTypeId];
+        bytes32 seed = keccak256(abi.encode(blockhash(purchase.blockNumber), secret, purchaseId));
+
+        tokenIds = new uint256[](pack.cardsPerPack);
+        for (uint256 i = 0; i < tokenIds.length; i++) {
+            (uint8 rarity, CardTemplate storage template) = _draw(packTypeId, pack, uint256(keccak256(abi.encode(seed, i))));
+            tokenIds[i] = _mintTemplate(msg.sender, template, rarity);
+        }
+
+        emit PackOpened(purchaseId, msg.sender, tokenIds);
+    }
+
+    /**
+     * @dev Refund EXPIRED_REFUND_BPS of the price of a pack that was not opened within REVEAL_WINDOW blocks and
+     *      can no longer be; the rest goes to proceeds. Allowed while paused.
+     * @param purchaseId Purchase to refund
+     */
+    function refundPack(uint256 purchaseId) external nonReentrant {
+        Purchase storage purchase = purchases[purchaseId];
+        if (purchase.buyer != msg.sender) revert NotPurchaser();
+        if (purchase.opened) revert AlreadyOpened();
+        if (purchase.refunded) revert AlreadyRefunded();
+        if (block.number - purchase.blockNumber <= REVEAL_WINDOW) revert RevealWindowOpen();
+
+        purchase.refunded = true;
+        uint256 amount = purchase.price * EXPIRED_REFUND_BPS / 10000;
+        proceeds += purchase.price - amount;
+
+        (bool sent, ) = msg.sender.call{value: amount}("");
+        if (!sent) revert TransferFailed();
+
+        emit PackRefunded(purchaseId, msg.sender, amount);
+    }
+
+    /**
+     * @dev Send pack sales to `to`
+     * @param to Recipient of the proceeds
+     */
+    function withdrawProceeds(address payable to) external onlyOwner nonReentrant {
+        uint256 amount = proceeds;
+        if (amount == 0) revert NothingToWithdraw();
+        proceeds = 0;
+
+        (bool sent, ) = to.call{value: amount}("");
+        if (!sent) revert TransferFailed();
+
+        emit ProceedsWithdrawn(to, amount);
+    }
+
+    /**
+     * @dev Returns a pack type
+     * @param packTypeId Pack type to query
+     * @return PackType struct with name, price, cardsPerPack, rarityWeights, launched, onSale
+     */
+    function getPackType(uint256 packTypeId) external view returns (PackType memory) {
+        if (packTypeId >= nextPackTypeId) revert PackNotFound();
+        return _packTypes[packTypeId];
+    }
+
+    /**
+     * @dev Returns the card templates a pack type can drop at one rarity
+     * @param packTypeId Pack type to query
+     * @param rarity Rarity 1-5
+     * @return Array of CardTemplate structs
+     */
+    function getPool(uint256 packTypeId, uint8 rarity) external view returns (CardTemplate[] memory) {
+        return _pools[packTypeId][rarity];
+    }
+
+    /**
+     * @dev Purchase IDs of a buyer, in purchase order
+     * @param buyer Address to query
+     * @return Array of purchase IDs
+     */
+    function getPurchaseIds(address buyer) external view returns (uint256[] memory) {
+        return _purchaseIdsByBuyer[buyer];
+    }
+
+    /// @dev Pauses buying packs (emergency stop); opening and refunding stay available
+    function pause() external onlyOwner {
+        _pause();
+    }
+
+    /// @dev Resumes pack sales after pause
+    function unpause() external onlyOwner {
+        _unpause();
+    }
+
+    /// @dev A pack type that exists and has not been launched (contents still editable)
+    function _draftPack(uint256 packTypeId) private view returns (PackType storage pack) {
+        if (packTypeId >= nextPackTypeId) revert PackNotFound();
+        pack = _packTypes[packTypeId];
+        if (pack.launched) revert PackAlreadyLaunched();
+    }
+
+    /// @dev Pick a rarity by rarityWeights, then a template of that rarity by template weight
+    function _draw(uint256 packTypeId, PackType storage pack, uint256 random)
+        private
+        view
+        returns (uint8 rarity, CardTemplate storage template)
+    {
+        uint256 totalWeight;
+        for (uint256 r = 0; r < 5; r++) totalWeight += pack.rarityWeights[r];
+        uint256 roll = random % totalWeight;
+        for (rarity = 1; rarity < 5; rarity++) {
+            uint256 weight = pack.rarityWeights[rarity - 1];
+            if (roll < weight) break;
+            roll -= weight;
+        }
+
+        CardTemplate[] storage pool = _pools[packTypeId][rarity];
+        uint256 poolWeight;
+        for (uint256 i = 0; i < pool.length; i++) poolWeight += pool[i].weight;
+        roll = uint256(keccak256(abi.encode(random))) % poolWeight;
+        uint256 index;
+        for (; index < pool.length - 1; index++) {
+            if (roll < pool[index].weight) break;
+            roll -= pool[index].weight;
+        }
+        template = pool[index];
+    }
+
+    function _mintTemplate(address to, CardTemplate storage template, uint8 rarity) private returns (uint256) {
+        return pokemonNFT.minterMint(
+            to,
+            template.uri,
+            template.name,
+            template.pokemonType,
+            template.hp,
+            template.attack,
+            template.defense,
+            rarity
+        );
+    }
+}
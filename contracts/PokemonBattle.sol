@@ -0,0 +1,461 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC721/IERC721.sol";
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/utils/Pausable.sol";
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/utils/structs/EnumerableSet.sol";
+
+/// @dev PokemonNFT's ERC721 surface plus the public pokemonCards getter battles read stats from
+interface IPokemonCards is IERC721 {
+    function pokemonCards(uint256 tokenId)
+        external
+        view
+        returns (string memory name, string memory pokemonType, uint8 hp, uint8 attack, uint8 defense, uint8 rarity);
+}
+
+error InvalidOpponent();
+error NotCardOwner();
+error ChallengeNotOpen();
+error NotOpponent();
+error NotChallengeParty();
+error StakeMismatch();
+error InvalidMultiplier();
+error NothingToWithdraw();
+error TransferFailed();
+
+/**
+ * @title PokemonBattle
+ * @dev One-on-one card battles. A challenger escrows a card (and optionally an ETH stake) in a challenge against
+ *      one card of another collector; that card's owner accepts with a matching stake, which fights the battle
+ *      in the same transaction. Both cards are fixed when the challenge is created: since the fight is
+ *      deterministic, letting the acceptor pick their card after seeing the challenger's would let them simulate
+ *      every card they own and take only battles they win. Challenger cards go back to the challenger afterwards;
+ *      the stakes go to the winner, or back to each side on a draw.
+ *
+ *      The fight is fully deterministic from the two cards' stats and types: the card with the higher attack
+ *      strikes first (the opponent on a tie, since the challenger chose the matchup), then the cards alternate.
+ *      Each hit deals
+ *          max(1, attack * multiplier / 100 * DEFENSE_CONSTANT / (defense + DEFENSE_CONSTANT))
+ *      where multiplier comes from the type-effectiveness table (percent, 100 = neutral). The first card to reach
+ *      0 HP loses; after MAX_TURNS hits the card with the larger share of its HP left wins, equal shares draw.
+ *      Every hit is emitted as BattleTurn so the fight can be replayed.
+ */
+contract PokemonBattle is ReentrancyGuard, Pausable, Ownable {
+    using EnumerableSet for EnumerableSet.UintSet;
+
+    IPokemonCards public immutable pokemonNFT;
+
+    /// @dev Type multiplier for pairs not in the table (percent)
+    uint16 public constant NEUTRAL = 100;
+    uint16 public constant MAX_MULTIPLIER = 400;
+    /// @dev Softens defense: a defense equal to DEFENSE_CONSTANT halves damage
+    uint256 public constant DEFENSE_CONSTANT = 32;
+    /// @dev Upper bound on hits per battle to keep acceptChallenge gas bounded
+    uint256 public constant MAX_TURNS = 100;
+
+    enum ChallengeStatus {
+        None,
+        Open,
+        Resolved,
+        Cancelled
+    }
+
+    enum Outcome {
+        None,
+        ChallengerWon,
+        OpponentWon,
+        Draw
+    }
+
+    struct Challenge {
+        address challenger;
+        address opponent; // owner of opponentTokenId when challenged
+        uint256 challengerTokenId;
+        uint256 opponentTokenId;
+        uint256 stake; // per side
+        ChallengeStatus status;
+        Outcome outcome;
+    }
+
+    struct Record {
+        uint32 wins;
+        uint32 losses;
+        uint32 draws;
+    }
+
+    struct Turn {
+        uint256 attackerTokenId;
+        uint16 damage;
+        uint16 multiplier;
+        uint16 defenderHp;
+    }
+
+    struct Fighter {
+        uint256 tokenId;
+        uint16 maxHp;
+        uint16 hp;
+        uint16 attack;
+        uint16 defense;
+        bytes32 typeHash;
+    }
+
+    uint256 public nextChallengeId;
+    mapping(uint256 => Challenge) private _challenges;
+    EnumerableSet.UintSet private _openChallengeIds;
+    mapping(address => uint256[]) private _challengeIdsByChallenger;
+    mapping(address => uint256[]) private _challengeIdsByOpponent;
+
+    /// @dev Battle record per token; stays with the card when it changes hands
+    mapping(uint256 => Record) public records;
+
+    /// @dev Pull-over-push: stakes won, refunded on a draw or returned on cancel
+    mapping(address => uint256) public pendingWithdrawals;
+
+    /// @dev keccak256(attacking type) => keccak256(defending type) => multiplier percent; 0 means NEUTRAL
+    mapping(bytes32 => mapping(bytes32 => uint16)) private _effectiveness;
+
+    event ChallengeCreated(
+        uint256 indexed challengeId,
+        address indexed challenger,
+        address indexed opponent,
+        uint256 challengerTokenId,
+        uint256 opponentTokenId,
+        uint256 stake
+    );
+    event ChallengeCancelled(uint256 indexed challengeId, address indexed cancelledBy);
+    event BattleStarted(
+        uint256 indexed challengeId,
+        uint256 challengerTokenId,
+        uint256 opponentTokenId,
+        uint16 challengerHp,
+        uint16 opponentHp
+    );
+    event BattleTurn(
+        uint256 indexed challengeId,
+        uint256 turn,
+        uint256 attackerTokenId,
+        uint16 damage,
+        uint16 multiplier,
+        uint16 defenderHp
+    );
+    event BattleResolved(uint256 indexed challengeId, Outcome outcome, address indexed winner, uint256 payout);
+    event EffectivenessSet(string attackType, string defenseType, uint16 multiplier);
+    event Withdrawal(address indexed recipient, uint256 amount);
+
+    constructor(address _pokemonNFT) Ownable(msg.sender) {
+        pokemonNFT = IPokemonCards(_pokemonNFT);
+
+        // The six card types: double damage on a weakness, half on a resistance
+        _setEffectiveness("Fire", "Grass", 200);
+        _setEffectiveness("Fire", "Water", 50);
+        _setEffectiveness("Fire", "Fire", 50);
+        _setEffectiveness("Water", "Fire", 200);
+        _setEffectiveness("Water", "Grass", 50);
+        _setEffectiveness("Water", "Water", 50);
+        _setEffectiveness("Grass", "Water", 200);
+        _setEffectiveness("Grass", "Fire", 50);
+        _setEffectiveness("Grass", "Grass", 50);
+        _setEffectiveness("Electric", "Water", 200);
+        _setEffectiveness("Electric", "Grass", 50);
+        _setEffectiveness("Electric", "Electric", 50);
+        _setEffectiveness("Psychic", "Fighting", 200);
+        _setEffectiveness("Psychic", "Psychic", 50);
+        _setEffectiveness("Fighting", "Electric", 200);
+        _setEffectiveness("Fighting", "Psychic", 50);
+    }
+
+    /**
+     * @dev Challenge another collector's card to a battle; its current owner becomes the opponent. The card
+     *      (approved to this contract) and msg.value are escrowed until the challenge is accepted or cancelled.
+     * @param tokenId Challenger's card
+     * @param opponentTokenId Card to fight, owned by someone else
+     * @return challengeId ID of the new challenge
+     */
+    function createChallenge(uint256 tokenId, uint256 opponentTokenId)
+        external
+        payable
+        whenNotPaused
+        nonReentrant
+        returns (uint256 challengeId)
+    {
+        if (pokemonNFT.ownerOf(tokenId) != msg.sender) revert NotCardOwner();
+        address opponent = pokemonNFT.ownerOf(opponentTokenId);
+        if (opponent == msg.sender) revert InvalidOpponent();
+        pokemonNFT.transferFrom(msg.sender, address(this), tokenId);
+
+        challengeId = nextChallengeId++;
+        _challenges[challengeId] = Challenge({
+            challenger: msg.sender,
+            opponent: opponent,
+            challengerTokenId: tokenId,
+            opponentTokenId: opponentTokenId,
+            stake: msg.value,
+            status: ChallengeStatus.Open,
+            outcome: Outcome.None
+        });
+        _openChallengeIds.add(challengeId);
+        _challengeIdsByChallenger[msg.sender].push(challengeId);
+        _challengeIdsByOpponent[opponent].push(challengeId);
+
+        emit ChallengeCreated(challengeId, msg.sender, opponent, tokenId, opponentTokenId, msg.value);
+    }
+
+    /**
+     * @dev Accept a challenge with a stake equal to the challenger's and fight the battle with the challenged card,
+     *      which must still be the opponent's (it never leaves their wallet). The challenger's card goes back to
+     *      the challenger; stakes are credited to pendingWithdrawals.
+     * @param challengeId The challenge to accept
+     * @return outcome ChallengerWon, OpponentWon or Draw
+     */
+    function acceptChallenge(uint256 challengeId)
+        external
+        payable
+        whenNotPaused
+        nonReentrant
+        returns (Outcome outcome)
+    {
+        Challenge storage challenge = _challenges[challengeId];
+        if (challenge.status != ChallengeStatus.Open) revert ChallengeNotOpen();
+        if (msg.sender != challenge.opponent) revert NotOpponent();
+        uint256 tokenId = challenge.opponentTokenId;
+        if (pokemonNFT.ownerOf(tokenId) != msg.sender) revert NotCardOwner();
+        if (msg.value != challenge.stake) revert StakeMismatch();
+
+        challenge.status = ChallengeStatus.Resolved;
+        _openChallengeIds.remove(challengeId);
+
+        Turn[] memory turns;
+        uint256 turnCount;
+        uint16 challengerHp;
+        uint16 opponentHp;
+        (outcome, turns, turnCount, challengerHp, opponentHp) = _fight(challenge.challengerTokenId, tokenId);
+        challenge.outcome = outcome;
+
+        emit BattleStarted(challengeId, challenge.challengerTokenId, tokenId, challengerHp, opponentHp);
+        for (uint256 i = 0; i < turnCount; i++) {
+            Turn memory t = turns[i];
+            emit BattleTurn(challengeId, i, t.attackerTokenId, t.damage, t.multiplier, t.defenderHp);
+        }
+
+        address winner = _settle(challenge, outcome);
+        pokemonNFT.transferFrom(address(this), challenge.challenger, challenge.challengerTokenId);
+
+        emit BattleResolved(challengeId, outcome, winner, winner == address(0) ? 0 : challenge.stake * 2);
+    }
+
+    /**
+     * @dev Cancel (challenger) or decline (opponent) an open challenge. The card returns to the challenger
+     *      and the stake is credited to the challenger's pendingWithdrawals. Allowed while this contract is paused;
+     *      returning the card still needs PokemonNFT unpaused, since its transfers stop during an NFT pause.
+     * @param challengeId The challenge to cancel
+     */
+    function cancelChallenge(uint256 challengeId) external nonReentrant {
+        Challenge storage challenge = _challenges[challengeId];
+        if (challenge.status != ChallengeStatus.Open) revert ChallengeNotOpen();
+        if (msg.sender != challenge.challenger && msg.sender != challenge.opponent) revert NotChallengeParty();
+
+        challenge.status = ChallengeStatus.Cancelled;
+        _openChallengeIds.remove(challengeId);
+        if (challenge.stake > 0) {
+            pendingWithdrawals[challenge.challenger] += challenge.stake;
+        }
+        pokemonNFT.transferFrom(address(this), challenge.challenger, challenge.challengerTokenId);
+
+        emit ChallengeCancelled(challengeId, msg.sender);
+    }
+
+    /**
+     * @dev Withdraw accumulated funds (pull-over-push pattern)
+     */
+    function withdraw() external nonReentrant {
+        uint256 amount = pendingWithdrawals[msg.sender];
+        if (amount == 0) revert NothingToWithdraw();
+
+        pendingWithdrawals[msg.sender] = 0;
+
+        (bool sent, ) = msg.sender.call{value: amount}("");
+        if (!sent) revert TransferFailed();
+
+        emit Withdrawal(msg.sender, amount);
+    }
+
+    /**
+     * @dev Set the damage multiplier of one attacking type against one defending type. Applies to battles
+     *      fought from now on.
+     * @param attackType Attacking card's type, e.g. "Water"
+     * @param defenseType Defending card's type, e.g. "Fire"
+     * @param multiplier Percent, 1 to MAX_MULTIPLIER (100 = neutral)
+     */
+    function setEffectiveness(string calldata attackType, string calldata defenseType, uint16 multiplier)
+        external
+        onlyOwner
+    {
+        if (multiplier == 0 || multiplier > MAX_MULTIPLIER) revert InvalidMultiplier();
+        _setEffectiveness(attackType, defenseType, multiplier);
+    }
+
+    /**
+     * @dev Damage multiplier of an attacking type against a defending type
+     * @return Multiplier in percent (NEUTRAL when the pair is not in the table)
+     */
+    function effectiveness(string memory attackType, string memory defenseType) public view returns (uint16) {
+        return _multiplier(keccak256(bytes(attackType)), keccak256(bytes(defenseType)));
+    }
+
+    /**
+     * @dev Fight two cards without recording anything, e.g. to preview a challenge before creating or accepting it
+     * @param challengerTokenId Card on the challenger's side
+     * @param opponentTokenId Card on the opponent's side
+     * @return outcome ChallengerWon, OpponentWon or Draw
+     * @return turns Every hit in order
+     */
+    function previewBattle(uint256 challengerTokenId, uint256 opponentTokenId)
+        external
+        view
+        returns (Outcome outcome, Turn[] memory turns)
+    {
+        Turn[] memory allTurns;
+        uint256 turnCount;
+        (outcome, allTurns, turnCount, , ) = _fight(challengerTokenId, opponentTokenId);
+        turns = new Turn[](turnCount);
+        for (uint256 i = 0; i < turnCount; i++) {
+            turns[i] = allTurns[i];
+        }
+    }
+
+    /**
+     * @dev Returns a challenge
+     * @param challengeId The challenge ID to query
+     * @return Challenge struct with challenger, opponent, token IDs, stake, status and outcome
+     */
+    function getChallenge(uint256 challengeId) external view returns (Challenge memory) {
+        return _challenges[challengeId];
+    }
+
+    /**
+     * @dev Returns a page of the challenge IDs still open, in no particular order
+     * @param offset Index of the first challenge ID to return
+     * @param limit Maximum number of challenge IDs to return
+     * @return challengeIds Challenge IDs in the page
+     * @return total Number of open challenges
+     */
+    function getOpenChallengeIds(uint256 offset, uint256 limit)
+        external
+        view
+        returns (uint256[] memory challengeIds, uint256 total)
+    {
+        total = _openChallengeIds.length();
+        uint256 end = offset + limit > total ? total : offset + limit;
+        challengeIds = new uint256[](end > offset ? end - offset : 0);
+        for (uint256 i = 0; i < challengeIds.length; i++) {
+            challengeIds[i] = _openChallengeIds.at(offset + i);
+        }
+    }
+
+    /**
+     * @dev Challenge IDs created by an address, in creation order
+     * @param challenger Address to query
+     * @return Array of challenge IDs
+     */
+    function getChallengeIdsByChallenger(address challenger) external view returns (uint256[] memory) {
+        return _challengeIdsByChallenger[challenger];
+    }
+
+    /**
+     * @dev Challenge IDs addressed to an address, in order
+     * @param opponent Address to query
+     * @return Array of challenge IDs
+     */
+    function getChallengeIdsByOpponent(address opponent) external view returns (uint256[] memory) {
+        return _challengeIdsByOpponent[opponent];
+    }
+
+    /// @dev Pauses creating and accepting challenges (emergency stop); cancelling stays available unless PokemonNFT
+    ///      is paused too
+    function pause() external onlyOwner {
+        _pause();
+    }
+
+    /// @dev Resumes battles after pause
+    function unpause() external onlyOwner {
+        _unpause();
+    }
+
+    function _setEffectiveness(string memory attackType, string memory defenseType, uint16 multiplier) private {
+        _effectiveness[keccak256(bytes(attackType))][keccak256(bytes(defenseType))] = multiplier;
+        emit EffectivenessSet(attackType, defenseType, multiplier);
+    }
+
+    function _multiplier(bytes32 attackType, bytes32 defenseType) private view returns (uint16) {
+        uint16 multiplier = _effectiveness[attackType][defenseType];
+        return multiplier == 0 ? NEUTRAL : multiplier;
+    }
+
+    function _fighter(uint256 tokenId) private view returns (Fighter memory f) {
+        (, string memory pokemonType, uint8 hp, uint8 attack, uint8 defense, ) = pokemonNFT.pokemonCards(tokenId);
+        // A 0 HP card still takes the field for one hit
+        uint16 maxHp = hp == 0 ? 1 : hp;
+        f = Fighter(tokenId, maxHp, maxHp, attack, defense, keccak256(bytes(pokemonType)));
+    }
+
+    /// @dev Runs the battle; turns is allocated for MAX_TURNS with the first turnCount entries filled
+    function _fight(uint256 challengerTokenId, uint256 opponentTokenId)
+        private
+        view
+        returns (Outcome outcome, Turn[] memory turns, uint256 turnCount, uint16 challengerHp, uint16 opponentHp)
+    {
+        Fighter memory challenger = _fighter(challengerTokenId);
+        Fighter memory opponent = _fighter(opponentTokenId);
+        challengerHp = challenger.maxHp;
+        opponentHp = opponent.maxHp;
+        turns = new Turn[](MAX_TURNS);
+
+        bool challengerAttacks = challenger.attack > opponent.attack;
+        while (turnCount < MAX_TURNS) {
+            Fighter memory attacker = challengerAttacks ? challenger : opponent;
+            Fighter memory defender = challengerAttacks ? opponent : challenger;
+            uint16 multiplier = _multiplier(attacker.typeHash, defender.typeHash);
+            uint256 damage = (uint256(attacker.attack) * multiplier * DEFENSE_CONSTANT) /
+                (NEUTRAL * (uint256(defender.defense) + DEFENSE_CONSTANT));
+            if (damage == 0) damage = 1;
+            defender.hp = damage >= defender.hp ? 0 : defender.hp - uint16(damage);
+            turns[turnCount++] = Turn(attacker.tokenId, uint16(damage), multiplier, defender.hp);
+            if (defender.hp == 0) {
+                return (challengerAttacks ? Outcome.ChallengerWon : Outcome.OpponentWon, turns, turnCount, challengerHp, opponentHp);
+            }
+            challengerAttacks = !challengerAttacks;
+        }
+
+        // Out of turns: compare the share of HP left (cross-multiplied to stay in integers)
+        uint256 challengerShare = uint256(challenger.hp) * opponent.maxHp;
+        uint256 opponentShare = uint256(opponent.hp) * challenger.maxHp;
+        if (challengerShare > opponentShare) outcome = Outcome.ChallengerWon;
+        else if (opponentShare > challengerShare) outcome = Outcome.OpponentWon;
+        else outcome = Outcome.Draw;
+    }
+
+    /// @dev Record the result per token and credit the stakes; returns the winner (address(0) on a draw)
+    function _settle(Challenge storage challenge, Outcome outcome) private returns (address winner) {
+        Record storage challengerRecord = records[challenge.challengerTokenId];
+        Record storage opponentRecord = records[challenge.opponentTokenId];
+        if (outcome == Outcome.Draw) {
+            challengerRecord.draws++;
+            opponentRecord.draws++;
+            if (challenge.stake > 0) {
+                pendingWithdrawals[challenge.challenger] += challenge.stake;
+                pendingWithdrawals[challenge.opponent] += challenge.stake;
+            }
+            return address(0);
+        }
+
+        bool challengerWon = outcome == Outcome.ChallengerWon;
+        winner = challengerWon ? challenge.challenger : challenge.opponent;
+        (challengerWon ? challengerRecord : opponentRecord).wins++;
+        (challengerWon ? opponentRecord : challengerRecord).losses++;
+        if (challenge.stake > 0) {
+            pendingWithdrawals[winner] += challenge.stake * 2;
+        }
+    }
+}
@@ -3,6 +3,8 @@ pragma solidity ^0.8.20;
 
 import "@openzeppelin/contracts/token/ERC721/ERC721.sol";
 import "@openzeppelin/contracts/token/ERC721/extensions/ERC721URIStorage.sol";
+import "@openzeppelin/contracts/token/ERC721/extensions/ERC721Enumerable.sol";
+import "@openzeppelin/contracts/token/common/ERC2981.sol";
 import "@openzeppelin/contracts/access/Ownable.sol";
 import "@openzeppelin/contracts/utils/Pausable.sol";
 
@@ -15,13 +17,39 @@ error RarityOutOfRange();
 /// @notice Thrown when querying a token that does not exist
 error TokenDoesNotExist();
 
+/// @notice Thrown when a royalty exceeds MAX_ROYALTY_BPS
+error RoyaltyTooHigh();
+
+/// @notice Thrown when minterMint is called by an address without the minter role
+error NotMinter();
+
+/// @notice Thrown when an evolution recipe has no names, a bad input count or no stat or rarity gain
+error InvalidRecipe();
+
+/// @notice Thrown when evolving with a recipe that does not exist or is disabled
+error RecipeNotActive();
+
+/// @notice Thrown when the cards passed to evolve do not match the recipe's species and count
+error InvalidEvolutionInputs();
+
+/// @notice Thrown when evolving a card the caller does not own
+error NotTokenOwner();
+
 /**
  * @title PokemonNFT
- * @dev ERC721 contract for Pokemon card NFTs with comprehensive metadata
+ * @dev ERC721 contract for Pokemon card NFTs with comprehensive metadata, ERC-2981 creator royalties and
+ *      ERC721Enumerable owner indexes so clients can page through a collection without scanning every token
  */
-contract PokemonNFT is ERC721, ERC721URIStorage, Ownable, Pausable {
+contract PokemonNFT is ERC721, ERC721Enumerable, ERC721URIStorage, ERC2981, Ownable, Pausable {
     uint256 private _nextTokenId;
 
+    /// @dev Upper bound for default and per-token royalties (10%)
+    uint96 public constant MAX_ROYALTY_BPS = 1000;
+
+    /// @dev Cards burned per evolution: two or three of the same species
+    uint8 public constant MIN_EVOLUTION_INPUTS = 2;
+    uint8 public constant MAX_EVOLUTION_INPUTS = 3;
+
     /// @dev Pokemon card attributes stored on-chain
     struct PokemonCard {
         string name;
@@ -32,8 +60,32 @@ contract PokemonNFT is ERC721, ERC721URIStorage, Ownable, Pausable {
         uint8 rarity;            // 1-5 (common to legendary)
     }
 
+    /**
+     * @dev Burns `inputCount` cards named `inputName` into one `outputName` card. The new card takes the highest
+     *      input value of each stat plus its bonus (capped at 255) and the highest input rarity plus `rarityBonus`
+     *      (capped at 5)
+     */
+    struct EvolutionRecipe {
+        string inputName;
+        string outputName;
+        string outputType;       // Empty keeps the type of the first input
+        string outputUri;        // Empty keeps the URI of the first input
+        uint8 inputCount;
+        uint8 hpBonus;
+        uint8 attackBonus;
+        uint8 defenseBonus;
+        uint8 rarityBonus;
+        bool active;
+    }
+
+    /// @dev Card data is kept after a burn so sale and battle history can still name evolved-away cards
     mapping(uint256 => PokemonCard) public pokemonCards;
 
+    EvolutionRecipe[] private _evolutionRecipes;
+
+    /// @dev Contracts allowed to mint through minterMint (e.g. BoosterPacks)
+    mapping(address => bool) public minters;
+
     event PokemonMinted(
         address indexed to,
         uint256 indexed tokenId,
@@ -42,10 +94,18 @@ contract PokemonNFT is ERC721, ERC721URIStorage, Ownable, Pausable {
         uint8 rarity
     );
 
+    event MinterSet(address indexed minter, bool allowed);
+
+    event EvolutionRecipeAdded(uint256 indexed recipeId, string inputName, uint8 inputCount, string outputName);
+
+    event EvolutionRecipeActiveSet(uint256 indexed recipeId, bool active);
+
+    event CardEvolved(address indexed owner, uint256 indexed recipeId, uint256[] burnedTokenIds, uint256 tokenId);
+
     constructor() ERC721("PokemonCard", "PKMN") Ownable(msg.sender) {}
 
     /**
-     * @dev Mints a new Pokemon card with metadata
+     * @dev Mints a new Pokemon card with metadata. Royalty falls back to the default royalty.
      * @param to Recipient address
      * @param uri Token URI for off-chain metadata
      * @param name Pokemon name
@@ -65,10 +125,188 @@ contract PokemonNFT is ERC721, ERC721URIStorage, Ownable, Pausable {
         uint8 defense,
         uint8 rarity
     ) external onlyOwner whenNotPaused {
+        _mintCard(to, uri, name, pokemonType, hp, attack, defense, rarity);
+    }
+
+    /**
+     * @dev Mints a new Pokemon card with its own ERC-2981 royalty, overriding the default
+     * @param to Recipient address
+     * @param uri Token URI for off-chain metadata
+     * @param name Pokemon name
+     * @param pokemonType Type (Fire, Water, etc.)
+     * @param hp Hit points
+     * @param attack Attack stat
+     * @param defense Defense stat
+     * @param rarity Rarity 1-5
+     * @param royaltyReceiver Address paid the royalty on every sale
+     * @param royaltyBps Royalty in basis points (max MAX_ROYALTY_BPS)
+     */
+    function mintWithRoyalty(
+        address to,
+        string memory uri,
+        string memory name,
+        string memory pokemonType,
+        uint8 hp,
+        uint8 attack,
+        uint8 defense,
+        uint8 rarity,
+        address royaltyReceiver,
+        uint96 royaltyBps
+    ) external onlyOwner whenNotPaused {
+        if (royaltyBps > MAX_ROYALTY_BPS) revert RoyaltyTooHigh();
+        uint256 tokenId = _mintCard(to, uri, name, pokemonType, hp, attack, defense, rarity);
+        _setTokenRoyalty(tokenId, royaltyReceiver, royaltyBps);
+    }
+
+    /**
+     * @dev Mints a card on behalf of a contract granted the minter role (booster pack openings)
+     * @param to Recipient address
+     * @param uri Token URI for off-chain metadata
+     * @param name Pokemon name
+     * @param pokemonType Type (Fire, Water, etc.)
+     * @param hp Hit points
+     * @param attack Attack stat
+     * @param defense Defense stat
+     * @param rarity Rarity 1-5
+     * @return tokenId The newly minted token ID
+     */
+    function minterMint(
+        address to,
+        string memory uri,
+        string memory name,
+        string memory pokemonType,
+        uint8 hp,
+        uint8 attack,
+        uint8 defense,
+        uint8 rarity
+    ) external whenNotPaused returns (uint256 tokenId) {
+        if (!minters[msg.sender]) revert NotMinter();
+        tokenId = _mintCard(to, uri, name, pokemonType, hp, attack, defense, rarity);
+    }
+
+    /**
+     * @dev Grants or revokes the minter role
+     * @param minter Contract allowed to call minterMint
+     * @param allowed True to grant, false to revoke
+     */
+    function setMinter(address minter, bool allowed) external onlyOwner {
+        minters[minter] = allowed;
+        emit MinterSet(minter, allowed);
+    }
+
+    /**
+     * @dev Adds an evolution recipe, active immediately. The `active` field of the argument is ignored.
+     * @param recipe Input species and count, output card and stat/rarity bonuses
+     * @return recipeId Index of the new recipe
+     */
+    function addEvolutionRecipe(EvolutionRecipe calldata recipe) external onlyOwner returns (uint256 recipeId) {
+        if (bytes(recipe.inputName).length == 0 || bytes(recipe.outputName).length == 0) revert InvalidRecipe();
+        if (recipe.inputCount < MIN_EVOLUTION_INPUTS || recipe.inputCount > MAX_EVOLUTION_INPUTS) revert InvalidRecipe();
+        // An evolution must improve the card
+        if (recipe.rarityBonus == 0 && recipe.hpBonus == 0 && recipe.attackBonus == 0 && recipe.defenseBonus == 0) {
+            revert InvalidRecipe();
+        }
+
+        recipeId = _evolutionRecipes.length;
+        _evolutionRecipes.push(recipe);
+        _evolutionRecipes[recipeId].active = true;
+        emit EvolutionRecipeAdded(recipeId, recipe.inputName, recipe.inputCount, recipe.outputName);
+    }
+
+    /**
+     * @dev Enables or disables a recipe; recipes are never deleted so IDs stay stable
+     * @param recipeId Recipe to update
+     * @param active Whether evolve accepts the recipe
+     */
+    function setEvolutionRecipeActive(uint256 recipeId, bool active) external onlyOwner {
+        if (recipeId >= _evolutionRecipes.length) revert RecipeNotActive();
+        _evolutionRecipes[recipeId].active = active;
+        emit EvolutionRecipeActiveSet(recipeId, active);
+    }
+
+    /**
+     * @dev Burns the caller's input cards and mints the evolved card to the caller. The burned cards leave
+     *      totalSupply; totalMinted still counts them.
+     * @param recipeId Active recipe to apply
+     * @param tokenIds Exactly `inputCount` distinct cards named `inputName`, all owned by the caller
+     * @return tokenId The evolved card
+     */
+    function evolve(uint256 recipeId, uint256[] calldata tokenIds) external whenNotPaused returns (uint256 tokenId) {
+        if (recipeId >= _evolutionRecipes.length || !_evolutionRecipes[recipeId].active) revert RecipeNotActive();
+        EvolutionRecipe memory recipe = _evolutionRecipes[recipeId];
+        if (tokenIds.length != recipe.inputCount) revert InvalidEvolutionInputs();
+
+        // Check every input before reading the first one's URI, so a bad call reverts with the reason
+        PokemonCard memory best = _checkEvolutionInputs(recipe.inputName, tokenIds);
+        string memory pokemonType = bytes(recipe.outputType).length > 0
+            ? recipe.outputType
+            : pokemonCards[tokenIds[0]].pokemonType;
+        string memory uri = bytes(recipe.outputUri).length > 0 ? recipe.outputUri : tokenURI(tokenIds[0]);
+        for (uint256 i = 0; i < tokenIds.length; i++) {
+            _burnCard(tokenIds[i]);
+        }
+
+        tokenId = _mintCard(
+            msg.sender,
+            uri,
+            recipe.outputName,
+            pokemonType,
+            _cap(uint256(best.hp) + recipe.hpBonus, 255),
+            _cap(uint256(best.attack) + recipe.attackBonus, 255),
+            _cap(uint256(best.defense) + recipe.defenseBonus, 255),
+            _cap(uint256(best.rarity) + recipe.rarityBonus, 5)
+        );
+        emit CardEvolved(msg.sender, recipeId, tokenIds, tokenId);
+    }
+
+    /**
+     * @dev Returns one evolution recipe
+     * @param recipeId Recipe index
+     * @return The recipe, including whether it is active
+     */
+    function getEvolutionRecipe(uint256 recipeId) external view returns (EvolutionRecipe memory) {
+        if (recipeId >= _evolutionRecipes.length) revert RecipeNotActive();
+        return _evolutionRecipes[recipeId];
+    }
+
+    /// @dev Number of recipes ever added, active or not
+    function evolutionRecipeCount() external view returns (uint256) {
+        return _evolutionRecipes.length;
+    }
+
+    /**
+     * @dev Sets the royalty applied to tokens without a per-token royalty
+     * @param receiver Address paid the royalty
+     * @param royaltyBps Royalty in basis points (max MAX_ROYALTY_BPS)
+     */
+    function setDefaultRoyalty(address receiver, uint96 royaltyBps) external onlyOwner {
+        if (royaltyBps > MAX_ROYALTY_BPS) revert RoyaltyTooHigh();
+        _setDefaultRoyalty(receiver, royaltyBps);
+    }
+
+    /// @dev Removes the default royalty; per-token royalties are unaffected
+    function deleteDefaultRoyalty() external onlyOwner {
+        _deleteDefaultRoyalty();
+    }
+
+    /**
+     * @dev Validates input, mints the token and stores its card data
+     * @return tokenId The newly minted token ID
+     */
+    function _mintCard(
+        address to,
+        string memory uri,
+        string memory name,
+        string memory pokemonType,
+        uint8 hp,
+        uint8 attack,
+        uint8 defense,
+        uint8 rarity
+    ) private returns (uint256 tokenId) {
         if (bytes(name).length == 0) revert NameRequired();
         if (rarity < 1 || rarity > 5) revert RarityOutOfRange();
 
-        uint256 tokenId = _nextTokenId++;
+        tokenId = _nextTokenId++;
         _safeMint(to, tokenId);
         _setTokenURI(tokenId, uri);
 
@@ -85,11 +323,44 @@ contract PokemonNFT is ERC721, ERC721URIStorage, Ownable, Pausable {
     }
 
     /**
-     * @dev Returns the total number of tokens minted (no burn, so equals circulating supply)
-     * @return Total count of minted token IDs
+     * @dev Checks the cards passed to evolve
+     * @param inputName Species every card must have
+     * @param tokenIds Cards to burn, distinct and all owned by the caller
+     * @return best Highest hp, attack, defense and rarity among the cards
      */
-    function totalSupply() external view returns (uint256) {
-        return _nextTokenId;
+    function _checkEvolutionInputs(string memory inputName, uint256[] calldata tokenIds)
+        private
+        view
+        returns (PokemonCard memory best)
+    {
+        bytes32 nameHash = keccak256(bytes(inputName));
+        for (uint256 i = 0; i < tokenIds.length; i++) {
+            if (_ownerOf(tokenIds[i]) != msg.sender) revert NotTokenOwner();
+            // A repeated ID is not the caller's to burn twice
+            for (uint256 j = 0; j < i; j++) {
+                if (tokenIds[j] == tokenIds[i]) revert NotTokenOwner();
+            }
+            PokemonCard storage card = pokemonCards[tokenIds[i]];
+            if (keccak256(bytes(card.name)) != nameHash) revert InvalidEvolutionInputs();
+            if (card.hp > best.hp) best.hp = card.hp;
+            if (card.attack > best.attack) best.attack = card.attack;
+            if (card.defense > best.defense) best.defense = card.defense;
+            if (card.rarity > best.rarity) best.rarity = card.rarity;
+        }
+    }
+
+    /**
+     * @dev Burns a token and clears its per-token royalty. Card data stays readable through getCards.
+     * @param tokenId Token to burn
+     */
+    function _burnCard(uint256 tokenId) private {
+        _burn(tokenId);
+        _resetTokenRoyalty(tokenId);
+    }
+
+    /// @dev Saturating narrow of a stat or rarity to uint8
+    function _cap(uint256 value, uint256 max) private pure returns (uint8) {
+        return uint8(value > max ? max : value);
     }
 
     /**
@@ -102,6 +373,79 @@ contract PokemonNFT is ERC721, ERC721URIStorage, Ownable, Pausable {
         return pokemonCards[tokenId];
     }
 
+    /**
+     * @dev Number of cards ever minted, including burned ones. Token IDs run from 0 to totalMinted() - 1;
+     *      totalSupply() counts only cards that still exist.
+     */
+    function totalMinted() external view returns (uint256) {
+        return _nextTokenId;
+    }
+
+    /**
+     * @dev Returns a page of every existing token ID, in global-index order (burned IDs are skipped)
+     * @param offset Index of the first token to return
+     * @param limit Maximum number of token IDs to return
+     * @return tokenIds Token IDs in the page
+     * @return total totalSupply()
+     */
+    function allTokenIds(uint256 offset, uint256 limit)
+        external
+        view
+        returns (uint256[] memory tokenIds, uint256 total)
+    {
+        total = totalSupply();
+        uint256 end = offset + limit > total ? total : offset + limit;
+        tokenIds = new uint256[](end > offset ? end - offset : 0);
+        for (uint256 i = 0; i < tokenIds.length; i++) {
+            tokenIds[i] = tokenByIndex(offset + i);
+        }
+    }
+
+    /**
+     * @dev Returns a page of the token IDs held by an address, in owner-index order
+     * @param owner Address to query
+     * @param offset Index of the first token to return
+     * @param limit Maximum number of token IDs to return
+     * @return tokenIds Token IDs in the page
+     * @return total Number of tokens held by owner
+     */
+    function tokensOfOwner(address owner, uint256 offset, uint256 limit)
+        external
+        view
+        returns (uint256[] memory tokenIds, uint256 total)
+    {
+        total = balanceOf(owner);
+        uint256 end = offset + limit > total ? total : offset + limit;
+        tokenIds = new uint256[](end > offset ? end - offset : 0);
+        for (uint256 i = 0; i < tokenIds.length; i++) {
+            tokenIds[i] = tokenOfOwnerByIndex(owner, offset + i);
+        }
+    }
+
+    /**
+     * @dev Batched card getter: card data, metadata URI and current owner for each token in one call.
+     *      A burned card comes back with its last card data, an empty URI and owner address(0).
+     * @param tokenIds Token IDs to query (all must have been minted)
+     * @return cards Card data per token
+     * @return uris Token URI per token
+     * @return owners Current owner per token
+     */
+    function getCards(uint256[] calldata tokenIds)
+        external
+        view
+        returns (PokemonCard[] memory cards, string[] memory uris, address[] memory owners)
+    {
+        cards = new PokemonCard[](tokenIds.length);
+        uris = new string[](tokenIds.length);
+        owners = new address[](tokenIds.length);
+        for (uint256 i = 0; i < tokenIds.length; i++) {
+            if (tokenIds[i] >= _nextTokenId) revert TokenDoesNotExist();
+            owners[i] = _ownerOf(tokenIds[i]);
+            cards[i] = pokemonCards[tokenIds[i]];
+            if (owners[i] != address(0)) uris[i] = tokenURI(tokenIds[i]);
+        }
+    }
+
     /// @dev Pauses minting and transfers (emergency stop)
     function pause() external onlyOwner {
         _pause();
@@ -123,10 +467,15 @@ contract PokemonNFT is ERC721, ERC721URIStorage, Ownable, Pausable {
         address to,
         uint256 tokenId,
         address auth
-    ) internal override(ERC721) whenNotPaused returns (address) {
+    ) internal override(ERC721, ERC721Enumerable) whenNotPaused returns (address) {
         return super._update(to, tokenId, auth);
     }
 
+    /// @dev Required override for ERC721Enumerable
+    function _increaseBalance(address account, uint128 value) internal override(ERC721, ERC721Enumerable) {
+        super._increaseBalance(account, value);
+    }
+
     /**
      * @dev Returns the metadata URI for a token
      * @param tokenId The token ID
@@ -149,7 +498,7 @@ contract PokemonNFT is ERC721, ERC721URIStorage, Ownable, Pausable {
     function supportsInterface(bytes4 interfaceId)
         public
         view
-        override(ERC721, ERC721URIStorage)
+        override(ERC721, ERC721Enumerable, ERC721URIStorage, ERC2981)
         returns (bool)
     {
         return super.supportsInterface(interfaceId);
@@ -0,0 +1,215 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC721/IERC721.sol";
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/utils/Pausable.sol";
+import "@openzeppelin/contracts/access/Ownable.sol";
+
+error InvalidCounterparty();
+error NothingRequested();
+error NothingOffered();
+error TooManyTokens();
+error NotCardOwner();
+error SwapNotOpen();
+error NotCounterparty();
+error NotSwapParty();
+error NothingToWithdraw();
+error TransferFailed();
+
+/**
+ * @title PokemonSwap
+ * @dev Card-for-card swap escrow. The proposer escrows N of their cards (optionally plus ETH) in exchange for
+ *      M specific cards held by a counterparty, who accepts atomically. Either side can cancel an open swap.
+ */
+contract PokemonSwap is ReentrancyGuard, Pausable, Ownable {
+    IERC721 public immutable pokemonNFT;
+
+    /// @dev Upper bound on tokens per side to keep accept/cancel gas bounded
+    uint256 public constant MAX_TOKENS_PER_SIDE = 10;
+
+    enum SwapStatus {
+        None,
+        Open,
+        Accepted,
+        Cancelled
+    }
+
+    struct Swap {
+        address proposer;
+        address counterparty;
+        uint256[] offeredTokenIds;
+        uint256[] requestedTokenIds;
+        uint256 ethAmount;
+        SwapStatus status;
+    }
+
+    uint256 public nextSwapId;
+    mapping(uint256 => Swap) private _swaps;
+    mapping(address => uint256[]) private _swapIdsByProposer;
+    mapping(address => uint256[]) private _swapIdsByCounterparty;
+
+    /// @dev Pull-over-push: ETH owed to counterparties (accepted swaps) and proposers (cancelled swaps)
+    mapping(address => uint256) public pendingWithdrawals;
+
+    event SwapProposed(
+        uint256 indexed swapId,
+        address indexed proposer,
+        address indexed counterparty,
+        uint256[] offeredTokenIds,
+        uint256[] requestedTokenIds,
+        uint256 ethAmount
+    );
+    event SwapAccepted(uint256 indexed swapId, address indexed proposer, address indexed counterparty);
+    event SwapCancelled(uint256 indexed swapId, address indexed cancelledBy);
+    event Withdrawal(address indexed recipient, uint256 amount);
+
+    constructor(address _pokemonNFT) Ownable(msg.sender) {
+        pokemonNFT = IERC721(_pokemonNFT);
+    }
+
+    /**
+     * @dev Propose a swap. Offered cards (approved to this contract) and msg.value are escrowed until
+     *      the swap is accepted or cancelled.
+     * @param counterparty Current owner of the requested cards
+     * @param offeredTokenIds Cards the proposer gives (may be empty if ETH is sent)
+     * @param requestedTokenIds Cards the proposer wants from the counterparty
+     * @return swapId ID of the new swap
+     */
+    function proposeSwap(
+        address counterparty,
+        uint256[] calldata offeredTokenIds,
+        uint256[] calldata requestedTokenIds
+    ) external payable whenNotPaused nonReentrant returns (uint256 swapId) {
+        if (counterparty == address(0) || counterparty == msg.sender) revert InvalidCounterparty();
+        if (requestedTokenIds.length == 0) revert NothingRequested();
+        if (offeredTokenIds.length == 0 && msg.value == 0) revert NothingOffered();
+        if (offeredTokenIds.length > MAX_TOKENS_PER_SIDE || requestedTokenIds.length > MAX_TOKENS_PER_SIDE) {
+            revert TooManyTokens();
+        }
+
+        for (uint256 i = 0; i < requestedTokenIds.length; i++) {
+            if (pokemonNFT.ownerOf(requestedTokenIds[i]) != counterparty) revert NotCardOwner();
+        }
+        for (uint256 i = 0; i < offeredTokenIds.length; i++) {
+            if (pokemonNFT.ownerOf(offeredTokenIds[i]) != msg.sender) revert NotCardOwner();
+            pokemonNFT.transferFrom(msg.sender, address(this), offeredTokenIds[i]);
+        }
+
+        swapId = nextSwapId++;
+        _swaps[swapId] = Swap({
+            proposer: msg.sender,
+            counterparty: counterparty,
+            offeredTokenIds: offeredTokenIds,
+            requestedTokenIds: requestedTokenIds,
+            ethAmount: msg.value,
+            status: SwapStatus.Open
+        });
+        _swapIdsByProposer[msg.sender].push(swapId);
+        _swapIdsByCounterparty[counterparty].push(swapId);
+
+        emit SwapProposed(swapId, msg.sender, counterparty, offeredTokenIds, requestedTokenIds, msg.value);
+    }
+
+    /**
+     * @dev Accept a swap as the counterparty. Requested cards must be approved to this contract.
+     *      Requested cards go to the proposer, escrowed cards to the counterparty, escrowed ETH to the
+     *      counterparty's pendingWithdrawals - all in one transaction.
+     * @param swapId The swap to accept
+     */
+    function acceptSwap(uint256 swapId) external whenNotPaused nonReentrant {
+        Swap storage swap = _swaps[swapId];
+        if (swap.status != SwapStatus.Open) revert SwapNotOpen();
+        if (swap.counterparty != msg.sender) revert NotCounterparty();
+
+        swap.status = SwapStatus.Accepted;
+        if (swap.ethAmount > 0) {
+            pendingWithdrawals[msg.sender] += swap.ethAmount;
+        }
+
+        for (uint256 i = 0; i < swap.requestedTokenIds.length; i++) {
+            pokemonNFT.transferFrom(msg.sender, swap.proposer, swap.requestedTokenIds[i]);
+        }
+        for (uint256 i = 0; i < swap.offeredTokenIds.length; i++) {
+            pokemonNFT.transferFrom(address(this), msg.sender, swap.offeredTokenIds[i]);
+        }
+
+        emit SwapAccepted(swapId, swap.proposer, msg.sender);
+    }
+
+    /**
+     * @dev Cancel (proposer) or decline (counterparty) an open swap. Escrowed cards return to the proposer and
+     *      escrowed ETH is credited to the proposer's pendingWithdrawals. Allowed while this contract is paused;
+     *      returning the cards still needs PokemonNFT unpaused, since its transfers stop during an NFT pause.
+     * @param swapId The swap to cancel
+     */
+    function cancelSwap(uint256 swapId) external nonReentrant {
+        Swap storage swap = _swaps[swapId];
+        if (swap.status != SwapStatus.Open) revert SwapNotOpen();
+        if (msg.sender != swap.proposer && msg.sender != swap.counterparty) revert NotSwapParty();
+
+        swap.status = SwapStatus.Cancelled;
+        if (swap.ethAmount > 0) {
+            pendingWithdrawals[swap.proposer] += swap.ethAmount;
+        }
+
+        for (uint256 i = 0; i < swap.offeredTokenIds.length; i++) {
+            pokemonNFT.transferFrom(address(this), swap.proposer, swap.offeredTokenIds[i]);
+        }
+
+        emit SwapCancelled(swapId, msg.sender);
+    }
+
+    /**
+     * @dev Withdraw accumulated funds (pull-over-push pattern)
+     */
+    function withdraw() external nonReentrant {
+        uint256 amount = pendingWithdrawals[msg.sender];
+        if (amount == 0) revert NothingToWithdraw();
+
+        pendingWithdrawals[msg.sender] = 0;
+
+        (bool sent, ) = msg.sender.call{value: amount}("");
+        if (!sent) revert TransferFailed();
+
+        emit Withdrawal(msg.sender, amount);
+    }
+
+    /**
+     * @dev Returns a swap including its token lists
+     * @param swapId The swap ID to query
+     * @return Swap struct with proposer, counterparty, offeredTokenIds, requestedTokenIds, ethAmount, status
+     */
+    function getSwap(uint256 swapId) external view returns (Swap memory) {
+        return _swaps[swapId];
+    }
+
+    /**
+     * @dev Swap IDs proposed by an address (outgoing), in creation order
+     * @param proposer Address to query
+     * @return Array of swap IDs
+     */
+    function getSwapIdsByProposer(address proposer) external view returns (uint256[] memory) {
+        return _swapIdsByProposer[proposer];
+    }
+
+    /**
+     * @dev Swap IDs addressed to a counterparty (incoming), in creation order
+     * @param counterparty Address to query
+     * @return Array of swap IDs
+     */
+    function getSwapIdsByCounterparty(address counterparty) external view returns (uint256[] memory) {
+        return _swapIdsByCounterparty[counterparty];
+    }
+
+    /// @dev Pauses proposing and accepting swaps (emergency stop); cancelling stays available unless PokemonNFT is
+    ///      paused too
+    function pause() external onlyOwner {
+        _pause();
+    }
+
+    /// @dev Resumes swaps after pause
+    function unpause() external onlyOwner {
+        _unpause();
+    }
+}
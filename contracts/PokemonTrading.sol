@@ -2,9 +2,11 @@
 pragma solidity ^0.8.20;
 
 import "@openzeppelin/contracts/token/ERC721/IERC721.sol";
+import "@openzeppelin/contracts/interfaces/IERC2981.sol";
 import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
 import "@openzeppelin/contracts/utils/Pausable.sol";
 import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/utils/structs/EnumerableSet.sol";
 
 error NotCardOwner();
 error PriceMustBePositive();
@@ -25,27 +27,75 @@ error NothingToWithdraw();
 error TransferFailed();
 error DurationTooLong();
 error InvalidCommitment();
+error InvalidOfferExpiry();
+error CannotOfferOnOwnCard();
+error NoActiveOffer();
+error OfferExpired();
+error OfferNotExpired();
+error OfferAmountMismatch();
+error InvalidPriceRange();
+error NotInCommitPhase();
+error NotInRevealPhase();
+error SellerCannotBid();
+error AuctionHasBids();
+error NothingToReclaim();
+error InvalidListingExpiry();
+error ListingHasExpired();
+error ListingNotExpired();
+error InvalidAuctionRules();
+error FeeTooHigh();
+error InvalidTreasury();
 
 /**
  * @title PokemonTrading
- * @dev Trading contract for Pokemon cards - fixed-price sales and auctions
+ * @dev Trading contract for Pokemon cards - fixed-price sales, English, Dutch and sealed-bid auctions, and escrowed offers
  */
 contract PokemonTrading is ReentrancyGuard, Pausable, Ownable {
+    using EnumerableSet for EnumerableSet.UintSet;
+
     IERC721 public immutable pokemonNFT;
 
-    /// @dev Minimum bid increment (5%) to mitigate front-running - new bid must exceed previous by at least this
+    /// @dev Default minimum bid increment (5%) to mitigate front-running - new bid must exceed previous by at least this
     uint256 public constant MIN_BID_INCREMENT_BPS = 500; // 5%
 
-    /// @dev If a bid is placed within this time before end, auction extends by this duration (sniping mitigation)
+    /// @dev Default anti-sniping window: a bid placed within this time before end extends the auction by this duration
     uint256 public constant AUCTION_EXTENSION_DURATION = 5 minutes;
 
+    /// @dev Bounds for a seller-chosen minimum bid increment (1% - 50%)
+    uint256 public constant MIN_CUSTOM_INCREMENT_BPS = 100;
+    uint256 public constant MAX_CUSTOM_INCREMENT_BPS = 5000;
+
+    /// @dev Bounds for a seller-chosen anti-sniping window
+    uint256 public constant MIN_EXTENSION_WINDOW = 1 minutes;
+    uint256 public constant MAX_EXTENSION_WINDOW = 1 hours;
+
+    /// @dev Maximum lifetime of a listing with an expiry
+    uint256 public constant MAX_LISTING_DURATION = 180 days;
+
+    /// @dev Hard cap on the marketplace fee (10%)
+    uint256 public constant MAX_FEE_BPS = 1000;
+
+    /// @dev Marketplace fee taken from every sale, in basis points (0 until the owner sets one)
+    uint256 public feeBps;
+
+    /// @dev Receives accrued fees through withdrawFees
+    address public treasury;
+
+    /// @dev Fees collected and not yet withdrawn - kept apart from user pendingWithdrawals
+    uint256 public accruedFees;
+
     /// @dev Maximum auction duration to prevent extremely long-lived auctions
     uint256 public constant MAX_AUCTION_DURATION = 30 days;
 
+    /// @dev Maximum lifetime of an offer
+    uint256 public constant MAX_OFFER_DURATION = 30 days;
+
+    /// @dev expiresAt == 0 means the listing never expires
     struct Listing {
         address seller;
         uint256 price;
         bool active;
+        uint256 expiresAt;
     }
     mapping(uint256 => Listing) public listings;
 
@@ -56,9 +106,66 @@ contract PokemonTrading is ReentrancyGuard, Pausable, Ownable {
         address highestBidder;
         uint256 endTime;
         bool settled;
+        uint256 minIncrementBps;
+        uint256 extensionWindow;
     }
     mapping(uint256 => Auction) public auctions;
 
+    /// @dev Descending-price auction: price decays linearly from startPrice to floorPrice over duration, then stays at floor
+    struct DutchAuction {
+        address seller;
+        uint256 startPrice;
+        uint256 floorPrice;
+        uint256 startTime;
+        uint256 duration;
+        bool active;
+    }
+    mapping(uint256 => DutchAuction) public dutchAuctions;
+
+    /// @dev Sealed-bid second-price (Vickrey) auction: bids are committed with a deposit until commitEnd, revealed
+    ///      until revealEnd, and the highest bidder pays max(second-highest bid, reservePrice).
+    ///      `round` increments per auction on a token so deposits from an earlier round cannot leak into a later one.
+    struct SealedAuction {
+        address seller;
+        uint256 reservePrice;
+        uint256 commitEnd;
+        uint256 revealEnd;
+        address highestBidder;
+        uint256 highestBid;
+        uint256 secondBid;
+        uint256 bidCount;
+        uint256 round;
+        bool settled;
+    }
+    mapping(uint256 => SealedAuction) public sealedAuctions;
+
+    /// @dev Sealed bid: commitment = keccak256(abi.encodePacked(bidder, tokenId, amount, nonce)); deposit >= amount hides the bid
+    struct SealedBid {
+        bytes32 commitment;
+        uint256 deposit;
+        uint256 round;
+    }
+    mapping(uint256 => mapping(address => SealedBid)) public sealedBids;
+
+    /// @dev Escrowed ETH offer on any card, listed or not. One offer per (tokenId, offerer).
+    struct Offer {
+        uint256 amount;
+        uint256 expiresAt;
+    }
+    mapping(uint256 => mapping(address => Offer)) public offers;
+
+    /// @dev Market types tracked in the active-token indexes
+    enum Market {
+        Listing,
+        Auction,
+        Dutch,
+        Sealed
+    }
+
+    /// @dev Token IDs currently in each market, so clients can enumerate without scanning every token.
+    ///      English and sealed-bid auctions stay in their set until settled, including after they end.
+    mapping(Market => EnumerableSet.UintSet) private _activeIds;
+
     /// @dev Pull-over-push: balances for withdrawal
     mapping(address => uint256) public pendingWithdrawals;
 
@@ -67,15 +174,50 @@ contract PokemonTrading is ReentrancyGuard, Pausable, Ownable {
 
     event CardListed(uint256 indexed tokenId, address indexed seller, uint256 price);
     event CardUnlisted(uint256 indexed tokenId);
+    event ListingPriceUpdated(uint256 indexed tokenId, uint256 oldPrice, uint256 newPrice);
+    event ListingExpirySet(uint256 indexed tokenId, uint256 expiresAt);
+    event ListingExpired(uint256 indexed tokenId, address indexed seller);
     event CardSold(uint256 indexed tokenId, address indexed buyer, uint256 price);
     event AuctionStarted(uint256 indexed tokenId, uint256 startingPrice, uint256 endTime);
+    event AuctionRulesSet(uint256 indexed tokenId, uint256 minIncrementBps, uint256 extensionWindow);
     event BidCommitted(uint256 indexed tokenId, address indexed bidder, bytes32 commitment);
     event BidPlaced(uint256 indexed tokenId, address indexed bidder, uint256 amount);
     event AuctionSettled(uint256 indexed tokenId, address indexed winner, uint256 amount);
+    event DutchAuctionStarted(
+        uint256 indexed tokenId,
+        address indexed seller,
+        uint256 startPrice,
+        uint256 floorPrice,
+        uint256 startTime,
+        uint256 duration
+    );
+    event DutchAuctionCancelled(uint256 indexed tokenId);
+    event SealedAuctionStarted(
+        uint256 indexed tokenId,
+        address indexed seller,
+        uint256 reservePrice,
+        uint256 commitEnd,
+        uint256 revealEnd
+    );
+    event SealedBidCommitted(uint256 indexed tokenId, address indexed bidder, bytes32 commitment, uint256 deposit);
+    event SealedBidRevealed(uint256 indexed tokenId, address indexed bidder, uint256 amount);
+    event SealedAuctionSettled(uint256 indexed tokenId, address indexed winner, uint256 price);
+    event SealedAuctionCancelled(uint256 indexed tokenId);
+    event SealedDepositReclaimed(uint256 indexed tokenId, address indexed bidder, uint256 amount);
     event Withdrawal(address indexed recipient, uint256 amount);
+    event OfferMade(uint256 indexed tokenId, address indexed offerer, uint256 amount, uint256 expiresAt);
+    event OfferCancelled(uint256 indexed tokenId, address indexed offerer);
+    event OfferExpiredReclaimed(uint256 indexed tokenId, address indexed offerer);
+    event OfferAccepted(uint256 indexed tokenId, address indexed offerer, address indexed seller, uint256 amount);
+    event RoyaltyPaid(uint256 indexed tokenId, address indexed receiver, uint256 amount);
+    event PlatformFeePaid(uint256 indexed tokenId, uint256 amount);
+    event FeeUpdated(uint256 oldFeeBps, uint256 newFeeBps);
+    event TreasuryUpdated(address indexed oldTreasury, address indexed newTreasury);
+    event FeesWithdrawn(address indexed treasury, uint256 amount);
 
     constructor(address _pokemonNFT) Ownable(msg.sender) {
         pokemonNFT = IERC721(_pokemonNFT);
+        treasury = msg.sender;
     }
 
     /**
@@ -84,6 +226,29 @@ contract PokemonTrading is ReentrancyGuard, Pausable, Ownable {
      * @param price Sale price in wei
      */
     function listCard(uint256 tokenId, uint256 price) external whenNotPaused nonReentrant {
+        _listCard(tokenId, price, 0);
+    }
+
+    /**
+     * @dev List a card for fixed-price sale until `expiresAt`. After that it cannot be bought and anyone
+     *      can return the card to the seller with expireListing.
+     * @param tokenId The NFT token ID to list
+     * @param price Sale price in wei
+     * @param expiresAt Unix timestamp, at most MAX_LISTING_DURATION from now
+     */
+    function listCardWithExpiry(uint256 tokenId, uint256 price, uint256 expiresAt)
+        external
+        whenNotPaused
+        nonReentrant
+    {
+        if (expiresAt <= block.timestamp || expiresAt > block.timestamp + MAX_LISTING_DURATION) {
+            revert InvalidListingExpiry();
+        }
+        _listCard(tokenId, price, expiresAt);
+        emit ListingExpirySet(tokenId, expiresAt);
+    }
+
+    function _listCard(uint256 tokenId, uint256 price, uint256 expiresAt) private {
         if (listings[tokenId].active) revert AlreadyListed();
         if (pokemonNFT.ownerOf(tokenId) != msg.sender) revert NotCardOwner();
         if (price == 0) revert PriceMustBePositive();
@@ -93,12 +258,19 @@ contract PokemonTrading is ReentrancyGuard, Pausable, Ownable {
         listings[tokenId] = Listing({
             seller: msg.sender,
             price: price,
-            active: true
+            active: true,
+            expiresAt: expiresAt
         });
+        _activeIds[Market.Listing].add(tokenId);
 
         emit CardListed(tokenId, msg.sender, price);
     }
 
+    /// @dev True once a listing with an expiry has passed it
+    function _isExpired(Listing storage listing) private view returns (bool) {
+        return listing.expiresAt != 0 && block.timestamp >= listing.expiresAt;
+    }
+
     /**
      * @dev Unlist a card (returns to seller)
      * @param tokenId The listed token ID to remove
@@ -108,11 +280,50 @@ contract PokemonTrading is ReentrancyGuard, Pausable, Ownable {
         if (listings[tokenId].seller != msg.sender) revert NotSeller();
 
         listings[tokenId].active = false;
+        _activeIds[Market.Listing].remove(tokenId);
         pokemonNFT.transferFrom(address(this), msg.sender, tokenId);
 
         emit CardUnlisted(tokenId);
     }
 
+    /**
+     * @dev Change the price of an active listing in place; the card stays in escrow.
+     *      A buyer whose buyCard was sent against the old price reverts if the price went up,
+     *      and has any overpayment credited to pendingWithdrawals if it went down.
+     * @param tokenId The listed token ID
+     * @param newPrice New sale price in wei
+     */
+    function updateListingPrice(uint256 tokenId, uint256 newPrice) external whenNotPaused {
+        Listing storage listing = listings[tokenId];
+        if (!listing.active) revert NotListed();
+        if (listing.seller != msg.sender) revert NotSeller();
+        if (newPrice == 0) revert PriceMustBePositive();
+        if (_isExpired(listing)) revert ListingHasExpired();
+
+        uint256 oldPrice = listing.price;
+        listing.price = newPrice;
+
+        emit ListingPriceUpdated(tokenId, oldPrice, newPrice);
+    }
+
+    /**
+     * @dev Return an expired listing's card to its seller. Callable by anyone, and while this contract is paused,
+     *      so a lapsed listing never keeps the card in escrow (the transfer back still needs PokemonNFT unpaused).
+     * @param tokenId The listed token ID
+     */
+    function expireListing(uint256 tokenId) external nonReentrant {
+        Listing storage listing = listings[tokenId];
+        if (!listing.active) revert NotListed();
+        if (!_isExpired(listing)) revert ListingNotExpired();
+
+        address seller = listing.seller;
+        listing.active = false;
+        _activeIds[Market.Listing].remove(tokenId);
+        pokemonNFT.transferFrom(address(this), seller, tokenId);
+
+        emit ListingExpired(tokenId, seller);
+    }
+
     /**
      * @dev Buy a listed card. Excess payment is credited to buyer's pendingWithdrawals (pull pattern).
      * @param tokenId The listed token ID to purchase
@@ -120,12 +331,14 @@ contract PokemonTrading is ReentrancyGuard, Pausable, Ownable {
     function buyCard(uint256 tokenId) external payable whenNotPaused nonReentrant {
         Listing storage listing = listings[tokenId];
         if (!listing.active) revert NotListed();
+        if (_isExpired(listing)) revert ListingHasExpired();
         if (msg.value < listing.price) revert InsufficientPayment();
 
         uint256 price = listing.price;
         listing.active = false;
+        _activeIds[Market.Listing].remove(tokenId);
 
-        pendingWithdrawals[listing.seller] += price;
+        _creditSale(tokenId, listing.seller, price);
         uint256 excess = msg.value - price;
         if (excess > 0) {
             pendingWithdrawals[msg.sender] += excess;
@@ -147,6 +360,38 @@ contract PokemonTrading is ReentrancyGuard, Pausable, Ownable {
         whenNotPaused
         nonReentrant
     {
+        _startAuction(tokenId, startingPrice, duration, MIN_BID_INCREMENT_BPS, AUCTION_EXTENSION_DURATION);
+    }
+
+    /**
+     * @dev Start an auction with its own bid increment and anti-sniping window instead of the defaults
+     * @param tokenId The NFT token ID to auction
+     * @param startingPrice Minimum first bid in wei
+     * @param duration Auction duration in seconds (minimum 1 minute)
+     * @param minIncrementBps Minimum raise over the highest bid, MIN_CUSTOM_INCREMENT_BPS..MAX_CUSTOM_INCREMENT_BPS
+     * @param extensionWindow A bid this close to the end pushes it out by this much, MIN_EXTENSION_WINDOW..MAX_EXTENSION_WINDOW
+     */
+    function startAuctionWithRules(
+        uint256 tokenId,
+        uint256 startingPrice,
+        uint256 duration,
+        uint256 minIncrementBps,
+        uint256 extensionWindow
+    ) external whenNotPaused nonReentrant {
+        if (
+            minIncrementBps < MIN_CUSTOM_INCREMENT_BPS || minIncrementBps > MAX_CUSTOM_INCREMENT_BPS ||
+            extensionWindow < MIN_EXTENSION_WINDOW || extensionWindow > MAX_EXTENSION_WINDOW
+        ) revert InvalidAuctionRules();
+        _startAuction(tokenId, startingPrice, duration, minIncrementBps, extensionWindow);
+    }
+
+    function _startAuction(
+        uint256 tokenId,
+        uint256 startingPrice,
+        uint256 duration,
+        uint256 minIncrementBps,
+        uint256 extensionWindow
+    ) private {
         if (pokemonNFT.ownerOf(tokenId) != msg.sender) revert NotCardOwner();
         if (startingPrice == 0) revert InvalidStartingPrice();
         if (duration < 1 minutes) revert DurationTooShort();
@@ -161,15 +406,33 @@ contract PokemonTrading is ReentrancyGuard, Pausable, Ownable {
             highestBid: 0,
             highestBidder: address(0),
             endTime: block.timestamp + duration,
-            settled: false
+            settled: false,
+            minIncrementBps: minIncrementBps,
+            extensionWindow: extensionWindow
         });
+        _activeIds[Market.Auction].add(tokenId);
 
         emit AuctionStarted(tokenId, startingPrice, block.timestamp + duration);
+        emit AuctionRulesSet(tokenId, minIncrementBps, extensionWindow);
+    }
+
+    /// @dev Lowest acceptable next bid: the starting price, then the highest bid plus the auction's increment
+    function _minNextBid(Auction storage auction) private view returns (uint256) {
+        return auction.highestBidder == address(0)
+            ? auction.startingPrice
+            : auction.highestBid + (auction.highestBid * auction.minIncrementBps / 10000);
+    }
+
+    /// @dev Sniping mitigation: a bid inside the auction's extension window pushes the end out by that window
+    function _extendIfSniped(Auction storage auction) private {
+        if (auction.endTime - block.timestamp <= auction.extensionWindow) {
+            auction.endTime = block.timestamp + auction.extensionWindow;
+        }
     }
 
     /**
-     * @dev Place a bid on an auction. Minimum 5% increment over previous bid.
-     *      If bid is placed in the last AUCTION_EXTENSION_DURATION, auction end time extends (sniping mitigation).
+     * @dev Place a bid on an auction. Must beat the previous bid by the auction's minIncrementBps (default 5%).
+     *      If bid is placed in the last extensionWindow, auction end time extends (sniping mitigation).
      * @param tokenId The auctioned token ID
      */
     function placeBid(uint256 tokenId) external payable whenNotPaused nonReentrant {
@@ -179,10 +442,7 @@ contract PokemonTrading is ReentrancyGuard, Pausable, Ownable {
         if (auction.settled) revert AuctionAlreadySettled();
         if (msg.value < auction.startingPrice) revert BidBelowStartingPrice();
 
-        uint256 minBid = auction.highestBidder == address(0)
-            ? auction.startingPrice
-            : auction.highestBid + (auction.highestBid * MIN_BID_INCREMENT_BPS / 10000);
-        if (msg.value < minBid) revert BidBelowMinimumIncrement();
+        if (msg.value < _minNextBid(auction)) revert BidBelowMinimumIncrement();
 
         if (auction.highestBidder != address(0)) {
             pendingWithdrawals[auction.highestBidder] += auction.highestBid;
@@ -191,9 +451,7 @@ contract PokemonTrading is ReentrancyGuard, Pausable, Ownable {
         auction.highestBid = msg.value;
         auction.highestBidder = msg.sender;
 
-        if (auction.endTime - block.timestamp <= AUCTION_EXTENSION_DURATION) {
-            auction.endTime = block.timestamp + AUCTION_EXTENSION_DURATION;
-        }
+        _extendIfSniped(auction);
 
         emit BidPlaced(tokenId, msg.sender, msg.value);
     }
@@ -237,10 +495,7 @@ contract PokemonTrading is ReentrancyGuard, Pausable, Ownable {
         if (msg.value < amount) revert InsufficientPayment();
         if (amount < auction.startingPrice) revert BidBelowStartingPrice();
 
-        uint256 minBid = auction.highestBidder == address(0)
-            ? auction.startingPrice
-            : auction.highestBid + (auction.highestBid * MIN_BID_INCREMENT_BPS / 10000);
-        if (amount < minBid) revert BidBelowMinimumIncrement();
+        if (amount < _minNextBid(auction)) revert BidBelowMinimumIncrement();
 
         if (auction.highestBidder != address(0)) {
             pendingWithdrawals[auction.highestBidder] += auction.highestBid;
@@ -254,9 +509,7 @@ contract PokemonTrading is ReentrancyGuard, Pausable, Ownable {
             pendingWithdrawals[msg.sender] += excess;
         }
 
-        if (auction.endTime - block.timestamp <= AUCTION_EXTENSION_DURATION) {
-            auction.endTime = block.timestamp + AUCTION_EXTENSION_DURATION;
-        }
+        _extendIfSniped(auction);
 
         emit BidPlaced(tokenId, msg.sender, amount);
     }
@@ -272,9 +525,10 @@ contract PokemonTrading is ReentrancyGuard, Pausable, Ownable {
         if (auction.settled) revert AlreadySettled();
 
         auction.settled = true;
+        _activeIds[Market.Auction].remove(tokenId);
 
         if (auction.highestBidder != address(0)) {
-            pendingWithdrawals[auction.seller] += auction.highestBid;
+            _creditSale(tokenId, auction.seller, auction.highestBid);
             pokemonNFT.transferFrom(address(this), auction.highestBidder, tokenId);
             emit AuctionSettled(tokenId, auction.highestBidder, auction.highestBid);
         } else {
@@ -282,6 +536,342 @@ contract PokemonTrading is ReentrancyGuard, Pausable, Ownable {
         }
     }
 
+    /**
+     * @dev Start a Dutch (descending-price) auction. The first buyer to pay the current price wins.
+     * @param tokenId The NFT token ID to auction
+     * @param startPrice Price in wei at start
+     * @param floorPrice Lowest price in wei, reached after duration
+     * @param duration Decay duration in seconds (minimum 1 minute, maximum MAX_AUCTION_DURATION)
+     */
+    function startDutchAuction(uint256 tokenId, uint256 startPrice, uint256 floorPrice, uint256 duration)
+        external
+        whenNotPaused
+        nonReentrant
+    {
+        if (pokemonNFT.ownerOf(tokenId) != msg.sender) revert NotCardOwner();
+        if (floorPrice == 0) revert PriceMustBePositive();
+        if (startPrice <= floorPrice) revert InvalidPriceRange();
+        if (duration < 1 minutes) revert DurationTooShort();
+        if (duration > MAX_AUCTION_DURATION) revert DurationTooLong();
+
+        pokemonNFT.transferFrom(msg.sender, address(this), tokenId);
+
+        dutchAuctions[tokenId] = DutchAuction({
+            seller: msg.sender,
+            startPrice: startPrice,
+            floorPrice: floorPrice,
+            startTime: block.timestamp,
+            duration: duration,
+            active: true
+        });
+        _activeIds[Market.Dutch].add(tokenId);
+
+        emit DutchAuctionStarted(tokenId, msg.sender, startPrice, floorPrice, block.timestamp, duration);
+    }
+
+    /**
+     * @dev Current price of an active Dutch auction
+     * @param tokenId The auctioned token ID
+     * @return Price in wei at the current block timestamp
+     */
+    function getDutchPrice(uint256 tokenId) public view returns (uint256) {
+        DutchAuction storage auction = dutchAuctions[tokenId];
+        if (!auction.active) revert NotListed();
+        uint256 elapsed = block.timestamp - auction.startTime;
+        if (elapsed >= auction.duration) return auction.floorPrice;
+        return auction.startPrice - ((auction.startPrice - auction.floorPrice) * elapsed) / auction.duration;
+    }
+
+    /**
+     * @dev Buy a card from a Dutch auction at the current price. Excess payment is credited to pendingWithdrawals.
+     * @param tokenId The auctioned token ID
+     */
+    function buyDutch(uint256 tokenId) external payable whenNotPaused nonReentrant {
+        uint256 price = getDutchPrice(tokenId);
+        if (msg.value < price) revert InsufficientPayment();
+
+        DutchAuction storage auction = dutchAuctions[tokenId];
+        auction.active = false;
+        _activeIds[Market.Dutch].remove(tokenId);
+
+        _creditSale(tokenId, auction.seller, price);
+        uint256 excess = msg.value - price;
+        if (excess > 0) {
+            pendingWithdrawals[msg.sender] += excess;
+        }
+
+        pokemonNFT.transferFrom(address(this), msg.sender, tokenId);
+
+        emit CardSold(tokenId, msg.sender, price);
+    }
+
+    /**
+     * @dev Cancel a Dutch auction (returns card to seller)
+     * @param tokenId The auctioned token ID
+     */
+    function cancelDutchAuction(uint256 tokenId) external whenNotPaused nonReentrant {
+        DutchAuction storage auction = dutchAuctions[tokenId];
+        if (!auction.active) revert NotListed();
+        if (auction.seller != msg.sender) revert NotSeller();
+
+        auction.active = false;
+        _activeIds[Market.Dutch].remove(tokenId);
+        pokemonNFT.transferFrom(address(this), msg.sender, tokenId);
+
+        emit DutchAuctionCancelled(tokenId);
+    }
+
+    /**
+     * @dev Start a sealed-bid (Vickrey) auction with separate commit and reveal phases
+     * @param tokenId The NFT token ID to auction
+     * @param reservePrice Minimum winning price in wei
+     * @param commitDuration Commit phase length in seconds (minimum 1 minute)
+     * @param revealDuration Reveal phase length in seconds (minimum 1 minute); both phases together at most MAX_AUCTION_DURATION
+     */
+    function startSealedAuction(uint256 tokenId, uint256 reservePrice, uint256 commitDuration, uint256 revealDuration)
+        external
+        whenNotPaused
+        nonReentrant
+    {
+        if (pokemonNFT.ownerOf(tokenId) != msg.sender) revert NotCardOwner();
+        if (reservePrice == 0) revert InvalidStartingPrice();
+        if (commitDuration < 1 minutes || revealDuration < 1 minutes) revert DurationTooShort();
+        if (commitDuration + revealDuration > MAX_AUCTION_DURATION) revert DurationTooLong();
+        SealedAuction storage auction = sealedAuctions[tokenId];
+        if (auction.commitEnd != 0 && !auction.settled) revert AuctionAlreadyExists();
+
+        pokemonNFT.transferFrom(msg.sender, address(this), tokenId);
+
+        uint256 commitEnd = block.timestamp + commitDuration;
+        sealedAuctions[tokenId] = SealedAuction({
+            seller: msg.sender,
+            reservePrice: reservePrice,
+            commitEnd: commitEnd,
+            revealEnd: commitEnd + revealDuration,
+            highestBidder: address(0),
+            highestBid: 0,
+            secondBid: 0,
+            bidCount: 0,
+            round: auction.round + 1,
+            settled: false
+        });
+        _activeIds[Market.Sealed].add(tokenId);
+
+        emit SealedAuctionStarted(tokenId, msg.sender, reservePrice, commitEnd, commitEnd + revealDuration);
+    }
+
+    /**
+     * @dev Commit a sealed bid during the commit phase, escrowing msg.value as deposit. The deposit may exceed the
+     *      bid to hide it. Committing again replaces the commitment and adds to the deposit.
+     * @param tokenId The auctioned token ID
+     * @param commitment keccak256(abi.encodePacked(msg.sender, tokenId, amount, nonce)) from off-chain
+     */
+    function commitSealedBid(uint256 tokenId, bytes32 commitment) external payable whenNotPaused nonReentrant {
+        SealedAuction storage auction = sealedAuctions[tokenId];
+        if (auction.commitEnd == 0 || auction.settled) revert NotListed();
+        if (block.timestamp >= auction.commitEnd) revert NotInCommitPhase();
+        if (msg.sender == auction.seller) revert SellerCannotBid();
+        if (msg.value == 0) revert InsufficientPayment();
+
+        SealedBid storage bid = sealedBids[tokenId][msg.sender];
+        if (bid.round != auction.round) {
+            if (bid.deposit > 0) {
+                pendingWithdrawals[msg.sender] += bid.deposit;
+            }
+            bid.deposit = 0;
+            bid.round = auction.round;
+            auction.bidCount++;
+        }
+        bid.commitment = commitment;
+        bid.deposit += msg.value;
+
+        emit SealedBidCommitted(tokenId, msg.sender, commitment, bid.deposit);
+    }
+
+    /**
+     * @dev Reveal a sealed bid during the reveal phase. Requires amount <= deposit and amount >= reservePrice.
+     *      Outbid and losing deposits are credited to pendingWithdrawals immediately; the leader's deposit stays
+     *      escrowed until settlement.
+     * @param tokenId The auctioned token ID
+     * @param amount Bid amount in wei
+     * @param nonce Secret used in commitment
+     */
+    function revealSealedBid(uint256 tokenId, uint256 amount, bytes32 nonce) external whenNotPaused nonReentrant {
+        SealedAuction storage auction = sealedAuctions[tokenId];
+        if (auction.commitEnd == 0 || auction.settled) revert NotListed();
+        if (block.timestamp < auction.commitEnd || block.timestamp >= auction.revealEnd) revert NotInRevealPhase();
+
+        SealedBid storage bid = sealedBids[tokenId][msg.sender];
+        bytes32 expected = keccak256(abi.encodePacked(msg.sender, tokenId, amount, nonce));
+        if (bid.round != auction.round || bid.commitment != expected) revert InvalidCommitment();
+        if (amount > bid.deposit) revert InsufficientPayment();
+        if (amount < auction.reservePrice) revert BidBelowStartingPrice();
+
+        bid.commitment = bytes32(0);
+
+        if (amount > auction.highestBid) {
+            if (auction.highestBidder != address(0)) {
+                SealedBid storage previous = sealedBids[tokenId][auction.highestBidder];
+                pendingWithdrawals[auction.highestBidder] += previous.deposit;
+                previous.deposit = 0;
+            }
+            auction.secondBid = auction.highestBid;
+            auction.highestBid = amount;
+            auction.highestBidder = msg.sender;
+        } else {
+            if (amount > auction.secondBid) {
+                auction.secondBid = amount;
+            }
+            pendingWithdrawals[msg.sender] += bid.deposit;
+            bid.deposit = 0;
+        }
+
+        emit SealedBidRevealed(tokenId, msg.sender, amount);
+    }
+
+    /**
+     * @dev Settle a sealed-bid auction after the reveal phase. The winner pays max(secondBid, reservePrice) and the
+     *      rest of their deposit is credited back. No valid reveals returns the NFT to the seller.
+     * @param tokenId The auctioned token ID
+     */
+    function settleSealedAuction(uint256 tokenId) external whenNotPaused nonReentrant {
+        SealedAuction storage auction = sealedAuctions[tokenId];
+        if (auction.commitEnd == 0) revert NotListed();
+        if (block.timestamp < auction.revealEnd) revert AuctionNotEnded();
+        if (auction.settled) revert AlreadySettled();
+
+        auction.settled = true;
+        _activeIds[Market.Sealed].remove(tokenId);
+
+        address winner = auction.highestBidder;
+        if (winner != address(0)) {
+            uint256 price = auction.secondBid > auction.reservePrice ? auction.secondBid : auction.reservePrice;
+            SealedBid storage bid = sealedBids[tokenId][winner];
+            uint256 refund = bid.deposit - price;
+            bid.deposit = 0;
+            if (refund > 0) {
+                pendingWithdrawals[winner] += refund;
+            }
+            _creditSale(tokenId, auction.seller, price);
+            pokemonNFT.transferFrom(address(this), winner, tokenId);
+            emit SealedAuctionSettled(tokenId, winner, price);
+        } else {
+            pokemonNFT.transferFrom(address(this), auction.seller, tokenId);
+            emit SealedAuctionSettled(tokenId, address(0), 0);
+        }
+    }
+
+    /**
+     * @dev Cancel a sealed-bid auction before anyone has committed (returns card to seller)
+     * @param tokenId The auctioned token ID
+     */
+    function cancelSealedAuction(uint256 tokenId) external whenNotPaused nonReentrant {
+        SealedAuction storage auction = sealedAuctions[tokenId];
+        if (auction.commitEnd == 0 || auction.settled) revert NotListed();
+        if (auction.seller != msg.sender) revert NotSeller();
+        if (auction.bidCount > 0) revert AuctionHasBids();
+
+        auction.settled = true;
+        _activeIds[Market.Sealed].remove(tokenId);
+        pokemonNFT.transferFrom(address(this), msg.sender, tokenId);
+
+        emit SealedAuctionCancelled(tokenId);
+    }
+
+    /**
+     * @dev Reclaim the deposit of a bid that was never revealed, once the reveal phase is over.
+     *      Credits pendingWithdrawals. Allowed while paused.
+     * @param tokenId The auctioned token ID
+     */
+    function reclaimSealedDeposit(uint256 tokenId) external nonReentrant {
+        SealedAuction storage auction = sealedAuctions[tokenId];
+        SealedBid storage bid = sealedBids[tokenId][msg.sender];
+        if (bid.deposit == 0) revert NothingToReclaim();
+        if (bid.round == auction.round) {
+            if (block.timestamp < auction.revealEnd) revert AuctionNotEnded();
+            if (msg.sender == auction.highestBidder && !auction.settled) revert NothingToReclaim();
+        }
+
+        uint256 amount = bid.deposit;
+        bid.deposit = 0;
+        bid.commitment = bytes32(0);
+        pendingWithdrawals[msg.sender] += amount;
+
+        emit SealedDepositReclaimed(tokenId, msg.sender, amount);
+    }
+
+    /**
+     * @dev Make an offer on a card by escrowing msg.value. Replacing an existing offer credits the old amount
+     *      to the offerer's pendingWithdrawals.
+     * @param tokenId The token ID to make an offer on
+     * @param expiresAt Unix timestamp after which the offer can no longer be accepted
+     */
+    function makeOffer(uint256 tokenId, uint256 expiresAt) external payable whenNotPaused nonReentrant {
+        if (msg.value == 0) revert PriceMustBePositive();
+        if (expiresAt <= block.timestamp || expiresAt > block.timestamp + MAX_OFFER_DURATION) revert InvalidOfferExpiry();
+        if (pokemonNFT.ownerOf(tokenId) == msg.sender) revert CannotOfferOnOwnCard();
+
+        Offer storage offer = offers[tokenId][msg.sender];
+        if (offer.amount > 0) {
+            pendingWithdrawals[msg.sender] += offer.amount;
+        }
+        offer.amount = msg.value;
+        offer.expiresAt = expiresAt;
+
+        emit OfferMade(tokenId, msg.sender, msg.value, expiresAt);
+    }
+
+    /**
+     * @dev Cancel own offer; escrowed amount is credited to pendingWithdrawals. Allowed while paused.
+     * @param tokenId The token ID the offer was made on
+     */
+    function cancelOffer(uint256 tokenId) external nonReentrant {
+        uint256 amount = offers[tokenId][msg.sender].amount;
+        if (amount == 0) revert NoActiveOffer();
+
+        delete offers[tokenId][msg.sender];
+        pendingWithdrawals[msg.sender] += amount;
+
+        emit OfferCancelled(tokenId, msg.sender);
+    }
+
+    /**
+     * @dev Release an expired offer back to the offerer's pendingWithdrawals. Callable by anyone.
+     * @param tokenId The token ID the offer was made on
+     * @param offerer Address that made the offer
+     */
+    function expireOffer(uint256 tokenId, address offerer) external nonReentrant {
+        Offer memory offer = offers[tokenId][offerer];
+        if (offer.amount == 0) revert NoActiveOffer();
+        if (block.timestamp < offer.expiresAt) revert OfferNotExpired();
+
+        delete offers[tokenId][offerer];
+        pendingWithdrawals[offerer] += offer.amount;
+
+        emit OfferExpiredReclaimed(tokenId, offerer);
+    }
+
+    /**
+     * @dev Accept an offer as the current card owner. Caller must have approved this contract for the token.
+     *      `amount` must match the escrowed offer so the offerer cannot lower it while acceptance is pending.
+     * @param tokenId The token ID to sell
+     * @param offerer Address whose offer is accepted
+     * @param amount Offer amount the owner expects to receive
+     */
+    function acceptOffer(uint256 tokenId, address offerer, uint256 amount) external whenNotPaused nonReentrant {
+        if (pokemonNFT.ownerOf(tokenId) != msg.sender) revert NotCardOwner();
+        Offer memory offer = offers[tokenId][offerer];
+        if (offer.amount == 0) revert NoActiveOffer();
+        if (block.timestamp >= offer.expiresAt) revert OfferExpired();
+        if (offer.amount != amount) revert OfferAmountMismatch();
+
+        delete offers[tokenId][offerer];
+        _creditSale(tokenId, msg.sender, offer.amount);
+        pokemonNFT.transferFrom(msg.sender, offerer, tokenId);
+
+        emit OfferAccepted(tokenId, offerer, msg.sender, offer.amount);
+    }
+
     /**
      * @dev Withdraw accumulated funds (pull-over-push pattern)
      */
@@ -297,6 +887,117 @@ contract PokemonTrading is ReentrancyGuard, Pausable, Ownable {
         emit Withdrawal(msg.sender, amount);
     }
 
+    /**
+     * @dev Returns a page of the token IDs currently in a market, in no particular order
+     * @param market Market to enumerate (Listing, Auction, Dutch or Sealed)
+     * @param offset Index of the first token ID to return
+     * @param limit Maximum number of token IDs to return
+     * @return tokenIds Token IDs in the page
+     * @return total Number of token IDs in the market
+     */
+    function getActiveTokenIds(Market market, uint256 offset, uint256 limit)
+        external
+        view
+        returns (uint256[] memory tokenIds, uint256 total)
+    {
+        EnumerableSet.UintSet storage ids = _activeIds[market];
+        total = ids.length();
+        uint256 end = offset + limit > total ? total : offset + limit;
+        tokenIds = new uint256[](end > offset ? end - offset : 0);
+        for (uint256 i = 0; i < tokenIds.length; i++) {
+            tokenIds[i] = ids.at(offset + i);
+        }
+    }
+
+    /**
+     * @dev Batched market state: listing, English, Dutch and sealed-bid auction records for each token in one call
+     * @param tokenIds Token IDs to query
+     * @return listingStates Listing per token
+     * @return auctionStates Auction per token
+     * @return dutchStates DutchAuction per token
+     * @return sealedStates SealedAuction per token
+     */
+    function getMarketStates(uint256[] calldata tokenIds)
+        external
+        view
+        returns (
+            Listing[] memory listingStates,
+            Auction[] memory auctionStates,
+            DutchAuction[] memory dutchStates,
+            SealedAuction[] memory sealedStates
+        )
+    {
+        listingStates = new Listing[](tokenIds.length);
+        auctionStates = new Auction[](tokenIds.length);
+        dutchStates = new DutchAuction[](tokenIds.length);
+        sealedStates = new SealedAuction[](tokenIds.length);
+        for (uint256 i = 0; i < tokenIds.length; i++) {
+            listingStates[i] = listings[tokenIds[i]];
+            auctionStates[i] = auctions[tokenIds[i]];
+            dutchStates[i] = dutchAuctions[tokenIds[i]];
+            sealedStates[i] = sealedAuctions[tokenIds[i]];
+        }
+    }
+
+    /**
+     * @dev Credit sale proceeds: the marketplace fee to accruedFees, the ERC-2981 royalty (if any) to its
+     *      receiver, the rest to the seller. Both are computed on the full price; the royalty is capped so the
+     *      two never exceed it. NFTs without ERC-2981 support pay everything after the fee to the seller.
+     * @param tokenId The sold token ID
+     * @param seller Address receiving the proceeds
+     * @param price Sale price in wei
+     */
+    function _creditSale(uint256 tokenId, address seller, uint256 price) private {
+        uint256 fee = price * feeBps / 10000;
+        if (fee > 0) {
+            accruedFees += fee;
+            emit PlatformFeePaid(tokenId, fee);
+        }
+
+        uint256 royalty;
+        try IERC2981(address(pokemonNFT)).royaltyInfo(tokenId, price) returns (address receiver, uint256 amount) {
+            if (receiver != address(0) && receiver != seller && amount > 0) {
+                royalty = amount > price - fee ? price - fee : amount;
+                pendingWithdrawals[receiver] += royalty;
+                emit RoyaltyPaid(tokenId, receiver, royalty);
+            }
+        } catch {}
+        pendingWithdrawals[seller] += price - fee - royalty;
+    }
+
+    /**
+     * @dev Set the marketplace fee. Applies to every sale settled after the change.
+     * @param newFeeBps Fee in basis points, at most MAX_FEE_BPS
+     */
+    function setFee(uint256 newFeeBps) external onlyOwner {
+        if (newFeeBps > MAX_FEE_BPS) revert FeeTooHigh();
+        emit FeeUpdated(feeBps, newFeeBps);
+        feeBps = newFeeBps;
+    }
+
+    /**
+     * @dev Set the address that receives withdrawn fees
+     * @param newTreasury Treasury address (not zero)
+     */
+    function setTreasury(address newTreasury) external onlyOwner {
+        if (newTreasury == address(0)) revert InvalidTreasury();
+        emit TreasuryUpdated(treasury, newTreasury);
+        treasury = newTreasury;
+    }
+
+    /// @dev Send all accrued fees to the treasury. Callable by anyone - the funds can only go to `treasury`.
+    function withdrawFees() external nonReentrant {
+        uint256 amount = accruedFees;
+        if (amount == 0) revert NothingToWithdraw();
+
+        accruedFees = 0;
+
+        (bool sent, ) = treasury.call{value: amount}("");
+        if (!sent) revert TransferFailed();
+
+        emit FeesWithdrawn(treasury, amount);
+    }
+
     /// @dev Pauses all listing, buying, bidding, and settling (emergency stop)
     function pause() external onlyOwner {
         _pause();
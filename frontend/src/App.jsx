@@ -1,20 +1,80 @@
 import { WalletConnect } from './components/WalletConnect';
 import { Marketplace } from './components/Marketplace';
 import { MintCard } from './components/MintCard';
+import { EvolutionAdmin } from './components/EvolutionAdmin';
+import { AdminConsole } from './components/AdminConsole';
+import { BoosterPacks } from './components/BoosterPacks';
+import { Battles } from './components/Battles';
+import { Link } from './components/Link';
+import { useWeb3 } from './hooks/useWeb3';
+import { useRoute } from './hooks/useRoute';
+import { CONFIG } from './config';
 import './App.css';
 
+const MARKETPLACE_ROUTES = ['market', 'card', 'profile', 'analytics'];
+const BATTLE_ROUTES = ['battles', 'battle'];
+
+function NavLink({ to, active, children }) {
+  return (
+    <Link to={to} className={`nav-link ${active ? 'active' : ''}`} aria-current={active ? 'page' : undefined}>
+      {children}
+    </Link>
+  );
+}
+
+function OwnerOnly({ children }) {
+  const { isOwner } = useWeb3();
+  if (!isOwner) {
+    return (
+      <div className="marketplace-placeholder">
+        <p>Connect the contract owner&apos;s wallet to use this page.</p>
+      </div>
+    );
+  }
+  return children;
+}
+
 function App() {
+  const { account, isOwner } = useWeb3();
+  const route = useRoute();
+  // CardDetail is a modal over the page it was opened from
+  const pageRoute = route.name === 'card' ? route.background ?? { name: 'market', params: {} } : route;
+  const page = pageRoute.name;
+  const ownProfile = page === 'profile' && account && pageRoute.params.address.toLowerCase() === account.toLowerCase();
+
   return (
     <div className="app">
       <header className="header">
-        <h1>PokeOne</h1>
-        <p className="tagline">Decentralized Pokémon Card Trading</p>
+        <div>
+          <h1>PokeOne</h1>
+          <p className="tagline">Decentralized Pokémon Card Trading</p>
+        </div>
+        <nav className="nav">
+          <NavLink to="/" active={page === 'market'}>Marketplace</NavLink>
+          <NavLink to="/analytics" active={page === 'analytics'}>Analytics</NavLink>
+          {CONFIG.boosterPacksAddress && <NavLink to="/packs" active={page === 'packs'}>Packs</NavLink>}
+          {CONFIG.pokemonBattleAddress && (
+            <NavLink to="/battles" active={BATTLE_ROUTES.includes(page)}>Battles</NavLink>
+          )}
+          {account && <NavLink to={`/address/${account}`} active={ownProfile}>My Profile</NavLink>}
+          {isOwner && <NavLink to="/mint" active={page === 'mint'}>Mint</NavLink>}
+          {isOwner && <NavLink to="/admin" active={page === 'admin'}>Admin</NavLink>}
+        </nav>
         <WalletConnect />
       </header>
 
       <main className="main">
-        <MintCard />
-        <Marketplace />
+        {route.name === 'mint' && <OwnerOnly><MintCard /><EvolutionAdmin /></OwnerOnly>}
+        {route.name === 'admin' && <OwnerOnly><AdminConsole /></OwnerOnly>}
+        {route.name === 'packs' && <BoosterPacks />}
+        {BATTLE_ROUTES.includes(route.name) && <Battles route={route} />}
+        {MARKETPLACE_ROUTES.includes(route.name) && <Marketplace route={route} />}
+        {route.name === 'notFound' && (
+          <div className="marketplace-placeholder">
+            <p>Page not found.</p>
+            <Link to="/" className="btn btn-outline">Back to Marketplace</Link>
+          </div>
+        )}
       </main>
     </div>
   );
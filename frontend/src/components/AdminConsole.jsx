@@ -0,0 +1,293 @@
+import { useState, useEffect, useCallback } from 'react';
+import { formatEther, isAddress, ZeroAddress } from 'ethers';
+import { useWeb3 } from '../hooks/useWeb3';
+import { FilterSelect } from './FilterSelect';
+import { loadEscrowedCards } from '../utils/marketLoader';
+import { loadPendingWithdrawals } from '../utils/admin';
+import { shortenAddress } from '../utils/format';
+
+const ESCROW_MARKET_LABELS = {
+  listing: 'Fixed price',
+  auction: 'Auction',
+  dutch: 'Dutch auction',
+  sealed: 'Sealed-bid auction',
+  unknown: 'No open market',
+};
+
+/** PokemonTrading.MAX_FEE_BPS as a percentage */
+const MAX_FEE_PERCENT = 10;
+
+function sameAddress(a, b) {
+  return a?.toLowerCase() === b?.toLowerCase();
+}
+
+/**
+ * Owner tools: pause state per contract, cards escrowed by PokemonTrading, outstanding balances,
+ * marketplace fee settings and ownership transfer. Shown to the PokemonNFT owner; actions on a
+ * contract are enabled only when the connected account also owns that contract.
+ */
+export function AdminConsole() {
+  const { pokemonNFT, pokemonTrading, pokemonSwap, boosterPacks, pokemonBattle, provider, account, isOwner, refreshOwner } = useWeb3();
+  const [contracts, setContracts] = useState([]);
+  const [escrow, setEscrow] = useState([]);
+  const [balances, setBalances] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [txPending, setTxPending] = useState(false);
+  const [error, setError] = useState('');
+  const [feePercent, setFeePercent] = useState('');
+  const [treasuryInput, setTreasuryInput] = useState('');
+  const [transferKey, setTransferKey] = useState('nft');
+  const [newOwner, setNewOwner] = useState('');
+  const [confirmingTransfer, setConfirmingTransfer] = useState(false);
+
+  const load = useCallback(async () => {
+    if (!isOwner || !pokemonNFT || !pokemonTrading) return;
+    setLoading(true);
+    try {
+      const entries = [
+        { key: 'nft', label: 'PokemonNFT', contract: pokemonNFT },
+        { key: 'trading', label: 'PokemonTrading', contract: pokemonTrading },
+        ...(pokemonSwap ? [{ key: 'swap', label: 'PokemonSwap', contract: pokemonSwap }] : []),
+        ...(boosterPacks ? [{ key: 'packs', label: 'BoosterPacks', contract: boosterPacks }] : []),
+        ...(pokemonBattle ? [{ key: 'battle', label: 'PokemonBattle', contract: pokemonBattle }] : []),
+      ];
+      setContracts(await Promise.all(entries.map(async (entry) => ({
+        ...entry,
+        paused: await entry.contract.paused(),
+        owner: await entry.contract.owner(),
+      }))));
+
+      const tradingAddress = await pokemonTrading.getAddress();
+      // English auction sellers are only credited at settlement and never appear in a trading event
+      const escrowSellers = (await pokemonNFT.queryFilter(pokemonNFT.filters.Transfer(null, tradingAddress)))
+        .map((e) => e.args.from);
+      const [escrowed, tradingBalance, accruedFees, feeBps, treasury, pending, swapPending, battlePending] = await Promise.all([
+        loadEscrowedCards(pokemonNFT, pokemonTrading),
+        provider ? provider.getBalance(tradingAddress) : Promise.resolve(null),
+        pokemonTrading.accruedFees(),
+        pokemonTrading.feeBps(),
+        pokemonTrading.treasury(),
+        loadPendingWithdrawals(pokemonTrading, escrowSellers),
+        pokemonSwap ? loadPendingWithdrawals(pokemonSwap) : Promise.resolve(null),
+        pokemonBattle ? loadPendingWithdrawals(pokemonBattle) : Promise.resolve(null),
+      ]);
+      setEscrow(escrowed);
+      setBalances({ tradingBalance, accruedFees, feeBps, treasury, pending, swapPending, battlePending });
+    } catch (err) {
+      console.error('Admin load error:', err);
+      setError(err.shortMessage || err.message || 'Failed to load admin data');
+    } finally {
+      setLoading(false);
+    }
+  }, [isOwner, pokemonNFT, pokemonTrading, pokemonSwap, boosterPacks, pokemonBattle, provider]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const runTx = async (send) => {
+    setError('');
+    setTxPending(true);
+    try {
+      const tx = await send();
+      await tx.wait();
+      await load();
+      return true;
+    } catch (err) {
+      setError(err.shortMessage || err.message || 'Transaction failed');
+      return false;
+    } finally {
+      setTxPending(false);
+    }
+  };
+
+  const handleTogglePause = (entry) =>
+    runTx(() => (entry.paused ? entry.contract.unpause() : entry.contract.pause()));
+
+  const handleSetFee = async () => {
+    const ok = await runTx(() => pokemonTrading.setFee(Math.round(parseFloat(feePercent) * 100)));
+    if (ok) setFeePercent('');
+  };
+
+  const handleSetTreasury = async () => {
+    const ok = await runTx(() => pokemonTrading.setTreasury(treasuryInput.trim()));
+    if (ok) setTreasuryInput('');
+  };
+
+  const handleWithdrawFees = () => runTx(() => pokemonTrading.withdrawFees());
+
+  const handleTransferOwnership = async () => {
+    const entry = contracts.find((c) => c.key === transferKey);
+    const ok = await runTx(() => entry.contract.transferOwnership(newOwner.trim()));
+    setConfirmingTransfer(false);
+    if (ok) {
+      setNewOwner('');
+      if (entry.key === 'nft') refreshOwner();
+    }
+  };
+
+  if (!isOwner) return null;
+
+  const ownsTrading = sameAddress(contracts.find((c) => c.key === 'trading')?.owner, account);
+  const transferEntry = contracts.find((c) => c.key === transferKey);
+  const feeValue = parseFloat(feePercent);
+  const feeValid = feeValue >= 0 && feeValue <= MAX_FEE_PERCENT;
+  const treasuryValid = isAddress(treasuryInput.trim()) && treasuryInput.trim() !== ZeroAddress;
+  const newOwnerValid =
+    isAddress(newOwner.trim()) && newOwner.trim() !== ZeroAddress && !sameAddress(newOwner.trim(), transferEntry?.owner);
+
+  return (
+    <div className="mint-card admin-console">
+      <div className="admin-header">
+        <h3>Admin Console</h3>
+        <button onClick={load} disabled={loading || txPending} className="btn btn-outline">
+          {loading ? 'Loading...' : 'Refresh'}
+        </button>
+      </div>
+      {error && <p className="error">{error}</p>}
+
+      <h4>Contracts</h4>
+      {contracts.map((entry) => {
+        const owned = sameAddress(entry.owner, account);
+        return (
+          <div key={entry.key} className="offer-row">
+            <div className="offer-row-info">
+              <span>
+                <strong>{entry.label}</strong>{' '}
+                <span className={`admin-status ${entry.paused ? 'admin-status-paused' : ''}`}>
+                  {entry.paused ? 'Paused' : 'Active'}
+                </span>
+              </span>
+              <span className="hint">Owner {shortenAddress(entry.owner)}{owned && ' (You)'}</span>
+            </div>
+            <button
+              onClick={() => handleTogglePause(entry)}
+              disabled={txPending || !owned}
+              className={entry.paused ? 'btn btn-primary' : 'btn btn-outline'}
+            >
+              {entry.paused ? 'Unpause' : 'Pause'}
+            </button>
+          </div>
+        );
+      })}
+
+      {balances && (
+        <>
+          <h4>Balances</h4>
+          <div className="modal-price-row">
+            <span className="price-label">PokemonTrading ETH held</span>
+            <span className="price">{balances.tradingBalance != null ? `${formatEther(balances.tradingBalance)} ETH` : '-'}</span>
+          </div>
+          <div className="modal-price-row">
+            <span className="price-label">Pending withdrawals ({balances.pending.holders} addresses)</span>
+            <span className="price">{formatEther(balances.pending.total)} ETH</span>
+          </div>
+          {balances.swapPending && (
+            <div className="modal-price-row">
+              <span className="price-label">Swap pending withdrawals ({balances.swapPending.holders} addresses)</span>
+              <span className="price">{formatEther(balances.swapPending.total)} ETH</span>
+            </div>
+          )}
+          {balances.battlePending && (
+            <div className="modal-price-row">
+              <span className="price-label">Battle pending withdrawals ({balances.battlePending.holders} addresses)</span>
+              <span className="price">{formatEther(balances.battlePending.total)} ETH</span>
+            </div>
+          )}
+          <p className="hint">
+            The rest of the trading balance is escrowed in live bids, sealed-bid deposits, offers and accrued fees.
+          </p>
+
+          <h4>Marketplace fee</h4>
+          <div className="modal-price-row">
+            <span className="price-label">Fee</span>
+            <span className="price">{Number(balances.feeBps) / 100}%</span>
+          </div>
+          <div className="modal-price-row">
+            <span className="price-label">Treasury</span>
+            <span className="price">{shortenAddress(balances.treasury)}</span>
+          </div>
+          <div className="modal-price-row">
+            <span className="price-label">Accrued fees</span>
+            <span className="price">{formatEther(balances.accruedFees)} ETH</span>
+          </div>
+          <div className="admin-form">
+            <input
+              type="number"
+              min="0"
+              max={MAX_FEE_PERCENT}
+              step="0.25"
+              placeholder={`Fee % (max ${MAX_FEE_PERCENT})`}
+              value={feePercent}
+              onChange={(e) => setFeePercent(e.target.value)}
+            />
+            <button onClick={handleSetFee} disabled={txPending || !ownsTrading || !feeValid} className="btn btn-outline">
+              Set Fee
+            </button>
+          </div>
+          <div className="admin-form">
+            <input placeholder="Treasury address" value={treasuryInput} onChange={(e) => setTreasuryInput(e.target.value)} />
+            <button onClick={handleSetTreasury} disabled={txPending || !ownsTrading || !treasuryValid} className="btn btn-outline">
+              Set Treasury
+            </button>
+          </div>
+          <button
+            onClick={handleWithdrawFees}
+            disabled={txPending || balances.accruedFees === 0n}
+            className="btn btn-primary"
+          >
+            Send Fees to Treasury
+          </button>
+        </>
+      )}
+
+      <h4>Escrowed cards ({escrow.length})</h4>
+      {escrow.length === 0 && !loading && <p className="empty">PokemonTrading holds no cards</p>}
+      {escrow.map((card) => (
+        <div key={card.tokenId} className="offer-row">
+          <div className="offer-row-info">
+            <span>#{card.tokenId + 1} {card.name}</span>
+            <span className="hint">{ESCROW_MARKET_LABELS[card.market]}</span>
+          </div>
+        </div>
+      ))}
+
+      <h4>Transfer ownership</h4>
+      <div className="admin-form">
+        <FilterSelect
+          value={transferKey}
+          onChange={(key) => { setTransferKey(key); setConfirmingTransfer(false); }}
+          options={contracts.map((entry) => ({ value: entry.key, label: entry.label }))}
+        />
+        <input
+          placeholder="New owner address"
+          value={newOwner}
+          onChange={(e) => { setNewOwner(e.target.value); setConfirmingTransfer(false); }}
+          disabled={txPending}
+        />
+      </div>
+      {!confirmingTransfer ? (
+        <button
+          onClick={() => setConfirmingTransfer(true)}
+          disabled={txPending || !newOwnerValid || !sameAddress(transferEntry?.owner, account)}
+          className="btn btn-outline"
+        >
+          Transfer Ownership
+        </button>
+      ) : (
+        <div className="admin-confirm">
+          <p className="error">
+            {transferEntry.label} will be owned by {newOwner.trim()}. You lose every owner permission on it
+            immediately, and only the new owner can transfer it back.
+          </p>
+          <button onClick={handleTransferOwnership} disabled={txPending} className="btn btn-primary">
+            {txPending ? 'Confirming...' : 'Confirm Transfer'}
+          </button>
+          <button onClick={() => setConfirmingTransfer(false)} disabled={txPending} className="btn btn-outline">
+            Cancel
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
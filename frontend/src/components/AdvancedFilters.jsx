@@ -0,0 +1,117 @@
+import { useState } from 'react';
+import { FilterSelect } from './FilterSelect';
+import { STAT_RANGES, parseRange, formatRange } from '../utils/cardFilters';
+import { loadFilterPresets, saveFilterPreset } from '../utils/filterPresets';
+
+function RangeInput({ label, value, onChange, step = '1' }) {
+  const range = parseRange(value);
+  const set = (side, v) => onChange(formatRange({ ...range, [side]: v.replace('-', '') }));
+  return (
+    <label className="range-filter">
+      <span className="price-label">{label}</span>
+      <input type="number" min="0" step={step} placeholder="Min" value={range.min} onChange={(e) => set('min', e.target.value)} />
+      <span className="hint">to</span>
+      <input type="number" min="0" step={step} placeholder="Max" value={range.max} onChange={(e) => set('max', e.target.value)} />
+    </label>
+  );
+}
+
+/** Filter presets saved in the browser for the connected account */
+function FilterPresets({ account, currentSearch, onApply }) {
+  const [presets, setPresets] = useState(() => loadFilterPresets(account));
+  const [name, setName] = useState('');
+  const [selected, setSelected] = useState('');
+  const names = Object.keys(presets).sort();
+
+  const handleSave = () => {
+    if (!name.trim()) return;
+    setPresets(saveFilterPreset(account, name.trim(), currentSearch));
+    setSelected(name.trim());
+    setName('');
+  };
+  const handleDelete = () => {
+    setPresets(saveFilterPreset(account, selected, null));
+    setSelected('');
+  };
+
+  return (
+    <div className="filter-presets">
+      {names.length > 0 && (
+        <FilterSelect
+          value={selected}
+          onChange={(preset) => {
+            setSelected(preset);
+            if (preset) onApply(presets[preset]);
+          }}
+          placeholder="Saved presets"
+          options={[{ value: '', label: 'Saved presets' }, ...names.map((n) => ({ value: n, label: n }))]}
+        />
+      )}
+      {selected && (
+        <button type="button" className="btn btn-outline" onClick={handleDelete}>
+          Delete preset
+        </button>
+      )}
+      <input
+        type="text"
+        className="search-input"
+        placeholder="Preset name"
+        value={name}
+        onChange={(e) => setName(e.target.value)}
+        onKeyDown={(e) => e.key === 'Enter' && handleSave()}
+      />
+      <button type="button" className="btn btn-outline" onClick={handleSave} disabled={!name.trim()}>
+        Save filters
+      </button>
+    </div>
+  );
+}
+
+/**
+ * Marketplace filters beyond name, type and rarity: stat and price ranges, seller, token #, own cards, and
+ * saved presets. Values are read from and written to the page query.
+ * @param {{ query: URLSearchParams, onChange: (key: string, value: string) => void, account?: string,
+ *   presetSearch: string, onApplyPreset: (search: string) => void }} props
+ *   presetSearch - the current filters as a query string, saved by "Save filters"
+ */
+export function AdvancedFilters({ query, onChange, account, presetSearch, onApplyPreset }) {
+  return (
+    <div className="advanced-filters">
+      {STAT_RANGES.map(({ key, label }) => (
+        <RangeInput key={key} label={label} value={query.get(key)} onChange={(v) => onChange(key, v)} />
+      ))}
+      <RangeInput label="Price / bid (ETH)" value={query.get('price')} onChange={(v) => onChange('price', v)} step="0.001" />
+      <label className="range-filter">
+        <span className="price-label">Seller / owner</span>
+        <input
+          type="text"
+          placeholder="0x..."
+          value={query.get('seller') ?? ''}
+          onChange={(e) => onChange('seller', e.target.value.trim())}
+        />
+      </label>
+      <label className="range-filter">
+        <span className="price-label">Card #</span>
+        <input
+          type="number"
+          min="1"
+          placeholder="Any"
+          value={query.get('id') ?? ''}
+          onChange={(e) => onChange('id', e.target.value)}
+        />
+      </label>
+      {account && (
+        <FilterSelect
+          value={query.get('mine') ?? ''}
+          onChange={(v) => onChange('mine', v)}
+          options={[
+            { value: '', label: 'All sellers' },
+            { value: 'only', label: 'Only mine' },
+            { value: 'exclude', label: 'Exclude mine' },
+          ]}
+        />
+      )}
+      {account && <FilterPresets key={account} account={account} currentSearch={presetSearch} onApply={onApplyPreset} />}
+    </div>
+  );
+}
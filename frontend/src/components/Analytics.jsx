@@ -0,0 +1,144 @@
+import { useState } from 'react';
+import { formatEther } from 'ethers';
+import { FilterSelect } from './FilterSelect';
+import { PriceChart } from './PriceChart';
+import { useSales } from '../hooks/useSales';
+import { useChainNow } from '../hooks/useChainTime';
+import { DAY_SECONDS, matchesCardFilter, volumeSince, floorPrices } from '../utils/analytics';
+import { SALE_MARKET_LABELS } from '../utils/trades';
+
+const RECENT_SALES = 10;
+
+function StatBox({ label, value }) {
+  return (
+    <div className="stat-box">
+      <span className="stat-label">{label}</span>
+      <span className="stat-value">{value}</span>
+    </div>
+  );
+}
+
+function FloorTable({ title, floors, keys, labelOf }) {
+  return (
+    <div className="profile-section">
+      <h4>{title}</h4>
+      {keys.map((key) => {
+        const entry = floors.get(key);
+        return (
+          <div key={key} className="modal-price-row">
+            <span className="price-label">{labelOf(key)}{entry && ` (${entry.count} listed)`}</span>
+            <span className="price">{entry ? `${formatEther(entry.floor)} ETH` : '-'}</span>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+/**
+ * Market analytics: trading volume, sale prices over time filtered by species / type / rarity,
+ * floor prices of active fixed-price listings, and the latest sales.
+ * @param {{ listings: Array, types: string[], rarityLabels: string[], typeColors: Object }} props
+ *   listings - active fixed-price listings with card fields, from useMarketStore
+ */
+export function Analytics({ listings, types, rarityLabels, typeColors, pokemonNFT, pokemonTrading, onBack }) {
+  const { sales, loading, error, reload } = useSales(pokemonNFT, pokemonTrading);
+  const [nameFilter, setNameFilter] = useState('');
+  const [typeFilter, setTypeFilter] = useState('');
+  const [rarityFilter, setRarityFilter] = useState('');
+
+  // Sale times are block timestamps, so the 24h / 7d windows end at chain time
+  const now = Math.floor(useChainNow(60000));
+  const allSales = sales ?? [];
+  const day = volumeSince(allSales, now - DAY_SECONDS);
+  const week = volumeSince(allSales, now - 7 * DAY_SECONDS);
+  const allTime = volumeSince(allSales, 0);
+  const species = [...new Set(allSales.map((s) => s.name))].sort();
+  const filtered = allSales.filter((s) => matchesCardFilter(s, { name: nameFilter, type: typeFilter, rarity: rarityFilter }));
+  const filteredVolume = volumeSince(filtered, 0);
+  const rarities = [1, 2, 3, 4, 5];
+
+  return (
+    <section className="section analytics">
+      <div className="profile-header">
+        <h3>Market Analytics</h3>
+        <div className="header-actions">
+          <button onClick={reload} disabled={loading} className="btn btn-outline">
+            {loading ? 'Loading...' : 'Refresh'}
+          </button>
+          <button onClick={onBack} className="btn btn-outline">Back to Marketplace</button>
+        </div>
+      </div>
+      {error && <p className="error">{error}</p>}
+      {!sales && !error && <p className="loading">Loading sales...</p>}
+
+      <div className="profile-stats">
+        <StatBox label="24h volume" value={`${formatEther(day.volume)} ETH`} />
+        <StatBox label="24h trades" value={day.count} />
+        <StatBox label="7d volume" value={`${formatEther(week.volume)} ETH`} />
+        <StatBox label="7d trades" value={week.count} />
+        <StatBox label="All-time volume" value={`${formatEther(allTime.volume)} ETH`} />
+        <StatBox label="All-time trades" value={allTime.count} />
+      </div>
+
+      <h4>Price history</h4>
+      <div className="search-filters">
+        <FilterSelect
+          value={nameFilter}
+          onChange={setNameFilter}
+          placeholder="All Pokemon"
+          options={[{ value: '', label: 'All Pokemon' }, ...species.map((name) => ({ value: name, label: name }))]}
+        />
+        <FilterSelect
+          value={typeFilter}
+          onChange={setTypeFilter}
+          placeholder="All types"
+          options={[{ value: '', label: 'All types' }, ...types.map((t) => ({ value: t, label: t, color: typeColors[t] }))]}
+        />
+        <FilterSelect
+          value={rarityFilter}
+          onChange={setRarityFilter}
+          placeholder="All rarities"
+          options={[{ value: '', label: 'All rarities' }, ...rarities.map((r) => ({ value: String(r), label: rarityLabels[r] }))]}
+        />
+      </div>
+      {sales && <PriceChart sales={filtered} />}
+      {filtered.length > 0 && (
+        <p className="hint">
+          {filtered.length} sales · average {formatEther(filteredVolume.volume / BigInt(filtered.length))} ETH ·
+          last {formatEther(filtered[filtered.length - 1].price)} ETH
+        </p>
+      )}
+
+      <div className="profile-grid">
+        <FloorTable
+          title="Floor by type"
+          floors={floorPrices(listings, (l) => l.pokemonType, now)}
+          keys={types}
+          labelOf={(t) => t}
+        />
+        <FloorTable
+          title="Floor by rarity"
+          floors={floorPrices(listings, (l) => Number(l.rarity), now)}
+          keys={rarities}
+          labelOf={(r) => rarityLabels[r]}
+        />
+        <div className="profile-section">
+          <h4>Recent sales</h4>
+          {sales && allSales.length === 0 && <p className="empty">No sales yet</p>}
+          {allSales.slice(-RECENT_SALES).reverse().map((sale) => (
+            <div key={sale.txHash} className="offer-row">
+              <span className="offer-row-info">
+                <strong>#{sale.tokenId + 1} {sale.name}</strong>
+                <span className="hint">
+                  {SALE_MARKET_LABELS[sale.market]} · {new Date(sale.timestamp * 1000).toLocaleString()}
+                </span>
+              </span>
+              <span className="price">{formatEther(sale.price)} ETH</span>
+            </div>
+          ))}
+        </div>
+      </div>
+    </section>
+  );
+}
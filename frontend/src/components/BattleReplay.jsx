@@ -0,0 +1,168 @@
+import { useState, useEffect } from 'react';
+import { formatEther } from 'ethers';
+import { useWeb3 } from '../hooks/useWeb3';
+import { loadCards } from '../utils/marketLoader';
+import { OUTCOME, loadChallenges, loadBattleLog, hpAfter, effectivenessLabel } from '../utils/battles';
+
+const TYPE_COLORS = {
+  Fire: '#ff6b35',
+  Water: '#3692dc',
+  Electric: '#ffcb05',
+  Grass: '#5dbd63',
+  Psychic: '#a855f7',
+  Fighting: '#b91c1c',
+  default: '#94a3b8',
+};
+/** Delay between turns while playing */
+const TURN_MS = 900;
+
+function Fighter({ card, hp, maxHp, striking }) {
+  const percent = maxHp > 0 ? Math.round((hp / maxHp) * 100) : 0;
+  return (
+    <div
+      className={`battle-fighter ${striking ? 'striking' : ''} ${hp === 0 ? 'fainted' : ''}`}
+      style={{ '--type-color': TYPE_COLORS[card.pokemonType] || TYPE_COLORS.default }}
+    >
+      <span className="type-badge">{card.pokemonType}</span>
+      <strong>{card.name} #{card.tokenId + 1}</strong>
+      <span className="hint">ATK {card.attack} | DEF {card.defense}</span>
+      <div className="battle-hp">
+        <div className={`battle-hp-fill ${percent <= 25 ? 'low' : ''}`} style={{ width: `${percent}%` }} />
+      </div>
+      <span className="hint">HP {hp} / {maxHp}</span>
+    </div>
+  );
+}
+
+/**
+ * Modal replaying a resolved battle turn by turn from its BattleStarted and BattleTurn events.
+ * Plays automatically; Pause, Restart and Skip control the step.
+ * @param {{ challengeId: number, onClose: () => void }} props
+ */
+export function BattleReplay({ challengeId, onClose }) {
+  const { pokemonNFT, pokemonBattle } = useWeb3();
+  const [battle, setBattle] = useState(null);
+  const [error, setError] = useState('');
+  const [step, setStep] = useState(0);
+  const [playing, setPlaying] = useState(true);
+
+  useEffect(() => {
+    if (!pokemonBattle || !pokemonNFT) return;
+    let active = true;
+    (async () => {
+      try {
+        const [[challenge], log] = await Promise.all([
+          loadChallenges(pokemonBattle, [challengeId]),
+          loadBattleLog(pokemonBattle, challengeId),
+        ]);
+        if (!log) throw new Error('This battle has not been fought');
+        const cards = await loadCards(pokemonNFT, [challenge.challengerTokenId, challenge.opponentTokenId]);
+        if (active) {
+          setBattle({
+            challenge,
+            log,
+            challengerCard: cards.get(challenge.challengerTokenId),
+            opponentCard: cards.get(challenge.opponentTokenId),
+          });
+        }
+      } catch (err) {
+        console.error('Battle replay load error:', err);
+        if (active) setError(err.shortMessage || err.message || 'Failed to load battle');
+      }
+    })();
+    return () => { active = false; };
+  }, [pokemonBattle, pokemonNFT, challengeId]);
+
+  const turnCount = battle?.log.turns.length ?? 0;
+  const finished = battle != null && step >= turnCount;
+
+  useEffect(() => {
+    if (!playing || !battle || step >= turnCount) return;
+    const timer = setTimeout(() => setStep((s) => s + 1), TURN_MS);
+    return () => clearTimeout(timer);
+  }, [playing, battle, step, turnCount]);
+
+  const restart = () => {
+    setStep(0);
+    setPlaying(true);
+  };
+
+  let body;
+  if (error) {
+    body = <p className="error">{error}</p>;
+  } else if (!battle) {
+    body = <p className="hint">Loading battle...</p>;
+  } else {
+    const { challenge, log, challengerCard, opponentCard } = battle;
+    const hp = hpAfter(log, challenge.challengerTokenId, step);
+    const lastTurn = step > 0 ? log.turns[step - 1] : null;
+    const shown = log.turns.slice(0, step);
+    const winnerCard = challenge.outcome === OUTCOME.CHALLENGER_WON ? challengerCard : opponentCard;
+    const nameOf = (tokenId) => (tokenId === challenge.challengerTokenId ? challengerCard : opponentCard).name;
+
+    body = (
+      <>
+        <div className="battle-arena">
+          <Fighter
+            card={challengerCard}
+            hp={hp.challenger}
+            maxHp={log.challengerHp}
+            striking={lastTurn?.attackerTokenId === challenge.challengerTokenId}
+          />
+          <span className="battle-vs">VS</span>
+          <Fighter
+            card={opponentCard}
+            hp={hp.opponent}
+            maxHp={log.opponentHp}
+            striking={lastTurn != null && lastTurn.attackerTokenId !== challenge.challengerTokenId}
+          />
+        </div>
+
+        {finished && (
+          <div className="battle-banner">
+            {challenge.outcome === OUTCOME.DRAW ? 'Draw!' : `${winnerCard.name} wins!`}
+            {challenge.stake > 0n && (
+              <span className="hint">
+                {challenge.outcome === OUTCOME.DRAW
+                  ? ' Stakes refunded.'
+                  : ` ${formatEther(challenge.stake * 2n)} ETH to the winner.`}
+              </span>
+            )}
+          </div>
+        )}
+
+        <ol className="battle-log">
+          {shown.map((turn, i) => (
+            <li key={i}>
+              {nameOf(turn.attackerTokenId)} hits for {turn.damage}. {effectivenessLabel(turn.multiplier)}
+              {turn.defenderHp === 0 && ` ${nameOf(turn.attackerTokenId === challenge.challengerTokenId
+                ? challenge.opponentTokenId
+                : challenge.challengerTokenId)} fainted!`}
+            </li>
+          ))}
+        </ol>
+
+        <div className="modal-actions">
+          {finished ? (
+            <button onClick={restart} className="btn btn-primary">Replay</button>
+          ) : (
+            <button onClick={() => setPlaying((p) => !p)} className="btn btn-primary">{playing ? 'Pause' : 'Play'}</button>
+          )}
+          {!finished && <button onClick={() => setStep(turnCount)} className="btn btn-outline">Skip</button>}
+          {step > 0 && !finished && <button onClick={restart} className="btn btn-outline">Restart</button>}
+          <button onClick={onClose} className="btn btn-outline">Close</button>
+        </div>
+      </>
+    );
+  }
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal battle-replay" onClick={(e) => e.stopPropagation()}>
+        <button className="modal-close" onClick={onClose}>×</button>
+        <h3>Battle #{challengeId}</h3>
+        {body}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,375 @@
+import { useState, useEffect, useCallback } from 'react';
+import { formatEther, parseEther, isAddress } from 'ethers';
+import { useWeb3 } from '../hooks/useWeb3';
+import { navigate } from '../hooks/useRoute';
+import { FilterSelect } from './FilterSelect';
+import { Link } from './Link';
+import { BattleReplay } from './BattleReplay';
+import { loadCards, loadOwnedCards } from '../utils/marketLoader';
+import { CHALLENGE_STATUS, OUTCOME, loadChallenges } from '../utils/battles';
+import { shortenAddress } from '../utils/format';
+
+const BATTLE_EVENTS = ['ChallengeCreated', 'ChallengeCancelled', 'BattleResolved'];
+
+function sameAddress(a, b) {
+  return a?.toLowerCase() === b?.toLowerCase();
+}
+
+function cardLabel(card) {
+  return card ? `${card.name} #${card.tokenId + 1}` : '…';
+}
+
+function formatRecord(record) {
+  return record ? `${record.wins}W ${record.losses}L ${record.draws}D` : '';
+}
+
+function cardOption(card, record) {
+  return {
+    value: String(card.tokenId),
+    label: `${cardLabel(card)} · ${card.pokemonType} · HP ${card.hp} ATK ${card.attack} DEF ${card.defense} · ${formatRecord(record)}`,
+  };
+}
+
+/**
+ * Predicted result of a fight between two cards from the challenger's side, via previewBattle.
+ * @returns {{ outcome: number, turns: number } | null} null until both cards are chosen and the preview loads
+ */
+function useBattlePreview(pokemonBattle, challengerTokenId, opponentTokenId) {
+  const [preview, setPreview] = useState(null);
+  const key = `${challengerTokenId}:${opponentTokenId}`;
+
+  useEffect(() => {
+    if (!pokemonBattle || challengerTokenId === '' || opponentTokenId === '') return;
+    let active = true;
+    pokemonBattle.previewBattle(Number(challengerTokenId), Number(opponentTokenId))
+      .then(([outcome, turns]) => {
+        if (active) setPreview({ key, outcome: Number(outcome), turns: turns.length });
+      })
+      .catch((err) => console.error('Battle preview error:', err));
+    return () => { active = false; };
+  }, [pokemonBattle, challengerTokenId, opponentTokenId, key]);
+
+  return preview?.key === key ? preview : null;
+}
+
+function predictionText(preview, asChallenger) {
+  if (!preview) return '';
+  if (preview.outcome === OUTCOME.DRAW) return `Draw after ${preview.turns} turns`;
+  const won = (preview.outcome === OUTCOME.CHALLENGER_WON) === asChallenger;
+  return `You ${won ? 'win' : 'lose'} in ${preview.turns} turns`;
+}
+
+function cardStats(card) {
+  return card ? ` · ${card.pokemonType} · HP ${card.hp} ATK ${card.attack} DEF ${card.defense}` : '';
+}
+
+/** A challenge against one of the account's cards: see both cards and the predicted result, accept or decline */
+function AcceptChallenge({ challenge, challengerCard, opponentCard, records, pokemonBattle, onAccepted }) {
+  const preview = useBattlePreview(pokemonBattle, challenge.challengerTokenId, challenge.opponentTokenId);
+  const [txPending, setTxPending] = useState(false);
+  const [error, setError] = useState('');
+
+  const runTx = async (send, onDone) => {
+    setError('');
+    setTxPending(true);
+    try {
+      const tx = await send();
+      await tx.wait();
+      onAccepted();
+      onDone?.();
+    } catch (err) {
+      setError(err.shortMessage || err.message || 'Transaction failed');
+    } finally {
+      setTxPending(false);
+    }
+  };
+
+  const handleAccept = () => runTx(
+    () => pokemonBattle.acceptChallenge(challenge.id, { value: challenge.stake }),
+    () => navigate(`/battles/${challenge.id}`),
+  );
+  const handleDecline = () => runTx(() => pokemonBattle.cancelChallenge(challenge.id));
+
+  return (
+    <div className="swap-row battle-challenge">
+      <div className="offer-row-info">
+        <span>
+          <strong>{cardLabel(challengerCard)}</strong>{cardStats(challengerCard)}
+        </span>
+        <span>
+          vs your <strong>{cardLabel(opponentCard)}</strong>{cardStats(opponentCard)}
+        </span>
+        <span className="hint">
+          From <Link to={`/address/${challenge.challenger}`} className="link-button">{shortenAddress(challenge.challenger)}</Link>
+          {' · '}{challenge.stake > 0n ? `stake ${formatEther(challenge.stake)} ETH each` : 'no stake'}
+          {' · '}{formatRecord(records[challenge.challengerTokenId])}
+        </span>
+      </div>
+      {preview && <p className="hint">Predicted: {predictionText(preview, false)}. Battles are deterministic.</p>}
+      {error && <p className="error">{error}</p>}
+      <div className="swap-row-actions">
+        <button onClick={handleAccept} disabled={txPending} className="btn btn-primary">
+          {txPending ? 'Battling...' : 'Accept & Battle'}
+        </button>
+        <button onClick={handleDecline} disabled={txPending} className="btn btn-outline">Decline</button>
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Battles page: challenge one of another collector's cards with one of yours and an optional ETH stake, accept
+ * or decline challenges with a predicted result, cancel your own, and replay past battles from their events.
+ * `/battles/:challengeId` opens BattleReplay over the page.
+ */
+export function Battles({ route }) {
+  const { pokemonNFT, pokemonBattle, account, isCorrectNetwork } = useWeb3();
+  const [challenges, setChallenges] = useState([]);
+  const [cards, setCards] = useState(new Map());
+  const [myCards, setMyCards] = useState([]);
+  const [records, setRecords] = useState({});
+  const [balance, setBalance] = useState(0n);
+  const [loading, setLoading] = useState(false);
+  const [txPending, setTxPending] = useState(false);
+  const [error, setError] = useState('');
+  const [tokenId, setTokenId] = useState('');
+  const [opponent, setOpponent] = useState('');
+  const [opponentTokenId, setOpponentTokenId] = useState('');
+  // Cards of the opponent address typed in the form, keyed by that address
+  const [opponentCards, setOpponentCards] = useState({ owner: '', cards: [] });
+  const [stake, setStake] = useState('');
+  const preview = useBattlePreview(pokemonBattle, tokenId, opponentTokenId);
+
+  const load = useCallback(async () => {
+    if (!pokemonBattle || !pokemonNFT || !account) return;
+    setLoading(true);
+    try {
+      const [sentIds, receivedIds, owned, pending] = await Promise.all([
+        pokemonBattle.getChallengeIdsByChallenger(account),
+        pokemonBattle.getChallengeIdsByOpponent(account),
+        loadOwnedCards(pokemonNFT, account),
+        pokemonBattle.pendingWithdrawals(account),
+      ]);
+      const ids = [...sentIds.map(Number), ...receivedIds.map(Number)];
+      const loaded = await loadChallenges(pokemonBattle, ids);
+      const tokenIds = [...new Set(loaded.flatMap((c) => [c.challengerTokenId, c.opponentTokenId]))];
+      const recordIds = [...new Set([...tokenIds, ...owned.map((c) => c.tokenId)])];
+      const [challengeCards, recordList] = await Promise.all([
+        loadCards(pokemonNFT, tokenIds),
+        Promise.all(recordIds.map((id) => pokemonBattle.records(id))),
+      ]);
+      setChallenges(loaded.sort((a, b) => b.id - a.id));
+      setCards(challengeCards);
+      setMyCards(owned);
+      setRecords(Object.fromEntries(recordIds.map((id, i) => [id, {
+        wins: Number(recordList[i].wins),
+        losses: Number(recordList[i].losses),
+        draws: Number(recordList[i].draws),
+      }])));
+      setBalance(pending);
+    } catch (err) {
+      console.error('Battles load error:', err);
+      setError(err.shortMessage || err.message || 'Failed to load battles');
+    } finally {
+      setLoading(false);
+    }
+  }, [pokemonBattle, pokemonNFT, account]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const opponentAddress = opponent.trim();
+  const opponentValid = isAddress(opponentAddress) && !sameAddress(opponentAddress, account);
+
+  useEffect(() => {
+    if (!pokemonNFT || !opponentValid) return;
+    let active = true;
+    loadOwnedCards(pokemonNFT, opponentAddress)
+      .then((owned) => { if (active) setOpponentCards({ owner: opponentAddress, cards: owned }); })
+      .catch((err) => console.error('Opponent cards load error:', err));
+    return () => { active = false; };
+  }, [pokemonNFT, opponentAddress, opponentValid]);
+
+  useEffect(() => {
+    if (!pokemonBattle) return;
+    const onBattleEvent = () => load();
+    BATTLE_EVENTS.forEach((name) => pokemonBattle.on(name, onBattleEvent));
+    return () => BATTLE_EVENTS.forEach((name) => pokemonBattle.off(name, onBattleEvent));
+  }, [pokemonBattle, load]);
+
+  const runTx = async (send) => {
+    setError('');
+    setTxPending(true);
+    try {
+      await send();
+      await load();
+      return true;
+    } catch (err) {
+      setError(err.shortMessage || err.message || 'Transaction failed');
+      return false;
+    } finally {
+      setTxPending(false);
+    }
+  };
+
+  const handleChallenge = async () => {
+    const ok = await runTx(async () => {
+      const battleAddress = await pokemonBattle.getAddress();
+      await (await pokemonNFT.approve(battleAddress, Number(tokenId))).wait();
+      const tx = await pokemonBattle.createChallenge(Number(tokenId), Number(opponentTokenId), {
+        value: stake ? parseEther(stake) : 0n,
+      });
+      await tx.wait();
+    });
+    if (ok) {
+      setTokenId('');
+      setOpponent('');
+      setOpponentTokenId('');
+      setStake('');
+    }
+  };
+
+  const handleCancel = (challengeId) => runTx(async () => (await pokemonBattle.cancelChallenge(challengeId)).wait());
+  const handleWithdraw = () => runTx(async () => (await pokemonBattle.withdraw()).wait());
+
+  if (!pokemonBattle) {
+    return (
+      <div className="marketplace-placeholder">
+        <p>{account ? 'Battles are not configured (set VITE_POKEMON_BATTLE_ADDRESS).' : 'Connect your wallet to battle.'}</p>
+      </div>
+    );
+  }
+
+  const pending = challenges.filter((c) => c.status === CHALLENGE_STATUS.OPEN);
+  const incoming = pending.filter((c) => sameAddress(c.opponent, account));
+  const outgoing = pending.filter((c) => sameAddress(c.challenger, account));
+  const history = challenges.filter((c) => c.status === CHALLENGE_STATUS.RESOLVED
+    && (sameAddress(c.challenger, account) || sameAddress(c.opponent, account)));
+  const theirCards = opponentValid && sameAddress(opponentCards.owner, opponentAddress) ? opponentCards.cards : [];
+  const stakeValid = !stake || parseFloat(stake) >= 0;
+  const canChallenge = Boolean(account && isCorrectNetwork && tokenId !== '' && opponentTokenId !== '' && stakeValid);
+  const replayId = route.name === 'battle' ? Number(route.params.challengeId) : null;
+
+  const resultFor = (c) => {
+    if (c.outcome === OUTCOME.DRAW) return 'Draw';
+    const challengerWon = c.outcome === OUTCOME.CHALLENGER_WON;
+    return challengerWon === sameAddress(c.challenger, account) ? 'Won' : 'Lost';
+  };
+
+  return (
+    <div className="battles">
+      {error && <p className="error">{error}</p>}
+      {balance > 0n && (
+        <button onClick={handleWithdraw} disabled={txPending} className="btn btn-outline">
+          Withdraw {formatEther(balance)} ETH (battles)
+        </button>
+      )}
+
+      <section className="section">
+        <h3>New Challenge</h3>
+        <p className="hint">
+          Pick your card and the card you want to fight. Your card is held by the battle contract until the challenge
+          is accepted or cancelled, then returned. The opponent matches your stake and the winner takes both. The card
+          with the higher attack strikes first (theirs on a tie), then the cards trade hits; damage depends on attack,
+          the defender&apos;s defense and type effectiveness.
+        </p>
+        <div className="list-form battle-form">
+          <label>
+            Your card
+            <FilterSelect
+              value={tokenId}
+              onChange={setTokenId}
+              placeholder="Choose a card"
+              options={[{ value: '', label: 'Choose a card' }, ...myCards.map((card) => cardOption(card, records[card.tokenId]))]}
+            />
+          </label>
+          <label>
+            Opponent
+            <input
+              placeholder="0x..."
+              value={opponent}
+              onChange={(e) => {
+                setOpponent(e.target.value);
+                setOpponentTokenId('');
+              }}
+            />
+          </label>
+          {opponentValid && (
+            <label>
+              Their card
+              <FilterSelect
+                value={opponentTokenId}
+                onChange={setOpponentTokenId}
+                placeholder="Choose their card"
+                options={[{ value: '', label: 'Choose their card' }, ...theirCards.map((card) => cardOption(card, records[card.tokenId]))]}
+              />
+            </label>
+          )}
+          <label>
+            Stake per side (ETH, optional)
+            <input type="number" min="0" step="0.01" placeholder="0" value={stake} onChange={(e) => setStake(e.target.value)} />
+          </label>
+          {opponentAddress && !opponentValid && <p className="error">Opponent is not a valid address.</p>}
+          {preview && <p className="hint">Predicted: {predictionText(preview, true)}.</p>}
+          <button onClick={handleChallenge} disabled={txPending || !canChallenge} className="btn btn-primary">
+            {txPending ? 'Confirming...' : 'Challenge'}
+          </button>
+        </div>
+      </section>
+
+      <section className="section">
+        <h3>Challenges for You</h3>
+        {incoming.map((c) => (
+          <AcceptChallenge
+            key={c.id}
+            challenge={c}
+            challengerCard={cards.get(c.challengerTokenId)}
+            opponentCard={cards.get(c.opponentTokenId)}
+            records={records}
+            pokemonBattle={pokemonBattle}
+            onAccepted={load}
+          />
+        ))}
+        {incoming.length === 0 && !loading && <p className="empty">No open challenges</p>}
+      </section>
+
+      {outgoing.length > 0 && (
+        <section className="section">
+          <h3>My Open Challenges</h3>
+          {outgoing.map((c) => (
+            <div key={c.id} className="offer-row">
+              <div className="offer-row-info">
+                <span>{cardLabel(cards.get(c.challengerTokenId))} vs {cardLabel(cards.get(c.opponentTokenId))}</span>
+                <span className="hint">
+                  Challenged {shortenAddress(c.opponent)}
+                  {c.stake > 0n && ` · stake ${formatEther(c.stake)} ETH`}
+                </span>
+              </div>
+              <button onClick={() => handleCancel(c.id)} disabled={txPending} className="btn btn-outline">Cancel</button>
+            </div>
+          ))}
+        </section>
+      )}
+
+      <section className="section">
+        <h3>Battle History</h3>
+        {history.map((c) => (
+          <div key={c.id} className="offer-row">
+            <div className="offer-row-info">
+              <span>
+                <strong className={`battle-result battle-result-${resultFor(c).toLowerCase()}`}>{resultFor(c)}</strong>{' '}
+                {cardLabel(cards.get(c.challengerTokenId))} vs {cardLabel(cards.get(c.opponentTokenId))}
+              </span>
+              <span className="hint">Battle #{c.id}{c.stake > 0n && ` · stake ${formatEther(c.stake)} ETH each`}</span>
+            </div>
+            <Link to={`/battles/${c.id}`} className="btn btn-outline">Replay</Link>
+          </div>
+        ))}
+        {history.length === 0 && !loading && <p className="empty">No battles yet</p>}
+      </section>
+
+      {replayId != null && <BattleReplay challengeId={replayId} onClose={() => navigate('/battles')} />}
+    </div>
+  );
+}
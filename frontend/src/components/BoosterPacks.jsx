@@ -0,0 +1,257 @@
+import { useState, useEffect, useCallback } from 'react';
+import { formatEther } from 'ethers';
+import { useWeb3 } from '../hooks/useWeb3';
+import { PackReveal } from './PackReveal';
+import { PackAdmin } from './PackAdmin';
+import {
+  REVEAL_WINDOW,
+  EXPIRED_REFUND_BPS,
+  computePackCommitment,
+  generatePackSecret,
+  loadPackSecrets,
+  savePackSecret,
+  loadPackTypes,
+  packOdds,
+} from '../utils/packs';
+
+const RARITY_LABELS = ['', 'Common', 'Uncommon', 'Rare', 'Epic', 'Legendary'];
+
+function formatChance(chance) {
+  const percent = chance * 100;
+  return `${percent >= 10 ? percent.toFixed(0) : percent.toFixed(1)}%`;
+}
+
+/** Purchases of an account neither opened nor refunded, newest first */
+async function loadUnopened(boosterPacks, account) {
+  const ids = await boosterPacks.getPurchaseIds(account);
+  const purchases = await Promise.all(ids.map(async (id) => ({ id: Number(id), ...(await boosterPacks.purchases(id)).toObject() })));
+  return purchases.filter((p) => !p.opened && !p.refunded).reverse();
+}
+
+/**
+ * Booster pack shop. Buying generates a secret, stores it in the browser and commits to it on-chain; the pack
+ * is opened with the secret in a second transaction (from the next block), which mints the cards and shows
+ * them in PackReveal. Packs bought but not opened (e.g. the second transaction was rejected) stay listed
+ * until opened, or refunded in part once their reveal window closes.
+ */
+export function BoosterPacks() {
+  const { boosterPacks, pokemonNFT, provider, account, isCorrectNetwork } = useWeb3();
+  const [packs, setPacks] = useState([]);
+  const [unopened, setUnopened] = useState([]);
+  const [secrets, setSecrets] = useState({});
+  const [blockNumber, setBlockNumber] = useState(null);
+  const [packsOwner, setPacksOwner] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [pending, setPending] = useState(null);
+  const [error, setError] = useState('');
+  const [reveal, setReveal] = useState(null);
+
+  const load = useCallback(async () => {
+    if (!boosterPacks || !account) return;
+    setLoading(true);
+    try {
+      const packsAddress = await boosterPacks.getAddress();
+      const [types, purchases, owner] = await Promise.all([
+        loadPackTypes(boosterPacks),
+        loadUnopened(boosterPacks, account),
+        boosterPacks.owner(),
+      ]);
+      setPacks(types);
+      setUnopened(purchases);
+      setPacksOwner(owner);
+      setSecrets(loadPackSecrets(packsAddress, account));
+    } catch (err) {
+      console.error('Packs load error:', err);
+      setError(err.shortMessage || err.message || 'Failed to load packs');
+    } finally {
+      setLoading(false);
+    }
+  }, [boosterPacks, account]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  // Reveal windows are counted in blocks
+  useEffect(() => {
+    if (!provider) return;
+    const onBlock = (number) => setBlockNumber(Number(number));
+    provider.getBlockNumber().then(onBlock).catch(() => {});
+    provider.on('block', onBlock);
+    return () => provider.off('block', onBlock);
+  }, [provider]);
+
+  const openPurchase = async (purchase, secret) => {
+    const tx = await boosterPacks.openPack(purchase.id, secret);
+    const receipt = await tx.wait();
+    const opened = receipt.logs
+      .map((log) => boosterPacks.interface.parseLog(log))
+      .find((parsed) => parsed?.name === 'PackOpened');
+    const tokenIds = opened.args.tokenIds.map(Number);
+    const [cards, uris] = await pokemonNFT.getCards(tokenIds);
+    setSecrets(savePackSecret(await boosterPacks.getAddress(), account, purchase.commitment, null));
+    setReveal({
+      packName: packs.find((p) => p.id === Number(purchase.packTypeId))?.name ?? 'Booster Pack',
+      cards: tokenIds.map((tokenId, i) => ({
+        tokenId,
+        tokenURI: uris[i],
+        name: cards[i].name,
+        pokemonType: cards[i].pokemonType,
+        hp: Number(cards[i].hp),
+        attack: Number(cards[i].attack),
+        defense: Number(cards[i].defense),
+        rarity: Number(cards[i].rarity),
+      })),
+    });
+  };
+
+  const handleBuy = async (pack) => {
+    setError('');
+    setPending(`buy:${pack.id}`);
+    try {
+      const packsAddress = await boosterPacks.getAddress();
+      const secret = generatePackSecret();
+      const commitment = computePackCommitment(secret, account);
+      // Saved before sending, so the pack can still be opened if this page is closed mid-purchase
+      setSecrets(savePackSecret(packsAddress, account, commitment, { secret, packTypeId: pack.id, savedAt: Date.now() }));
+      const receipt = await (await boosterPacks.buyPack(pack.id, commitment, { value: pack.price })).wait();
+      const purchased = receipt.logs
+        .map((log) => boosterPacks.interface.parseLog(log))
+        .find((parsed) => parsed?.name === 'PackPurchased');
+      await openPurchase({ id: Number(purchased.args.purchaseId), packTypeId: pack.id, commitment }, secret);
+    } catch (err) {
+      setError(err.shortMessage || err.message || 'Transaction failed');
+    } finally {
+      setPending(null);
+      load();
+    }
+  };
+
+  const handleRefund = async (purchase) => {
+    setError('');
+    setPending(`refund:${purchase.id}`);
+    try {
+      await (await boosterPacks.refundPack(purchase.id)).wait();
+      setSecrets(savePackSecret(await boosterPacks.getAddress(), account, purchase.commitment, null));
+    } catch (err) {
+      setError(err.shortMessage || err.message || 'Transaction failed');
+    } finally {
+      setPending(null);
+      load();
+    }
+  };
+
+  const handleOpen = async (purchase) => {
+    setError('');
+    setPending(`open:${purchase.id}`);
+    try {
+      await openPurchase(purchase, secrets[purchase.commitment.toLowerCase()].secret);
+    } catch (err) {
+      setError(err.shortMessage || err.message || 'Transaction failed');
+    } finally {
+      setPending(null);
+      load();
+    }
+  };
+
+  if (!boosterPacks) {
+    return (
+      <div className="marketplace-placeholder">
+        <p>{account ? 'Booster packs are not configured (set VITE_BOOSTER_PACKS_ADDRESS).' : 'Connect your wallet to buy booster packs.'}</p>
+      </div>
+    );
+  }
+
+  const onSale = packs.filter((p) => p.onSale);
+  const canTransact = Boolean(account && isCorrectNetwork && !pending);
+  const ownsPacks = account && packsOwner?.toLowerCase() === account.toLowerCase();
+
+  return (
+    <div className="booster-packs">
+      {error && <p className="error">{error}</p>}
+
+      <section className="section">
+        <h3>Booster Packs</h3>
+        <p className="hint">
+          Cards are drawn when a pack is opened, from a secret your browser commits to when you buy and the hash of
+          the purchase block, so neither you nor the seller can pick the result. Buying asks for two transactions:
+          the purchase, then opening the pack.
+        </p>
+        <div className="pack-grid">
+          {onSale.map((pack) => (
+            <div key={pack.id} className="pack-tile">
+              <div className="pack-tile-art">
+                <span className="pack-tile-name">{pack.name}</span>
+                <span className="pack-tile-count">{pack.cardsPerPack} cards</span>
+              </div>
+              <div className="modal-price-row">
+                <span className="price-label">Price</span>
+                <span className="price">{formatEther(pack.price)} ETH</span>
+              </div>
+              <details className="pack-odds">
+                <summary>Drop rates per card</summary>
+                {packOdds(pack).map(({ rarity, chance, cards }) => (
+                  <div key={rarity} className="pack-odds-rarity">
+                    <div className="pack-odds-row">
+                      <strong>{RARITY_LABELS[rarity]}</strong>
+                      <span>{formatChance(chance)}</span>
+                    </div>
+                    {cards.map((card, i) => (
+                      <div key={i} className="pack-odds-row hint">
+                        <span>{card.name}</span>
+                        <span>{formatChance(card.chance)}</span>
+                      </div>
+                    ))}
+                  </div>
+                ))}
+              </details>
+              <button onClick={() => handleBuy(pack)} disabled={!canTransact} className="btn btn-primary">
+                {pending === `buy:${pack.id}` ? 'Opening...' : 'Buy & Open'}
+              </button>
+            </div>
+          ))}
+        </div>
+        {onSale.length === 0 && !loading && <p className="empty">No packs on sale</p>}
+      </section>
+
+      {unopened.length > 0 && (
+        <section className="section">
+          <h3>Unopened Packs</h3>
+          {unopened.map((purchase) => {
+            const pack = packs.find((p) => p.id === Number(purchase.packTypeId));
+            const secret = secrets[purchase.commitment.toLowerCase()];
+            const blocksLeft = blockNumber == null ? null : REVEAL_WINDOW - (blockNumber - Number(purchase.blockNumber));
+            const expired = blocksLeft != null && blocksLeft < 0;
+            return (
+              <div key={purchase.id} className="offer-row">
+                <div className="offer-row-info">
+                  <span>{pack?.name ?? 'Booster Pack'} · purchase #{purchase.id}</span>
+                  <span className="hint">
+                    {expired
+                      ? `Reveal window closed; this pack can no longer be opened, but ${formatEther(purchase.price * EXPIRED_REFUND_BPS / 10000n)} of its ${formatEther(purchase.price)} ETH can be refunded`
+                      : !secret
+                        ? 'Secret not found in this browser; open it from the browser it was bought in, or refund part of its price once the reveal window closes'
+                        : blocksLeft != null && `Open within ${blocksLeft} blocks`}
+                  </span>
+                </div>
+                {expired ? (
+                  <button onClick={() => handleRefund(purchase)} disabled={!canTransact} className="btn btn-outline">
+                    {pending === `refund:${purchase.id}` ? 'Refunding...' : 'Refund'}
+                  </button>
+                ) : (
+                  <button onClick={() => handleOpen(purchase)} disabled={!canTransact || !secret} className="btn btn-primary">
+                    {pending === `open:${purchase.id}` ? 'Opening...' : 'Open'}
+                  </button>
+                )}
+              </div>
+            );
+          })}
+        </section>
+      )}
+
+      {ownsPacks && <PackAdmin boosterPacks={boosterPacks} packs={packs} onChanged={load} />}
+
+      {reveal && <PackReveal packName={reveal.packName} cards={reveal.cards} onClose={() => setReveal(null)} />}
+    </div>
+  );
+}
@@ -1,6 +1,26 @@
 import { useState, useEffect } from 'react';
 import { formatEther, parseEther } from 'ethers';
 import { safeImageUrl } from '../utils/safeImageUrl';
+import { CardOffers } from './CardOffers';
+import { CardHistory } from './CardHistory';
+import { RecentSales } from './RecentSales';
+import { SealedAuction } from './SealedAuction';
+import { SaleBreakdown } from './SaleBreakdown';
+import { WatchButton } from './WatchButton';
+import { Countdown } from './Countdown';
+import { useRoyalty } from '../hooks/useRoyalty';
+import { usePlatformFee } from '../hooks/usePlatformFee';
+import { useChainNow } from '../hooks/useChainTime';
+import { formatDuration, shortenAddress } from '../utils/format';
+import { dutchPriceAt } from '../utils/dutch';
+import {
+  computeBidCommitment,
+  generateBidNonce,
+  loadSealedBids,
+  saveSealedBid,
+  isSealedBidSaved,
+  getSealedBidStatus,
+} from '../utils/sealedBids';
 
 function useLockBodyScroll(locked) {
   useEffect(() => {
@@ -12,10 +32,6 @@ function useLockBodyScroll(locked) {
   }, [locked]);
 }
 
-function shortenAddress(addr) {
-  return addr ? `${addr.slice(0, 6)}...${addr.slice(-4)}` : '';
-}
-
 const DEFAULT_CARD_IMAGE = "data:image/svg+xml,%3Csvg xmlns='http://www.w3.org/2000/svg' viewBox='0 0 100 100'%3E%3Crect fill='%231a4a7a' width='100' height='100'/%3E%3Ccircle cx='50' cy='50' r='42' fill='%23fff'/%3E%3Cpath d='M8 50 A42 42 0 0 1 92 50 Z' fill='%23e3350d'/%3E%3Cpath d='M8 50 A42 42 0 0 0 92 50 Z' fill='%23fff'/%3E%3Crect x='8' y='46' width='84' height='8' fill='%23212121'/%3E%3Ccircle cx='50' cy='50' r='10' fill='%23212121'/%3E%3Ccircle cx='48' cy='48' r='3' fill='%23fff'/%3E%3C/svg%3E";
 
 function CardImage({ tokenURI, alt }) {
@@ -46,11 +62,74 @@ function CardImage({ tokenURI, alt }) {
   return <img src={displayUrl} alt={alt || 'Pokemon card'} className="modal-card-image" onError={() => setFailed(true)} />;
 }
 
-export function CardDetail({ card, onClose, onUpdate, pokemonNFT, pokemonTrading, account, getTypeColor, RARITY_LABELS }) {
+/** Price at or below which a listing of a watched card raises an alert; blank alerts on any listing */
+function WatchAlertPrice({ tokenId, watchlist }) {
+  const alertBelow = watchlist.entries[String(tokenId)]?.alertBelow;
+  const [value, setValue] = useState(alertBelow ? formatEther(alertBelow) : '');
+  const [error, setError] = useState('');
+
+  const handleSave = () => {
+    setError('');
+    if (!value.trim()) {
+      watchlist.setAlertBelow(tokenId, null);
+      return;
+    }
+    try {
+      watchlist.setAlertBelow(tokenId, parseEther(value.trim()));
+    } catch {
+      setError('Enter a price in ETH');
+    }
+  };
+
+  return (
+    <div className="watch-alert">
+      <span className="price-label">Alert when listed at or below</span>
+      <input
+        type="text"
+        placeholder="Any price (ETH)"
+        value={value}
+        onChange={(e) => setValue(e.target.value)}
+        onBlur={handleSave}
+        onKeyDown={(e) => e.key === 'Enter' && handleSave()}
+      />
+      {error && <span className="error">{error}</span>}
+    </div>
+  );
+}
+
+const SEALED_BID_STATUS_LABELS = {
+  committed: 'Committed - awaiting confirmation',
+  revealable: 'Ready to reveal',
+  revealed: 'Revealed',
+  expired: 'Expired - auction ended before reveal',
+};
+
+export function CardDetail({ card, onClose, onUpdate, pokemonNFT, pokemonTrading, account, dataSource, onSelectAddress, watchlist, getTypeColor, RARITY_LABELS }) {
   useLockBodyScroll(true);
+  const [tab, setTab] = useState('details'); // 'details' | 'history'
   const [amount, setAmount] = useState('');
+  const [editingPrice, setEditingPrice] = useState(false);
+  const [newPrice, setNewPrice] = useState('');
   const [txPending, setTxPending] = useState(false);
   const [error, setError] = useState('');
+  const tradingAddress = pokemonTrading?.target;
+  const [sealedAmount, setSealedAmount] = useState('');
+  const [sealedBid, setSealedBid] = useState(
+    () => loadSealedBids(tradingAddress, account)[String(card.tokenId)] ?? null
+  );
+  const [onChainCommitment, setOnChainCommitment] = useState(null);
+  const royalty = useRoyalty(pokemonNFT, card.tokenId);
+  const feeBps = usePlatformFee(pokemonTrading);
+  const now = useChainNow();
+
+  useEffect(() => {
+    if (!pokemonTrading || !account || card.mode !== 'auction') return;
+    let cancelled = false;
+    pokemonTrading.bidCommitments(card.tokenId, account)
+      .then((commitment) => { if (!cancelled) setOnChainCommitment(commitment); })
+      .catch(() => {});
+    return () => { cancelled = true; };
+  }, [pokemonTrading, account, card.tokenId, card.mode]);
 
   const handleBuy = async () => {
     if (!pokemonTrading || !card.price) return;
@@ -84,6 +163,98 @@ export function CardDetail({ card, onClose, onUpdate, pokemonNFT, pokemonTrading
     }
   };
 
+  /** Commit-reveal phase 1: save amount + nonce locally before sending so the bid can always be revealed */
+  const handleCommitSealed = async () => {
+    if (!pokemonTrading || !account || !sealedAmount) return;
+    setError('');
+    setTxPending(true);
+    const previous = sealedBid;
+    try {
+      const amountWei = parseEther(sealedAmount);
+      const nonce = generateBidNonce();
+      const record = {
+        amount: amountWei.toString(),
+        nonce,
+        commitment: computeBidCommitment(account, card.tokenId, amountWei, nonce),
+        committedAt: Date.now(),
+        revealed: false,
+      };
+      saveSealedBid(tradingAddress, account, card.tokenId, record);
+      if (!isSealedBidSaved(tradingAddress, account, card.tokenId, record)) {
+        throw new Error('Could not save the bid secret in this browser, so the bid was not sent');
+      }
+      setSealedBid(record);
+      const tx = await pokemonTrading.commitBid(card.tokenId, record.commitment);
+      await tx.wait();
+      setOnChainCommitment(record.commitment);
+      setSealedAmount('');
+    } catch (err) {
+      saveSealedBid(tradingAddress, account, card.tokenId, previous);
+      setSealedBid(previous);
+      setError(err.shortMessage || err.message || 'Transaction failed');
+    } finally {
+      setTxPending(false);
+    }
+  };
+
+  /** Commit-reveal phase 2: reveal the saved amount + nonce and pay the bid */
+  const handleRevealSealed = async () => {
+    if (!pokemonTrading || !sealedBid) return;
+    setError('');
+    setTxPending(true);
+    try {
+      const amountWei = BigInt(sealedBid.amount);
+      const tx = await pokemonTrading.placeBidReveal(card.tokenId, amountWei, sealedBid.nonce, { value: amountWei });
+      await tx.wait();
+      saveSealedBid(tradingAddress, account, card.tokenId, { ...sealedBid, revealed: true });
+      onUpdate();
+      onClose();
+    } catch (err) {
+      setError(err.shortMessage || err.message || 'Transaction failed');
+    } finally {
+      setTxPending(false);
+    }
+  };
+
+  const handleClearSealed = () => {
+    saveSealedBid(tradingAddress, account, card.tokenId, null);
+    setSealedBid(null);
+  };
+
+  /** Pay the on-chain price at send time; the price can only fall before the tx is mined, any excess is credited back */
+  const handleBuyDutch = async () => {
+    if (!pokemonTrading) return;
+    setError('');
+    setTxPending(true);
+    try {
+      const price = await pokemonTrading.getDutchPrice(card.tokenId);
+      const tx = await pokemonTrading.buyDutch(card.tokenId, { value: price });
+      await tx.wait();
+      onUpdate();
+      onClose();
+    } catch (err) {
+      setError(err.shortMessage || err.message || 'Transaction failed');
+    } finally {
+      setTxPending(false);
+    }
+  };
+
+  const handleCancelDutch = async () => {
+    if (!pokemonTrading) return;
+    setError('');
+    setTxPending(true);
+    try {
+      const tx = await pokemonTrading.cancelDutchAuction(card.tokenId);
+      await tx.wait();
+      onUpdate();
+      onClose();
+    } catch (err) {
+      setError(err.shortMessage || err.message || 'Transaction failed');
+    } finally {
+      setTxPending(false);
+    }
+  };
+
   const handleSettle = async () => {
     if (!pokemonTrading) return;
     setError('');
@@ -116,21 +287,56 @@ export function CardDetail({ card, onClose, onUpdate, pokemonNFT, pokemonTrading
     }
   };
 
+  /** Reprice the listing in place - the card stays escrowed, so no unlist / approve / relist round trip */
+  const handleUpdatePrice = async () => {
+    if (!pokemonTrading || !newPrice) return;
+    setError('');
+    setTxPending(true);
+    try {
+      const tx = await pokemonTrading.updateListingPrice(card.tokenId, parseEther(newPrice));
+      await tx.wait();
+      onUpdate();
+      onClose();
+    } catch (err) {
+      setError(err.shortMessage || err.message || 'Transaction failed');
+    } finally {
+      setTxPending(false);
+    }
+  };
+
+  /** Anyone can send an expired listing's card back to its seller */
+  const handleExpireListing = async () => {
+    if (!pokemonTrading) return;
+    setError('');
+    setTxPending(true);
+    try {
+      const tx = await pokemonTrading.expireListing(card.tokenId);
+      await tx.wait();
+      onUpdate();
+      onClose();
+    } catch (err) {
+      setError(err.shortMessage || err.message || 'Transaction failed');
+    } finally {
+      setTxPending(false);
+    }
+  };
+
   const isSeller = account && card.seller?.toLowerCase() === account.toLowerCase();
   const endTime = card.endTime ? Number(card.endTime) : 0;
-  const isEnded = endTime > 0 && Date.now() / 1000 >= endTime;
-  const timeRemaining = !isEnded && endTime > 0
-    ? Math.max(0, Math.floor(endTime - Date.now() / 1000))
-    : 0;
+  const isEnded = endTime > 0 && now >= endTime;
   const highestEth = card.highestBid ? Number(card.highestBid) / 1e18 : 0;
   const startingEth = card.startingPrice ? Number(card.startingPrice) / 1e18 : 0;
-  const minNextBid = card.highestBidder ? highestEth * 1.05 : (startingEth || highestEth);
+  const incrementBps = Number(card.minIncrementBps ?? 500);
+  const minNextBid = card.highestBidder ? highestEth * (1 + incrementBps / 10000) : (startingEth || highestEth);
+  const listingExpiresAt = Number(card.expiresAt ?? 0);
+  const listingExpired = listingExpiresAt > 0 && now >= listingExpiresAt;
+  const sealedStatus = getSealedBidStatus(sealedBid, { onChainCommitment, auctionEnded: isEnded });
+  const sealedEth = sealedBid ? Number(formatEther(sealedBid.amount)) : 0;
 
-  const formatTime = (sec) => {
-    const m = Math.floor(sec / 60);
-    const s = sec % 60;
-    return `${m}m ${s}s`;
-  };
+  const dutchPrice = card.mode === 'dutch' ? dutchPriceAt(card, now) : 0n;
+  const dutchFloorIn = card.mode === 'dutch'
+    ? Math.max(0, Math.floor(Number(card.startTime) + Number(card.duration) - now))
+    : 0;
 
   return (
     <div className="modal-overlay" onClick={onClose}>
@@ -140,6 +346,7 @@ export function CardDetail({ card, onClose, onUpdate, pokemonNFT, pokemonTrading
         <div className="modal-card-header">
           <h3>{card.name}</h3>
           <span className="modal-token-id">#{Number(card.tokenId) + 1}</span>
+          <WatchButton tokenId={Number(card.tokenId)} watchlist={watchlist} />
         </div>
 
         <div className="modal-card-image-wrap">
@@ -166,76 +373,269 @@ export function CardDetail({ card, onClose, onUpdate, pokemonNFT, pokemonTrading
           </div>
         </div>
 
-        {card.seller && (
-          <p className="modal-seller">
-            Listed by <strong>{shortenAddress(card.seller)}</strong>
-            {isSeller && <span className="you-badge"> (You)</span>}
-          </p>
+        <div className="modal-tabs" role="tablist">
+          <button
+            role="tab"
+            aria-selected={tab === 'details'}
+            className={`modal-tab ${tab === 'details' ? 'active' : ''}`}
+            onClick={() => setTab('details')}
+          >
+            Details
+          </button>
+          <button
+            role="tab"
+            aria-selected={tab === 'history'}
+            className={`modal-tab ${tab === 'history' ? 'active' : ''}`}
+            onClick={() => setTab('history')}
+          >
+            History
+          </button>
+        </div>
+
+        {tab === 'history' && (
+          <CardHistory
+            tokenId={Number(card.tokenId)}
+            pokemonNFT={pokemonNFT}
+            pokemonTrading={pokemonTrading}
+            account={account}
+            dataSource={dataSource}
+            onSelectAddress={onSelectAddress}
+          />
         )}
 
-        {error && <p className="error">{error}</p>}
-
-        {card.mode === 'listing' && (
-          <div className="modal-actions">
-            <div className="modal-price-row">
-              <span className="price-label">Price</span>
-              <span className="price">{formatEther(card.price)} ETH</span>
-            </div>
-            {!isSeller && account && (
-              <button onClick={handleBuy} disabled={txPending} className="btn btn-primary">
-                {txPending ? 'Confirming...' : 'Buy Now'}
-              </button>
+        {tab === 'details' && (
+          <>
+            <RecentSales name={card.name} tokenId={card.tokenId} pokemonNFT={pokemonNFT} pokemonTrading={pokemonTrading} />
+
+            {watchlist?.isWatched(card.tokenId) && <WatchAlertPrice tokenId={Number(card.tokenId)} watchlist={watchlist} />}
+
+            {card.seller && (
+              <p className="modal-seller">
+                Listed by{' '}
+                <button type="button" className="link-button" onClick={() => onSelectAddress(card.seller)}>
+                  <strong>{shortenAddress(card.seller)}</strong>
+                </button>
+                {isSeller && <span className="you-badge"> (You)</span>}
+              </p>
             )}
-            {isSeller && (
-              <button onClick={handleUnlist} disabled={txPending} className="btn btn-outline">
-                {txPending ? 'Confirming...' : 'Unlist'}
-              </button>
+
+            {card.mode === 'owned' && card.owner && (
+              <p className="modal-seller">
+                Owned by{' '}
+                <button type="button" className="link-button" onClick={() => onSelectAddress(card.owner)}>
+                  <strong>{shortenAddress(card.owner)}</strong>
+                </button>
+              </p>
             )}
-          </div>
-        )}
 
-        {card.mode === 'auction' && (
-          <div className="modal-actions">
-            <div className="modal-auction-info">
-              <div className="modal-price-row">
-                <span className="price-label">Highest bid</span>
-                <span className="price">{card.highestBid ? formatEther(card.highestBid) : '0'} ETH</span>
+            {error && <p className="error">{error}</p>}
+
+            {card.mode === 'listing' && (
+              <div className="modal-actions">
+                <div className="modal-price-row">
+                  <span className="price-label">Price</span>
+                  <span className="price">{formatEther(card.price)} ETH</span>
+                </div>
+                <SaleBreakdown price={card.price} feeBps={feeBps} royalty={royalty} seller={card.seller} />
+                {listingExpiresAt > 0 && (
+                  <div className="modal-price-row">
+                    <span className="price-label">{listingExpired ? 'Expired' : 'Expires'}</span>
+                    <span className="price">{new Date(listingExpiresAt * 1000).toLocaleString()}</span>
+                  </div>
+                )}
+                {!isSeller && account && !listingExpired && (
+                  <button onClick={handleBuy} disabled={txPending} className="btn btn-primary">
+                    {txPending ? 'Confirming...' : 'Buy Now'}
+                  </button>
+                )}
+                {listingExpired && account && (
+                  <button onClick={handleExpireListing} disabled={txPending} className="btn btn-outline">
+                    {txPending ? 'Confirming...' : 'Return Card to Seller'}
+                  </button>
+                )}
+                {isSeller && editingPrice && (
+                  <>
+                    <input
+                      type="text"
+                      placeholder="New price (ETH)"
+                      value={newPrice}
+                      onChange={(e) => setNewPrice(e.target.value)}
+                    />
+                    <button onClick={handleUpdatePrice} disabled={txPending || !newPrice} className="btn btn-primary">
+                      {txPending ? 'Confirming...' : 'Save Price'}
+                    </button>
+                    <button onClick={() => setEditingPrice(false)} disabled={txPending} className="btn btn-outline">
+                      Cancel
+                    </button>
+                  </>
+                )}
+                {isSeller && !editingPrice && !listingExpired && (
+                  <>
+                    <button
+                      onClick={() => { setNewPrice(formatEther(card.price)); setEditingPrice(true); }}
+                      disabled={txPending}
+                      className="btn btn-outline"
+                    >
+                      Edit price
+                    </button>
+                    <button onClick={handleUnlist} disabled={txPending} className="btn btn-outline">
+                      {txPending ? 'Confirming...' : 'Unlist'}
+                    </button>
+                  </>
+                )}
               </div>
-              {!isEnded && (
-                <>
+            )}
+
+            {card.mode === 'auction' && (
+              <div className="modal-actions">
+                <div className="modal-auction-info">
                   <div className="modal-price-row">
-                    <span className="price-label">Min. next bid</span>
-                    <span className="price">{minNextBid.toFixed(4)} ETH</span>
+                    <span className="price-label">Highest bid</span>
+                    <span className="price">{card.highestBid ? formatEther(card.highestBid) : '0'} ETH</span>
                   </div>
+                  <SaleBreakdown price={card.highestBid} feeBps={feeBps} royalty={royalty} seller={card.seller} />
+                  {!isEnded && (
+                    <>
+                      <div className="modal-price-row">
+                        <span className="price-label">Min. next bid</span>
+                        <span className="price">{minNextBid.toFixed(4)} ETH</span>
+                      </div>
+                      <div className="modal-price-row">
+                        <span className="price-label">Time left</span>
+                        <span className="price"><Countdown endTime={endTime} /></span>
+                      </div>
+                      <div className="modal-price-row">
+                        <span className="price-label">Bid rules</span>
+                        <span className="price">
+                          +{incrementBps / 100}% min. raise · {Number(card.extensionWindow ?? 300) / 60}m anti-sniping
+                        </span>
+                      </div>
+                    </>
+                  )}
+                </div>
+                {isEnded ? (
+                  <button onClick={handleSettle} disabled={txPending} className="btn btn-primary">
+                    {txPending ? 'Confirming...' : 'Settle Auction'}
+                  </button>
+                ) : (
+                  <>
+                    <input
+                      type="text"
+                      placeholder="Bid amount (ETH)"
+                      value={amount}
+                      onChange={(e) => setAmount(e.target.value)}
+                    />
+                    <button onClick={handleBid} disabled={txPending || !amount} className="btn btn-primary">
+                      {txPending ? 'Confirming...' : 'Place Bid'}
+                    </button>
+                  </>
+                )}
+                {account && !isSeller && (sealedBid || !isEnded) && (
+                  <div className="sealed-bid">
+                    <h4>Sealed bid</h4>
+                    {sealedBid ? (
+                      <>
+                        <div className="modal-price-row">
+                          <span className="price-label">Committed amount</span>
+                          <span className="price">{formatEther(sealedBid.amount)} ETH</span>
+                        </div>
+                        <div className="modal-price-row">
+                          <span className="price-label">Status</span>
+                          <span className={`sealed-bid-status sealed-bid-status-${sealedStatus}`}>
+                            {SEALED_BID_STATUS_LABELS[sealedStatus]}
+                          </span>
+                        </div>
+                        {sealedStatus === 'revealable' && sealedEth < minNextBid && (
+                          <p className="hint">This amount is below the current minimum bid; revealing it will fail.</p>
+                        )}
+                        {sealedStatus === 'revealable' && (
+                          <button onClick={handleRevealSealed} disabled={txPending} className="btn btn-primary">
+                            {txPending ? 'Confirming...' : 'Reveal Bid'}
+                          </button>
+                        )}
+                        {(sealedStatus === 'revealed' || sealedStatus === 'expired') && (
+                          <button onClick={handleClearSealed} disabled={txPending} className="btn btn-outline">
+                            Clear
+                          </button>
+                        )}
+                      </>
+                    ) : (
+                      <>
+                        <p className="hint">
+                          Commit a hidden bid now and reveal it in a later transaction, so the amount can&apos;t be front-run.
+                          The amount and secret are kept in this browser.
+                        </p>
+                        <input
+                          type="text"
+                          placeholder="Sealed bid amount (ETH)"
+                          value={sealedAmount}
+                          onChange={(e) => setSealedAmount(e.target.value)}
+                        />
+                        <button onClick={handleCommitSealed} disabled={txPending || !sealedAmount} className="btn btn-outline">
+                          {txPending ? 'Confirming...' : 'Commit Sealed Bid'}
+                        </button>
+                      </>
+                    )}
+                  </div>
+                )}
+              </div>
+            )}
+
+            {card.mode === 'dutch' && (
+              <div className="modal-actions">
+                <div className="modal-auction-info">
                   <div className="modal-price-row">
-                    <span className="price-label">Time left</span>
-                    <span className="price">{formatTime(timeRemaining)}</span>
+                    <span className="price-label">Current price</span>
+                    <span className="price">{formatEther(dutchPrice)} ETH</span>
                   </div>
-                </>
-              )}
-            </div>
-            {isEnded ? (
-              <button onClick={handleSettle} disabled={txPending} className="btn btn-primary">
-                {txPending ? 'Confirming...' : 'Settle Auction'}
-              </button>
-            ) : (
-              <>
-                <input
-                  type="text"
-                  placeholder="Bid amount (ETH)"
-                  value={amount}
-                  onChange={(e) => setAmount(e.target.value)}
-                />
-                <button onClick={handleBid} disabled={txPending || !amount} className="btn btn-primary">
-                  {txPending ? 'Confirming...' : 'Place Bid'}
-                </button>
-              </>
+                  <div className="modal-price-row">
+                    <span className="price-label">Start / floor</span>
+                    <span className="royalty-amount">{formatEther(card.startPrice)} → {formatEther(card.floorPrice)} ETH</span>
+                  </div>
+                  <div className="modal-price-row">
+                    <span className="price-label">{dutchFloorIn > 0 ? 'Reaches floor in' : 'At floor price'}</span>
+                    {dutchFloorIn > 0 && <span className="price">{formatDuration(dutchFloorIn)}</span>}
+                  </div>
+                  <SaleBreakdown price={dutchPrice} feeBps={feeBps} royalty={royalty} seller={card.seller} />
+                </div>
+                {!isSeller && account && (
+                  <button onClick={handleBuyDutch} disabled={txPending} className="btn btn-primary">
+                    {txPending ? 'Confirming...' : 'Buy at Current Price'}
+                  </button>
+                )}
+                {isSeller && (
+                  <button onClick={handleCancelDutch} disabled={txPending} className="btn btn-outline">
+                    {txPending ? 'Confirming...' : 'Cancel Auction'}
+                  </button>
+                )}
+              </div>
+            )}
+
+            {card.mode === 'sealed' && (
+              <SealedAuction
+                card={card}
+                account={account}
+                pokemonTrading={pokemonTrading}
+                onUpdate={onUpdate}
+                onClose={onClose}
+              />
+            )}
+
+            {card.mode === 'mine' && (
+              <p className="hint">Select &quot;List a Card&quot; to sell this card, or accept an offer below.</p>
             )}
-          </div>
-        )}
 
-        {card.mode === 'mine' && (
-          <p className="hint">Select &quot;List a Card&quot; to sell this card.</p>
+            <CardOffers
+              card={card}
+              royalty={royalty}
+              feeBps={feeBps}
+              account={account}
+              pokemonNFT={pokemonNFT}
+              pokemonTrading={pokemonTrading}
+              onUpdate={onUpdate}
+              onClose={onClose}
+            />
+          </>
         )}
       </div>
     </div>
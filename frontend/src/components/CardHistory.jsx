@@ -0,0 +1,48 @@
+import { formatEther } from 'ethers';
+import { useTokenHistory } from '../hooks/useTokenHistory';
+import { shortenAddress } from '../utils/format';
+
+function Party({ address, account, onSelect }) {
+  if (!address) return null;
+  const isYou = account && address.toLowerCase() === account.toLowerCase();
+  return (
+    <button type="button" className="link-button" onClick={() => onSelect(address)}>
+      <strong>{isYou ? 'You' : shortenAddress(address)}</strong>
+    </button>
+  );
+}
+
+/**
+ * "History" tab of CardDetail: the card's provenance and market activity, newest first.
+ * Addresses open that account's profile through onSelectAddress.
+ */
+export function CardHistory({ tokenId, pokemonNFT, pokemonTrading, account, dataSource, onSelectAddress }) {
+  const { entries, error } = useTokenHistory({ pokemonNFT, pokemonTrading, tokenId, dataSource });
+
+  if (error) return <p className="error">{error}</p>;
+  if (!entries) return <p className="hint">Loading history...</p>;
+  if (entries.length === 0) return <p className="empty">No activity yet</p>;
+
+  return (
+    <ol className="card-history">
+      {entries.map((entry) => (
+        <li key={entry.key} className="history-row">
+          <div className="history-row-main">
+            <span className="history-label">{entry.label}</span>
+            {entry.price != null && <span className="price">{formatEther(entry.price)} ETH</span>}
+          </div>
+          {(entry.from || entry.to) && (
+            <div className="hint">
+              {entry.from && <>by <Party address={entry.from} account={account} onSelect={onSelectAddress} /></>}
+              {entry.from && entry.to && ' → '}
+              {entry.to && <>to <Party address={entry.to} account={account} onSelect={onSelectAddress} /></>}
+            </div>
+          )}
+          <time className="hint" dateTime={new Date(entry.timestamp * 1000).toISOString()}>
+            {new Date(entry.timestamp * 1000).toLocaleString()}
+          </time>
+        </li>
+      ))}
+    </ol>
+  );
+}
@@ -0,0 +1,162 @@
+import { useState, useEffect, useCallback } from 'react';
+import { formatEther, parseEther } from 'ethers';
+import { loadOffers, isOfferExpired } from '../utils/offers';
+import { shortenAddress } from '../utils/format';
+import { splitSale } from '../hooks/usePlatformFee';
+import { chainNow, useChainNow } from '../hooks/useChainTime';
+
+const MAX_OFFER_DAYS = 30;
+
+function formatExpiry(expiresAt) {
+  return new Date(Number(expiresAt) * 1000).toLocaleString();
+}
+
+/**
+ * Offers section of the CardDetail modal. The card owner sees incoming offers and can accept them;
+ * everyone else can make, replace, cancel or release their own escrowed offer.
+ */
+export function CardOffers({ card, royalty, feeBps, account, pokemonNFT, pokemonTrading, onUpdate, onClose }) {
+  const [offers, setOffers] = useState([]);
+  const [amount, setAmount] = useState('');
+  const [days, setDays] = useState('7');
+  const now = useChainNow();
+  const [txPending, setTxPending] = useState(false);
+  const [error, setError] = useState('');
+
+  const refresh = useCallback(() => {
+    if (!pokemonTrading) return Promise.resolve();
+    return loadOffers(pokemonTrading, { tokenIds: [card.tokenId] })
+      .then(setOffers)
+      .catch((err) => console.error('Offers load error:', err));
+  }, [pokemonTrading, card.tokenId]);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  const isOwner = card.mode === 'mine';
+  const isSeller = account && card.seller?.toLowerCase() === account.toLowerCase();
+  const myOffer = account ? offers.find((o) => o.offerer.toLowerCase() === account.toLowerCase()) : null;
+
+  const runTx = async (send, { close = false } = {}) => {
+    setError('');
+    setTxPending(true);
+    try {
+      const tx = await send();
+      await tx.wait();
+      onUpdate();
+      if (close) onClose();
+      else await refresh();
+      return true;
+    } catch (err) {
+      setError(err.shortMessage || err.message || 'Transaction failed');
+      return false;
+    } finally {
+      setTxPending(false);
+    }
+  };
+
+  const handleMakeOffer = async () => {
+    const ok = await runTx(() => {
+      const expiresAt = Math.floor(chainNow()) + parseInt(days, 10) * 24 * 60 * 60;
+      return pokemonTrading.makeOffer(card.tokenId, expiresAt, { value: parseEther(amount) });
+    });
+    if (ok) setAmount('');
+  };
+
+  const handleCancel = () => runTx(() => pokemonTrading.cancelOffer(card.tokenId));
+
+  const handleRelease = (offer) => runTx(() => pokemonTrading.expireOffer(card.tokenId, offer.offerer));
+
+  const handleAccept = (offer) => runTx(async () => {
+    const approveTx = await pokemonNFT.approve(await pokemonTrading.getAddress(), card.tokenId);
+    await approveTx.wait();
+    return pokemonTrading.acceptOffer(card.tokenId, offer.offerer, offer.amount);
+  }, { close: true });
+
+  const dayCount = parseInt(days, 10);
+  const canOffer = amount && parseFloat(amount) > 0 && dayCount >= 1 && dayCount <= MAX_OFFER_DAYS;
+
+  return (
+    <div className="card-offers">
+      <h4>Offers</h4>
+      {error && <p className="error">{error}</p>}
+
+      {(isOwner || isSeller) && (
+        <>
+          {offers.length === 0 && <p className="empty">No offers yet</p>}
+          {isSeller && offers.length > 0 && <p className="hint">Unlist or settle this card to accept an offer.</p>}
+          {offers.map((offer) => {
+            const expired = isOfferExpired(offer, now);
+            const proceeds = splitSale(offer.amount, { feeBps, royalty, seller: account }).seller;
+            return (
+              <div key={offer.offerer} className="offer-row">
+                <div className="offer-row-info">
+                  <span className="price">{formatEther(offer.amount)} ETH</span>
+                  <span className="hint">
+                    from {shortenAddress(offer.offerer)} · {expired ? 'expired' : `until ${formatExpiry(offer.expiresAt)}`}
+                  </span>
+                  {isOwner && proceeds < offer.amount && (
+                    <span className="hint">
+                      You receive {formatEther(proceeds)} ETH after fee and royalty
+                    </span>
+                  )}
+                </div>
+                {isOwner && !expired && (
+                  <button onClick={() => handleAccept(offer)} disabled={txPending} className="btn btn-primary">
+                    Accept
+                  </button>
+                )}
+                {expired && (
+                  <button onClick={() => handleRelease(offer)} disabled={txPending} className="btn btn-outline">
+                    Release
+                  </button>
+                )}
+              </div>
+            );
+          })}
+        </>
+      )}
+
+      {account && !isOwner && !isSeller && (
+        <>
+          {myOffer && (
+            <div className="offer-row">
+              <div className="offer-row-info">
+                <span className="price">{formatEther(myOffer.amount)} ETH</span>
+                <span className="hint">
+                  Your offer · {isOfferExpired(myOffer, now) ? 'expired' : `until ${formatExpiry(myOffer.expiresAt)}`}
+                </span>
+              </div>
+              <button onClick={handleCancel} disabled={txPending} className="btn btn-outline">
+                {isOfferExpired(myOffer, now) ? 'Reclaim' : 'Cancel'}
+              </button>
+            </div>
+          )}
+          {offers.length > 0 && (
+            <p className="hint">Best offer: {formatEther(offers[0].amount)} ETH ({offers.length} total)</p>
+          )}
+          <input
+            type="text"
+            placeholder={myOffer ? 'New offer amount (ETH)' : 'Offer amount (ETH)'}
+            value={amount}
+            onChange={(e) => setAmount(e.target.value)}
+          />
+          <label className="offer-expiry">
+            Expires in (days)
+            <input
+              type="number"
+              min="1"
+              max={MAX_OFFER_DAYS}
+              value={days}
+              onChange={(e) => setDays(e.target.value)}
+            />
+          </label>
+          <button onClick={handleMakeOffer} disabled={txPending || !canOffer} className="btn btn-outline">
+            {txPending ? 'Confirming...' : myOffer ? 'Replace Offer' : 'Make Offer'}
+          </button>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,20 @@
+import { useState } from 'react';
+import { useChainNow } from '../hooks/useChainTime';
+import { formatDuration } from '../utils/format';
+
+/**
+ * Ticking time left until `endTime` in chain time. Flags an end time that moved later while shown
+ * (an anti-sniping extension after a late bid).
+ */
+export function Countdown({ endTime, endedLabel = 'Ended', className = '' }) {
+  const now = useChainNow();
+  const [firstEndTime] = useState(() => Number(endTime));
+  const left = Number(endTime) - now;
+  const extended = Number(endTime) > firstEndTime;
+  return (
+    <span className={`countdown ${left <= 0 ? 'countdown-ended' : left <= 300 ? 'countdown-soon' : ''} ${className}`}>
+      {left <= 0 ? endedLabel : formatDuration(left)}
+      {left > 0 && extended && <span className="countdown-extended"> · extended</span>}
+    </span>
+  );
+}
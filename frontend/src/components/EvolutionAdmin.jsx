@@ -0,0 +1,147 @@
+import { useState } from 'react';
+import { useWeb3 } from '../hooks/useWeb3';
+import { useEvolutionRecipes } from '../hooks/useEvolutionRecipes';
+import { FilterSelect } from './FilterSelect';
+import { MIN_EVOLUTION_INPUTS, MAX_EVOLUTION_INPUTS } from '../utils/evolution';
+
+const TYPES = ['Fire', 'Water', 'Electric', 'Grass', 'Psychic', 'Fighting'];
+const TYPE_OPTIONS = [{ value: '', label: 'Same as inputs' }, ...TYPES.map((t) => ({ value: t, label: t }))];
+const COUNT_OPTIONS = Array.from(
+  { length: MAX_EVOLUTION_INPUTS - MIN_EVOLUTION_INPUTS + 1 },
+  (_, i) => ({ value: String(MIN_EVOLUTION_INPUTS + i), label: `${MIN_EVOLUTION_INPUTS + i} cards` }),
+);
+const EMPTY_FORM = {
+  inputName: '', inputCount: String(MIN_EVOLUTION_INPUTS), outputName: '', outputType: '', outputUri: '',
+  hpBonus: '', attackBonus: '', defenseBonus: '', rarityBonus: '1',
+};
+
+function toBonus(value, max) {
+  return Math.min(max, Math.max(0, parseInt(value, 10) || 0));
+}
+
+/**
+ * PokemonNFT owner tools for evolution recipes: add a recipe (species and count burned, evolved card and its
+ * stat and rarity bonuses) and enable or disable existing ones. Recipes cannot be edited or deleted.
+ */
+export function EvolutionAdmin() {
+  const { pokemonNFT, isOwner } = useWeb3();
+  const recipes = useEvolutionRecipes(pokemonNFT);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [txPending, setTxPending] = useState(false);
+  const [error, setError] = useState('');
+
+  const recipe = {
+    inputName: form.inputName.trim(),
+    outputName: form.outputName.trim(),
+    outputType: form.outputType,
+    outputUri: form.outputUri.trim(),
+    inputCount: Number(form.inputCount),
+    hpBonus: toBonus(form.hpBonus, 255),
+    attackBonus: toBonus(form.attackBonus, 255),
+    defenseBonus: toBonus(form.defenseBonus, 255),
+    rarityBonus: toBonus(form.rarityBonus, 4),
+    active: true,
+  };
+  // addEvolutionRecipe rejects recipes that improve nothing
+  const improves = recipe.hpBonus + recipe.attackBonus + recipe.defenseBonus + recipe.rarityBonus > 0;
+  const canAdd = Boolean(pokemonNFT && recipe.inputName && recipe.outputName && improves);
+
+  const runTx = async (send) => {
+    setError('');
+    setTxPending(true);
+    try {
+      const tx = await send();
+      await tx.wait();
+      return true;
+    } catch (err) {
+      setError(err.shortMessage || err.message || 'Transaction failed');
+      return false;
+    } finally {
+      setTxPending(false);
+    }
+  };
+
+  const handleAdd = async () => {
+    if (await runTx(() => pokemonNFT.addEvolutionRecipe(recipe))) setForm(EMPTY_FORM);
+  };
+
+  const setField = (field) => (e) => setForm((prev) => ({ ...prev, [field]: e.target.value }));
+
+  if (!isOwner) return null;
+
+  return (
+    <div className="mint-card">
+      <h3>Evolution Recipes</h3>
+      <p className="hint">
+        Collectors burn the input cards for one evolved card with the best HP, Attack, Defense and rarity of the
+        inputs plus the bonuses below (stats cap at 255, rarity at 5).
+      </p>
+      <div className="mint-form">
+        <label>
+          Input species (card name)
+          <input value={form.inputName} onChange={setField('inputName')} />
+        </label>
+        <label>
+          Cards burned
+          <FilterSelect
+            value={form.inputCount}
+            onChange={(inputCount) => setForm((prev) => ({ ...prev, inputCount }))}
+            options={COUNT_OPTIONS}
+          />
+        </label>
+        <label>
+          Evolves into
+          <input value={form.outputName} onChange={setField('outputName')} />
+        </label>
+        <label>
+          Evolved type
+          <FilterSelect
+            value={form.outputType}
+            onChange={(outputType) => setForm((prev) => ({ ...prev, outputType }))}
+            options={TYPE_OPTIONS}
+          />
+        </label>
+        <label>
+          Evolved image URL (blank keeps the first input&apos;s)
+          <input value={form.outputUri} onChange={setField('outputUri')} />
+        </label>
+        <label>
+          HP bonus <input type="number" min="0" max="255" placeholder="0" value={form.hpBonus} onChange={setField('hpBonus')} />
+        </label>
+        <label>
+          Attack bonus <input type="number" min="0" max="255" placeholder="0" value={form.attackBonus} onChange={setField('attackBonus')} />
+        </label>
+        <label>
+          Defense bonus <input type="number" min="0" max="255" placeholder="0" value={form.defenseBonus} onChange={setField('defenseBonus')} />
+        </label>
+        <label>
+          Rarity bonus <input type="number" min="0" max="4" value={form.rarityBonus} onChange={setField('rarityBonus')} />
+        </label>
+        {recipe.inputName && recipe.outputName && !improves && <p className="hint">Set at least one bonus.</p>}
+        {error && <p className="error">{error}</p>}
+        <button onClick={handleAdd} disabled={txPending || !canAdd} className="btn btn-primary">
+          {txPending ? 'Confirming...' : 'Add Recipe'}
+        </button>
+      </div>
+
+      {recipes.map((r) => (
+        <div key={r.id} className="offer-row">
+          <div className="offer-row-info">
+            <span>{r.inputCount}x {r.inputName} → {r.outputName}{r.outputType && ` (${r.outputType})`}</span>
+            <span className="hint">
+              +{r.hpBonus} HP · +{r.attackBonus} ATK · +{r.defenseBonus} DEF · +{r.rarityBonus} rarity
+              {!r.active && ' · disabled'}
+            </span>
+          </div>
+          <button
+            onClick={() => runTx(() => pokemonNFT.setEvolutionRecipeActive(r.id, !r.active))}
+            disabled={txPending}
+            className="btn btn-outline"
+          >
+            {r.active ? 'Disable' : 'Enable'}
+          </button>
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,129 @@
+import { useState } from 'react';
+import { FilterSelect } from './FilterSelect';
+import { evolvedCard, recipesFor } from '../utils/evolution';
+
+const RARITY_LABELS = ['', 'Common', 'Uncommon', 'Rare', 'Epic', 'Legendary'];
+
+function toggle(ids, tokenId) {
+  return ids.includes(tokenId) ? ids.filter((id) => id !== tokenId) : [...ids, tokenId];
+}
+
+function statLine(card) {
+  return `HP ${card.hp} | ATK ${card.attack} | DEF ${card.defense} · ${RARITY_LABELS[card.rarity]}`;
+}
+
+/**
+ * Modal to evolve a card from My Cards: pick a recipe for its species and which copies to burn, preview the
+ * evolved card, then call PokemonNFT.evolve.
+ * @param {{ card: Object, myCards: Array, recipes: Array, pokemonNFT: import('ethers').Contract,
+ *   onClose: () => void, onEvolved: () => void, onViewCard: (tokenId: number) => void }} props
+ */
+export function EvolveCard({ card, myCards, recipes, pokemonNFT, onClose, onEvolved, onViewCard }) {
+  const species = myCards.filter((c) => c.name === card.name);
+  const options = recipesFor(recipes, card.name).filter((r) => r.inputCount <= species.length);
+  const [recipeId, setRecipeId] = useState(options[0] ? String(options[0].id) : '');
+  const recipe = options.find((r) => String(r.id) === recipeId);
+  // Start from the clicked card plus the first other copies the recipe needs
+  const defaultInputs = (r) => [card.tokenId, ...species.filter((c) => c.tokenId !== card.tokenId).map((c) => c.tokenId)]
+    .slice(0, r?.inputCount ?? 0);
+  const [selected, setSelected] = useState(() => defaultInputs(options[0]));
+  const [txPending, setTxPending] = useState(false);
+  const [error, setError] = useState('');
+  // Set after evolving; kept by name because My Cards reloads without the burned inputs
+  const [evolved, setEvolved] = useState(null);
+
+  const inputs = selected.map((id) => species.find((c) => c.tokenId === id)).filter(Boolean);
+  const ready = recipe && inputs.length === recipe.inputCount;
+  const preview = ready ? evolvedCard(recipe, inputs) : null;
+
+  const handleRecipe = (id) => {
+    setRecipeId(id);
+    setSelected(defaultInputs(options.find((r) => String(r.id) === id)));
+  };
+
+  const handleEvolve = async () => {
+    setError('');
+    setTxPending(true);
+    try {
+      const tx = await pokemonNFT.evolve(recipe.id, inputs.map((c) => c.tokenId));
+      const receipt = await tx.wait();
+      const event = receipt.logs
+        .map((log) => { try { return pokemonNFT.interface.parseLog(log); } catch { return null; } })
+        .find((parsed) => parsed?.name === 'CardEvolved');
+      setEvolved({ tokenId: event ? Number(event.args.tokenId) : null, name: recipe.outputName });
+      onEvolved();
+    } catch (err) {
+      setError(err.shortMessage || err.message || 'Transaction failed');
+    } finally {
+      setTxPending(false);
+    }
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal modal-evolve" onClick={(e) => e.stopPropagation()}>
+        <button className="modal-close" onClick={onClose}>×</button>
+        <h3>Evolve {card.name}</h3>
+
+        {evolved ? (
+          <>
+            <p className="hint">Your cards evolved into {evolved.name}.</p>
+            <div className="modal-actions">
+              {evolved.tokenId != null && (
+                <button onClick={() => onViewCard(evolved.tokenId)} className="btn btn-primary">
+                  View #{evolved.tokenId + 1}
+                </button>
+              )}
+              <button onClick={onClose} className="btn btn-outline">Close</button>
+            </div>
+          </>
+        ) : (
+          <>
+            {options.length === 0 && <p className="empty">No evolution for {card.name} with the copies you hold.</p>}
+            {options.length > 1 && (
+              <FilterSelect
+                value={recipeId}
+                onChange={handleRecipe}
+                options={options.map((r) => ({ value: String(r.id), label: `${r.inputCount}x → ${r.outputName}` }))}
+              />
+            )}
+            {recipe && (
+              <>
+                <h4 className="swap-side-title">Burn {recipe.inputCount} {card.name} ({inputs.length}/{recipe.inputCount})</h4>
+                <div className="card-select">
+                  {species.map((c) => (
+                    <button
+                      key={c.tokenId}
+                      className={`card-option ${selected.includes(c.tokenId) ? 'selected' : ''}`}
+                      onClick={() => setSelected(toggle(selected, c.tokenId))}
+                      disabled={!selected.includes(c.tokenId) && selected.length >= recipe.inputCount}
+                      title={statLine(c)}
+                    >
+                      #{c.tokenId + 1} {c.name} · {statLine(c)}
+                    </button>
+                  ))}
+                </div>
+                {preview && (
+                  <div className="evolve-preview">
+                    <span className="price-label">You get</span>
+                    <strong>{preview.name}</strong>
+                    <span className="type-badge">{preview.pokemonType}</span>
+                    <span className="hint">{statLine(preview)}</span>
+                  </div>
+                )}
+                <p className="hint">
+                  The evolved card takes the best HP, attack, defense and rarity of the burned cards plus the recipe&apos;s
+                  bonuses. The burned cards are gone for good.
+                </p>
+              </>
+            )}
+            {error && <p className="error">{error}</p>}
+            <button onClick={handleEvolve} disabled={txPending || !ready} className="btn btn-primary">
+              {txPending ? 'Evolving...' : `Evolve into ${recipe?.outputName ?? '…'}`}
+            </button>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
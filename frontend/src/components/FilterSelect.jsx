@@ -1,6 +1,10 @@
 import { useState, useRef, useEffect } from 'react';
 
-export function FilterSelect({ value, onChange, options, placeholder }) {
+/**
+ * Dropdown for search filters. With `multiple`, value is an array, the list stays open while options are
+ * toggled, and an option with value '' clears the selection.
+ */
+export function FilterSelect({ value, onChange, options, placeholder, multiple = false }) {
   const [open, setOpen] = useState(false);
   const ref = useRef(null);
 
@@ -12,10 +16,25 @@ export function FilterSelect({ value, onChange, options, placeholder }) {
     return () => document.removeEventListener('mousedown', handleClickOutside);
   }, []);
 
-  const selectedOpt = options.find((o) => o.value === value);
-  const displayValue = selectedOpt?.label ?? value ?? placeholder;
+  const isSelected = (opt) => (multiple ? value.includes(opt.value) : opt.value === value);
+  const selectedOpts = options.filter((o) => o.value !== '' && isSelected(o));
+  const selectedOpt = multiple ? (selectedOpts.length === 1 ? selectedOpts[0] : null) : options.find(isSelected);
+  const displayValue = multiple
+    ? selectedOpts.map((o) => o.label).join(', ') || placeholder
+    : selectedOpt?.label ?? value ?? placeholder;
   const triggerColor = selectedOpt?.color;
 
+  const handleSelect = (opt) => {
+    if (!multiple) {
+      onChange(opt.value);
+      setOpen(false);
+    } else if (opt.value === '') {
+      onChange([]);
+    } else {
+      onChange(isSelected(opt) ? value.filter((v) => v !== opt.value) : [...value, opt.value]);
+    }
+  };
+
   return (
     <div className="filter-select-wrap" ref={ref}>
       <button
@@ -30,19 +49,16 @@ export function FilterSelect({ value, onChange, options, placeholder }) {
         <span className="filter-select-arrow">{open ? '▲' : '▾'}</span>
       </button>
       {open && (
-        <div className="filter-select-dropdown" role="listbox">
+        <div className="filter-select-dropdown" role="listbox" aria-multiselectable={multiple || undefined}>
           {options.map((opt) => (
             <button
               key={opt.value}
               type="button"
               role="option"
-              aria-selected={opt.value === value}
-              className={`filter-select-option ${opt.value === value ? 'selected' : ''} ${opt.color ? 'has-color' : ''}`}
+              aria-selected={isSelected(opt)}
+              className={`filter-select-option ${isSelected(opt) ? 'selected' : ''} ${opt.color ? 'has-color' : ''}`}
               style={opt.color ? { '--option-color': opt.color } : {}}
-              onClick={() => {
-                onChange(opt.value);
-                setOpen(false);
-              }}
+              onClick={() => handleSelect(opt)}
             >
               {opt.label}
             </button>
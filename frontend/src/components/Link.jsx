@@ -0,0 +1,15 @@
+import { navigate } from '../hooks/useRoute';
+
+/** In-app anchor: plain clicks navigate without a page load, modified clicks (new tab, etc.) are left to the browser */
+export function Link({ to, className, children, ...rest }) {
+  const handleClick = (e) => {
+    if (e.defaultPrevented || e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+    e.preventDefault();
+    navigate(to);
+  };
+  return (
+    <a href={to} className={className} onClick={handleClick} {...rest}>
+      {children}
+    </a>
+  );
+}
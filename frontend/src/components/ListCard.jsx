@@ -11,16 +11,47 @@ function useLockBodyScroll(locked) {
 }
 
 import { parseEther } from 'ethers';
+import { SaleBreakdown } from './SaleBreakdown';
+import { useRoyalty } from '../hooks/useRoyalty';
+import { usePlatformFee } from '../hooks/usePlatformFee';
+import { chainNow } from '../hooks/useChainTime';
 
-export function ListCard({ myCards, onClose, onListed, pokemonNFT, pokemonTrading }) {
+/** PokemonTrading defaults and bounds for per-auction rules (bid increment in %, anti-sniping window in minutes) */
+const DEFAULT_INCREMENT_PCT = 5;
+const DEFAULT_EXTENSION_MIN = 5;
+const INCREMENT_PCT_RANGE = [1, 50];
+const EXTENSION_MIN_RANGE = [1, 60];
+const MAX_LISTING_DAYS = 180;
+
+/** parseEther for a form field: 0n instead of throwing while the input is incomplete */
+function parseEtherOrZero(value) {
+  try {
+    return value ? parseEther(value) : 0n;
+  } catch {
+    return 0n;
+  }
+}
+
+export function ListCard({ myCards, account, onClose, onListed, pokemonNFT, pokemonTrading }) {
   useLockBodyScroll(true);
   const [selectedId, setSelectedId] = useState(null);
   const [price, setPrice] = useState('');
-  const [mode, setMode] = useState('fixed'); // 'fixed' | 'auction'
+  const [mode, setMode] = useState('fixed'); // 'fixed' | 'auction' | 'dutch' | 'sealed'
   const [auctionPrice, setAuctionPrice] = useState('');
   const [auctionDuration, setAuctionDuration] = useState('60'); // minutes
+  const [listingExpiryDays, setListingExpiryDays] = useState(''); // '' = never expires
+  const [incrementPct, setIncrementPct] = useState(String(DEFAULT_INCREMENT_PCT));
+  const [extensionMinutes, setExtensionMinutes] = useState(String(DEFAULT_EXTENSION_MIN));
+  const [dutchStartPrice, setDutchStartPrice] = useState('');
+  const [dutchFloorPrice, setDutchFloorPrice] = useState('');
+  const [dutchDuration, setDutchDuration] = useState('60'); // minutes
+  const [sealedReserve, setSealedReserve] = useState('');
+  const [commitDuration, setCommitDuration] = useState('60'); // minutes
+  const [revealDuration, setRevealDuration] = useState('30'); // minutes
   const [txPending, setTxPending] = useState(false);
   const [error, setError] = useState('');
+  const royalty = useRoyalty(pokemonNFT, selectedId);
+  const feeBps = usePlatformFee(pokemonTrading);
 
   const handleList = async () => {
     if (!pokemonTrading || !pokemonNFT || selectedId == null) return;
@@ -29,13 +60,45 @@ export function ListCard({ myCards, onClose, onListed, pokemonNFT, pokemonTradin
     try {
       await pokemonNFT.approve(await pokemonTrading.getAddress(), selectedId);
       if (mode === 'fixed') {
-        const tx = await pokemonTrading.listCard(selectedId, parseEther(price));
+        const tx = listingExpiryDays
+          ? await pokemonTrading.listCardWithExpiry(
+            selectedId,
+            parseEther(price),
+            Math.floor(chainNow()) + parseInt(listingExpiryDays) * 24 * 60 * 60
+          )
+          : await pokemonTrading.listCard(selectedId, parseEther(price));
+        await tx.wait();
+      } else if (mode === 'auction') {
+        const customRules =
+          parseFloat(incrementPct) !== DEFAULT_INCREMENT_PCT || parseInt(extensionMinutes) !== DEFAULT_EXTENSION_MIN;
+        const tx = customRules
+          ? await pokemonTrading.startAuctionWithRules(
+            selectedId,
+            parseEther(auctionPrice),
+            parseInt(auctionDuration) * 60,
+            Math.round(parseFloat(incrementPct) * 100),
+            parseInt(extensionMinutes) * 60
+          )
+          : await pokemonTrading.startAuction(
+            selectedId,
+            parseEther(auctionPrice),
+            parseInt(auctionDuration) * 60
+          );
+        await tx.wait();
+      } else if (mode === 'dutch') {
+        const tx = await pokemonTrading.startDutchAuction(
+          selectedId,
+          parseEther(dutchStartPrice),
+          parseEther(dutchFloorPrice),
+          parseInt(dutchDuration) * 60
+        );
         await tx.wait();
       } else {
-        const tx = await pokemonTrading.startAuction(
+        const tx = await pokemonTrading.startSealedAuction(
           selectedId,
-          parseEther(auctionPrice),
-          parseInt(auctionDuration) * 60
+          parseEther(sealedReserve),
+          parseInt(commitDuration) * 60,
+          parseInt(revealDuration) * 60
         );
         await tx.wait();
       }
@@ -48,10 +111,24 @@ export function ListCard({ myCards, onClose, onListed, pokemonNFT, pokemonTradin
     }
   };
 
+  const inRange = (value, [min, max]) => value >= min && value <= max;
+  const expiryValid = !listingExpiryDays || inRange(parseInt(listingExpiryDays), [1, MAX_LISTING_DAYS]);
+  const rulesValid =
+    inRange(parseFloat(incrementPct), INCREMENT_PCT_RANGE) && inRange(parseInt(extensionMinutes), EXTENSION_MIN_RANGE);
+
+  // No royalty is taken when the seller is the royalty receiver
+  const royaltyApplies = royalty?.bps > 0n && royalty.receiver.toLowerCase() !== account?.toLowerCase();
+
   const canSubmit =
     mode === 'fixed'
-      ? price && parseFloat(price) > 0
-      : auctionPrice && parseFloat(auctionPrice) > 0 && parseInt(auctionDuration) >= 1;
+      ? price && parseFloat(price) > 0 && expiryValid
+      : mode === 'auction'
+        ? auctionPrice && parseFloat(auctionPrice) > 0 && parseInt(auctionDuration) >= 1 && rulesValid
+        : mode === 'dutch'
+          ? parseFloat(dutchFloorPrice) > 0 &&
+            parseFloat(dutchStartPrice) > parseFloat(dutchFloorPrice) &&
+            parseInt(dutchDuration) >= 1
+          : parseFloat(sealedReserve) > 0 && parseInt(commitDuration) >= 1 && parseInt(revealDuration) >= 1;
 
   return (
     <div className="modal-overlay" onClick={onClose}>
@@ -79,6 +156,22 @@ export function ListCard({ myCards, onClose, onListed, pokemonNFT, pokemonTradin
                 />
                 Auction
               </label>
+              <label>
+                <input
+                  type="radio"
+                  checked={mode === 'dutch'}
+                  onChange={() => setMode('dutch')}
+                />
+                Dutch Auction
+              </label>
+              <label>
+                <input
+                  type="radio"
+                  checked={mode === 'sealed'}
+                  onChange={() => setMode('sealed')}
+                />
+                Sealed Bid
+              </label>
             </div>
             <div className="card-select">
               {myCards.map((c) => (
@@ -94,15 +187,41 @@ export function ListCard({ myCards, onClose, onListed, pokemonNFT, pokemonTradin
             {selectedId != null && (
               <div className="list-form">
                 {mode === 'fixed' && (
-                  <label>
-                    Price (ETH)
-                    <input
-                      type="text"
-                      placeholder="0.1"
-                      value={price}
-                      onChange={(e) => setPrice(e.target.value)}
+                  <>
+                    <label>
+                      Price (ETH)
+                      <input
+                        type="text"
+                        placeholder="0.1"
+                        value={price}
+                        onChange={(e) => setPrice(e.target.value)}
+                      />
+                    </label>
+                    <SaleBreakdown
+                      price={parseEtherOrZero(price)}
+                      feeBps={feeBps}
+                      royalty={royalty}
+                      seller={account}
+                      sellerLabel="You receive"
                     />
-                  </label>
+                    <details className="list-advanced">
+                      <summary>Advanced options</summary>
+                      <label>
+                        Expires in (days, optional)
+                        <input
+                          type="number"
+                          min="1"
+                          max={MAX_LISTING_DAYS}
+                          placeholder="Never"
+                          value={listingExpiryDays}
+                          onChange={(e) => setListingExpiryDays(e.target.value)}
+                        />
+                      </label>
+                      <p className="hint">
+                        After expiry the card can no longer be bought and anyone can return it to you.
+                      </p>
+                    </details>
+                  </>
                 )}
                 {mode === 'auction' && (
                   <>
@@ -124,10 +243,112 @@ export function ListCard({ myCards, onClose, onListed, pokemonNFT, pokemonTradin
                         onChange={(e) => setAuctionDuration(e.target.value)}
                       />
                     </label>
+                    <details className="list-advanced">
+                      <summary>Advanced options</summary>
+                      <label>
+                        Min. bid increment (%)
+                        <input
+                          type="number"
+                          min={INCREMENT_PCT_RANGE[0]}
+                          max={INCREMENT_PCT_RANGE[1]}
+                          value={incrementPct}
+                          onChange={(e) => setIncrementPct(e.target.value)}
+                        />
+                      </label>
+                      <label>
+                        Anti-sniping window (minutes)
+                        <input
+                          type="number"
+                          min={EXTENSION_MIN_RANGE[0]}
+                          max={EXTENSION_MIN_RANGE[1]}
+                          value={extensionMinutes}
+                          onChange={(e) => setExtensionMinutes(e.target.value)}
+                        />
+                      </label>
+                      <p className="hint">
+                        Each bid must beat the last by {INCREMENT_PCT_RANGE[0]}-{INCREMENT_PCT_RANGE[1]}%; a bid inside the
+                        window ({EXTENSION_MIN_RANGE[0]}-{EXTENSION_MIN_RANGE[1]} min) extends the auction by that window.
+                      </p>
+                    </details>
+                  </>
+                )}
+                {mode === 'dutch' && (
+                  <>
+                    <label>
+                      Start Price (ETH)
+                      <input
+                        type="text"
+                        placeholder="1"
+                        value={dutchStartPrice}
+                        onChange={(e) => setDutchStartPrice(e.target.value)}
+                      />
+                    </label>
+                    <label>
+                      Floor Price (ETH)
+                      <input
+                        type="text"
+                        placeholder="0.1"
+                        value={dutchFloorPrice}
+                        onChange={(e) => setDutchFloorPrice(e.target.value)}
+                      />
+                    </label>
+                    <label>
+                      Decay Duration (minutes)
+                      <input
+                        type="number"
+                        min="1"
+                        value={dutchDuration}
+                        onChange={(e) => setDutchDuration(e.target.value)}
+                      />
+                    </label>
+                    <p className="hint">Price falls linearly from start to floor, then stays at the floor. First buyer wins.</p>
+                  </>
+                )}
+                {mode === 'sealed' && (
+                  <>
+                    <label>
+                      Reserve Price (ETH)
+                      <input
+                        type="text"
+                        placeholder="0.1"
+                        value={sealedReserve}
+                        onChange={(e) => setSealedReserve(e.target.value)}
+                      />
+                    </label>
+                    <label>
+                      Commit Phase (minutes)
+                      <input
+                        type="number"
+                        min="1"
+                        value={commitDuration}
+                        onChange={(e) => setCommitDuration(e.target.value)}
+                      />
+                    </label>
+                    <label>
+                      Reveal Phase (minutes)
+                      <input
+                        type="number"
+                        min="1"
+                        value={revealDuration}
+                        onChange={(e) => setRevealDuration(e.target.value)}
+                      />
+                    </label>
+                    <p className="hint">
+                      Bidders commit hidden bids with a deposit, then reveal them. The highest bidder wins and pays the
+                      second-highest bid (at least the reserve).
+                    </p>
                   </>
                 )}
               </div>
             )}
+            {selectedId != null && mode !== 'fixed' && (feeBps > 0n || royaltyApplies) && (
+              <p className="hint">
+                {feeBps > 0n && `A ${Number(feeBps) / 100}% marketplace fee`}
+                {feeBps > 0n && royaltyApplies && ' and '}
+                {royaltyApplies && `a ${Number(royalty.bps) / 100}% creator royalty`}
+                {' '}will be deducted from the final sale price.
+              </p>
+            )}
             {error && <p className="error">{error}</p>}
             <button
               onClick={handleList}
@@ -0,0 +1,18 @@
+/** In-app alert stack from useMarketAlerts; clicking an alert opens its card */
+export function MarketAlerts({ alerts, onDismiss, onSelectCard }) {
+  if (alerts.length === 0) return null;
+  return (
+    <div className="market-alerts" role="status" aria-live="polite">
+      {alerts.map((alert) => (
+        <div key={alert.id} className="market-alert">
+          <button type="button" className="link-button market-alert-message" onClick={() => onSelectCard(alert)}>
+            {alert.message}
+          </button>
+          <button type="button" className="market-alert-dismiss" onClick={() => onDismiss(alert.id)} aria-label="Dismiss">
+            ×
+          </button>
+        </div>
+      ))}
+    </div>
+  );
+}
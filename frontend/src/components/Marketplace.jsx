@@ -3,15 +3,40 @@ import { useWeb3 } from '../hooks/useWeb3';
 import { CardDetail } from './CardDetail';
 import { ListCard } from './ListCard';
 import { FilterSelect } from './FilterSelect';
-import { formatEther } from 'ethers';
+import { MyOffers } from './MyOffers';
+import { SwapBuilder } from './SwapBuilder';
+import { SwapInbox } from './SwapInbox';
+import { Profile } from './Profile';
+import { Analytics } from './Analytics';
+import { WatchButton } from './WatchButton';
+import { MarketAlerts } from './MarketAlerts';
+import { Pagination } from './Pagination';
+import { AdvancedFilters } from './AdvancedFilters';
+import { Countdown } from './Countdown';
+import { EvolveCard } from './EvolveCard';
+import { formatEther, isAddress, ZeroAddress } from 'ethers';
 import { safeImageUrl } from '../utils/safeImageUrl';
+import { useMarketStore } from '../hooks/useMarketStore';
+import { useWatchlist } from '../hooks/useWatchlist';
+import { useMarketAlerts } from '../hooks/useMarketAlerts';
+import { useEvolutionRecipes } from '../hooks/useEvolutionRecipes';
+import { navigate, currentHref } from '../hooks/useRoute';
+import { findMarketCard } from '../utils/marketStore';
+import { loadToken } from '../utils/marketLoader';
+import { CONFIG } from '../config';
+import { dutchPriceAt } from '../utils/dutch';
+import { useChainClock, useChainNow } from '../hooks/useChainTime';
+import { getSealedAuctionPhase } from '../utils/sealedBids';
+import { SORT_OPTIONS, PAGE_SIZES, sortCards, paginate } from '../utils/cardSort';
+import { FILTER_PARAMS, parseFilters, parseList, filterCards, countActiveFilters } from '../utils/cardFilters';
+import { recipesFor } from '../utils/evolution';
 
-function WithdrawButton({ pokemonTrading, amount, onWithdrawn }) {
+function WithdrawButton({ contract, amount, label, onWithdrawn }) {
   const [txPending, setTxPending] = useState(false);
   const handleWithdraw = async () => {
     setTxPending(true);
     try {
-      const tx = await pokemonTrading.withdraw();
+      const tx = await contract.withdraw();
       await tx.wait();
       onWithdrawn();
     } catch (err) {
@@ -22,7 +47,30 @@ function WithdrawButton({ pokemonTrading, amount, onWithdrawn }) {
   };
   return (
     <button onClick={handleWithdraw} disabled={txPending} className="btn btn-outline">
-      {txPending ? 'Withdrawing...' : `Withdraw ${formatEther(amount)} ETH`}
+      {txPending ? 'Withdrawing...' : `Withdraw ${formatEther(amount)} ETH${label ? ` (${label})` : ''}`}
+    </button>
+  );
+}
+
+/** settleAuction is open to anyone once an English auction has ended */
+function SettleButton({ contract, tokenId, onSettled }) {
+  const [txPending, setTxPending] = useState(false);
+  const handleSettle = async (e) => {
+    e.stopPropagation();
+    setTxPending(true);
+    try {
+      const tx = await contract.settleAuction(tokenId);
+      await tx.wait();
+      onSettled();
+    } catch (err) {
+      console.error(err);
+    } finally {
+      setTxPending(false);
+    }
+  };
+  return (
+    <button onClick={handleSettle} disabled={txPending} className="btn btn-primary card-tile-action">
+      {txPending ? 'Settling...' : 'Settle'}
     </button>
   );
 }
@@ -73,138 +121,137 @@ function CardImage({ tokenURI, alt }) {
   return <img src={displayUrl} alt={alt || 'Pokemon card'} onError={() => setFailed(true)} />;
 }
 
-/** Filter cards by search query, type, and rarity */
-function filterCards(items, { search, type, rarity }) {
-  return items.filter((item) => {
-    const nameMatch = !search.trim() || String(item.name || '').toLowerCase().includes(search.toLowerCase());
-    const typeMatch = !type || (item.pokemonType || '').toLowerCase() === type.toLowerCase();
-    const rarityMatch = !rarity || Number(item.rarity ?? 0) === Number(rarity);
-    return nameMatch && typeMatch && rarityMatch;
-  });
+/** A token read with loadToken as CardDetail expects it, for cards the loaded market does not list */
+function tokenCard({ card, listing, auction, dutch, sealed }, account) {
+  if (listing) return { ...card, ...listing, mode: 'listing' };
+  if (auction) return { ...card, ...auction, mode: 'auction' };
+  if (dutch) return { ...card, ...dutch, mode: 'dutch' };
+  if (sealed) return { ...card, ...sealed, mode: 'sealed' };
+  return { ...card, mode: account && card.owner.toLowerCase() === account.toLowerCase() ? 'mine' : 'owned' };
 }
 
-/** Normalize getCard() result - ethers can return struct as object or tuple */
-function parseCard(raw) {
-  return {
-    name: raw.name ?? raw[0] ?? '',
-    pokemonType: raw.pokemonType ?? raw[1] ?? '',
-    hp: raw.hp ?? raw[2] ?? 0,
-    attack: raw.attack ?? raw[3] ?? 0,
-    defense: raw.defense ?? raw[4] ?? 0,
-    rarity: raw.rarity ?? raw[5] ?? 1,
-  };
-}
+const DEFAULT_PAGE_SIZE = 24;
+/** Query keys that change what the grids show; editing one returns every grid to its first page */
+const GRID_PARAMS = [...FILTER_PARAMS, 'sort', 'size'];
+/** Query keys a saved filter preset restores */
+const PRESET_PARAMS = [...FILTER_PARAMS, 'sort'];
+
+const MARKET_PAGE = { name: 'market', params: {}, query: new URLSearchParams(), href: '/' };
 
-export function Marketplace() {
-  const { pokemonNFT, pokemonTrading, account } = useWeb3();
-  const [listings, setListings] = useState([]);
-  const [auctions, setAuctions] = useState([]);
-  const [myCards, setMyCards] = useState([]);
-  const [pendingBalance, setPendingBalance] = useState(0n);
-  const [selectedCard, setSelectedCard] = useState(null);
+/**
+ * Marketplace pages: the market itself (`/`, filters in the query), profiles (`/address/:address`), analytics
+ * (`/analytics`), and CardDetail (`/card/:tokenId`) as a modal over whichever of those it was opened from.
+ * @param {{ route: ReturnType<typeof import('../hooks/useRoute').useRoute> }} props
+ */
+export function Marketplace({ route }) {
+  const { provider, pokemonNFT, pokemonTrading, pokemonSwap, account } = useWeb3();
+  useChainClock(provider);
   const [showListModal, setShowListModal] = useState(false);
-  const [loading, setLoading] = useState(false);
-  const [searchQuery, setSearchQuery] = useState('');
-  const [typeFilter, setTypeFilter] = useState('');
-  const [rarityFilter, setRarityFilter] = useState('');
-
-  const filterOpts = { search: searchQuery, type: typeFilter, rarity: rarityFilter };
-  const filteredListings = filterCards(listings, filterOpts);
-  const filteredAuctions = filterCards(auctions, filterOpts);
-  const filteredMyCards = filterCards(myCards, filterOpts);
-
-  const loadData = async () => {
-    if (!pokemonNFT || !pokemonTrading) return;
-    setLoading(true);
-    try {
-      const totalSupply = Number(await pokemonNFT.totalSupply());
-      const tokens = [];
-      for (let i = 0; i < totalSupply; i++) {
-        try {
-          const owner = await pokemonNFT.ownerOf(i);
-          if (owner && owner !== '0x0000000000000000000000000000000000000000') {
-            tokens.push(i);
-          }
-        } catch {
-          break;
-        }
-      }
-
-      const listed = [];
-      const auctioned = [];
-      for (const tid of tokens) {
-        const listing = await pokemonTrading.listings(tid);
-        if (listing.active) {
-          const [raw, tokenURI] = await Promise.all([pokemonNFT.getCard(tid), pokemonNFT.tokenURI(tid)]);
-          const card = parseCard(raw);
-          listed.push({ tokenId: tid, ...card, tokenURI, price: listing.price, seller: listing.seller });
-        }
-        const auction = await pokemonTrading.auctions(tid);
-        if (!auction.settled && auction.endTime > 0n && BigInt(Math.floor(Date.now() / 1000)) < auction.endTime) {
-          const [raw, tokenURI] = await Promise.all([pokemonNFT.getCard(tid), pokemonNFT.tokenURI(tid)]);
-          const card = parseCard(raw);
-          auctioned.push({
-            tokenId: tid,
-            ...card,
-            tokenURI,
-            startingPrice: auction.startingPrice,
-            highestBid: auction.highestBid,
-            highestBidder: auction.highestBidder,
-            endTime: auction.endTime,
-            seller: auction.seller,
-          });
-        }
-      }
-      setListings(listed);
-      setAuctions(auctioned);
-
-      if (account) {
-        const mine = [];
-        for (const tid of tokens) {
-          const owner = await pokemonNFT.ownerOf(tid);
-          if (owner?.toLowerCase() === account.toLowerCase()) {
-            const [raw, tokenURI] = await Promise.all([pokemonNFT.getCard(tid), pokemonNFT.tokenURI(tid)]);
-            const card = parseCard(raw);
-            mine.push({ tokenId: tid, ...card, tokenURI });
-          }
-        }
-        setMyCards(mine);
-        const pending = await pokemonTrading.pendingWithdrawals(account);
-        setPendingBalance(pending);
-      }
-    } catch (err) {
-      console.error('Load error:', err);
-    } finally {
-      setLoading(false);
-    }
-  };
+  const [showSwapModal, setShowSwapModal] = useState(false);
+  const [evolvingCard, setEvolvingCard] = useState(null);
+  const [loadedCard, setLoadedCard] = useState(null);
+  // Current page of each paged grid, 1-based
+  const [gridPages, setGridPages] = useState({});
+  const now = useChainNow(5000);
+  // A deep-linked card is shown over the market
+  const page = route.name === 'card' ? route.background ?? MARKET_PAGE : route;
+  const pagePath = page.href.split('?')[0];
+  const dataSource = page.query.get('source') === 'indexer' ? 'indexer' : 'chain';
+  const filters = parseFilters(page.query);
+  const [showAdvanced, setShowAdvanced] = useState(() => countActiveFilters(page.query) > 0);
+  const sortOrder = page.query.get('sort') ?? '';
+  const pageSize = PAGE_SIZES.includes(Number(page.query.get('size'))) ? Number(page.query.get('size')) : DEFAULT_PAGE_SIZE;
+  const {
+    market, offersMade, offersReceived, pendingBalance, swapBalance, loading, indexerError, refreshAccount,
+  } = useMarketStore({ pokemonNFT, pokemonTrading, pokemonSwap, account, dataSource });
+  const { listings, auctions, dutchAuctions, sealedAuctions, myCards, otherCards } = market;
+  const watchlist = useWatchlist(pokemonTrading?.target, account);
+  const { alerts, dismiss, permission, requestPermission } = useMarketAlerts({ pokemonTrading, account, market, watchlist });
+  const recipes = useEvolutionRecipes(pokemonNFT);
+
+  const routeTokenId = route.name === 'card' ? Number(route.params.tokenId) : null;
+  const marketCard = routeTokenId != null ? findMarketCard(market, routeTokenId) : null;
+  const inMarket = Boolean(marketCard);
 
+  // Cards the market lists do not include (cards in swap escrow) are read directly
   useEffect(() => {
-    loadData();
-    if (!pokemonNFT || !pokemonTrading) return;
-    const nft = pokemonNFT;
-    const trading = pokemonTrading;
-
-    const onTransfer = () => loadData();
-    const onListed = () => loadData();
-    const onSold = () => loadData();
-    const onAuction = () => loadData();
-    const onBid = () => loadData();
-    const onSettled = () => loadData();
-
-    nft.on('Transfer', onTransfer);
-    trading.on('CardListed', onListed);
-    trading.on('CardSold', onSold);
-    trading.on('CardUnlisted', onListed);
-    trading.on('AuctionStarted', onAuction);
-    trading.on('BidPlaced', onBid);
-    trading.on('AuctionSettled', onSettled);
-
-    return () => {
-      nft.removeAllListeners?.();
-      trading.removeAllListeners?.();
-    };
-  }, [pokemonNFT, pokemonTrading, account]);
+    if (routeTokenId == null || inMarket || loading || !pokemonNFT || !pokemonTrading) return;
+    let cancelled = false;
+    loadToken(pokemonNFT, pokemonTrading, routeTokenId)
+      .then((token) => {
+        if (cancelled) return;
+        // getCards still returns cards burned by an evolution, with no owner
+        setLoadedCard(token.card.owner === ZeroAddress
+          ? { tokenId: routeTokenId, missing: true, burned: true }
+          : tokenCard(token, account));
+      })
+      .catch(() => { if (!cancelled) setLoadedCard({ tokenId: routeTokenId, missing: true }); });
+    return () => { cancelled = true; };
+  }, [routeTokenId, inMarket, loading, pokemonNFT, pokemonTrading, account]);
+
+  const selectedCard = marketCard ?? (loadedCard?.tokenId === routeTokenId ? loadedCard : null);
+
+  /** Filters live in the page's query string; edits replace the history entry instead of adding one each */
+  const setQueryParam = (key, value) => {
+    const query = new URLSearchParams(page.query);
+    if (value) query.set(key, value);
+    else query.delete(key);
+    const search = query.toString();
+    navigate(`${pagePath}${search ? `?${search}` : ''}`, { replace: true });
+    if (GRID_PARAMS.includes(key)) setGridPages({});
+  };
+  const setDataSource = (source) => setQueryParam('source', source === 'indexer' ? source : '');
+  const setSearchQuery = (q) => setQueryParam('q', q);
+  const setTypeFilter = (types) => setQueryParam('type', types.join(','));
+  const setRarityFilter = (rarities) => setQueryParam('rarity', rarities.join(','));
+  const setSortOrder = (sort) => setQueryParam('sort', sort);
+  const setPageSize = (size) => setQueryParam('size', Number(size) === DEFAULT_PAGE_SIZE ? '' : size);
+  const clearFilters = () => {
+    const query = new URLSearchParams(page.query);
+    GRID_PARAMS.forEach((key) => query.delete(key));
+    const search = query.toString();
+    navigate(`${pagePath}${search ? `?${search}` : ''}`, { replace: true });
+    setGridPages({});
+  };
+  // Presets hold the filter and sort params only, so applying one keeps the data source and page size
+  const presetQuery = new URLSearchParams();
+  PRESET_PARAMS.forEach((key) => page.query.get(key) && presetQuery.set(key, page.query.get(key)));
+  const applyPreset = (presetSearch) => {
+    const query = new URLSearchParams(page.query);
+    PRESET_PARAMS.forEach((key) => query.delete(key));
+    new URLSearchParams(presetSearch).forEach((value, key) => PRESET_PARAMS.includes(key) && query.set(key, value));
+    const search = query.toString();
+    navigate(`${pagePath}${search ? `?${search}` : ''}`, { replace: true });
+    setGridPages({});
+  };
+
+  const sortedCards = (items) => sortCards(filterCards(items, filters, { account, now }), sortOrder, now);
+  const filteredListings = sortedCards(listings);
+  // English auctions stay listed on-chain until settled; past their end time they wait for anyone to settle them
+  const liveAuctions = auctions.filter((a) => Number(a.endTime) > now);
+  const endedAuctions = auctions.filter((a) => Number(a.endTime) <= now);
+  const filteredAuctions = sortedCards(liveAuctions);
+  const filteredEndedAuctions = sortedCards(endedAuctions);
+  const filteredDutchAuctions = sortedCards(dutchAuctions);
+  const filteredSealedAuctions = sortedCards(sealedAuctions);
+  const filteredMyCards = sortedCards(myCards);
+  const filteredOtherCards = sortedCards(otherCards);
+  const listingsPage = paginate(filteredListings, gridPages.listings ?? 1, pageSize);
+  const auctionsPage = paginate(filteredAuctions, gridPages.auctions ?? 1, pageSize);
+  const myCardsPage = paginate(filteredMyCards, gridPages.myCards ?? 1, pageSize);
+  const setGridPage = (grid) => (n) => setGridPages((prev) => ({ ...prev, [grid]: n }));
+  const watchedCards = Object.keys(watchlist.entries)
+    .map((tokenId) => findMarketCard(market, Number(tokenId)))
+    .filter(Boolean);
+
+  const openCard = (card) => navigate(`/card/${card.tokenId}`, { background: currentHref() });
+  // Evolve shows on a card when the wallet holds enough copies of its species for an active recipe
+  const speciesCounts = new Map();
+  myCards.forEach((c) => speciesCounts.set(c.name, (speciesCounts.get(c.name) ?? 0) + 1));
+  const canEvolve = (card) => recipesFor(recipes, card.name).some((r) => r.inputCount <= speciesCounts.get(card.name));
+  // Closing a card opened in the app steps back to the page under it; a pasted link has none to go back to
+  const closeCard = () => (route.background ? window.history.back() : navigate('/'));
+  const openProfile = (address) => navigate(`/address/${address}`);
 
   if (!pokemonNFT || !pokemonTrading) {
     return (
@@ -222,8 +269,31 @@ export function Marketplace() {
       <div className="marketplace-header">
         <h2>Marketplace</h2>
         <div className="header-actions">
+          {CONFIG.indexerUrl && (
+            <FilterSelect
+              value={dataSource}
+              onChange={setDataSource}
+              options={[
+                { value: 'chain', label: 'Data: Chain' },
+                { value: 'indexer', label: 'Data: Indexer' },
+              ]}
+            />
+          )}
+          {account && permission === 'default' && (
+            <button onClick={requestPermission} className="btn btn-outline">
+              Enable Alerts
+            </button>
+          )}
           {pendingBalance > 0n && (
-            <WithdrawButton pokemonTrading={pokemonTrading} amount={pendingBalance} onWithdrawn={loadData} />
+            <WithdrawButton contract={pokemonTrading} amount={pendingBalance} onWithdrawn={refreshAccount} />
+          )}
+          {swapBalance > 0n && (
+            <WithdrawButton contract={pokemonSwap} amount={swapBalance} label="swaps" onWithdrawn={refreshAccount} />
+          )}
+          {account && pokemonSwap && (
+            <button onClick={() => setShowSwapModal(true)} className="btn btn-outline">
+              Propose Swap
+            </button>
           )}
           {account && (
             <button onClick={() => setShowListModal(true)} className="btn btn-primary">
@@ -234,122 +304,360 @@ export function Marketplace() {
       </div>
 
       {loading && <p className="loading">Loading...</p>}
+      {dataSource === 'indexer' && indexerError && <p className="hint">{indexerError}</p>}
 
-      <div className="search-filters">
-        <input
-          type="text"
-          className="search-input"
-          placeholder="Search by name..."
-          value={searchQuery}
-          onChange={(e) => setSearchQuery(e.target.value)}
-        />
-        <FilterSelect
-          value={typeFilter}
-          onChange={setTypeFilter}
-          placeholder="All types"
-          options={[
-            { value: '', label: 'All types' },
-            ...TYPES.map((t) => ({ value: t, label: t, color: TYPE_COLORS[t] })),
-          ]}
+      {page.name === 'analytics' && (
+        <Analytics
+          listings={listings}
+          types={TYPES}
+          rarityLabels={RARITY_LABELS}
+          typeColors={TYPE_COLORS}
+          pokemonNFT={pokemonNFT}
+          pokemonTrading={pokemonTrading}
+          onBack={() => navigate('/')}
         />
-        <FilterSelect
-          value={rarityFilter}
-          onChange={(v) => setRarityFilter(v)}
-          placeholder="All rarities"
-          options={[
-            { value: '', label: 'All rarities' },
-            ...([1, 2, 3, 4, 5].map((r) => ({ value: String(r), label: RARITY_LABELS[r] }))),
-          ]}
+      )}
+
+      {page.name === 'profile' && !isAddress(page.params.address) && (
+        <p className="error">{page.params.address} is not a valid address.</p>
+      )}
+
+      {page.name === 'profile' && isAddress(page.params.address) && (
+        <Profile
+          address={page.params.address}
+          market={market}
+          account={account}
+          pokemonNFT={pokemonNFT}
+          pokemonTrading={pokemonTrading}
+          pokemonSwap={pokemonSwap}
+          onBack={() => navigate('/')}
+          onSelectCard={openCard}
         />
-        <button
-          type="button"
-          className="btn btn-outline filter-clear"
-          onClick={() => { setSearchQuery(''); setTypeFilter(''); setRarityFilter(''); }}
-        >
-          Clear
-        </button>
-      </div>
+      )}
 
-      <section className="section">
-        <h3>Fixed Price Listings</h3>
-        <div className="card-grid">
-          {filteredListings.map((item) => (
-            <CardTile
-              key={item.tokenId}
-              item={item}
-              type="listing"
-              onClick={() => setSelectedCard({ ...item, mode: 'listing' })}
-              getTypeColor={getTypeColor}
-              RARITY_LABELS={RARITY_LABELS}
+      {page.name === 'market' && (
+        <>
+          <div className="search-filters">
+            <input
+              type="text"
+              className="search-input"
+              placeholder="Search by name..."
+              value={filters.search}
+              onChange={(e) => setSearchQuery(e.target.value)}
             />
-          ))}
-        </div>
-        {filteredListings.length === 0 && !loading && <p className="empty">{listings.length === 0 ? 'No listings' : 'No matching listings'}</p>}
-      </section>
-
-      <section className="section">
-        <h3>Auctions</h3>
-        <div className="card-grid">
-          {filteredAuctions.map((item) => (
-            <CardTile
-              key={item.tokenId}
-              item={item}
-              type="auction"
-              onClick={() => setSelectedCard({ ...item, mode: 'auction' })}
-              getTypeColor={getTypeColor}
-              RARITY_LABELS={RARITY_LABELS}
+            <FilterSelect
+              multiple
+              value={filters.types}
+              onChange={setTypeFilter}
+              placeholder="All types"
+              options={[
+                { value: '', label: 'All types' },
+                ...TYPES.map((t) => ({ value: t, label: t, color: TYPE_COLORS[t] })),
+              ]}
             />
-          ))}
-        </div>
-        {filteredAuctions.length === 0 && !loading && <p className="empty">{auctions.length === 0 ? 'No active auctions' : 'No matching auctions'}</p>}
-      </section>
-
-      {account && myCards.length > 0 && (
-        <section className="section">
-          <h3>My Cards</h3>
-          <div className="card-grid">
-            {filteredMyCards.map((item) => (
-              <CardTile
-                key={item.tokenId}
-                item={item}
-                type="mine"
-                onClick={() => setSelectedCard({ ...item, mode: 'mine' })}
-                getTypeColor={getTypeColor}
-                RARITY_LABELS={RARITY_LABELS}
-              />
-            ))}
+            <FilterSelect
+              multiple
+              value={parseList(page.query.get('rarity'))}
+              onChange={setRarityFilter}
+              placeholder="All rarities"
+              options={[
+                { value: '', label: 'All rarities' },
+                ...([1, 2, 3, 4, 5].map((r) => ({ value: String(r), label: RARITY_LABELS[r] }))),
+              ]}
+            />
+            <FilterSelect
+              value={sortOrder}
+              onChange={setSortOrder}
+              placeholder="Sort"
+              options={SORT_OPTIONS.map((o) => ({ ...o, label: `Sort: ${o.label}` }))}
+            />
+            <FilterSelect
+              value={String(pageSize)}
+              onChange={setPageSize}
+              options={PAGE_SIZES.map((n) => ({ value: String(n), label: `${n} per page` }))}
+            />
+            <button
+              type="button"
+              className={`btn btn-outline ${showAdvanced ? 'active' : ''}`}
+              onClick={() => setShowAdvanced(!showAdvanced)}
+              aria-expanded={showAdvanced}
+            >
+              More filters{countActiveFilters(page.query) > 0 ? ` (${countActiveFilters(page.query)})` : ''}
+            </button>
+            <button
+              type="button"
+              className="btn btn-outline filter-clear"
+              onClick={clearFilters}
+            >
+              Clear
+            </button>
           </div>
-          {filteredMyCards.length === 0 && <p className="empty">No matching cards</p>}
-        </section>
+
+          {showAdvanced && (
+            <AdvancedFilters
+              query={page.query}
+              onChange={setQueryParam}
+              account={account}
+              presetSearch={presetQuery.toString()}
+              onApplyPreset={applyPreset}
+            />
+          )}
+
+          {watchedCards.length > 0 && (
+            <section className="section">
+              <h3>Watchlist</h3>
+              <div className="card-grid">
+                {watchedCards.map((item) => (
+                  <CardTile
+                    key={item.tokenId}
+                    item={item}
+                    type={item.mode}
+                    onClick={() => openCard(item)}
+                    watchlist={watchlist}
+                    getTypeColor={getTypeColor}
+                    RARITY_LABELS={RARITY_LABELS}
+                  />
+                ))}
+              </div>
+            </section>
+          )}
+
+          <section className="section">
+            <h3>Fixed Price Listings</h3>
+            <div className="card-grid">
+              {listingsPage.items.map((item) => (
+                <CardTile
+                  key={item.tokenId}
+                  item={item}
+                  type="listing"
+                  onClick={() => openCard(item)}
+                  watchlist={watchlist}
+                  getTypeColor={getTypeColor}
+                  RARITY_LABELS={RARITY_LABELS}
+                />
+              ))}
+            </div>
+            <Pagination page={listingsPage.page} pageCount={listingsPage.pageCount} total={filteredListings.length} onChange={setGridPage('listings')} />
+            {filteredListings.length === 0 && !loading && <p className="empty">{listings.length === 0 ? 'No listings' : 'No matching listings'}</p>}
+          </section>
+
+          <section className="section">
+            <h3>Auctions</h3>
+            <div className="card-grid">
+              {auctionsPage.items.map((item) => (
+                <CardTile
+                  key={item.tokenId}
+                  item={item}
+                  type="auction"
+                  onClick={() => openCard(item)}
+                  watchlist={watchlist}
+                  getTypeColor={getTypeColor}
+                  RARITY_LABELS={RARITY_LABELS}
+                />
+              ))}
+            </div>
+            <Pagination page={auctionsPage.page} pageCount={auctionsPage.pageCount} total={filteredAuctions.length} onChange={setGridPage('auctions')} />
+            {filteredAuctions.length === 0 && !loading && <p className="empty">{liveAuctions.length === 0 ? 'No active auctions' : 'No matching auctions'}</p>}
+          </section>
+
+          {endedAuctions.length > 0 && (
+            <section className="section">
+              <h3>Ended — Awaiting Settlement</h3>
+              <p className="hint">Anyone can settle an ended auction: the card goes to the highest bidder, or back to the seller without bids.</p>
+              <div className="card-grid">
+                {filteredEndedAuctions.map((item) => (
+                  <CardTile
+                    key={item.tokenId}
+                    item={item}
+                    type="ended"
+                    onClick={() => openCard(item)}
+                    watchlist={watchlist}
+                    action={account && <SettleButton contract={pokemonTrading} tokenId={item.tokenId} onSettled={refreshAccount} />}
+                    getTypeColor={getTypeColor}
+                    RARITY_LABELS={RARITY_LABELS}
+                  />
+                ))}
+              </div>
+              {filteredEndedAuctions.length === 0 && <p className="empty">No matching auctions</p>}
+            </section>
+          )}
+
+          <section className="section">
+            <h3>Dutch Auctions</h3>
+            <div className="card-grid">
+              {filteredDutchAuctions.map((item) => (
+                <CardTile
+                  key={item.tokenId}
+                  item={item}
+                  type="dutch"
+                  onClick={() => openCard(item)}
+                  watchlist={watchlist}
+                  getTypeColor={getTypeColor}
+                  RARITY_LABELS={RARITY_LABELS}
+                />
+              ))}
+            </div>
+            {filteredDutchAuctions.length === 0 && !loading && <p className="empty">{dutchAuctions.length === 0 ? 'No Dutch auctions' : 'No matching Dutch auctions'}</p>}
+          </section>
+
+          <section className="section">
+            <h3>Sealed-Bid Auctions</h3>
+            <div className="card-grid">
+              {filteredSealedAuctions.map((item) => (
+                <CardTile
+                  key={item.tokenId}
+                  item={item}
+                  type="sealed"
+                  onClick={() => openCard(item)}
+                  watchlist={watchlist}
+                  getTypeColor={getTypeColor}
+                  RARITY_LABELS={RARITY_LABELS}
+                />
+              ))}
+            </div>
+            {filteredSealedAuctions.length === 0 && !loading && <p className="empty">{sealedAuctions.length === 0 ? 'No sealed-bid auctions' : 'No matching sealed-bid auctions'}</p>}
+          </section>
+
+          {account && myCards.length > 0 && (
+            <section className="section">
+              <h3>My Cards</h3>
+              <div className="card-grid">
+                {myCardsPage.items.map((item) => (
+                  <CardTile
+                    key={item.tokenId}
+                    item={item}
+                    type="mine"
+                    onClick={() => openCard(item)}
+                    watchlist={watchlist}
+                    action={canEvolve(item) && (
+                      <button
+                        onClick={(e) => { e.stopPropagation(); setEvolvingCard(item); }}
+                        className="btn btn-outline card-tile-action"
+                      >
+                        Evolve
+                      </button>
+                    )}
+                    getTypeColor={getTypeColor}
+                    RARITY_LABELS={RARITY_LABELS}
+                  />
+                ))}
+              </div>
+              <Pagination page={myCardsPage.page} pageCount={myCardsPage.pageCount} total={filteredMyCards.length} onChange={setGridPage('myCards')} />
+              {filteredMyCards.length === 0 && <p className="empty">No matching cards</p>}
+            </section>
+          )}
+
+          {account && otherCards.length > 0 && (
+            <section className="section">
+              <h3>Other Collectors&apos; Cards</h3>
+              <div className="card-grid">
+                {filteredOtherCards.map((item) => (
+                  <CardTile
+                    key={item.tokenId}
+                    item={item}
+                    type="owned"
+                    onClick={() => openCard(item)}
+                    watchlist={watchlist}
+                    getTypeColor={getTypeColor}
+                    RARITY_LABELS={RARITY_LABELS}
+                  />
+                ))}
+              </div>
+              {filteredOtherCards.length === 0 && <p className="empty">No matching cards</p>}
+            </section>
+          )}
+
+          {account && pokemonSwap && (
+            <SwapInbox pokemonNFT={pokemonNFT} pokemonSwap={pokemonSwap} account={account} onChanged={refreshAccount} />
+          )}
+
+          {account && (offersMade.length > 0 || offersReceived.length > 0) && (
+            <MyOffers
+              offersMade={offersMade}
+              offersReceived={offersReceived}
+              cards={[...listings.map((c) => ({ ...c, mode: 'listing' })),
+                ...auctions.map((c) => ({ ...c, mode: 'auction' })),
+                ...dutchAuctions.map((c) => ({ ...c, mode: 'dutch' })),
+                ...sealedAuctions.map((c) => ({ ...c, mode: 'sealed' })),
+                ...myCards.map((c) => ({ ...c, mode: 'mine' })),
+                ...otherCards.map((c) => ({ ...c, mode: 'owned' }))]}
+              onSelect={openCard}
+            />
+          )}
+        </>
+      )}
+
+      {selectedCard?.missing && (
+        <div className="modal-overlay" onClick={closeCard}>
+          <div className="modal" onClick={(e) => e.stopPropagation()}>
+            <button className="modal-close" onClick={closeCard}>×</button>
+            <h3>Card not found</h3>
+            <p className="empty">
+              {selectedCard.burned
+                ? `Card #${selectedCard.tokenId + 1} was burned in an evolution.`
+                : `There is no card with token ID ${route.params.tokenId}.`}
+            </p>
+          </div>
+        </div>
       )}
 
-      {selectedCard && (
+      {selectedCard && !selectedCard.missing && (
         <CardDetail
+          key={selectedCard.tokenId}
           card={selectedCard}
-          onClose={() => setSelectedCard(null)}
-          onUpdate={loadData}
+          onClose={closeCard}
+          onUpdate={refreshAccount}
           pokemonNFT={pokemonNFT}
           pokemonTrading={pokemonTrading}
           account={account}
+          dataSource={dataSource}
+          onSelectAddress={openProfile}
+          watchlist={watchlist}
           getTypeColor={getTypeColor}
           RARITY_LABELS={RARITY_LABELS}
         />
       )}
 
+      <MarketAlerts alerts={alerts} onDismiss={dismiss} onSelectCard={(alert) => { dismiss(alert.id); openCard(alert); }} />
+
       {showListModal && (
         <ListCard
           myCards={myCards}
+          account={account}
           onClose={() => setShowListModal(false)}
-          onListed={loadData}
+          onListed={refreshAccount}
           pokemonNFT={pokemonNFT}
           pokemonTrading={pokemonTrading}
         />
       )}
+
+      {evolvingCard && (
+        <EvolveCard
+          card={evolvingCard}
+          myCards={myCards}
+          recipes={recipes}
+          pokemonNFT={pokemonNFT}
+          onClose={() => setEvolvingCard(null)}
+          onEvolved={refreshAccount}
+          onViewCard={(tokenId) => { setEvolvingCard(null); openCard({ tokenId }); }}
+        />
+      )}
+
+      {showSwapModal && (
+        <SwapBuilder
+          myCards={myCards}
+          otherCards={otherCards}
+          onClose={() => setShowSwapModal(false)}
+          onProposed={refreshAccount}
+          pokemonNFT={pokemonNFT}
+          pokemonSwap={pokemonSwap}
+        />
+      )}
     </div>
   );
 }
 
-function CardTile({ item, type, onClick, getTypeColor, RARITY_LABELS }) {
+function CardTile({ item, type, onClick, watchlist, action, getTypeColor, RARITY_LABELS }) {
   const price = item.price ? `${Number(item.price) / 1e18} ETH` : null;
   const bid = item.highestBid ? `${Number(item.highestBid) / 1e18} ETH` : null;
 
@@ -359,6 +667,7 @@ function CardTile({ item, type, onClick, getTypeColor, RARITY_LABELS }) {
       onClick={onClick}
       style={{ '--type-color': getTypeColor(item.pokemonType) }}
     >
+      <WatchButton tokenId={item.tokenId} watchlist={watchlist} className="card-tile-watch" />
       <div className="card-tile-image">
         <CardImage tokenURI={item.tokenURI} alt={item.name} />
       </div>
@@ -373,9 +682,42 @@ function CardTile({ item, type, onClick, getTypeColor, RARITY_LABELS }) {
       {type === 'listing' && price && <div className="card-tile-price">{price}</div>}
       {type === 'auction' && (
         <div className="card-tile-auction">
-          {bid ? `Highest: ${bid}` : 'No bids'}
+          {bid ? `Highest: ${bid}` : 'No bids'} · <Countdown endTime={item.endTime} endedLabel="Ended" />
+        </div>
+      )}
+      {type === 'ended' && (
+        <div className="card-tile-auction">
+          {bid ? `Highest: ${bid}` : 'No bids'} · awaiting settlement
         </div>
       )}
+      {action}
+      {type === 'dutch' && <DutchTilePrice item={item} />}
+      {type === 'sealed' && <SealedTilePhase item={item} />}
+    </div>
+  );
+}
+
+const SEALED_TILE_PHASES = { commit: 'Bidding (sealed)', reveal: 'Revealing', ended: 'Awaiting settlement', settled: 'Settled' };
+
+/** Current phase of a sealed-bid auction for a tile */
+function SealedTilePhase({ item }) {
+  const now = useChainNow();
+  return (
+    <div className="card-tile-auction">
+      {SEALED_TILE_PHASES[getSealedAuctionPhase(item, now)]} · reserve {formatEther(item.reservePrice)} ETH
+    </div>
+  );
+}
+
+/** Live-decaying Dutch auction price for a tile */
+function DutchTilePrice({ item }) {
+  const now = useChainNow();
+  const price = dutchPriceAt(item, now);
+  const atFloor = price === BigInt(item.floorPrice);
+  return (
+    <div className="card-tile-price">
+      {formatEther(price)} ETH
+      <span className="card-tile-dutch">{atFloor ? ' floor' : ' ↓'}</span>
     </div>
   );
 }
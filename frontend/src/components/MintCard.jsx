@@ -1,4 +1,5 @@
 import { useState } from 'react';
+import { isAddress } from 'ethers';
 import { useWeb3 } from '../hooks/useWeb3';
 import { TypeSelect } from './TypeSelect';
 
@@ -11,6 +12,8 @@ export function MintCard() {
   const [defense, setDefense] = useState('');
   const [rarity, setRarity] = useState('');
   const [uri, setUri] = useState('');
+  const [royaltyPercent, setRoyaltyPercent] = useState('');
+  const [royaltyReceiver, setRoyaltyReceiver] = useState('');
   const [txPending, setTxPending] = useState(false);
   const [error, setError] = useState('');
 
@@ -18,22 +21,38 @@ export function MintCard() {
   const attackNum = Math.min(255, Math.max(0, parseInt(attack, 10) || 0));
   const defenseNum = Math.min(255, Math.max(0, parseInt(defense, 10) || 0));
   const rarityNum = Math.min(5, Math.max(1, parseInt(rarity, 10) || 1));
-  const canMint = Boolean(pokemonNFT && account && isCorrectNetwork && isOwner && name.trim());
+  // Royalty in basis points, capped at PokemonNFT.MAX_ROYALTY_BPS (10%)
+  const royaltyBps = Math.min(1000, Math.max(0, Math.round((parseFloat(royaltyPercent) || 0) * 100)));
+  const royaltyReceiverValid = !royaltyReceiver.trim() || isAddress(royaltyReceiver.trim());
+  const canMint = Boolean(pokemonNFT && account && isCorrectNetwork && isOwner && name.trim() && royaltyReceiverValid);
   const handleMint = async () => {
     if (!canMint) return;
     setError('');
     setTxPending(true);
     try {
-      const tx = await pokemonNFT.mint(
-        account,
-        uri,
-        name,
-        pokemonType,
-        hpNum,
-        attackNum,
-        defenseNum,
-        rarityNum
-      );
+      const tx = royaltyBps > 0
+        ? await pokemonNFT.mintWithRoyalty(
+          account,
+          uri,
+          name,
+          pokemonType,
+          hpNum,
+          attackNum,
+          defenseNum,
+          rarityNum,
+          royaltyReceiver.trim() || account,
+          royaltyBps
+        )
+        : await pokemonNFT.mint(
+          account,
+          uri,
+          name,
+          pokemonType,
+          hpNum,
+          attackNum,
+          defenseNum,
+          rarityNum
+        );
       await tx.wait();
       setName('');
       setPokemonType('');
@@ -42,6 +61,8 @@ export function MintCard() {
       setDefense('');
       setRarity('');
       setUri('');
+      setRoyaltyPercent('');
+      setRoyaltyReceiver('');
     } catch (err) {
       const msg = err.shortMessage ?? err.message ?? (typeof err === 'string' ? err : 'Mint failed');
       setError(msg);
@@ -56,7 +77,7 @@ export function MintCard() {
   return (
     <div className="mint-card">
       <h3>Mint Pokemon Card</h3>
-      <p className="hint">Owner only - for demo. HP, Attack, Defense: 0–255. Rarity: 1–5.</p>
+      <p className="hint">Owner only - for demo. HP, Attack, Defense: 0–255. Rarity: 1–5. Royalty: 0–10% (blank uses the default royalty).</p>
       <div className="mint-form">
         <label>
           Name
@@ -83,6 +104,15 @@ export function MintCard() {
           Image URL
           <input value={uri} onChange={(e) => setUri(e.target.value)} />
         </label>
+        <label>
+          Royalty (%)
+          <input type="number" min="0" max="10" step="0.25" placeholder="0" value={royaltyPercent} onChange={(e) => setRoyaltyPercent(e.target.value)} />
+        </label>
+        <label>
+          Royalty receiver
+          <input placeholder="Your address" value={royaltyReceiver} onChange={(e) => setRoyaltyReceiver(e.target.value)} />
+        </label>
+        {!royaltyReceiverValid && <p className="error">Royalty receiver is not a valid address.</p>}
         {!account && <p className="hint">Connect your wallet first.</p>}
         {account && !isCorrectNetwork && <p className="error">Switch to Hardhat Local (Chain ID 31337) to mint.</p>}
         {account && isCorrectNetwork && !pokemonNFT && <p className="error">Contracts not loaded. Restart dev server and refresh the page.</p>}
@@ -0,0 +1,49 @@
+import { formatEther } from 'ethers';
+import { isOfferExpired } from '../utils/offers';
+import { shortenAddress } from '../utils/format';
+import { useChainNow } from '../hooks/useChainTime';
+
+function OfferList({ title, offers, cardsById, onSelect, showOfferer }) {
+  const now = useChainNow(5000);
+  return (
+    <div className="my-offers-list">
+      <h4>{title}</h4>
+      {offers.length === 0 && <p className="empty">None</p>}
+      {offers.map((offer) => {
+        const card = cardsById[offer.tokenId];
+        return (
+          <button
+            key={`${offer.tokenId}:${offer.offerer}`}
+            type="button"
+            className="offer-row offer-row-link"
+            onClick={() => card && onSelect(card)}
+            disabled={!card}
+          >
+            <span className="offer-row-info">
+              <strong>#{offer.tokenId + 1} {card?.name ?? ''}</strong>
+              <span className="hint">
+                {showOfferer && `from ${shortenAddress(offer.offerer)} · `}
+                {isOfferExpired(offer, now) ? 'expired' : `until ${new Date(Number(offer.expiresAt) * 1000).toLocaleString()}`}
+              </span>
+            </span>
+            <span className="price">{formatEther(offer.amount)} ETH</span>
+          </button>
+        );
+      })}
+    </div>
+  );
+}
+
+/** "My Offers" section: offers the account has made and offers received on its cards. Rows open CardDetail. */
+export function MyOffers({ offersMade, offersReceived, cards, onSelect }) {
+  const cardsById = Object.fromEntries(cards.map((c) => [Number(c.tokenId), c]));
+  return (
+    <section className="section">
+      <h3>My Offers</h3>
+      <div className="my-offers">
+        <OfferList title="Made" offers={offersMade} cardsById={cardsById} onSelect={onSelect} />
+        <OfferList title="Received" offers={offersReceived} cardsById={cardsById} onSelect={onSelect} showOfferer />
+      </div>
+    </section>
+  );
+}
@@ -0,0 +1,282 @@
+import { useState, useEffect, useCallback } from 'react';
+import { formatEther, parseEther } from 'ethers';
+import { useWeb3 } from '../hooks/useWeb3';
+import { FilterSelect } from './FilterSelect';
+import { TypeSelect } from './TypeSelect';
+
+const RARITY_LABELS = ['', 'Common', 'Uncommon', 'Rare', 'Epic', 'Legendary'];
+const RARITY_OPTIONS = [1, 2, 3, 4, 5].map((r) => ({ value: String(r), label: `${r} · ${RARITY_LABELS[r]}` }));
+/** BoosterPacks.MAX_CARDS_PER_PACK */
+const MAX_CARDS_PER_PACK = 10;
+const DEFAULT_WEIGHTS = ['60', '25', '10', '4', '1'];
+
+function toStat(value) {
+  return Math.min(255, Math.max(0, parseInt(value, 10) || 0));
+}
+
+function toWeight(value) {
+  return Math.max(0, parseInt(value, 10) || 0);
+}
+
+function parsePrice(value) {
+  try {
+    return parseEther(String(value).trim() || '0');
+  } catch {
+    return 0n;
+  }
+}
+
+/**
+ * BoosterPacks owner tools: create a pack type with rarity weights, fill its card pools while it is a draft,
+ * launch it (which freezes the contents), change a launched pack's price or sale status, and withdraw sales.
+ * @param {{ boosterPacks, packs: Awaited<ReturnType<typeof import('../utils/packs').loadPackTypes>>,
+ *   onChanged: () => void }} props
+ */
+export function PackAdmin({ boosterPacks, packs, onChanged }) {
+  const { account } = useWeb3();
+  const [proceeds, setProceeds] = useState(null);
+  const [txPending, setTxPending] = useState(false);
+  const [error, setError] = useState('');
+  const [packName, setPackName] = useState('');
+  const [packPrice, setPackPrice] = useState('');
+  const [cardsPerPack, setCardsPerPack] = useState('3');
+  const [weights, setWeights] = useState(DEFAULT_WEIGHTS);
+  const [draftId, setDraftId] = useState('');
+  const [rarity, setRarity] = useState('1');
+  const [template, setTemplate] = useState({ name: '', pokemonType: '', uri: '', hp: '', attack: '', defense: '', weight: '1' });
+  const [salePrices, setSalePrices] = useState({});
+
+  const loadProceeds = useCallback(async () => {
+    try {
+      setProceeds(await boosterPacks.proceeds());
+    } catch (err) {
+      console.error('Proceeds load error:', err);
+    }
+  }, [boosterPacks]);
+
+  useEffect(() => {
+    loadProceeds();
+  }, [loadProceeds, packs]);
+
+  const runTx = async (send) => {
+    setError('');
+    setTxPending(true);
+    try {
+      const tx = await send();
+      await tx.wait();
+      onChanged();
+      loadProceeds();
+      return true;
+    } catch (err) {
+      setError(err.shortMessage || err.message || 'Transaction failed');
+      return false;
+    } finally {
+      setTxPending(false);
+    }
+  };
+
+  const drafts = packs.filter((p) => !p.launched);
+  const launched = packs.filter((p) => p.launched);
+  const draft = drafts.find((p) => String(p.id) === draftId) ?? drafts[0];
+  const cardsNum = parseInt(cardsPerPack, 10) || 0;
+  const weightNums = weights.map(toWeight);
+  const canCreate = packName.trim() && parsePrice(packPrice) > 0n && cardsNum >= 1 && cardsNum <= MAX_CARDS_PER_PACK
+    && weightNums.some((w) => w > 0);
+  const canAddTemplate = draft && template.name.trim() && toWeight(template.weight) > 0;
+  // launchPack rejects a rarity that can drop but has no cards
+  const missingRarities = draft ? draft.rarityWeights.flatMap((w, i) => (w > 0 && draft.pools[i].length === 0 ? [i + 1] : [])) : [];
+
+  const handleCreate = async () => {
+    const ok = await runTx(() => boosterPacks.createPackType(packName.trim(), parsePrice(packPrice), cardsNum, weightNums));
+    if (ok) {
+      setPackName('');
+      setPackPrice('');
+      setDraftId(String(packs.length));
+    }
+  };
+
+  const handleAddTemplate = async () => {
+    const ok = await runTx(() => boosterPacks.addCardTemplate(draft.id, Number(rarity), {
+      name: template.name.trim(),
+      pokemonType: template.pokemonType,
+      uri: template.uri.trim(),
+      hp: toStat(template.hp),
+      attack: toStat(template.attack),
+      defense: toStat(template.defense),
+      weight: toWeight(template.weight),
+    }));
+    if (ok) setTemplate((prev) => ({ ...prev, name: '', uri: '', hp: '', attack: '', defense: '' }));
+  };
+
+  const setTemplateField = (field) => (e) => setTemplate((prev) => ({ ...prev, [field]: e.target.value }));
+
+  return (
+    <section className="section">
+      <div className="mint-card pack-admin">
+        <h3>Manage Booster Packs</h3>
+        {error && <p className="error">{error}</p>}
+
+        <div className="modal-price-row">
+          <span className="price-label">Pack sales not withdrawn</span>
+          <span className="price">{proceeds != null ? `${formatEther(proceeds)} ETH` : '-'}</span>
+        </div>
+        <button
+          onClick={() => runTx(() => boosterPacks.withdrawProceeds(account))}
+          disabled={txPending || !proceeds}
+          className="btn btn-outline"
+        >
+          Withdraw to My Wallet
+        </button>
+
+        <h4>New pack type</h4>
+        <div className="mint-form">
+          <label>
+            Name
+            <input value={packName} onChange={(e) => setPackName(e.target.value)} />
+          </label>
+          <label>
+            Price (ETH)
+            <input type="number" min="0" step="0.001" value={packPrice} onChange={(e) => setPackPrice(e.target.value)} />
+          </label>
+          <label>
+            Cards per pack (1-{MAX_CARDS_PER_PACK})
+            <input type="number" min="1" max={MAX_CARDS_PER_PACK} value={cardsPerPack} onChange={(e) => setCardsPerPack(e.target.value)} />
+          </label>
+          <p className="hint">Rarity weights: the relative chance of each rarity per card. 0 means it never drops.</p>
+          <div className="pack-weights">
+            {weights.map((weight, i) => (
+              <label key={i}>
+                {RARITY_LABELS[i + 1]}
+                <input
+                  type="number"
+                  min="0"
+                  value={weight}
+                  onChange={(e) => setWeights((prev) => prev.map((w, j) => (j === i ? e.target.value : w)))}
+                />
+              </label>
+            ))}
+          </div>
+          <button onClick={handleCreate} disabled={txPending || !canCreate} className="btn btn-primary">
+            Create Pack Type
+          </button>
+        </div>
+
+        {draft && (
+          <>
+            <h4>Draft contents</h4>
+            <div className="admin-form">
+              <FilterSelect
+                value={String(draft.id)}
+                onChange={setDraftId}
+                options={drafts.map((p) => ({ value: String(p.id), label: p.name }))}
+              />
+            </div>
+            {draft.pools.map((pool, i) => draft.rarityWeights[i] > 0 && (
+              <div key={i} className="pack-admin-pool">
+                <strong>{RARITY_LABELS[i + 1]}</strong>
+                {pool.length === 0 && <span className="hint"> no cards yet</span>}
+                {pool.map((t, index) => (
+                  <div key={index} className="offer-row">
+                    <div className="offer-row-info">
+                      <span>{t.name} · {t.pokemonType || 'No type'}</span>
+                      <span className="hint">HP {t.hp} | ATK {t.attack} | DEF {t.defense} · weight {t.weight}</span>
+                    </div>
+                    <button
+                      onClick={() => runTx(() => boosterPacks.removeCardTemplate(draft.id, i + 1, index))}
+                      disabled={txPending}
+                      className="btn btn-outline"
+                    >
+                      Remove
+                    </button>
+                  </div>
+                ))}
+              </div>
+            ))}
+
+            <div className="mint-form">
+              <label>
+                Rarity
+                <FilterSelect value={rarity} onChange={setRarity} options={RARITY_OPTIONS} />
+              </label>
+              <label>
+                Name
+                <input value={template.name} onChange={setTemplateField('name')} />
+              </label>
+              <label>
+                Type
+                <TypeSelect value={template.pokemonType} onChange={(pokemonType) => setTemplate((prev) => ({ ...prev, pokemonType }))} />
+              </label>
+              <label>
+                HP <input type="number" min="0" max="255" placeholder="0" value={template.hp} onChange={setTemplateField('hp')} />
+              </label>
+              <label>
+                Attack <input type="number" min="0" max="255" placeholder="0" value={template.attack} onChange={setTemplateField('attack')} />
+              </label>
+              <label>
+                Defense <input type="number" min="0" max="255" placeholder="0" value={template.defense} onChange={setTemplateField('defense')} />
+              </label>
+              <label>
+                Image URL
+                <input value={template.uri} onChange={setTemplateField('uri')} />
+              </label>
+              <label>
+                Weight within rarity
+                <input type="number" min="1" value={template.weight} onChange={setTemplateField('weight')} />
+              </label>
+              <button onClick={handleAddTemplate} disabled={txPending || !canAddTemplate} className="btn btn-outline">
+                Add Card
+              </button>
+            </div>
+
+            {missingRarities.length > 0 && (
+              <p className="hint">Add a card for {missingRarities.map((r) => RARITY_LABELS[r]).join(', ')} to launch.</p>
+            )}
+            <button
+              onClick={() => runTx(() => boosterPacks.launchPack(draft.id))}
+              disabled={txPending || missingRarities.length > 0}
+              className="btn btn-primary"
+            >
+              Launch (freezes contents)
+            </button>
+          </>
+        )}
+
+        {launched.length > 0 && <h4>Launched packs</h4>}
+        {launched.map((pack) => {
+          const input = salePrices[pack.id] ?? '';
+          const price = input ? parsePrice(input) : pack.price;
+          return (
+            <div key={pack.id} className="offer-row">
+              <div className="offer-row-info">
+                <span>{pack.name} · {formatEther(pack.price)} ETH</span>
+                <span className="hint">{pack.onSale ? 'On sale' : 'Off sale'}</span>
+              </div>
+              <input
+                type="number"
+                min="0"
+                step="0.001"
+                placeholder="New price"
+                value={input}
+                onChange={(e) => setSalePrices((prev) => ({ ...prev, [pack.id]: e.target.value }))}
+              />
+              <button
+                onClick={() => runTx(() => boosterPacks.setPackSale(pack.id, price, pack.onSale))}
+                disabled={txPending || !input || price === 0n}
+                className="btn btn-outline"
+              >
+                Set Price
+              </button>
+              <button
+                onClick={() => runTx(() => boosterPacks.setPackSale(pack.id, pack.price, !pack.onSale))}
+                disabled={txPending}
+                className="btn btn-outline"
+              >
+                {pack.onSale ? 'Stop Sale' : 'Resume Sale'}
+              </button>
+            </div>
+          );
+        })}
+      </div>
+    </section>
+  );
+}
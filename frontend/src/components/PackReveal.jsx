@@ -0,0 +1,72 @@
+import { useState } from 'react';
+import { Link } from './Link';
+
+const RARITY_LABELS = ['', 'Common', 'Uncommon', 'Rare', 'Epic', 'Legendary'];
+const TYPE_COLORS = {
+  Fire: '#ff6b35',
+  Water: '#3692dc',
+  Electric: '#ffcb05',
+  Grass: '#5dbd63',
+  Psychic: '#a855f7',
+  Fighting: '#b91c1c',
+  default: '#94a3b8',
+};
+
+/**
+ * Modal showing the cards minted by an opened pack face down; each flips over when clicked, or all at once
+ * with Reveal All. Epic and Legendary pulls get a glow.
+ * @param {{ packName: string, cards: Array<{tokenId: number, name: string, pokemonType: string, hp: number,
+ *   attack: number, defense: number, rarity: number}>, onClose: () => void }} props
+ */
+export function PackReveal({ packName, cards, onClose }) {
+  const [flipped, setFlipped] = useState(() => new Set());
+  const allFlipped = flipped.size === cards.length;
+
+  const flip = (tokenId) => setFlipped((prev) => new Set(prev).add(tokenId));
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal pack-reveal" onClick={(e) => e.stopPropagation()}>
+        <button className="modal-close" onClick={onClose}>×</button>
+        <h3>{packName}</h3>
+        <p className="hint">{allFlipped ? 'Added to My Cards.' : 'Click a card to flip it.'}</p>
+        <div className="pack-reveal-grid">
+          {cards.map((card, i) => {
+            const isFlipped = flipped.has(card.tokenId);
+            return (
+              <button
+                key={card.tokenId}
+                type="button"
+                className={`pack-card ${isFlipped ? 'flipped' : ''} ${card.rarity >= 4 ? 'pack-card-shiny' : ''}`}
+                style={{ '--type-color': TYPE_COLORS[card.pokemonType] || TYPE_COLORS.default, '--deal-delay': `${i * 0.08}s` }}
+                onClick={() => flip(card.tokenId)}
+                aria-label={isFlipped ? `${card.name}, ${RARITY_LABELS[card.rarity]}` : 'Face-down card'}
+              >
+                <span className="pack-card-inner">
+                  <span className="pack-card-back" />
+                  <span className="pack-card-front">
+                    <span className="type-badge">{card.pokemonType}</span>
+                    <span className="pack-card-name">{card.name}</span>
+                    <span className="rarity">{RARITY_LABELS[card.rarity]}</span>
+                    <span className="pack-card-stats">HP {card.hp} | ATK {card.attack} | DEF {card.defense}</span>
+                    <span className="hint">#{card.tokenId + 1}</span>
+                  </span>
+                </span>
+              </button>
+            );
+          })}
+        </div>
+        <div className="modal-actions">
+          {!allFlipped ? (
+            <button onClick={() => setFlipped(new Set(cards.map((c) => c.tokenId)))} className="btn btn-primary">
+              Reveal All
+            </button>
+          ) : (
+            <Link to="/" className="btn btn-outline">Go to My Cards</Link>
+          )}
+          <button onClick={onClose} className="btn btn-outline">Close</button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,17 @@
+/** Previous / next controls under a paged grid; renders nothing for a single page */
+export function Pagination({ page, pageCount, total, onChange }) {
+  if (pageCount <= 1) return null;
+  return (
+    <div className="pagination">
+      <button type="button" className="btn btn-outline" onClick={() => onChange(page - 1)} disabled={page <= 1}>
+        Previous
+      </button>
+      <span className="hint">
+        Page {page} of {pageCount} · {total} cards
+      </span>
+      <button type="button" className="btn btn-outline" onClick={() => onChange(page + 1)} disabled={page >= pageCount}>
+        Next
+      </button>
+    </div>
+  );
+}
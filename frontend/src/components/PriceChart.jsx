@@ -0,0 +1,49 @@
+import { formatEther } from 'ethers';
+
+const WIDTH = 600;
+const HEIGHT = 220;
+const PAD = { top: 16, right: 16, bottom: 28, left: 72 };
+
+function formatDate(seconds) {
+  return new Date(seconds * 1000).toLocaleDateString();
+}
+
+/**
+ * Sale prices over time as an SVG line with one dot per sale; hovering a dot shows the sale.
+ * @param {{ sales: Array<{ txHash: string, tokenId: number, name: string, price: bigint, timestamp: number }> }} props
+ *   sales - oldest first
+ */
+export function PriceChart({ sales }) {
+  if (sales.length === 0) return <p className="empty">No sales match these filters</p>;
+
+  const prices = sales.map((s) => Number(formatEther(s.price)));
+  const maxPrice = Math.max(...prices) || 1;
+  const first = sales[0].timestamp;
+  const last = sales[sales.length - 1].timestamp;
+  const span = last - first || 1;
+  const plotWidth = WIDTH - PAD.left - PAD.right;
+  const plotHeight = HEIGHT - PAD.top - PAD.bottom;
+  // A single sale, or several in one block, sit in the middle instead of on the y-axis
+  const x = (t) => PAD.left + (last === first ? plotWidth / 2 : ((t - first) / span) * plotWidth);
+  const y = (price) => PAD.top + plotHeight - (price / maxPrice) * plotHeight;
+  const points = sales.map((s, i) => `${x(s.timestamp)},${y(prices[i])}`).join(' ');
+
+  return (
+    <svg className="price-chart" viewBox={`0 0 ${WIDTH} ${HEIGHT}`} role="img" aria-label="Sale prices over time">
+      <line className="price-chart-axis" x1={PAD.left} y1={PAD.top} x2={PAD.left} y2={HEIGHT - PAD.bottom} />
+      <line className="price-chart-axis" x1={PAD.left} y1={HEIGHT - PAD.bottom} x2={WIDTH - PAD.right} y2={HEIGHT - PAD.bottom} />
+      <text className="price-chart-label" x={PAD.left - 6} y={PAD.top + 4} textAnchor="end">{maxPrice} ETH</text>
+      <text className="price-chart-label" x={PAD.left - 6} y={HEIGHT - PAD.bottom} textAnchor="end">0</text>
+      <text className="price-chart-label" x={PAD.left} y={HEIGHT - 8}>{formatDate(first)}</text>
+      <text className="price-chart-label" x={WIDTH - PAD.right} y={HEIGHT - 8} textAnchor="end">{formatDate(last)}</text>
+      <polyline className="price-chart-line" points={points} />
+      {sales.map((sale, i) => (
+        <circle key={sale.txHash} className="price-chart-dot" cx={x(sale.timestamp)} cy={y(prices[i])} r="4">
+          <title>
+            #{sale.tokenId + 1} {sale.name}: {prices[i]} ETH, {new Date(sale.timestamp * 1000).toLocaleString()}
+          </title>
+        </circle>
+      ))}
+    </svg>
+  );
+}
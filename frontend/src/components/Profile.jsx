@@ -0,0 +1,198 @@
+import { formatEther, ZeroHash } from 'ethers';
+import { useProfile } from '../hooks/useProfile';
+import { isOfferExpired } from '../utils/offers';
+import { shortenAddress } from '../utils/format';
+import { SALE_MARKET_LABELS } from '../utils/trades';
+import { useChainNow } from '../hooks/useChainTime';
+
+function sameAddress(a, b) {
+  return a?.toLowerCase() === b?.toLowerCase();
+}
+
+function sumBy(items, field) {
+  return items.reduce((sum, item) => sum + item[field], 0n);
+}
+
+function CardRow({ card, detail, amount, onSelect }) {
+  return (
+    <button type="button" className="offer-row offer-row-link" onClick={() => card && onSelect(card)} disabled={!card}>
+      <span className="offer-row-info">
+        <strong>#{Number(card?.tokenId) + 1} {card?.name ?? ''}</strong>
+        {detail && <span className="hint">{detail}</span>}
+      </span>
+      {amount != null && <span className="price">{formatEther(amount)} ETH</span>}
+    </button>
+  );
+}
+
+function ProfileSection({ title, count, empty, children }) {
+  return (
+    <div className="profile-section">
+      <h4>{title}{count != null && ` (${count})`}</h4>
+      {count === 0 ? <p className="empty">{empty}</p> : children}
+    </div>
+  );
+}
+
+/**
+ * Profile page for any address: cards held, cards it has on the market, its live bids and offers,
+ * completed purchases and sales with totals, and pending withdrawals. Rows open CardDetail.
+ * @param {{ address: string, market: {listings, auctions, dutchAuctions, sealedAuctions, myCards, otherCards} }} props
+ *   market - current Marketplace state from useMarketStore
+ */
+export function Profile({ address, market, account, pokemonNFT, pokemonTrading, pokemonSwap, onBack, onSelectCard }) {
+  const { profile, loading, error, reload } = useProfile({ pokemonNFT, pokemonTrading, pokemonSwap, address });
+  const isYou = sameAddress(address, account);
+  const now = useChainNow(5000);
+
+  const { listings, auctions, dutchAuctions, sealedAuctions, myCards, otherCards } = market;
+  const marketEntries = [
+    ...listings.map((c) => ({ ...c, mode: 'listing' })),
+    ...auctions.map((c) => ({ ...c, mode: 'auction' })),
+    ...dutchAuctions.map((c) => ({ ...c, mode: 'dutch' })),
+    ...sealedAuctions.map((c) => ({ ...c, mode: 'sealed' })),
+  ];
+  const allCards = [...myCards.map((c) => ({ ...c, mode: 'mine' })), ...otherCards.map((c) => ({ ...c, mode: 'owned' }))];
+  const heldCards = allCards.filter((c) => sameAddress(c.owner, address));
+  // Escrowed cards open in their market's mode
+  const cardsById = new Map([...allCards, ...marketEntries].map((c) => [Number(c.tokenId), c]));
+  const onMarket = marketEntries.filter((c) => sameAddress(c.seller, address));
+
+  const bids = [];
+  if (profile) {
+    for (const auction of auctions) {
+      const yourBid = profile.bids.get(Number(auction.tokenId));
+      if (yourBid == null) continue;
+      const winning = sameAddress(auction.highestBidder, address);
+      bids.push({
+        card: cardsById.get(Number(auction.tokenId)),
+        amount: yourBid,
+        detail: winning ? 'Auction · Winning' : `Auction · Outbid (highest ${formatEther(auction.highestBid)} ETH)`,
+      });
+    }
+    for (const auction of sealedAuctions) {
+      const bid = profile.sealedBids.get(Number(auction.tokenId));
+      // Commitments from an earlier auction of the same card belong to an older round
+      if (!bid || bid.round !== auction.round) continue;
+      const status = bid.commitment !== ZeroHash
+        ? 'Sealed, not revealed'
+        : sameAddress(auction.highestBidder, address) ? 'Winning' : 'Outbid';
+      bids.push({ card: cardsById.get(Number(auction.tokenId)), amount: bid.deposit, detail: `Sealed-bid auction · ${status} · deposit` });
+    }
+    for (const offer of profile.offersMade) {
+      bids.push({
+        card: cardsById.get(offer.tokenId),
+        amount: offer.amount,
+        detail: `Offer · ${isOfferExpired(offer, now) ? 'Expired' : `until ${new Date(Number(offer.expiresAt) * 1000).toLocaleString()}`}`,
+      });
+    }
+  }
+
+  const trades = profile?.trades ?? [];
+  const purchases = trades.filter((t) => sameAddress(t.buyer, address)).reverse();
+  const sales = trades.filter((t) => sameAddress(t.seller, address)).reverse();
+  const royaltiesEarned = sumBy(trades.filter((t) => sameAddress(t.royaltyReceiver, address)), 'royalty');
+  const earned = sumBy(sales, 'sellerProceeds') + royaltiesEarned;
+  const spent = sumBy(purchases, 'price');
+  const pending = profile ? profile.pendingTrading + profile.pendingSwap : 0n;
+  const tradeDetail = (trade, counterparty) =>
+    `${SALE_MARKET_LABELS[trade.market]} · ${counterparty} ${shortenAddress(counterparty === 'to' ? trade.buyer : trade.seller)} · ${new Date(trade.timestamp * 1000).toLocaleString()}`;
+
+  return (
+    <section className="section profile">
+      <div className="profile-header">
+        <div>
+          <h3>{isYou ? 'My Profile' : `Profile ${shortenAddress(address)}`}</h3>
+          <p className="hint">{address}</p>
+        </div>
+        <div className="header-actions">
+          <button onClick={reload} disabled={loading} className="btn btn-outline">
+            {loading ? 'Loading...' : 'Refresh'}
+          </button>
+          <button onClick={onBack} className="btn btn-outline">Back to Marketplace</button>
+        </div>
+      </div>
+      {error && <p className="error">{error}</p>}
+
+      <div className="profile-stats">
+        <div className="stat-box">
+          <span className="stat-label">Cards</span>
+          <span className="stat-value">{heldCards.length}</span>
+        </div>
+        <div className="stat-box">
+          <span className="stat-label">Sales</span>
+          <span className="stat-value">{sales.length}</span>
+        </div>
+        <div className="stat-box">
+          <span className="stat-label">Purchases</span>
+          <span className="stat-value">{purchases.length}</span>
+        </div>
+        <div className="stat-box">
+          <span className="stat-label">Earned</span>
+          <span className="stat-value">{formatEther(earned)} ETH</span>
+        </div>
+        <div className="stat-box">
+          <span className="stat-label">Spent</span>
+          <span className="stat-value">{formatEther(spent)} ETH</span>
+        </div>
+        <div className="stat-box">
+          <span className="stat-label">Pending</span>
+          <span className="stat-value">{formatEther(pending)} ETH</span>
+        </div>
+      </div>
+      <p className="hint">
+        Earned is sale proceeds after the marketplace fee and royalties{royaltiesEarned > 0n && `, plus ${formatEther(royaltiesEarned)} ETH in royalties received`}.
+        Pending is ETH waiting to be withdrawn from the trading and swap contracts.
+      </p>
+
+      <div className="profile-grid">
+        <ProfileSection title="Cards owned" count={heldCards.length} empty="No cards">
+          {heldCards.map((card) => <CardRow key={card.tokenId} card={card} detail={card.pokemonType} onSelect={onSelectCard} />)}
+        </ProfileSection>
+
+        <ProfileSection title="On the market" count={onMarket.length} empty="Nothing listed or auctioned">
+          {onMarket.map((card) => (
+            <CardRow
+              key={card.tokenId}
+              card={card}
+              detail={{ listing: 'Fixed price', auction: 'Auction', dutch: 'Dutch auction', sealed: 'Sealed-bid auction' }[card.mode]}
+              amount={card.mode === 'listing' ? card.price : card.mode === 'auction' ? card.highestBid : null}
+              onSelect={onSelectCard}
+            />
+          ))}
+        </ProfileSection>
+
+        <ProfileSection title="Active bids and offers" count={profile ? bids.length : null} empty="No active bids">
+          {!profile && <p className="hint">Loading...</p>}
+          {bids.map((bid) => (
+            <CardRow key={`${bid.detail}:${bid.card?.tokenId}`} card={bid.card} detail={bid.detail} amount={bid.amount} onSelect={onSelectCard} />
+          ))}
+        </ProfileSection>
+
+        <ProfileSection title="Purchases" count={profile ? purchases.length : null} empty="No purchases">
+          {purchases.map((trade) => (
+            <CardRow
+              key={trade.txHash}
+              card={cardsById.get(trade.tokenId)}
+              detail={tradeDetail(trade, 'from')}
+              amount={trade.price}
+              onSelect={onSelectCard}
+            />
+          ))}
+        </ProfileSection>
+
+        <ProfileSection title="Sales" count={profile ? sales.length : null} empty="No sales">
+          {sales.map((trade) => (
+            <CardRow
+              key={trade.txHash}
+              card={cardsById.get(trade.tokenId)}
+              detail={`${tradeDetail(trade, 'to')} · received ${formatEther(trade.sellerProceeds)} ETH`}
+              amount={trade.price}
+              onSelect={onSelectCard}
+            />
+          ))}
+        </ProfileSection>
+      </div>
+    </section>
+  );
+}
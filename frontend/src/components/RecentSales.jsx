@@ -0,0 +1,33 @@
+import { formatEther } from 'ethers';
+import { useSales } from '../hooks/useSales';
+
+const STRIP_SIZE = 5;
+
+/** CardDetail strip: the latest sales of any card of the same species (same name) */
+export function RecentSales({ name, tokenId, pokemonNFT, pokemonTrading }) {
+  const { sales } = useSales(pokemonNFT, pokemonTrading);
+  if (!sales) return null;
+  const recent = sales.filter((s) => s.name === name).slice(-STRIP_SIZE).reverse();
+
+  return (
+    <div className="recent-sales">
+      <span className="price-label">Recent {name} sales</span>
+      {recent.length === 0 ? (
+        <p className="hint">No sales yet</p>
+      ) : (
+        <div className="recent-sales-strip">
+          {recent.map((sale) => (
+            <div
+              key={sale.txHash}
+              className={`recent-sale ${sale.tokenId === Number(tokenId) ? 'recent-sale-this' : ''}`}
+              title={sale.tokenId === Number(tokenId) ? 'This card' : `#${sale.tokenId + 1}`}
+            >
+              <span className="price">{formatEther(sale.price)} ETH</span>
+              <span className="hint">{new Date(sale.timestamp * 1000).toLocaleDateString()}</span>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,31 @@
+import { formatEther } from 'ethers';
+import { splitSale } from '../hooks/usePlatformFee';
+
+/**
+ * Marketplace fee and creator royalty deducted from a sale at `price`, and what the seller keeps.
+ * Renders nothing when neither applies.
+ */
+export function SaleBreakdown({ price, feeBps, royalty, seller, sellerLabel = 'Seller receives' }) {
+  const split = splitSale(price, { feeBps, royalty, seller });
+  if (split.fee === 0n && split.royalty === 0n) return null;
+  return (
+    <>
+      {split.fee > 0n && (
+        <div className="modal-price-row">
+          <span className="price-label">Marketplace fee ({Number(feeBps) / 100}%)</span>
+          <span className="royalty-amount">{formatEther(split.fee)} ETH</span>
+        </div>
+      )}
+      {split.royalty > 0n && (
+        <div className="modal-price-row">
+          <span className="price-label">Creator royalty ({Number(royalty.bps) / 100}%)</span>
+          <span className="royalty-amount">{formatEther(split.royalty)} ETH</span>
+        </div>
+      )}
+      <div className="modal-price-row">
+        <span className="price-label">{sellerLabel}</span>
+        <span className="royalty-amount">{formatEther(split.seller)} ETH</span>
+      </div>
+    </>
+  );
+}
@@ -0,0 +1,223 @@
+import { useState, useEffect, useCallback } from 'react';
+import { formatEther, parseEther } from 'ethers';
+import { useChainNow } from '../hooks/useChainTime';
+import { formatDuration, shortenAddress } from '../utils/format';
+import {
+  computeBidCommitment,
+  generateBidNonce,
+  loadSealedBids,
+  saveSealedBid,
+  isSealedBidSaved,
+  vickreyBidKey,
+  getSealedAuctionPhase,
+} from '../utils/sealedBids';
+
+const PHASE_LABELS = {
+  commit: 'Commit phase',
+  reveal: 'Reveal phase',
+  ended: 'Awaiting settlement',
+  settled: 'Settled',
+};
+
+/**
+ * Sealed-bid (Vickrey) auction section of the CardDetail modal: phase and countdown, commit with deposit,
+ * reveal, settle, reclaim of unrevealed deposits, and cancel for the seller before any commitment.
+ */
+export function SealedAuction({ card, account, pokemonTrading, onUpdate, onClose }) {
+  const tradingAddress = pokemonTrading?.target;
+  const bidKey = vickreyBidKey(card.tokenId, card.round);
+  const [bid, setBid] = useState(() => loadSealedBids(tradingAddress, account)[bidKey] ?? null);
+  const [onChainBid, setOnChainBid] = useState(null);
+  const [amount, setAmount] = useState('');
+  const [deposit, setDeposit] = useState('');
+  const [txPending, setTxPending] = useState(false);
+  const [error, setError] = useState('');
+  const now = useChainNow();
+
+  const refresh = useCallback(() => {
+    if (!pokemonTrading || !account) return Promise.resolve();
+    return pokemonTrading.sealedBids(card.tokenId, account)
+      .then(setOnChainBid)
+      .catch(() => {});
+  }, [pokemonTrading, account, card.tokenId]);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  const runTx = async (send, { close = false } = {}) => {
+    setError('');
+    setTxPending(true);
+    try {
+      const tx = await send();
+      await tx.wait();
+      onUpdate();
+      if (close) onClose();
+      else await refresh();
+      return true;
+    } catch (err) {
+      setError(err.shortMessage || err.message || 'Transaction failed');
+      return false;
+    } finally {
+      setTxPending(false);
+    }
+  };
+
+  /** Save amount + nonce locally before sending so the bid can always be revealed */
+  const handleCommit = async () => {
+    const amountWei = parseEther(amount);
+    const depositWei = deposit ? parseEther(deposit) : amountWei;
+    const nonce = generateBidNonce();
+    const record = {
+      amount: amountWei.toString(),
+      nonce,
+      commitment: computeBidCommitment(account, card.tokenId, amountWei, nonce),
+      committedAt: Date.now(),
+      revealed: false,
+    };
+    const previous = bid;
+    saveSealedBid(tradingAddress, account, bidKey, record);
+    if (!isSealedBidSaved(tradingAddress, account, bidKey, record)) {
+      setError('Could not save the bid secret in this browser, so the bid was not sent');
+      return;
+    }
+    setBid(record);
+    const ok = await runTx(() => pokemonTrading.commitSealedBid(card.tokenId, record.commitment, { value: depositWei }));
+    if (ok) {
+      setAmount('');
+      setDeposit('');
+    } else {
+      saveSealedBid(tradingAddress, account, bidKey, previous);
+      setBid(previous);
+    }
+  };
+
+  const handleReveal = async () => {
+    const ok = await runTx(() => pokemonTrading.revealSealedBid(card.tokenId, BigInt(bid.amount), bid.nonce));
+    if (ok) {
+      const record = { ...bid, revealed: true };
+      saveSealedBid(tradingAddress, account, bidKey, record);
+      setBid(record);
+    }
+  };
+
+  const handleSettle = () => runTx(() => pokemonTrading.settleSealedAuction(card.tokenId), { close: true });
+
+  const handleCancel = () => runTx(() => pokemonTrading.cancelSealedAuction(card.tokenId), { close: true });
+
+  const handleReclaim = async () => {
+    const ok = await runTx(() => pokemonTrading.reclaimSealedDeposit(card.tokenId));
+    if (ok) {
+      saveSealedBid(tradingAddress, account, bidKey, null);
+      setBid(null);
+    }
+  };
+
+  const phase = getSealedAuctionPhase(card, now);
+  const phaseEnd = phase === 'commit' ? Number(card.commitEnd) : Number(card.revealEnd);
+  const isSeller = account && card.seller?.toLowerCase() === account.toLowerCase();
+  const isLeader = account && card.highestBidder?.toLowerCase() === account.toLowerCase();
+  const hasLeader = card.highestBidder && BigInt(card.highestBid) > 0n;
+  const clearingPrice = BigInt(card.secondBid) > BigInt(card.reservePrice) ? card.secondBid : card.reservePrice;
+  const isCurrentRound = onChainBid && onChainBid.round === BigInt(card.round);
+  const committedOnChain = isCurrentRound && bid && onChainBid.commitment.toLowerCase() === bid.commitment.toLowerCase();
+  const canReclaim = onChainBid && onChainBid.deposit > 0n &&
+    (!isCurrentRound || (phase !== 'commit' && phase !== 'reveal' && !isLeader));
+  const amountValid = amount && parseFloat(amount) > 0;
+  const depositValid = !deposit || parseFloat(deposit) >= parseFloat(amount);
+
+  return (
+    <div className="modal-actions">
+      <div className="modal-auction-info">
+        <div className="modal-price-row">
+          <span className="price-label">Phase</span>
+          <span className={`sealed-phase sealed-phase-${phase}`}>{PHASE_LABELS[phase]}</span>
+        </div>
+        {(phase === 'commit' || phase === 'reveal') && (
+          <div className="modal-price-row">
+            <span className="price-label">{phase === 'commit' ? 'Reveal opens in' : 'Reveal closes in'}</span>
+            <span className="price">{formatDuration(phaseEnd - now)}</span>
+          </div>
+        )}
+        <div className="modal-price-row">
+          <span className="price-label">Reserve price</span>
+          <span className="price">{formatEther(card.reservePrice)} ETH</span>
+        </div>
+        <div className="modal-price-row">
+          <span className="price-label">Sealed bids</span>
+          <span className="royalty-amount">{Number(card.bidCount)}</span>
+        </div>
+        {phase !== 'commit' && hasLeader && (
+          <>
+            <div className="modal-price-row">
+              <span className="price-label">Leading bidder</span>
+              <span className="royalty-amount">{isLeader ? 'You' : shortenAddress(card.highestBidder)}</span>
+            </div>
+            <div className="modal-price-row">
+              <span className="price-label">Price (second bid)</span>
+              <span className="price">{formatEther(clearingPrice)} ETH</span>
+            </div>
+          </>
+        )}
+      </div>
+
+      {error && <p className="error">{error}</p>}
+
+      {account && !isSeller && phase === 'commit' && !committedOnChain && (
+        <>
+          <p className="hint">
+            Bids stay hidden until the reveal phase. Deposit at least your bid; a larger deposit hides the amount.
+            The amount and secret are kept in this browser.
+          </p>
+          <input
+            type="text"
+            placeholder="Bid amount (ETH)"
+            value={amount}
+            onChange={(e) => setAmount(e.target.value)}
+          />
+          <input
+            type="text"
+            placeholder="Deposit (ETH, defaults to bid)"
+            value={deposit}
+            onChange={(e) => setDeposit(e.target.value)}
+          />
+          <button onClick={handleCommit} disabled={txPending || !amountValid || !depositValid} className="btn btn-primary">
+            {txPending ? 'Confirming...' : 'Commit Sealed Bid'}
+          </button>
+        </>
+      )}
+
+      {committedOnChain && (
+        <div className="modal-price-row">
+          <span className="price-label">Your bid / deposit</span>
+          <span className="price">{formatEther(bid.amount)} / {formatEther(onChainBid.deposit)} ETH</span>
+        </div>
+      )}
+      {committedOnChain && phase === 'commit' && <p className="hint">Come back in the reveal phase to reveal your bid.</p>}
+      {committedOnChain && phase === 'reveal' && (
+        <button onClick={handleReveal} disabled={txPending} className="btn btn-primary">
+          {txPending ? 'Confirming...' : 'Reveal Bid'}
+        </button>
+      )}
+      {bid?.revealed && <p className="hint">Your bid is revealed. Outbid deposits are credited to your balance.</p>}
+
+      {canReclaim && (
+        <button onClick={handleReclaim} disabled={txPending} className="btn btn-outline">
+          {txPending ? 'Confirming...' : `Reclaim ${formatEther(onChainBid.deposit)} ETH Deposit`}
+        </button>
+      )}
+
+      {phase === 'ended' && (
+        <button onClick={handleSettle} disabled={txPending} className="btn btn-primary">
+          {txPending ? 'Confirming...' : 'Settle Auction'}
+        </button>
+      )}
+
+      {isSeller && phase === 'commit' && Number(card.bidCount) === 0 && (
+        <button onClick={handleCancel} disabled={txPending} className="btn btn-outline">
+          {txPending ? 'Confirming...' : 'Cancel Auction'}
+        </button>
+      )}
+    </div>
+  );
+}
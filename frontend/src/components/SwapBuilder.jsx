@@ -0,0 +1,142 @@
+import { useState, useEffect } from 'react';
+import { parseEther, isAddress } from 'ethers';
+import { FilterSelect } from './FilterSelect';
+import { shortenAddress } from '../utils/format';
+
+function useLockBodyScroll(locked) {
+  useEffect(() => {
+    if (locked) {
+      const prev = document.body.style.overflow;
+      document.body.style.overflow = 'hidden';
+      return () => { document.body.style.overflow = prev; };
+    }
+  }, [locked]);
+}
+
+const MAX_TOKENS_PER_SIDE = 10;
+
+function toggle(ids, tokenId) {
+  return ids.includes(tokenId) ? ids.filter((id) => id !== tokenId) : [...ids, tokenId];
+}
+
+/** Modal to propose a card-for-card swap: pick cards from "My Cards", a counterparty and the cards wanted from them */
+export function SwapBuilder({ myCards, otherCards, onClose, onProposed, pokemonNFT, pokemonSwap }) {
+  useLockBodyScroll(true);
+  const [counterparty, setCounterparty] = useState('');
+  const [offered, setOffered] = useState([]);
+  const [requested, setRequested] = useState([]);
+  const [eth, setEth] = useState('');
+  const [txPending, setTxPending] = useState(false);
+  const [error, setError] = useState('');
+
+  const owners = [...new Set(otherCards.map((c) => c.owner))];
+  const theirCards = otherCards.filter((c) => c.owner.toLowerCase() === counterparty.toLowerCase());
+
+  const handleCounterparty = (addr) => {
+    setCounterparty(addr);
+    setRequested([]);
+  };
+
+  const handlePropose = async () => {
+    if (!pokemonSwap || !pokemonNFT) return;
+    setError('');
+    setTxPending(true);
+    try {
+      const swapAddress = await pokemonSwap.getAddress();
+      for (const tokenId of offered) {
+        const approveTx = await pokemonNFT.approve(swapAddress, tokenId);
+        await approveTx.wait();
+      }
+      const tx = await pokemonSwap.proposeSwap(counterparty, offered, requested, {
+        value: eth ? parseEther(eth) : 0n,
+      });
+      await tx.wait();
+      onProposed();
+      onClose();
+    } catch (err) {
+      setError(err.shortMessage || err.message || 'Transaction failed');
+    } finally {
+      setTxPending(false);
+    }
+  };
+
+  const ethValid = !eth || parseFloat(eth) >= 0;
+  const canSubmit =
+    isAddress(counterparty) &&
+    requested.length > 0 &&
+    (offered.length > 0 || parseFloat(eth) > 0) &&
+    offered.length <= MAX_TOKENS_PER_SIDE &&
+    requested.length <= MAX_TOKENS_PER_SIDE &&
+    ethValid;
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal modal-swap" onClick={(e) => e.stopPropagation()}>
+        <button className="modal-close" onClick={onClose}>×</button>
+        <h3>Propose Swap</h3>
+
+        <div className="list-form">
+          <label>
+            Trade with
+            <FilterSelect
+              value={counterparty}
+              onChange={handleCounterparty}
+              placeholder="Pick a collector"
+              options={owners.map((o) => ({ value: o, label: shortenAddress(o) }))}
+            />
+          </label>
+          <label>
+            Or paste an address
+            <input
+              type="text"
+              placeholder="0x..."
+              value={counterparty}
+              onChange={(e) => handleCounterparty(e.target.value.trim())}
+            />
+          </label>
+        </div>
+
+        <h4 className="swap-side-title">You give ({offered.length}/{MAX_TOKENS_PER_SIDE})</h4>
+        {myCards.length === 0 && <p className="hint">You have no cards to offer; add ETH instead.</p>}
+        <div className="card-select">
+          {myCards.map((c) => (
+            <button
+              key={c.tokenId}
+              className={`card-option ${offered.includes(c.tokenId) ? 'selected' : ''}`}
+              onClick={() => setOffered(toggle(offered, c.tokenId))}
+            >
+              #{Number(c.tokenId) + 1} {c.name}
+            </button>
+          ))}
+        </div>
+        <div className="list-form">
+          <label>
+            Plus ETH (optional)
+            <input type="text" placeholder="0" value={eth} onChange={(e) => setEth(e.target.value)} />
+          </label>
+        </div>
+
+        <h4 className="swap-side-title">You get ({requested.length}/{MAX_TOKENS_PER_SIDE})</h4>
+        {isAddress(counterparty) && theirCards.length === 0 && (
+          <p className="hint">No unlisted cards found for this address.</p>
+        )}
+        <div className="card-select">
+          {theirCards.map((c) => (
+            <button
+              key={c.tokenId}
+              className={`card-option ${requested.includes(c.tokenId) ? 'selected' : ''}`}
+              onClick={() => setRequested(toggle(requested, c.tokenId))}
+            >
+              #{Number(c.tokenId) + 1} {c.name}
+            </button>
+          ))}
+        </div>
+
+        {error && <p className="error">{error}</p>}
+        <button onClick={handlePropose} disabled={txPending || !canSubmit} className="btn btn-primary">
+          {txPending ? 'Confirming...' : 'Propose Swap'}
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,145 @@
+import { useState, useEffect, useCallback } from 'react';
+import { formatEther } from 'ethers';
+import { shortenAddress } from '../utils/format';
+
+/** PokemonSwap.SwapStatus.Open */
+const SWAP_OPEN = 1n;
+
+async function loadOpenSwaps(pokemonSwap, ids) {
+  const swaps = await Promise.all(ids.map(async (id) => ({ id, ...(await pokemonSwap.getSwap(id)).toObject() })));
+  return swaps.filter((s) => s.status === SWAP_OPEN).reverse();
+}
+
+function TokenList({ tokenIds, names }) {
+  return tokenIds.length === 0
+    ? <span className="hint">no cards</span>
+    : tokenIds.map((id) => (
+      <span key={id} className="swap-token">#{Number(id) + 1} {names[Number(id)] ?? ''}</span>
+    ));
+}
+
+/** Incoming and outgoing open swap proposals for the connected account, with accept / decline / cancel */
+export function SwapInbox({ pokemonNFT, pokemonSwap, account, onChanged }) {
+  const [incoming, setIncoming] = useState([]);
+  const [outgoing, setOutgoing] = useState([]);
+  const [names, setNames] = useState({});
+  const [pendingId, setPendingId] = useState(null);
+  const [error, setError] = useState('');
+
+  const refresh = useCallback(async () => {
+    if (!pokemonSwap || !pokemonNFT || !account) return;
+    try {
+      const [inIds, outIds] = await Promise.all([
+        pokemonSwap.getSwapIdsByCounterparty(account),
+        pokemonSwap.getSwapIdsByProposer(account),
+      ]);
+      const [inSwaps, outSwaps] = await Promise.all([
+        loadOpenSwaps(pokemonSwap, [...inIds]),
+        loadOpenSwaps(pokemonSwap, [...outIds]),
+      ]);
+      const tokenIds = new Set();
+      for (const s of [...inSwaps, ...outSwaps]) {
+        for (const id of [...s.offeredTokenIds, ...s.requestedTokenIds]) tokenIds.add(Number(id));
+      }
+      // pokemonCards rather than getCard: a requested card may have been burned in an evolution since
+      const entries = await Promise.all(
+        [...tokenIds].map(async (id) => [id, (await pokemonNFT.pokemonCards(id)).name])
+      );
+      setNames(Object.fromEntries(entries));
+      setIncoming(inSwaps);
+      setOutgoing(outSwaps);
+    } catch (err) {
+      console.error('Swaps load error:', err);
+    }
+  }, [pokemonNFT, pokemonSwap, account]);
+
+  useEffect(() => {
+    refresh();
+    if (!pokemonSwap) return;
+    const onSwapEvent = () => refresh();
+    pokemonSwap.on('SwapProposed', onSwapEvent);
+    pokemonSwap.on('SwapAccepted', onSwapEvent);
+    pokemonSwap.on('SwapCancelled', onSwapEvent);
+    return () => {
+      pokemonSwap.off('SwapProposed', onSwapEvent);
+      pokemonSwap.off('SwapAccepted', onSwapEvent);
+      pokemonSwap.off('SwapCancelled', onSwapEvent);
+    };
+  }, [pokemonSwap, refresh]);
+
+  const runTx = async (swapId, send) => {
+    setError('');
+    setPendingId(swapId);
+    try {
+      const tx = await send();
+      await tx.wait();
+      await refresh();
+      onChanged();
+    } catch (err) {
+      setError(err.shortMessage || err.message || 'Transaction failed');
+    } finally {
+      setPendingId(null);
+    }
+  };
+
+  const handleAccept = (swap) => runTx(swap.id, async () => {
+    const swapAddress = await pokemonSwap.getAddress();
+    for (const tokenId of swap.requestedTokenIds) {
+      const approveTx = await pokemonNFT.approve(swapAddress, tokenId);
+      await approveTx.wait();
+    }
+    return pokemonSwap.acceptSwap(swap.id);
+  });
+
+  const handleCancel = (swap) => runTx(swap.id, () => pokemonSwap.cancelSwap(swap.id));
+
+  if (incoming.length === 0 && outgoing.length === 0) return null;
+
+  const renderSwap = (swap, isIncoming) => (
+    <div key={String(swap.id)} className="swap-row">
+      <div className="swap-row-sides">
+        <div>
+          <span className="price-label">{isIncoming ? 'You get' : 'You give'}</span>
+          <TokenList tokenIds={swap.offeredTokenIds} names={names} />
+          {swap.ethAmount > 0n && <span className="swap-token">+ {formatEther(swap.ethAmount)} ETH</span>}
+        </div>
+        <div>
+          <span className="price-label">{isIncoming ? 'You give' : 'You get'}</span>
+          <TokenList tokenIds={swap.requestedTokenIds} names={names} />
+        </div>
+      </div>
+      <span className="hint">
+        {isIncoming ? `From ${shortenAddress(swap.proposer)}` : `To ${shortenAddress(swap.counterparty)}`}
+      </span>
+      <div className="swap-row-actions">
+        {isIncoming && (
+          <button onClick={() => handleAccept(swap)} disabled={pendingId != null} className="btn btn-primary">
+            {pendingId === swap.id ? 'Confirming...' : 'Accept'}
+          </button>
+        )}
+        <button onClick={() => handleCancel(swap)} disabled={pendingId != null} className="btn btn-outline">
+          {isIncoming ? 'Decline' : 'Cancel'}
+        </button>
+      </div>
+    </div>
+  );
+
+  return (
+    <section className="section">
+      <h3>Swaps</h3>
+      {error && <p className="error">{error}</p>}
+      <div className="my-offers">
+        <div className="my-offers-list">
+          <h4>Incoming</h4>
+          {incoming.length === 0 && <p className="empty">None</p>}
+          {incoming.map((s) => renderSwap(s, true))}
+        </div>
+        <div className="my-offers-list">
+          <h4>Outgoing</h4>
+          {outgoing.length === 0 && <p className="empty">None</p>}
+          {outgoing.map((s) => renderSwap(s, false))}
+        </div>
+      </div>
+    </section>
+  );
+}
@@ -0,0 +1,19 @@
+/** Star toggling a card on the account's watchlist; clicks do not reach the tile or modal underneath */
+export function WatchButton({ tokenId, watchlist, className = '' }) {
+  if (!watchlist?.enabled) return null;
+  const watched = watchlist.isWatched(tokenId);
+  return (
+    <button
+      type="button"
+      className={`watch-button ${watched ? 'watched' : ''} ${className}`}
+      onClick={(e) => {
+        e.stopPropagation();
+        watchlist.toggle(tokenId);
+      }}
+      aria-pressed={watched}
+      title={watched ? 'Remove from watchlist' : 'Add to watchlist'}
+    >
+      {watched ? '★' : '☆'}
+    </button>
+  );
+}
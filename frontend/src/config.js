@@ -8,4 +8,12 @@ export const CONFIG = {
   // Update these after deployment
   pokemonNFTAddress: import.meta.env.VITE_POKEMON_NFT_ADDRESS || '',
   pokemonTradingAddress: import.meta.env.VITE_POKEMON_TRADING_ADDRESS || '',
+  // Optional: card-for-card swaps are hidden when unset
+  pokemonSwapAddress: import.meta.env.VITE_POKEMON_SWAP_ADDRESS || '',
+  // Optional: booster pack sales; the Packs page is hidden when unset
+  boosterPacksAddress: import.meta.env.VITE_BOOSTER_PACKS_ADDRESS || '',
+  // Optional: card battles; the Battles page is hidden when unset
+  pokemonBattleAddress: import.meta.env.VITE_POKEMON_BATTLE_ADDRESS || '',
+  // Optional: event indexer API (npm run indexer); enables the "Indexer" data source in Marketplace
+  indexerUrl: import.meta.env.VITE_INDEXER_URL || '',
 };
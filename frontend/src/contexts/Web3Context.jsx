@@ -2,6 +2,9 @@ import { createContext, useContext, useState, useEffect, useCallback } from 'rea
 import { BrowserProvider, Contract } from 'ethers';
 import PokemonNFTArtifact from '../../../artifacts/contracts/PokemonNFT.sol/PokemonNFT.json';
 import PokemonTradingArtifact from '../../../artifacts/contracts/PokemonTrading.sol/PokemonTrading.json';
+import PokemonSwapArtifact from '../../../artifacts/contracts/PokemonSwap.sol/PokemonSwap.json';
+import BoosterPacksArtifact from '../../../artifacts/contracts/BoosterPacks.sol/BoosterPacks.json';
+import PokemonBattleArtifact from '../../../artifacts/contracts/PokemonBattle.sol/PokemonBattle.json';
 import { CONFIG } from '../config';
 
 const Web3Context = createContext(null);
@@ -14,6 +17,9 @@ export function Web3Provider({ children }) {
   const [error, setError] = useState(null);
   const [pokemonNFT, setPokemonNFT] = useState(null);
   const [pokemonTrading, setPokemonTrading] = useState(null);
+  const [pokemonSwap, setPokemonSwap] = useState(null);
+  const [boosterPacks, setBoosterPacks] = useState(null);
+  const [pokemonBattle, setPokemonBattle] = useState(null);
   const [isOwner, setIsOwner] = useState(false);
   const [isConnecting, setIsConnecting] = useState(false);
 
@@ -42,6 +48,15 @@ export function Web3Provider({ children }) {
           new Contract(CONFIG.pokemonTradingAddress, PokemonTradingArtifact.abi, sig)
         );
       }
+      if (CONFIG.pokemonSwapAddress) {
+        setPokemonSwap(new Contract(CONFIG.pokemonSwapAddress, PokemonSwapArtifact.abi, sig));
+      }
+      if (CONFIG.boosterPacksAddress) {
+        setBoosterPacks(new Contract(CONFIG.boosterPacksAddress, BoosterPacksArtifact.abi, sig));
+      }
+      if (CONFIG.pokemonBattleAddress) {
+        setPokemonBattle(new Contract(CONFIG.pokemonBattleAddress, PokemonBattleArtifact.abi, sig));
+      }
     } catch (err) {
       setError(err.message || 'Failed to connect');
       console.error(err);
@@ -57,6 +72,9 @@ export function Web3Provider({ children }) {
     setChainId(null);
     setPokemonNFT(null);
     setPokemonTrading(null);
+    setPokemonSwap(null);
+    setBoosterPacks(null);
+    setPokemonBattle(null);
     setIsOwner(false);
   }, []);
 
@@ -70,6 +88,17 @@ export function Web3Provider({ children }) {
       .catch(() => setIsOwner(false));
   }, [pokemonNFT, account]);
 
+  /** Re-read PokemonNFT ownership, e.g. after transferOwnership */
+  const refreshOwner = useCallback(async () => {
+    if (!pokemonNFT || !account) return;
+    try {
+      const owner = await pokemonNFT.owner();
+      setIsOwner(owner?.toLowerCase() === account.toLowerCase());
+    } catch {
+      setIsOwner(false);
+    }
+  }, [pokemonNFT, account]);
+
   useEffect(() => {
     if (!window.ethereum) return;
     const handleAccountsChanged = (accounts) => {
@@ -92,11 +121,15 @@ export function Web3Provider({ children }) {
     chainId,
     pokemonNFT,
     pokemonTrading,
+    pokemonSwap,
+    boosterPacks,
+    pokemonBattle,
     error,
     connect,
     disconnect,
     isCorrectNetwork: chainId === CONFIG.chainId,
     isOwner,
+    refreshOwner,
     isConnecting,
   };
 
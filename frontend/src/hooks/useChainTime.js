@@ -0,0 +1,69 @@
+import { useState, useEffect, useSyncExternalStore } from 'react';
+
+// Seconds the chain's clock is ahead of this machine's, from the latest block seen
+let offset = 0;
+const listeners = new Set();
+
+function setOffset(next) {
+  if (next === offset) return;
+  offset = next;
+  for (const listener of listeners) listener();
+}
+
+function subscribe(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+const getOffset = () => offset;
+
+/** Chain time right now in Unix seconds, for code outside render (timers, event handlers) */
+export function chainNow() {
+  return Date.now() / 1000 + offset;
+}
+
+/**
+ * Keep the shared chain clock in step with `provider`: each new block's timestamp resets the offset between
+ * block time and local time. Local devnets that fast-forward time (evm_increaseTime) or a skewed system clock
+ * would otherwise make countdowns disagree with what the contracts enforce. Mount once near the root.
+ */
+export function useChainClock(provider) {
+  useEffect(() => {
+    if (!provider) return;
+    let active = true;
+    const sync = async (blockTag, aheadOnly = false) => {
+      try {
+        const block = await provider.getBlock(blockTag);
+        if (!active || !block) return;
+        const next = Math.round(Number(block.timestamp) - Date.now() / 1000);
+        if (next > 0 || !aheadOnly) setOffset(next);
+      } catch (err) {
+        console.error('Chain time error:', err);
+      }
+    };
+    const onBlock = (blockNumber) => sync(blockNumber);
+    // The latest block may be old on an idle devnet; only trust it when it is ahead of local time
+    sync('latest', true);
+    provider.on('block', onBlock);
+    return () => {
+      active = false;
+      provider.off('block', onBlock);
+    };
+  }, [provider]);
+}
+
+/**
+ * Current chain time in Unix seconds (local time plus the offset tracked by useChainClock), re-rendering every
+ * `intervalMs`. Use it wherever a deadline the contract checks against `block.timestamp` is shown.
+ * @param {number} [intervalMs=1000] - Tick interval
+ * @returns {number}
+ */
+export function useChainNow(intervalMs = 1000) {
+  const chainOffset = useSyncExternalStore(subscribe, getOffset);
+  const [localNow, setLocalNow] = useState(() => Date.now() / 1000);
+  useEffect(() => {
+    const id = setInterval(() => setLocalNow(Date.now() / 1000), intervalMs);
+    return () => clearInterval(id);
+  }, [intervalMs]);
+  return localNow + chainOffset;
+}
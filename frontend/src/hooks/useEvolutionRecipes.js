@@ -0,0 +1,35 @@
+import { useState, useEffect } from 'react';
+import { loadEvolutionRecipes } from '../utils/evolution';
+
+/**
+ * Read PokemonNFT's evolution recipes, reloading when the owner adds or toggles one.
+ * @param {import('ethers').Contract} pokemonNFT - NFT contract instance
+ * @returns {Awaited<ReturnType<typeof loadEvolutionRecipes>>} Empty while loading
+ */
+export function useEvolutionRecipes(pokemonNFT) {
+  const [recipes, setRecipes] = useState([]);
+  // Bumped by recipe events to trigger a reload
+  const [version, setVersion] = useState(0);
+
+  useEffect(() => {
+    if (!pokemonNFT) return;
+    let cancelled = false;
+    loadEvolutionRecipes(pokemonNFT)
+      .then((loaded) => { if (!cancelled) setRecipes(loaded); })
+      .catch((err) => console.error('Evolution recipes load error:', err));
+    return () => { cancelled = true; };
+  }, [pokemonNFT, version]);
+
+  useEffect(() => {
+    if (!pokemonNFT) return;
+    const onRecipeChange = () => setVersion((v) => v + 1);
+    pokemonNFT.on('EvolutionRecipeAdded', onRecipeChange);
+    pokemonNFT.on('EvolutionRecipeActiveSet', onRecipeChange);
+    return () => {
+      pokemonNFT.off('EvolutionRecipeAdded', onRecipeChange);
+      pokemonNFT.off('EvolutionRecipeActiveSet', onRecipeChange);
+    };
+  }, [pokemonNFT]);
+
+  return recipes;
+}
@@ -0,0 +1,136 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { formatEther } from 'ethers';
+import { findMarketCard } from '../utils/marketStore';
+import { chainNow } from './useChainTime';
+
+/** Warn this long before a watched or bid-on auction ends */
+const ENDING_SOON_SECONDS = 5 * 60;
+const ENDING_CHECK_MS = 15000;
+/** In-app alerts kept on screen; older ones drop off */
+const MAX_ALERTS = 5;
+
+const ALERT_EVENTS = ['BidPlaced', 'CardSold', 'AuctionSettled', 'CardListed'];
+
+function browserPermission() {
+  return typeof Notification === 'undefined' ? 'unsupported' : Notification.permission;
+}
+
+/**
+ * Alerts for the connected account, raised from live trading events:
+ *  - outbid: someone else bid on an auction the account was leading
+ *  - ending: a watched or bid-on auction ends within five minutes
+ *  - listed: a watched card was listed at or below its alert price (any price when none is set)
+ *  - sold / won: a watched card sold, or the account won an auction
+ * Each alert is shown in-app and, once permission is granted, as a browser notification.
+ * @param {{ pokemonTrading, account?: string, market, watchlist: ReturnType<typeof import('./useWatchlist').useWatchlist> }} options
+ * @returns {{ alerts: Array<{id: string, tokenId: number, message: string}>, dismiss: (id) => void,
+ *   permission: NotificationPermission | 'unsupported', requestPermission: () => Promise<void> }}
+ */
+export function useMarketAlerts({ pokemonTrading, account, market, watchlist }) {
+  const [alerts, setAlerts] = useState([]);
+  const [permission, setPermission] = useState(browserPermission);
+  // Handlers read the latest market and watchlist without resubscribing on every change
+  const marketRef = useRef(market);
+  const watchRef = useRef(watchlist.entries);
+  // Highest bidder per auction as of the last BidPlaced seen; the store applies events after a debounce
+  const leadersRef = useRef(new Map());
+  const sentRef = useRef(new Set());
+  useEffect(() => {
+    marketRef.current = market;
+    watchRef.current = watchlist.entries;
+  }, [market, watchlist.entries]);
+
+  const raise = useCallback((id, tokenId, message) => {
+    if (sentRef.current.has(id)) return;
+    sentRef.current.add(id);
+    setAlerts((prev) => [{ id, tokenId, message }, ...prev].slice(0, MAX_ALERTS));
+    if (browserPermission() === 'granted') {
+      try {
+        new Notification('PokeOne', { body: message, tag: id });
+      } catch (err) {
+        console.error('Notification error:', err);
+      }
+    }
+  }, []);
+
+  useEffect(() => {
+    if (!pokemonTrading || !account) return;
+    const lowerAccount = account.toLowerCase();
+    const isMe = (address) => address?.toLowerCase() === lowerAccount;
+    const cardName = (tokenId) => {
+      const card = findMarketCard(marketRef.current, tokenId);
+      return card ? `${card.name} #${tokenId + 1}` : `#${tokenId + 1}`;
+    };
+    const isWatched = (tokenId) => Boolean(watchRef.current[String(tokenId)]);
+    leadersRef.current = new Map();
+
+    const handlers = {
+      BidPlaced: (tokenId, bidder, amount, id) => {
+        const auction = marketRef.current.auctions.find((a) => a.tokenId === tokenId);
+        const previous = leadersRef.current.get(tokenId) ?? auction?.highestBidder;
+        leadersRef.current.set(tokenId, bidder);
+        if (isMe(previous) && !isMe(bidder)) {
+          raise(id, tokenId, `You were outbid on ${cardName(tokenId)}: ${formatEther(amount)} ETH`);
+        }
+      },
+      CardSold: (tokenId, buyer, price, id) => {
+        if (isWatched(tokenId) && !isMe(buyer)) raise(id, tokenId, `Watched ${cardName(tokenId)} sold for ${formatEther(price)} ETH`);
+      },
+      AuctionSettled: (tokenId, winner, amount, id) => {
+        if (isMe(winner)) raise(id, tokenId, `You won ${cardName(tokenId)} for ${formatEther(amount)} ETH`);
+        else if (isWatched(tokenId)) raise(id, tokenId, `Auction for watched ${cardName(tokenId)} settled at ${formatEther(amount)} ETH`);
+      },
+      CardListed: (tokenId, seller, price, id) => {
+        const entry = watchRef.current[String(tokenId)];
+        if (!entry || isMe(seller)) return;
+        if (entry.alertBelow == null) {
+          raise(id, tokenId, `Watched ${cardName(tokenId)} listed for ${formatEther(price)} ETH`);
+        } else if (price <= BigInt(entry.alertBelow)) {
+          raise(id, tokenId, `Watched ${cardName(tokenId)} listed for ${formatEther(price)} ETH, at or below your ${formatEther(entry.alertBelow)} ETH alert`);
+        }
+      },
+    };
+
+    const unsubscribers = ALERT_EVENTS.map((name) => {
+      const handler = (...args) => {
+        const { log } = args[args.length - 1];
+        const [tokenId, address, amount] = log.args;
+        handlers[name](Number(tokenId), address, amount, `${log.transactionHash}:${log.index}`);
+      };
+      pokemonTrading.on(name, handler);
+      return () => pokemonTrading.off(name, handler);
+    });
+    return () => unsubscribers.forEach((off) => off());
+  }, [pokemonTrading, account, raise]);
+
+  useEffect(() => {
+    if (!account) return;
+    const lowerAccount = account.toLowerCase();
+    const check = () => {
+      const now = chainNow();
+      for (const auction of marketRef.current.auctions) {
+        const involved = watchRef.current[String(auction.tokenId)]
+          || auction.highestBidder?.toLowerCase() === lowerAccount;
+        const left = Number(auction.endTime) - now;
+        if (!involved || left <= 0 || left > ENDING_SOON_SECONDS) continue;
+        raise(
+          `ending:${auction.tokenId}:${auction.endTime}`,
+          auction.tokenId,
+          `Auction for ${auction.name} #${auction.tokenId + 1} ends in ${Math.ceil(left / 60)} min`
+        );
+      }
+    };
+    check();
+    const id = setInterval(check, ENDING_CHECK_MS);
+    return () => clearInterval(id);
+  }, [account, market, raise]);
+
+  const dismiss = useCallback((id) => setAlerts((prev) => prev.filter((a) => a.id !== id)), []);
+
+  const requestPermission = useCallback(async () => {
+    if (browserPermission() === 'unsupported') return;
+    setPermission(await Notification.requestPermission());
+  }, []);
+
+  return { alerts, dismiss, permission, requestPermission };
+}
@@ -0,0 +1,210 @@
+import { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import { loadMarket, loadToken } from '../utils/marketLoader';
+import { loadMarketFromIndexer } from '../utils/indexerClient';
+import { loadOffers } from '../utils/offers';
+import { createMarketState, applyMarketEvents, applyTokenState, selectMarket } from '../utils/marketStore';
+import { CONFIG } from '../config';
+
+/** Events arriving within this window are applied as one batch */
+const FLUSH_DELAY_MS = 250;
+
+const NFT_EVENTS = ['Transfer'];
+const TRADING_EVENTS = [
+  'CardListed', 'CardUnlisted', 'ListingPriceUpdated', 'ListingExpirySet', 'ListingExpired', 'CardSold',
+  'AuctionStarted', 'AuctionRulesSet', 'BidPlaced', 'AuctionSettled',
+  'DutchAuctionStarted', 'DutchAuctionCancelled',
+  'SealedAuctionStarted', 'SealedBidCommitted', 'SealedBidRevealed', 'SealedAuctionSettled', 'SealedAuctionCancelled',
+  'SealedDepositReclaimed',
+  'OfferMade', 'OfferCancelled', 'OfferExpiredReclaimed', 'OfferAccepted',
+  'Withdrawal',
+];
+const SWAP_EVENTS = ['SwapProposed', 'SwapAccepted', 'SwapCancelled', 'Withdrawal'];
+const OFFER_EVENTS = new Set(['OfferMade', 'OfferCancelled', 'OfferExpiredReclaimed', 'OfferAccepted']);
+
+/**
+ * Marketplace state kept current by contract events. A full load runs on mount, on account / data source
+ * changes, and after a wallet reconnect or a gap in the block stream; in between every event is applied as
+ * a targeted patch, bursts are debounced into one batch, and only tokens an event cannot describe are re-read.
+ * @param {{ pokemonNFT, pokemonTrading, pokemonSwap, account?: string, dataSource: 'chain' | 'indexer' }} options
+ * @returns {{ market: {listings, auctions, dutchAuctions, sealedAuctions, myCards, otherCards},
+ *   offersMade, offersReceived, pendingBalance: bigint, swapBalance: bigint, loading: boolean,
+ *   indexerError: string, resync: () => Promise<void>, refreshAccount: () => Promise<void> }}
+ */
+export function useMarketStore({ pokemonNFT, pokemonTrading, pokemonSwap, account, dataSource }) {
+  const [state, setState] = useState(null);
+  const [offersMade, setOffersMade] = useState([]);
+  const [offersReceived, setOffersReceived] = useState([]);
+  const [pendingBalance, setPendingBalance] = useState(0n);
+  const [swapBalance, setSwapBalance] = useState(0n);
+  const [loading, setLoading] = useState(false);
+  const [indexerError, setIndexerError] = useState('');
+  // Latest state for event handlers, which patch it outside of render
+  const stateRef = useRef(null);
+
+  const commit = useCallback((next) => {
+    stateRef.current = next;
+    setState(next);
+  }, []);
+
+  const refreshBalances = useCallback(async () => {
+    if (!account || !pokemonTrading) return;
+    setPendingBalance(await pokemonTrading.pendingWithdrawals(account));
+    if (pokemonSwap) setSwapBalance(await pokemonSwap.pendingWithdrawals(account));
+  }, [account, pokemonTrading, pokemonSwap]);
+
+  const refreshOffers = useCallback(async () => {
+    if (!account || !pokemonTrading) return;
+    const myIds = selectMarket(stateRef.current, account).myCards.map((c) => c.tokenId);
+    const [made, received] = await Promise.all([
+      loadOffers(pokemonTrading, { offerer: account }),
+      loadOffers(pokemonTrading, { tokenIds: myIds }),
+    ]);
+    setOffersMade(made);
+    setOffersReceived(received);
+  }, [account, pokemonTrading]);
+
+  /** Balances and offers - everything account-scoped that is not in the market maps */
+  const refreshAccount = useCallback(async () => {
+    try {
+      await Promise.all([refreshBalances(), refreshOffers()]);
+    } catch (err) {
+      console.error('Account refresh error:', err);
+    }
+  }, [refreshBalances, refreshOffers]);
+
+  const resync = useCallback(async () => {
+    if (!pokemonNFT || !pokemonTrading) return;
+    setLoading(true);
+    try {
+      const tradingAddress = await pokemonTrading.getAddress();
+      const excludeOwners = [tradingAddress];
+      if (pokemonSwap) excludeOwners.push(await pokemonSwap.getAddress());
+      let market;
+      if (dataSource === 'indexer' && CONFIG.indexerUrl) {
+        try {
+          market = await loadMarketFromIndexer(CONFIG.indexerUrl, { account, excludeOwners });
+          setIndexerError('');
+        } catch (err) {
+          console.error('Indexer load error:', err);
+          setIndexerError('Indexer unavailable - showing on-chain data.');
+        }
+      }
+      if (!market) market = await loadMarket(pokemonNFT, pokemonTrading, { account, excludeOwners });
+      commit(createMarketState(market, { tradingAddress, excludeOwners }));
+      await refreshAccount();
+    } catch (err) {
+      console.error('Load error:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, [pokemonNFT, pokemonTrading, pokemonSwap, account, dataSource, commit, refreshAccount]);
+
+  useEffect(() => {
+    if (!pokemonNFT || !pokemonTrading) return;
+    const provider = pokemonTrading.runner?.provider;
+    const lowerAccount = account?.toLowerCase();
+    let queue = [];
+    let timer = null;
+    let lastBlock = null;
+    let resyncing = false;
+    let active = true;
+
+    const fullResync = async () => {
+      if (resyncing) return;
+      resyncing = true;
+      clearTimeout(timer);
+      timer = null;
+      queue = [];
+      try {
+        await resync();
+      } finally {
+        resyncing = false;
+        // Events that arrived mid-load are re-applied; the patches are idempotent
+        if (queue.length > 0) timer = setTimeout(flush, FLUSH_DELAY_MS);
+      }
+    };
+
+    const refreshToken = async (tokenId) => {
+      try {
+        const token = await loadToken(pokemonNFT, pokemonTrading, tokenId);
+        if (active && stateRef.current) commit(applyTokenState(stateRef.current, tokenId, token));
+      } catch (err) {
+        console.error(`Refresh error for token ${tokenId}:`, err);
+      }
+    };
+
+    const flush = async () => {
+      timer = null;
+      const batch = queue;
+      queue = [];
+      if (!active || batch.length === 0 || !stateRef.current) return;
+
+      const { state: next, refresh } = applyMarketEvents(stateRef.current, batch);
+      commit(next);
+      await Promise.all(refresh.map(refreshToken));
+
+      if (!account) return;
+      const touchesMyCards = batch.some(
+        (e) => e.name === 'Transfer' && [e.args.from, e.args.to].some((a) => a.toLowerCase() === lowerAccount)
+      );
+      try {
+        if (batch.some((e) => e.source !== 'nft')) await refreshBalances();
+        if (touchesMyCards || batch.some((e) => OFFER_EVENTS.has(e.name))) await refreshOffers();
+      } catch (err) {
+        console.error('Account refresh error:', err);
+      }
+    };
+
+    const subscribe = (contract, source, names) =>
+      names.map((name) => {
+        const handler = (...args) => {
+          const { log } = args[args.length - 1];
+          queue.push({ source, name, args: log.args, blockNumber: log.blockNumber, logIndex: log.index });
+          if (!timer && !resyncing) timer = setTimeout(flush, FLUSH_DELAY_MS);
+        };
+        contract.on(name, handler);
+        return () => contract.off(name, handler);
+      });
+
+    // Block numbers arrive one at a time; a jump or a rewind means events may have been missed
+    const onBlock = (blockNumber) => {
+      const gap = lastBlock != null && (blockNumber > lastBlock + 1 || blockNumber <= lastBlock);
+      lastBlock = blockNumber;
+      if (gap) fullResync();
+    };
+    const onReconnect = () => fullResync();
+
+    const unsubscribers = [
+      ...subscribe(pokemonNFT, 'nft', NFT_EVENTS),
+      ...subscribe(pokemonTrading, 'trading', TRADING_EVENTS),
+      ...(pokemonSwap ? subscribe(pokemonSwap, 'swap', SWAP_EVENTS) : []),
+    ];
+    provider?.on('block', onBlock);
+    window.addEventListener('online', onReconnect);
+    window.ethereum?.on?.('connect', onReconnect);
+    fullResync();
+
+    return () => {
+      active = false;
+      clearTimeout(timer);
+      unsubscribers.forEach((off) => off());
+      provider?.off('block', onBlock);
+      window.removeEventListener('online', onReconnect);
+      window.ethereum?.removeListener?.('connect', onReconnect);
+    };
+  }, [pokemonNFT, pokemonTrading, pokemonSwap, account, resync, commit, refreshBalances, refreshOffers]);
+
+  const market = useMemo(() => selectMarket(state, account), [state, account]);
+
+  return {
+    market,
+    offersMade,
+    offersReceived,
+    pendingBalance,
+    swapBalance,
+    loading,
+    indexerError,
+    resync,
+    refreshAccount,
+  };
+}
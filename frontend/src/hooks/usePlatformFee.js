@@ -0,0 +1,39 @@
+import { useState, useEffect } from 'react';
+import { royaltyAmount } from './useRoyalty';
+
+const BPS_DENOMINATOR = 10000n;
+
+/**
+ * Read PokemonTrading's marketplace fee.
+ * @param {import('ethers').Contract} pokemonTrading - Trading contract instance
+ * @returns {bigint | null} Fee in basis points; null while loading
+ */
+export function usePlatformFee(pokemonTrading) {
+  const [feeBps, setFeeBps] = useState(null);
+
+  useEffect(() => {
+    if (!pokemonTrading) return;
+    let cancelled = false;
+    pokemonTrading.feeBps()
+      .then((bps) => { if (!cancelled) setFeeBps(bps); })
+      .catch(() => { if (!cancelled) setFeeBps(null); });
+    return () => { cancelled = true; };
+  }, [pokemonTrading]);
+
+  return feeBps;
+}
+
+/**
+ * Split a sale at `price` the way PokemonTrading._creditSale does: the fee first, then the royalty
+ * capped at what is left, then the seller's share.
+ * @param {bigint} price - Sale price in wei
+ * @param {{ feeBps?: bigint | null, royalty?: { receiver: string, bps: bigint } | null, seller?: string }} options
+ * @returns {{ fee: bigint, royalty: bigint, seller: bigint }} Amounts in wei
+ */
+export function splitSale(price, { feeBps, royalty, seller } = {}) {
+  const total = BigInt(price || 0);
+  const fee = feeBps ? (total * BigInt(feeBps)) / BPS_DENOMINATOR : 0n;
+  const rawRoyalty = royaltyAmount(royalty, total, seller);
+  const royaltyPaid = rawRoyalty > total - fee ? total - fee : rawRoyalty;
+  return { fee, royalty: royaltyPaid, seller: total - fee - royaltyPaid };
+}
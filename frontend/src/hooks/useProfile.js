@@ -0,0 +1,65 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { loadTrades } from '../utils/trades';
+import { loadOffers } from '../utils/offers';
+
+/**
+ * Trading activity of any address: completed trades, bids on English and sealed-bid auctions, open offers
+ * and pending withdrawals. Matching bids against the live auctions is left to the caller, which has the
+ * market state.
+ * @param {{ pokemonNFT, pokemonTrading, pokemonSwap?, address: string }} options
+ * @returns {{ profile: { address: string, trades: Awaited<ReturnType<typeof loadTrades>>,
+ *   bids: Map<number, bigint>, sealedBids: Map<number, { commitment: string, deposit: bigint, round: bigint }>,
+ *   offersMade: Array, pendingTrading: bigint, pendingSwap: bigint } | null, loading: boolean, error: string,
+ *   reload: () => Promise<void> }}
+ *   bids - the address's highest English auction bid per token; profile is null until `address` has loaded
+ */
+export function useProfile({ pokemonNFT, pokemonTrading, pokemonSwap, address }) {
+  const [profile, setProfile] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  // Drops results for an address the user has already navigated away from
+  const requestRef = useRef(0);
+
+  const reload = useCallback(async () => {
+    if (!pokemonNFT || !pokemonTrading || !address) return;
+    const request = ++requestRef.current;
+    setLoading(true);
+    setError('');
+    try {
+      const [trades, bidLogs, sealedLogs, offersMade, pendingTrading, pendingSwap] = await Promise.all([
+        loadTrades(pokemonNFT, pokemonTrading),
+        pokemonTrading.queryFilter(pokemonTrading.filters.BidPlaced(null, address)),
+        pokemonTrading.queryFilter(pokemonTrading.filters.SealedBidCommitted(null, address)),
+        loadOffers(pokemonTrading, { offerer: address }),
+        pokemonTrading.pendingWithdrawals(address),
+        pokemonSwap ? pokemonSwap.pendingWithdrawals(address) : Promise.resolve(0n),
+      ]);
+
+      const bids = new Map();
+      for (const log of bidLogs) {
+        const tokenId = Number(log.args.tokenId);
+        if (!bids.has(tokenId) || log.args.amount > bids.get(tokenId)) bids.set(tokenId, log.args.amount);
+      }
+      const sealedIds = [...new Set(sealedLogs.map((log) => Number(log.args.tokenId)))];
+      const sealedBids = new Map(await Promise.all(sealedIds.map(async (tokenId) => {
+        const bid = await pokemonTrading.sealedBids(tokenId, address);
+        return [tokenId, { commitment: bid.commitment, deposit: bid.deposit, round: bid.round }];
+      })));
+
+      if (request !== requestRef.current) return;
+      setProfile({ address, trades, bids, sealedBids, offersMade, pendingTrading, pendingSwap });
+    } catch (err) {
+      console.error('Profile load error:', err);
+      if (request === requestRef.current) setError('Could not load this profile.');
+    } finally {
+      if (request === requestRef.current) setLoading(false);
+    }
+  }, [pokemonNFT, pokemonTrading, pokemonSwap, address]);
+
+  useEffect(() => {
+    reload();
+  }, [reload]);
+
+  const current = profile && address && profile.address.toLowerCase() === address.toLowerCase() ? profile : null;
+  return { profile: current, loading, error, reload };
+}
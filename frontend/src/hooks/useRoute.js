@@ -0,0 +1,101 @@
+import { useMemo, useSyncExternalStore } from 'react';
+
+/** Path patterns, first match wins; `:name` segments become params */
+const ROUTES = [
+  ['market', '/'],
+  ['card', '/card/:tokenId'],
+  ['profile', '/address/:address'],
+  ['analytics', '/analytics'],
+  ['packs', '/packs'],
+  ['battles', '/battles'],
+  ['battle', '/battles/:challengeId'],
+  ['mint', '/mint'],
+  ['admin', '/admin'],
+];
+
+const listeners = new Set();
+
+function notify() {
+  for (const listener of listeners) listener();
+}
+
+function subscribe(listener) {
+  listeners.add(listener);
+  window.addEventListener('popstate', listener);
+  return () => {
+    listeners.delete(listener);
+    window.removeEventListener('popstate', listener);
+  };
+}
+
+/** Location plus the page a modal route was opened over, as one string so React can compare snapshots */
+function getSnapshot() {
+  return `${window.location.pathname}${window.location.search}\n${window.history.state?.background ?? ''}`;
+}
+
+/** A path segment decoded, or null when its percent-encoding is malformed (e.g. /address/%E0) */
+function decodeSegment(segment) {
+  try {
+    return decodeURIComponent(segment);
+  } catch {
+    return null;
+  }
+}
+
+function matchPath(pathname) {
+  const segments = pathname.split('/').filter(Boolean);
+  for (const [name, pattern] of ROUTES) {
+    const parts = pattern.split('/').filter(Boolean);
+    if (parts.length !== segments.length) continue;
+    const params = {};
+    const matched = parts.every((part, i) => {
+      if (part.startsWith(':')) {
+        // A malformed segment matches no route, so the URL falls through to notFound
+        params[part.slice(1)] = decodeSegment(segments[i]);
+        return params[part.slice(1)] !== null;
+      }
+      return part === segments[i];
+    });
+    if (matched) return { name, params };
+  }
+  return { name: 'notFound', params: {} };
+}
+
+function parseHref(href) {
+  const url = new URL(href, window.location.origin);
+  return { ...matchPath(url.pathname), query: url.searchParams, href: `${url.pathname}${url.search}` };
+}
+
+/**
+ * Go to an in-app URL without a page load.
+ * @param {string} to - Path and optional query, e.g. /card/12 or /?type=Fire
+ * @param {{ replace?: boolean, background?: string }} [options]
+ *   replace - overwrite the current history entry (filter edits) instead of adding one;
+ *   background - href of the page a modal route (CardDetail) is shown over
+ */
+export function navigate(to, { replace = false, background } = {}) {
+  const state = background ? { background } : null;
+  if (replace) window.history.replaceState(state, '', to);
+  else window.history.pushState(state, '', to);
+  notify();
+}
+
+/** Current href (path and query) */
+export function currentHref() {
+  return `${window.location.pathname}${window.location.search}`;
+}
+
+/**
+ * The current route, re-rendering on navigate() and on the browser's back / forward buttons.
+ * @returns {{ name: 'market' | 'card' | 'profile' | 'analytics' | 'mint' | 'admin' | 'notFound',
+ *   params: Object<string, string>, query: URLSearchParams, href: string,
+ *   background: ReturnType<typeof parseHref> | null }} background - for a modal route opened from another
+ *   page, the page underneath it
+ */
+export function useRoute() {
+  const snapshot = useSyncExternalStore(subscribe, getSnapshot);
+  return useMemo(() => {
+    const [href, background] = snapshot.split('\n');
+    return { ...parseHref(href), background: background ? parseHref(background) : null };
+  }, [snapshot]);
+}
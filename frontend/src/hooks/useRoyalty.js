@@ -0,0 +1,38 @@
+import { useState, useEffect } from 'react';
+
+const BPS_DENOMINATOR = 10000n;
+
+/**
+ * Read a token's ERC-2981 royalty as { receiver, bps }. Queried with a sale price of 10000 so the
+ * returned amount is the rate in basis points; use royaltyAmount() to apply it to a price.
+ * @param {import('ethers').Contract} pokemonNFT - NFT contract instance
+ * @param {number|bigint} tokenId - Token to query
+ * @returns {{ receiver: string, bps: bigint } | null} null while loading or when the NFT has no royalty support
+ */
+export function useRoyalty(pokemonNFT, tokenId) {
+  const [royalty, setRoyalty] = useState(null);
+
+  useEffect(() => {
+    if (!pokemonNFT || tokenId == null) return;
+    let cancelled = false;
+    pokemonNFT.royaltyInfo(tokenId, BPS_DENOMINATOR)
+      .then(([receiver, bps]) => { if (!cancelled) setRoyalty({ receiver, bps }); })
+      .catch(() => { if (!cancelled) setRoyalty(null); });
+    return () => { cancelled = true; };
+  }, [pokemonNFT, tokenId]);
+
+  return royalty;
+}
+
+/**
+ * Royalty deducted from a sale at `price`, matching PokemonTrading's split (nothing when the seller is the receiver).
+ * @param {{ receiver: string, bps: bigint } | null} royalty - Result of useRoyalty
+ * @param {bigint} price - Sale price in wei
+ * @param {string} [seller] - Seller address
+ * @returns {bigint} Royalty in wei
+ */
+export function royaltyAmount(royalty, price, seller) {
+  if (!royalty || !price || royalty.bps === 0n) return 0n;
+  if (seller && royalty.receiver.toLowerCase() === seller.toLowerCase()) return 0n;
+  return (BigInt(price) * royalty.bps) / BPS_DENOMINATOR;
+}
@@ -0,0 +1,35 @@
+import { useState, useEffect, useCallback } from 'react';
+import { loadSales } from '../utils/analytics';
+
+/**
+ * Completed sales with card data (see loadSales), loaded on mount and on reload().
+ * @param {import('ethers').Contract} pokemonNFT
+ * @param {import('ethers').Contract} pokemonTrading
+ * @returns {{ sales: Awaited<ReturnType<typeof loadSales>> | null, loading: boolean, error: string,
+ *   reload: () => Promise<void> }} sales is null until the first load finishes
+ */
+export function useSales(pokemonNFT, pokemonTrading) {
+  const [sales, setSales] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const reload = useCallback(async () => {
+    if (!pokemonNFT || !pokemonTrading) return;
+    setLoading(true);
+    setError('');
+    try {
+      setSales(await loadSales(pokemonNFT, pokemonTrading));
+    } catch (err) {
+      console.error('Sales load error:', err);
+      setError('Could not load sales history.');
+    } finally {
+      setLoading(false);
+    }
+  }, [pokemonNFT, pokemonTrading]);
+
+  useEffect(() => {
+    reload();
+  }, [reload]);
+
+  return { sales, loading, error, reload };
+}
@@ -0,0 +1,42 @@
+import { useState, useEffect } from 'react';
+import { loadTokenEvents, buildTimeline } from '../utils/history';
+import { loadTokenEventsFromIndexer } from '../utils/indexerClient';
+import { CONFIG } from '../config';
+
+/** The token's events from the indexer when selected, falling back to the chain if it is unreachable */
+async function loadEvents(pokemonNFT, pokemonTrading, tokenId, dataSource) {
+  if (dataSource === 'indexer' && CONFIG.indexerUrl) {
+    try {
+      return await loadTokenEventsFromIndexer(CONFIG.indexerUrl, tokenId);
+    } catch (err) {
+      console.error('Indexer history error:', err);
+    }
+  }
+  return loadTokenEvents(pokemonNFT, pokemonTrading, tokenId);
+}
+
+/**
+ * A card's activity timeline (mint, transfers, listings, sales, auctions and bids), newest first.
+ * @param {{ pokemonNFT, pokemonTrading, tokenId: number, dataSource?: 'chain' | 'indexer' }} options
+ * @returns {{ entries: ReturnType<typeof buildTimeline> | null, error: string }} entries is null while loading
+ */
+export function useTokenHistory({ pokemonNFT, pokemonTrading, tokenId, dataSource = 'chain' }) {
+  const [history, setHistory] = useState({ tokenId: null, entries: null, error: '' });
+
+  useEffect(() => {
+    if (!pokemonNFT || !pokemonTrading || tokenId == null) return;
+    let cancelled = false;
+    Promise.all([loadEvents(pokemonNFT, pokemonTrading, tokenId, dataSource), pokemonTrading.getAddress()])
+      .then(([events, tradingAddress]) => {
+        if (!cancelled) setHistory({ tokenId, entries: buildTimeline(events, tradingAddress), error: '' });
+      })
+      .catch((err) => {
+        console.error('History load error:', err);
+        if (!cancelled) setHistory({ tokenId, entries: [], error: 'Could not load this card\'s history.' });
+      });
+    return () => { cancelled = true; };
+  }, [pokemonNFT, pokemonTrading, tokenId, dataSource]);
+
+  // A result for a previously shown card counts as still loading
+  return history.tokenId === tokenId ? history : { entries: null, error: '' };
+}
@@ -0,0 +1,37 @@
+import { useState, useCallback } from 'react';
+import { loadWatchlist, saveWatchlistEntry } from '../utils/watchlist';
+
+/**
+ * The connected account's watchlist, persisted in localStorage per trading contract and account.
+ * @returns {{ entries: Object<string, {addedAt: number, alertBelow: string | null}>, enabled: boolean,
+ *   isWatched: (tokenId) => boolean, toggle: (tokenId) => void, setAlertBelow: (tokenId, wei: bigint | null) => void }}
+ */
+export function useWatchlist(tradingAddress, account) {
+  const key = `${tradingAddress}:${account}`;
+  const [stored, setStored] = useState(() => ({ key, entries: loadWatchlist(tradingAddress, account) }));
+  // Switching account or contract swaps in that pair's list on the next render
+  const entries = stored.key === key ? stored.entries : loadWatchlist(tradingAddress, account);
+  if (stored.key !== key) setStored({ key, entries });
+
+  const save = useCallback(
+    (tokenId, entry) => setStored({ key, entries: saveWatchlistEntry(tradingAddress, account, tokenId, entry) }),
+    [key, tradingAddress, account]
+  );
+
+  const isWatched = useCallback((tokenId) => Boolean(entries[String(tokenId)]), [entries]);
+
+  const toggle = useCallback(
+    (tokenId) => save(tokenId, entries[String(tokenId)] ? null : { addedAt: Date.now(), alertBelow: null }),
+    [save, entries]
+  );
+
+  const setAlertBelow = useCallback(
+    (tokenId, wei) => {
+      const entry = entries[String(tokenId)] ?? { addedAt: Date.now() };
+      save(tokenId, { ...entry, alertBelow: wei == null ? null : wei.toString() });
+    },
+    [save, entries]
+  );
+
+  return { entries, enabled: Boolean(tradingAddress && account), isWatched, toggle, setAlertBelow };
+}
@@ -0,0 +1,25 @@
+import { isAddress } from 'ethers';
+
+/**
+ * Sum of `pendingWithdrawals` across every address that appears in the contract's event history.
+ * The contracts keep no running total, so this replays the logs once and reads each balance.
+ * @param {import('ethers').Contract} contract - PokemonTrading, PokemonSwap or PokemonBattle
+ * @param {string[]} [extraAddresses] - Addresses that can be credited without appearing in the contract's
+ *   own events (e.g. English auction sellers, who only show up in the NFT's Transfer into escrow)
+ * @returns {Promise<{ total: bigint, holders: number }>} holders - addresses with a non-zero balance
+ */
+export async function loadPendingWithdrawals(contract, extraAddresses = []) {
+  const events = await contract.queryFilter('*');
+  const addresses = new Set(extraAddresses.map((a) => a.toLowerCase()));
+  for (const event of events) {
+    for (const value of event.args ?? []) {
+      if (typeof value === 'string' && isAddress(value)) addresses.add(value.toLowerCase());
+    }
+  }
+
+  const balances = await Promise.all([...addresses].map((a) => contract.pendingWithdrawals(a)));
+  return {
+    total: balances.reduce((sum, b) => sum + b, 0n),
+    holders: balances.filter((b) => b > 0n).length,
+  };
+}
@@ -0,0 +1,65 @@
+import { loadTrades } from './trades';
+import { loadCards } from './marketLoader';
+
+export const DAY_SECONDS = 24 * 60 * 60;
+
+/**
+ * Every completed sale with the card's name, type and rarity, for price history and volume.
+ * Covers all sale paths (fixed price, Dutch, English and sealed-bid auctions, accepted offers).
+ * @param {import('ethers').Contract} pokemonNFT
+ * @param {import('ethers').Contract} pokemonTrading
+ * @returns {Promise<Array<Object>>} loadTrades entries plus name, pokemonType and rarity; oldest first
+ */
+export async function loadSales(pokemonNFT, pokemonTrading) {
+  const trades = await loadTrades(pokemonNFT, pokemonTrading);
+  const cards = await loadCards(pokemonNFT, [...new Set(trades.map((t) => t.tokenId))]);
+  return trades.map((trade) => {
+    const card = cards.get(trade.tokenId);
+    return { ...trade, name: card.name, pokemonType: card.pokemonType, rarity: Number(card.rarity) };
+  });
+}
+
+/**
+ * @param {{ name: string, pokemonType: string, rarity: number }} item - A sale or a card
+ * @param {{ name?: string, type?: string, rarity?: string | number }} filter - Empty fields match everything
+ * @returns {boolean}
+ */
+export function matchesCardFilter(item, { name, type, rarity }) {
+  if (name && item.name !== name) return false;
+  if (type && item.pokemonType !== type) return false;
+  if (rarity && Number(item.rarity) !== Number(rarity)) return false;
+  return true;
+}
+
+/**
+ * Volume and trade count of the sales at or after `since`.
+ * @param {Array<{ price: bigint, timestamp: number }>} sales
+ * @param {number} since - Unix seconds
+ * @returns {{ volume: bigint, count: number }}
+ */
+export function volumeSince(sales, since) {
+  const recent = sales.filter((s) => s.timestamp >= since);
+  return { volume: recent.reduce((sum, s) => sum + s.price, 0n), count: recent.length };
+}
+
+/**
+ * Lowest fixed-price listing per group, skipping expired listings.
+ * @param {Array<{ price: bigint, expiresAt?: bigint }>} listings - Active listings with card fields
+ * @param {(listing) => string | number} groupOf - Group key, e.g. the type or the rarity
+ * @param {number} now - Unix seconds
+ * @returns {Map<string | number, { floor: bigint, count: number }>}
+ */
+export function floorPrices(listings, groupOf, now) {
+  const floors = new Map();
+  for (const listing of listings) {
+    const expiresAt = Number(listing.expiresAt ?? 0);
+    if (expiresAt > 0 && now >= expiresAt) continue;
+    const key = groupOf(listing);
+    const current = floors.get(key);
+    floors.set(key, {
+      floor: current && current.floor < listing.price ? current.floor : listing.price,
+      count: (current?.count ?? 0) + 1,
+    });
+  }
+  return floors;
+}
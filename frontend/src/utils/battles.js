@@ -0,0 +1,75 @@
+/** PokemonBattle.ChallengeStatus */
+export const CHALLENGE_STATUS = { NONE: 0, OPEN: 1, RESOLVED: 2, CANCELLED: 3 };
+
+/** PokemonBattle.Outcome */
+export const OUTCOME = { NONE: 0, CHALLENGER_WON: 1, OPPONENT_WON: 2, DRAW: 3 };
+
+/**
+ * Read challenges by ID.
+ * @returns {Promise<Array<{id: number, challenger: string, opponent: string, challengerTokenId: number,
+ *   opponentTokenId: number, stake: bigint, status: number, outcome: number}>>}
+ */
+export async function loadChallenges(pokemonBattle, ids) {
+  return Promise.all(ids.map(async (id) => {
+    const c = await pokemonBattle.getChallenge(id);
+    return {
+      id: Number(id),
+      challenger: c.challenger,
+      opponent: c.opponent,
+      challengerTokenId: Number(c.challengerTokenId),
+      opponentTokenId: Number(c.opponentTokenId),
+      stake: c.stake,
+      status: Number(c.status),
+      outcome: Number(c.outcome),
+    };
+  }));
+}
+
+/**
+ * A fought battle rebuilt from its BattleStarted and BattleTurn events.
+ * @returns {Promise<{challengerHp: number, opponentHp: number, turns: Array<{attackerTokenId: number,
+ *   damage: number, multiplier: number, defenderHp: number}>} | null>} null when the battle has no events
+ */
+export async function loadBattleLog(pokemonBattle, challengeId) {
+  const [started, turnEvents] = await Promise.all([
+    pokemonBattle.queryFilter(pokemonBattle.filters.BattleStarted(challengeId)),
+    pokemonBattle.queryFilter(pokemonBattle.filters.BattleTurn(challengeId)),
+  ]);
+  if (started.length === 0) return null;
+  return {
+    challengerHp: Number(started[0].args.challengerHp),
+    opponentHp: Number(started[0].args.opponentHp),
+    turns: turnEvents
+      .map((e) => e.args)
+      .sort((a, b) => Number(a.turn) - Number(b.turn))
+      .map((t) => ({
+        attackerTokenId: Number(t.attackerTokenId),
+        damage: Number(t.damage),
+        multiplier: Number(t.multiplier),
+        defenderHp: Number(t.defenderHp),
+      })),
+  };
+}
+
+/**
+ * HP of both sides after the first `step` turns of a battle log.
+ * @param {{ challengerHp: number, opponentHp: number, turns: Array }} log
+ * @param {number} challengerTokenId - Identifies which side each turn's attacker is on
+ * @param {number} step - Turns played (0 = before the first hit)
+ * @returns {{ challenger: number, opponent: number }}
+ */
+export function hpAfter(log, challengerTokenId, step) {
+  const hp = { challenger: log.challengerHp, opponent: log.opponentHp };
+  for (const turn of log.turns.slice(0, step)) {
+    if (turn.attackerTokenId === challengerTokenId) hp.opponent = turn.defenderHp;
+    else hp.challenger = turn.defenderHp;
+  }
+  return hp;
+}
+
+/** Battle-log wording for a type multiplier (percent) */
+export function effectivenessLabel(multiplier) {
+  if (multiplier > 100) return "It's super effective!";
+  if (multiplier < 100) return "It's not very effective...";
+  return '';
+}
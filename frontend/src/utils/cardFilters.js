@@ -0,0 +1,136 @@
+import { parseEther } from 'ethers';
+import { currentPrice } from './cardSort';
+
+/** Query keys holding Marketplace filters, in the order they are written back to the URL */
+export const FILTER_PARAMS = ['q', 'type', 'rarity', 'hp', 'atk', 'def', 'price', 'mine', 'seller', 'id'];
+
+/** Stat range filters: query key and card field */
+export const STAT_RANGES = [
+  { key: 'hp', field: 'hp', label: 'HP' },
+  { key: 'atk', field: 'attack', label: 'ATK' },
+  { key: 'def', field: 'defense', label: 'DEF' },
+];
+
+/**
+ * Read a `min-max` range param; either side may be blank (`50-`, `-120`).
+ * @returns {{ min: string, max: string }}
+ */
+export function parseRange(value) {
+  const [min = '', max = ''] = (value ?? '').split('-');
+  return { min: min.trim(), max: max.trim() };
+}
+
+/** Write a range param back; blank when both sides are */
+export function formatRange({ min, max }) {
+  return min || max ? `${min ?? ''}-${max ?? ''}` : '';
+}
+
+/** Comma-separated multi-select param, e.g. `type=Fire,Water` */
+export function parseList(value) {
+  return (value ?? '').split(',').map((v) => v.trim()).filter(Boolean);
+}
+
+/**
+ * Marketplace filters from a page query.
+ * @param {URLSearchParams} query
+ */
+export function parseFilters(query) {
+  const filters = {
+    search: query.get('q') ?? '',
+    types: parseList(query.get('type')),
+    rarities: parseList(query.get('rarity')).map(Number),
+    price: parseRange(query.get('price')),
+    mine: ['only', 'exclude'].includes(query.get('mine')) ? query.get('mine') : '',
+    seller: query.get('seller') ?? '',
+    id: query.get('id') ?? '',
+  };
+  for (const { key } of STAT_RANGES) filters[key] = parseRange(query.get(key));
+  return filters;
+}
+
+/** Number of filters set in the advanced panel (all but name, type and rarity), for the "More filters" toggle */
+export function countActiveFilters(query) {
+  return FILTER_PARAMS.filter((key) => !['q', 'type', 'rarity'].includes(key) && query.get(key)).length;
+}
+
+function levenshtein(a, b) {
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    for (let j = 1; j <= b.length; j++) {
+      row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    prev = row;
+  }
+  return prev[b.length];
+}
+
+/**
+ * Forgiving name match: a substring, the query's letters in order (`pkchu`), or a word of the name within
+ * one typo per four letters of the query (`charmnder`).
+ */
+export function fuzzyMatch(name, search) {
+  const text = String(name || '').toLowerCase();
+  const query = search.trim().toLowerCase();
+  if (!query || text.includes(query)) return true;
+
+  let i = 0;
+  for (const ch of text) if (ch === query[i]) i++;
+  if (query.length >= 3 && i === query.length) return true;
+
+  const allowed = Math.floor(query.length / 4);
+  return allowed > 0 && text.split(/\s+/).some((word) => levenshtein(word, query) <= allowed);
+}
+
+/** Range check for a number or bigint; a bound that does not parse is ignored */
+function inRange(value, { min, max }, parse) {
+  const bound = (s) => {
+    if (!s) return null;
+    try {
+      return parse(s);
+    } catch {
+      return null;
+    }
+  };
+  const lo = bound(min);
+  const hi = bound(max);
+  if (lo == null && hi == null) return true;
+  if (value == null) return false;
+  return (lo == null || value >= lo) && (hi == null || value <= hi);
+}
+
+const parseStat = (s) => {
+  const n = Number(s);
+  if (!Number.isFinite(n)) throw new Error('Not a number');
+  return n;
+};
+
+/**
+ * Apply Marketplace filters to a grid's cards.
+ * @param {Array} items - Cards from selectMarket
+ * @param {ReturnType<typeof parseFilters>} filters
+ * @param {{ account?: string, now: number }} context - account for mine / not mine, now for Dutch prices
+ */
+export function filterCards(items, filters, { account, now }) {
+  const lowerAccount = account?.toLowerCase();
+  const seller = filters.seller.trim().toLowerCase();
+  const id = Number(filters.id.replace('#', ''));
+  return items.filter((item) => {
+    if (!fuzzyMatch(item.name, filters.search)) return false;
+    if (filters.types.length && !filters.types.some((t) => t.toLowerCase() === (item.pokemonType || '').toLowerCase())) return false;
+    if (filters.rarities.length && !filters.rarities.includes(Number(item.rarity ?? 0))) return false;
+    if (filters.id && Number.isInteger(id) && Number(item.tokenId) + 1 !== id) return false;
+    for (const { key, field } of STAT_RANGES) {
+      if (!inRange(Number(item[field] ?? 0), filters[key], parseStat)) return false;
+    }
+    if (!inRange(currentPrice(item, now), filters.price, parseEther)) return false;
+
+    const holder = (item.seller ?? item.owner ?? '').toLowerCase();
+    if (seller && !holder.includes(seller)) return false;
+    if (filters.mine && lowerAccount) {
+      const mine = holder === lowerAccount || item.owner?.toLowerCase() === lowerAccount;
+      if (filters.mine === 'only' ? !mine : mine) return false;
+    }
+    return true;
+  });
+}
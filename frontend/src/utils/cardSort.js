@@ -0,0 +1,93 @@
+import { dutchPriceAt } from './dutch';
+
+/** Sort orders for the Marketplace grids; the empty value keeps token-ID order */
+export const SORT_OPTIONS = [
+  { value: '', label: 'Token ID' },
+  { value: 'newest', label: 'Newest' },
+  { value: 'price-asc', label: 'Price: low to high' },
+  { value: 'price-desc', label: 'Price: high to low' },
+  { value: 'bid-desc', label: 'Highest bid' },
+  { value: 'ending', label: 'Ending soonest' },
+  { value: 'rarity-desc', label: 'Rarity' },
+  { value: 'hp-desc', label: 'HP' },
+  { value: 'attack-desc', label: 'ATK' },
+  { value: 'defense-desc', label: 'DEF' },
+];
+
+export const PAGE_SIZES = [12, 24, 48];
+
+/**
+ * What a card costs right now: the listing price, the current Dutch price, the highest bid or else the
+ * starting price of an auction, the reserve of a sealed-bid auction. Null for cards that are not for sale.
+ * @returns {bigint | null}
+ */
+export function currentPrice(item, nowSec) {
+  if (item.startPrice != null) return dutchPriceAt(item, nowSec);
+  if (item.price != null) return BigInt(item.price);
+  if (item.startingPrice != null) return BigInt(item.highestBid) > 0n ? BigInt(item.highestBid) : BigInt(item.startingPrice);
+  if (item.reservePrice != null) return BigInt(item.reservePrice);
+  return null;
+}
+
+/**
+ * When a sale closes: auction end, sealed-bid reveal end, the Dutch floor, or a listing's expiry.
+ * Null when it never does (open-ended listings, cards not for sale).
+ * @returns {number | null} Unix seconds
+ */
+export function closesAt(item) {
+  if (item.startPrice != null) return Number(item.startTime) + Number(item.duration);
+  if (item.revealEnd != null) return Number(item.revealEnd);
+  if (item.endTime != null) return Number(item.endTime);
+  if (item.expiresAt != null && Number(item.expiresAt) > 0) return Number(item.expiresAt);
+  return null;
+}
+
+const compareBigInt = (a, b) => (a < b ? -1 : a > b ? 1 : 0);
+
+/** Ascending by key; cards without a value (null) go last whichever way the list is sorted */
+function byKey(key, descending = false, compare = (a, b) => a - b) {
+  return (a, b) => {
+    const ka = key(a);
+    const kb = key(b);
+    if (ka == null || kb == null) return (ka == null) - (kb == null);
+    return descending ? compare(kb, ka) : compare(ka, kb);
+  };
+}
+
+/**
+ * Sort a grid's cards; ties keep token-ID order.
+ * @param {Array} items - Cards from selectMarket
+ * @param {string} sort - A SORT_OPTIONS value
+ * @param {number} nowSec - Unix time for Dutch prices and expired closing times
+ * @returns {Array} A sorted copy
+ */
+export function sortCards(items, sort, nowSec) {
+  const comparators = {
+    newest: byKey((c) => c.tokenId, true),
+    'price-asc': byKey((c) => currentPrice(c, nowSec), false, compareBigInt),
+    'price-desc': byKey((c) => currentPrice(c, nowSec), true, compareBigInt),
+    'bid-desc': byKey((c) => (c.highestBid != null ? BigInt(c.highestBid) : null), true, compareBigInt),
+    ending: byKey((c) => {
+      const end = closesAt(c);
+      return end != null && end > nowSec ? end : null;
+    }),
+    'rarity-desc': byKey((c) => Number(c.rarity ?? 0), true),
+    'hp-desc': byKey((c) => Number(c.hp ?? 0), true),
+    'attack-desc': byKey((c) => Number(c.attack ?? 0), true),
+    'defense-desc': byKey((c) => Number(c.defense ?? 0), true),
+  };
+  const byTokenId = (a, b) => a.tokenId - b.tokenId;
+  const compare = comparators[sort];
+  return [...items].sort((a, b) => (compare ? compare(a, b) : 0) || byTokenId(a, b));
+}
+
+/**
+ * One page of a sorted list.
+ * @param {number} page - 1-based; clamped to the available pages
+ * @returns {{ items: Array, page: number, pageCount: number }}
+ */
+export function paginate(items, page, pageSize) {
+  const pageCount = Math.max(1, Math.ceil(items.length / pageSize));
+  const current = Math.min(Math.max(1, page), pageCount);
+  return { items: items.slice((current - 1) * pageSize, current * pageSize), page: current, pageCount };
+}
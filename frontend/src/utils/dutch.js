@@ -0,0 +1,16 @@
+/**
+ * Dutch auction price at a given time, mirroring PokemonTrading.getDutchPrice: linear decay from
+ * startPrice to floorPrice over duration, then floorPrice.
+ * @param {{ startPrice: bigint, floorPrice: bigint, startTime: bigint, duration: bigint }} auction
+ * @param {number} nowSec - Unix timestamp in seconds
+ * @returns {bigint} Price in wei
+ */
+export function dutchPriceAt(auction, nowSec) {
+  const start = BigInt(auction.startTime);
+  const now = BigInt(Math.floor(nowSec));
+  const elapsed = now > start ? now - start : 0n;
+  const duration = BigInt(auction.duration);
+  if (elapsed >= duration) return BigInt(auction.floorPrice);
+  const startPrice = BigInt(auction.startPrice);
+  return startPrice - ((startPrice - BigInt(auction.floorPrice)) * elapsed) / duration;
+}
@@ -0,0 +1,57 @@
+/** PokemonNFT.MIN_EVOLUTION_INPUTS / MAX_EVOLUTION_INPUTS */
+export const MIN_EVOLUTION_INPUTS = 2;
+export const MAX_EVOLUTION_INPUTS = 3;
+
+const MAX_STAT = 255;
+const MAX_RARITY = 5;
+
+/**
+ * Every evolution recipe, active or not.
+ * @returns {Promise<Array<{id: number, inputName: string, outputName: string, outputType: string, outputUri: string,
+ *   inputCount: number, hpBonus: number, attackBonus: number, defenseBonus: number, rarityBonus: number,
+ *   active: boolean}>>}
+ */
+export async function loadEvolutionRecipes(pokemonNFT) {
+  const count = Number(await pokemonNFT.evolutionRecipeCount());
+  return Promise.all(Array.from({ length: count }, async (_, id) => {
+    const r = await pokemonNFT.getEvolutionRecipe(id);
+    return {
+      id,
+      inputName: r.inputName,
+      outputName: r.outputName,
+      outputType: r.outputType,
+      outputUri: r.outputUri,
+      inputCount: Number(r.inputCount),
+      hpBonus: Number(r.hpBonus),
+      attackBonus: Number(r.attackBonus),
+      defenseBonus: Number(r.defenseBonus),
+      rarityBonus: Number(r.rarityBonus),
+      active: r.active,
+    };
+  }));
+}
+
+/** Active recipes that take cards of this species */
+export function recipesFor(recipes, name) {
+  return recipes.filter((r) => r.active && r.inputName === name);
+}
+
+/**
+ * The card PokemonNFT.evolve would mint: the highest input value of each stat plus the recipe's bonus,
+ * capped at 255, and the highest input rarity plus the rarity bonus, capped at 5.
+ * @param {Object} recipe - From loadEvolutionRecipes
+ * @param {Array<{pokemonType: string, tokenURI?: string, hp: number, attack: number, defense: number, rarity: number}>} inputs
+ *   Cards to burn; the first one's type and image are kept when the recipe leaves them empty
+ */
+export function evolvedCard(recipe, inputs) {
+  const best = (field) => Math.max(...inputs.map((c) => Number(c[field])));
+  return {
+    name: recipe.outputName,
+    pokemonType: recipe.outputType || inputs[0].pokemonType,
+    tokenURI: recipe.outputUri || inputs[0].tokenURI,
+    hp: Math.min(MAX_STAT, best('hp') + recipe.hpBonus),
+    attack: Math.min(MAX_STAT, best('attack') + recipe.attackBonus),
+    defense: Math.min(MAX_STAT, best('defense') + recipe.defenseBonus),
+    rarity: Math.min(MAX_RARITY, best('rarity') + recipe.rarityBonus),
+  };
+}
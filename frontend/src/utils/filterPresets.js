@@ -0,0 +1,34 @@
+const STORAGE_PREFIX = 'pokeone:filterPresets';
+
+function storageKey(account) {
+  return `${STORAGE_PREFIX}:${String(account).toLowerCase()}`;
+}
+
+/**
+ * Read an account's saved Marketplace filter presets.
+ * @returns {Object<string, string>} Preset name to the filter part of a Marketplace query string
+ */
+export function loadFilterPresets(account) {
+  if (!account) return {};
+  try {
+    return JSON.parse(localStorage.getItem(storageKey(account))) || {};
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Save (or with search = null, delete) a preset.
+ * @returns {Object<string, string>} The updated presets
+ */
+export function saveFilterPreset(account, name, search) {
+  const presets = loadFilterPresets(account);
+  if (search != null) presets[name] = search;
+  else delete presets[name];
+  try {
+    localStorage.setItem(storageKey(account), JSON.stringify(presets));
+  } catch (err) {
+    console.error('Failed to save filter presets:', err);
+  }
+  return presets;
+}
@@ -0,0 +1,25 @@
+/**
+ * Shorten an address for display, e.g. 0x1234...abcd.
+ * @param {string} addr - Full address
+ * @returns {string}
+ */
+export function shortenAddress(addr) {
+  return addr ? `${addr.slice(0, 6)}...${addr.slice(-4)}` : '';
+}
+
+/**
+ * Format a countdown, e.g. 2d 4h, 3h 05m, 4m 09s, 12s.
+ * @param {number} seconds - Remaining time; negative values count as 0
+ * @returns {string}
+ */
+export function formatDuration(seconds) {
+  const s = Math.max(0, Math.floor(seconds));
+  const pad = (n) => String(n).padStart(2, '0');
+  const days = Math.floor(s / 86400);
+  const hours = Math.floor((s % 86400) / 3600);
+  const minutes = Math.floor((s % 3600) / 60);
+  if (days > 0) return `${days}d ${hours}h`;
+  if (hours > 0) return `${hours}h ${pad(minutes)}m`;
+  if (minutes > 0) return `${minutes}m ${pad(s % 60)}s`;
+  return `${s}s`;
+}
@@ -0,0 +1,148 @@
+import { ZeroAddress, toBeHex, zeroPadValue } from 'ethers';
+
+/** PokemonTrading events that belong in a card's history; offers, commitments and deposits are left out */
+const TRADING_HISTORY_EVENTS = new Set([
+  'CardListed', 'ListingPriceUpdated', 'CardUnlisted', 'ListingExpired', 'CardSold',
+  'AuctionStarted', 'BidPlaced', 'AuctionSettled',
+  'DutchAuctionStarted', 'DutchAuctionCancelled',
+  'SealedAuctionStarted', 'SealedBidRevealed', 'SealedAuctionSettled', 'SealedAuctionCancelled',
+  'OfferAccepted',
+]);
+
+function sameAddress(a, b) {
+  return a?.toLowerCase() === b?.toLowerCase();
+}
+
+/** Decoded ethers EventLog -> the indexer's event shape, with block timestamps filled in */
+async function toHistoryEvents(logs) {
+  const timestamps = new Map();
+  const events = [];
+  for (const log of logs) {
+    if (!log.fragment) continue;
+    if (!timestamps.has(log.blockNumber)) timestamps.set(log.blockNumber, (await log.getBlock()).timestamp);
+    const args = {};
+    log.fragment.inputs.forEach((input, i) => { args[input.name] = log.args[i]; });
+    events.push({
+      name: log.eventName,
+      args,
+      blockNumber: log.blockNumber,
+      logIndex: log.index,
+      txHash: log.transactionHash,
+      timestamp: timestamps.get(log.blockNumber),
+    });
+  }
+  return events;
+}
+
+/**
+ * Read every PokemonNFT Transfer and PokemonTrading event for one token from the chain.
+ * @param {import('ethers').Contract} pokemonNFT
+ * @param {import('ethers').Contract} pokemonTrading
+ * @param {number} tokenId
+ * @returns {Promise<Array<{ name, args, blockNumber, logIndex, txHash, timestamp }>>} Oldest first
+ */
+export async function loadTokenEvents(pokemonNFT, pokemonTrading, tokenId) {
+  // Every PokemonTrading event that concerns a token takes it as the first indexed argument
+  const tokenTopic = zeroPadValue(toBeHex(tokenId), 32);
+  const [transfers, trading] = await Promise.all([
+    pokemonNFT.queryFilter(pokemonNFT.filters.Transfer(null, null, tokenId)),
+    pokemonTrading.queryFilter([null, tokenTopic]),
+  ]);
+  const events = await toHistoryEvents([...transfers, ...trading]);
+  return events.sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+}
+
+/**
+ * Turn a token's raw events into timeline entries. Transfers made by a market action (listing, sale,
+ * settlement, accepted offer, ...) are folded into that action's event so each action shows once.
+ * @param {Array<{ name, args, blockNumber, logIndex, txHash, timestamp }>} events - Oldest first; uint args
+ *   may be bigint (chain) or decimal strings (indexer)
+ * @param {string} tradingAddress - PokemonTrading address
+ * @returns {Array<{ key: string, label: string, price: bigint | null, from: string | null, to: string | null,
+ *   timestamp: number, txHash: string }>} Newest first
+ */
+export function buildTimeline(events, tradingAddress) {
+  const relevant = events.filter((e) => e.name === 'Transfer' || TRADING_HISTORY_EVENTS.has(e.name));
+  const marketTxs = new Set(relevant.filter((e) => e.name !== 'Transfer').map((e) => e.txHash));
+  const entries = [];
+  // Seller of the card while it sits in escrow; AuctionStarted and the sale events do not carry it
+  let seller = null;
+
+  const push = (event, label, { price = null, from = null, to = null } = {}) => {
+    entries.push({
+      key: `${event.txHash}-${event.logIndex}`,
+      label,
+      price: price != null ? BigInt(price) : null,
+      from,
+      to,
+      timestamp: Number(event.timestamp),
+      txHash: event.txHash,
+    });
+  };
+
+  for (const event of relevant) {
+    const { args } = event;
+    switch (event.name) {
+      case 'Transfer': {
+        const intoEscrow = sameAddress(args.to, tradingAddress);
+        const outOfEscrow = sameAddress(args.from, tradingAddress);
+        if (intoEscrow) seller = args.from;
+        if (sameAddress(args.from, ZeroAddress)) push(event, 'Minted', { to: args.to });
+        else if (marketTxs.has(event.txHash)) break;
+        // An English auction that ends without bids returns the card with no event of its own
+        else if (outOfEscrow) push(event, 'Returned to seller', { to: args.to });
+        else if (!intoEscrow) push(event, 'Transferred', { from: args.from, to: args.to });
+        break;
+      }
+      case 'CardListed':
+        push(event, 'Listed', { price: args.price, from: args.seller });
+        break;
+      case 'ListingPriceUpdated':
+        push(event, 'Price changed', { price: args.newPrice, from: seller });
+        break;
+      case 'CardUnlisted':
+        push(event, 'Unlisted', { from: seller });
+        break;
+      case 'ListingExpired':
+        push(event, 'Listing expired', { to: args.seller });
+        break;
+      case 'CardSold':
+        push(event, 'Sold', { price: args.price, from: seller, to: args.buyer });
+        break;
+      case 'AuctionStarted':
+        push(event, 'Auction started', { price: args.startingPrice, from: seller });
+        break;
+      case 'BidPlaced':
+        push(event, 'Bid placed', { price: args.amount, from: args.bidder });
+        break;
+      case 'AuctionSettled':
+        push(event, 'Auction won', { price: args.amount, from: seller, to: args.winner });
+        break;
+      case 'DutchAuctionStarted':
+        push(event, 'Dutch auction started', { price: args.startPrice, from: args.seller });
+        break;
+      case 'DutchAuctionCancelled':
+        push(event, 'Dutch auction cancelled', { from: seller });
+        break;
+      case 'SealedAuctionStarted':
+        push(event, 'Sealed-bid auction started', { price: args.reservePrice, from: args.seller });
+        break;
+      case 'SealedBidRevealed':
+        push(event, 'Sealed bid revealed', { price: args.amount, from: args.bidder });
+        break;
+      case 'SealedAuctionSettled':
+        if (sameAddress(args.winner, ZeroAddress)) push(event, 'Sealed-bid auction ended unsold', { to: seller });
+        else push(event, 'Sealed-bid auction won', { price: args.price, from: seller, to: args.winner });
+        break;
+      case 'SealedAuctionCancelled':
+        push(event, 'Sealed-bid auction cancelled', { from: seller });
+        break;
+      case 'OfferAccepted':
+        push(event, 'Offer accepted', { price: args.amount, from: args.seller, to: args.offerer });
+        break;
+      default:
+        break;
+    }
+  }
+  return entries.reverse();
+}
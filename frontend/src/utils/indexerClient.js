@@ -0,0 +1,78 @@
+/** Largest page the indexer API serves */
+const PAGE_LIMIT = 500;
+
+const UINT_FIELDS = [
+  'price', 'startingPrice', 'highestBid', 'endTime', 'startPrice', 'floorPrice', 'startTime', 'duration',
+  'reservePrice', 'commitEnd', 'revealEnd', 'secondBid', 'round', 'expiresAt', 'minIncrementBps', 'extensionWindow',
+];
+
+async function getJson(baseUrl, route) {
+  const res = await fetch(`${baseUrl.replace(/\/$/, '')}${route}`);
+  if (!res.ok) throw new Error(`Indexer ${route} failed: ${res.status}`);
+  return res.json();
+}
+
+/** Every item of a paged indexer list endpoint */
+async function getAll(baseUrl, route) {
+  const items = [];
+  const separator = route.includes('?') ? '&' : '?';
+  for (let offset = 0; ; offset += PAGE_LIMIT) {
+    const page = await getJson(baseUrl, `${route}${separator}limit=${PAGE_LIMIT}&offset=${offset}`);
+    items.push(...page.items);
+    if (items.length >= page.total || page.items.length === 0) return items;
+  }
+}
+
+/** Indexer JSON -> the shape the chain loader produces (uint fields as bigint) */
+function toCard(item) {
+  const card = { ...item };
+  for (const field of UINT_FIELDS) {
+    if (card[field] != null) card[field] = BigInt(card[field]);
+  }
+  return card;
+}
+
+/**
+ * Load the Marketplace data from the event indexer (see indexer/ in the repo root) instead of the contracts.
+ * Returns the same shape as loadMarket in marketLoader.js.
+ * @param {string} baseUrl - Indexer API base URL
+ * @param {{ account?: string, excludeOwners?: string[] }} [options]
+ * @returns {Promise<{listings, auctions, dutchAuctions, sealedAuctions, myCards, otherCards}>}
+ */
+export async function loadMarketFromIndexer(baseUrl, { account, excludeOwners = [] } = {}) {
+  const [listings, auctions, dutchAuctions, sealedAuctions, cards] = await Promise.all([
+    getAll(baseUrl, '/listings'),
+    getAll(baseUrl, '/auctions'),
+    getAll(baseUrl, '/dutch-auctions'),
+    getAll(baseUrl, '/sealed-auctions'),
+    getAll(baseUrl, '/cards'),
+  ]);
+
+  const lowerAccount = account?.toLowerCase();
+  const excluded = new Set(excludeOwners.map((a) => a.toLowerCase()));
+  const allCards = cards.map(toCard).sort((a, b) => a.tokenId - b.tokenId);
+
+  return {
+    listings: listings.map(toCard),
+    auctions: auctions.map(toCard),
+    dutchAuctions: dutchAuctions.map(toCard),
+    sealedAuctions: sealedAuctions.map((a) => ({ ...toCard(a), bidCount: BigInt(a.bidders.length), settled: false })),
+    myCards: lowerAccount ? allCards.filter((c) => c.owner.toLowerCase() === lowerAccount) : [],
+    otherCards: allCards.filter((c) => {
+      const owner = c.owner.toLowerCase();
+      return owner !== lowerAccount && !excluded.has(owner);
+    }),
+  };
+}
+
+/**
+ * A token's PokemonNFT and PokemonTrading events from the indexer, in the shape loadTokenEvents returns
+ * (uint args stay decimal strings).
+ * @param {string} baseUrl - Indexer API base URL
+ * @param {number} tokenId
+ * @returns {Promise<Array<{ name, args, blockNumber, logIndex, txHash, timestamp }>>} Oldest first
+ */
+export async function loadTokenEventsFromIndexer(baseUrl, tokenId) {
+  const activity = await getAll(baseUrl, `/activity?tokenId=${tokenId}`);
+  return activity.reverse();
+}
@@ -0,0 +1,195 @@
+import { ZeroAddress } from 'ethers';
+
+/** PokemonTrading.Market enum values */
+export const MARKET = { LISTING: 0, AUCTION: 1, DUTCH: 2, SEALED: 3 };
+
+/** Token IDs per RPC call for the paged enumeration and batched getters */
+export const PAGE_SIZE = 50;
+
+/** Normalize a card struct - ethers can return struct as object or tuple */
+export function parseCard(raw) {
+  return {
+    name: raw.name ?? raw[0] ?? '',
+    pokemonType: raw.pokemonType ?? raw[1] ?? '',
+    hp: raw.hp ?? raw[2] ?? 0,
+    attack: raw.attack ?? raw[3] ?? 0,
+    defense: raw.defense ?? raw[4] ?? 0,
+    rarity: raw.rarity ?? raw[5] ?? 1,
+  };
+}
+
+function chunk(items, size) {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) chunks.push(items.slice(i, i + size));
+  return chunks;
+}
+
+/**
+ * Collect every ID from a paged (offset, limit) => [ids, total] view.
+ * @param {(offset: number, limit: number) => Promise<[bigint[], bigint]>} fetchPage
+ * @returns {Promise<number[]>}
+ */
+async function fetchAllIds(fetchPage, pageSize) {
+  const ids = [];
+  let total = Infinity;
+  for (let offset = 0; offset < total; offset += pageSize) {
+    const [page, pageTotal] = await fetchPage(offset, pageSize);
+    total = Number(pageTotal);
+    ids.push(...page.map(Number));
+    if (page.length === 0) break;
+  }
+  return ids;
+}
+
+/**
+ * Card data, URI and owner for many tokens via PokemonNFT.getCards, one call per page.
+ * @returns {Promise<Map<number, {tokenId: number, tokenURI: string, owner: string}>>} Keyed by token ID
+ */
+export async function loadCards(pokemonNFT, tokenIds, pageSize = PAGE_SIZE) {
+  const cards = new Map();
+  for (const ids of chunk(tokenIds, pageSize)) {
+    const [raws, uris, owners] = await pokemonNFT.getCards(ids);
+    ids.forEach((tokenId, i) => {
+      cards.set(tokenId, { tokenId, ...parseCard(raws[i]), tokenURI: uris[i], owner: owners[i] });
+    });
+  }
+  return cards;
+}
+
+/**
+ * Every card held by an address: paged tokensOfOwner, then batched getCards.
+ * @returns {Promise<Array<{tokenId: number, tokenURI: string, owner: string}>>} In owner-index order
+ */
+export async function loadOwnedCards(pokemonNFT, owner, pageSize = PAGE_SIZE) {
+  const ids = await fetchAllIds((offset, limit) => pokemonNFT.tokensOfOwner(owner, offset, limit), pageSize);
+  return [...(await loadCards(pokemonNFT, ids, pageSize)).values()];
+}
+
+/**
+ * Listing / auction records for many tokens via PokemonTrading.getMarketStates, one call per page.
+ * @returns {Promise<Map<number, {listing, auction, dutch, sealed}>>} Keyed by token ID
+ */
+async function loadMarketStates(pokemonTrading, tokenIds, pageSize) {
+  const states = new Map();
+  for (const ids of chunk(tokenIds, pageSize)) {
+    const [listings, auctions, dutch, sealed] = await pokemonTrading.getMarketStates(ids);
+    ids.forEach((tokenId, i) => {
+      states.set(tokenId, { listing: listings[i], auction: auctions[i], dutch: dutch[i], sealed: sealed[i] });
+    });
+  }
+  return states;
+}
+
+const listingFields = (listing) => ({ price: listing.price, seller: listing.seller, expiresAt: listing.expiresAt });
+
+const auctionFields = (auction) => ({
+  startingPrice: auction.startingPrice,
+  highestBid: auction.highestBid,
+  highestBidder: auction.highestBidder,
+  endTime: auction.endTime,
+  seller: auction.seller,
+  minIncrementBps: auction.minIncrementBps,
+  extensionWindow: auction.extensionWindow,
+});
+
+const dutchFields = (dutch) => ({
+  seller: dutch.seller,
+  startPrice: dutch.startPrice,
+  floorPrice: dutch.floorPrice,
+  startTime: dutch.startTime,
+  duration: dutch.duration,
+});
+
+/**
+ * Load everything the Marketplace shows using the on-chain enumeration views instead of probing every token:
+ * active IDs per market, then batched card and market-state getters, all paged.
+ * @param {import('ethers').Contract} pokemonNFT
+ * @param {import('ethers').Contract} pokemonTrading
+ * @param {{ account?: string, excludeOwners?: string[], pageSize?: number }} [options]
+ *   excludeOwners - escrow contracts whose cards are not "held by other collectors"
+ * @returns {Promise<{listings, auctions, dutchAuctions, sealedAuctions, myCards, otherCards}>}
+ */
+export async function loadMarket(pokemonNFT, pokemonTrading, { account, excludeOwners = [], pageSize = PAGE_SIZE } = {}) {
+  const activeIds = (market) =>
+    fetchAllIds((offset, limit) => pokemonTrading.getActiveTokenIds(market, offset, limit), pageSize);
+  const [listingIds, auctionIds, dutchIds, sealedIds, myIds, allIds] = await Promise.all([
+    activeIds(MARKET.LISTING),
+    activeIds(MARKET.AUCTION),
+    activeIds(MARKET.DUTCH),
+    activeIds(MARKET.SEALED),
+    account
+      ? fetchAllIds((offset, limit) => pokemonNFT.tokensOfOwner(account, offset, limit), pageSize)
+      : Promise.resolve([]),
+    // Every existing card is needed for "Other Collectors' Cards"; IDs burned by evolutions are skipped
+    fetchAllIds((offset, limit) => pokemonNFT.allTokenIds(offset, limit), pageSize),
+  ]);
+
+  const marketIds = [...new Set([...listingIds, ...auctionIds, ...dutchIds, ...sealedIds])];
+  const [cards, states] = await Promise.all([
+    loadCards(pokemonNFT, allIds, pageSize),
+    loadMarketStates(pokemonTrading, marketIds, pageSize),
+  ]);
+
+  const listings = listingIds.map((id) => ({ ...cards.get(id), ...listingFields(states.get(id).listing) }));
+  // Includes auctions that have ended but are not settled yet; the Marketplace splits them by chain time
+  const auctions = auctionIds.map((id) => ({ ...cards.get(id), ...auctionFields(states.get(id).auction) }));
+  const dutchAuctions = dutchIds.map((id) => ({ ...cards.get(id), ...dutchFields(states.get(id).dutch) }));
+  const sealedAuctions = sealedIds.map((id) => ({ ...cards.get(id), ...states.get(id).sealed.toObject() }));
+
+  const lowerAccount = account?.toLowerCase();
+  const excluded = new Set(excludeOwners.map((a) => a.toLowerCase()));
+  const myCards = myIds.sort((a, b) => a - b).map((id) => cards.get(id));
+  const otherCards = allIds
+    .map((id) => cards.get(id))
+    .filter((c) => {
+      const owner = c.owner.toLowerCase();
+      return owner !== lowerAccount && !excluded.has(owner);
+    });
+
+  return { listings, auctions, dutchAuctions, sealedAuctions, myCards, otherCards };
+}
+
+/**
+ * Card data plus every market record for one token, for refreshing a single token without a full reload.
+ * Markets the token is not in come back as null.
+ * @returns {Promise<{card, listing, auction, dutch, sealed}>}
+ */
+export async function loadToken(pokemonNFT, pokemonTrading, tokenId) {
+  const [cards, states] = await Promise.all([
+    loadCards(pokemonNFT, [tokenId]),
+    loadMarketStates(pokemonTrading, [tokenId], 1),
+  ]);
+  const { listing, auction, dutch, sealed } = states.get(tokenId);
+  const open = (record) => record.seller !== ZeroAddress && !record.settled;
+  return {
+    card: cards.get(tokenId),
+    listing: listing.active ? listingFields(listing) : null,
+    auction: open(auction) ? auctionFields(auction) : null,
+    dutch: dutch.active ? dutchFields(dutch) : null,
+    sealed: open(sealed) ? sealed.toObject() : null,
+  };
+}
+
+/**
+ * Every card the trading contract holds in escrow, with the market it is escrowed for.
+ * A card whose market record has closed but is still held (which should not happen) comes back as 'unknown'.
+ * @returns {Promise<Array<{tokenId: number, name: string, market: 'listing' | 'auction' | 'dutch' | 'sealed' | 'unknown'}>>}
+ */
+export async function loadEscrowedCards(pokemonNFT, pokemonTrading, pageSize = PAGE_SIZE) {
+  const tradingAddress = await pokemonTrading.getAddress();
+  const ids = await fetchAllIds((offset, limit) => pokemonNFT.tokensOfOwner(tradingAddress, offset, limit), pageSize);
+  const [cards, states] = await Promise.all([
+    loadCards(pokemonNFT, ids, pageSize),
+    loadMarketStates(pokemonTrading, ids, pageSize),
+  ]);
+  const open = (record) => record.seller !== ZeroAddress && !record.settled;
+  return ids.sort((a, b) => a - b).map((id) => {
+    const { listing, auction, dutch, sealed } = states.get(id);
+    const market = listing.active ? 'listing'
+      : open(auction) ? 'auction'
+        : dutch.active ? 'dutch'
+          : open(sealed) ? 'sealed'
+            : 'unknown';
+    return { ...cards.get(id), market };
+  });
+}
@@ -0,0 +1,256 @@
+import { ZeroAddress } from 'ethers';
+import { chainNow } from '../hooks/useChainTime';
+
+/** Mirrors PokemonTrading's default auction rules, until AuctionRulesSet says otherwise */
+const MIN_BID_INCREMENT_BPS = 500n;
+const AUCTION_EXTENSION_DURATION = 300n;
+
+const CARD_FIELDS = ['tokenId', 'name', 'pokemonType', 'hp', 'attack', 'defense', 'rarity', 'tokenURI', 'owner'];
+
+const MARKETS = ['listings', 'auctions', 'dutchAuctions', 'sealedAuctions'];
+
+/** Split a loaded market entry into its card data and its market record */
+function splitEntry(item) {
+  const card = {};
+  const record = {};
+  for (const [key, value] of Object.entries(item)) {
+    if (CARD_FIELDS.includes(key)) card[key] = value;
+    else record[key] = value;
+  }
+  return { card, record };
+}
+
+function sameAddress(a, b) {
+  return a?.toLowerCase() === b?.toLowerCase();
+}
+
+/**
+ * Normalized Marketplace state from a full load (loadMarket or loadMarketFromIndexer):
+ * one card map keyed by token ID plus one record map per market.
+ * @param {{listings, auctions, dutchAuctions, sealedAuctions, myCards, otherCards}} market
+ * @param {{ tradingAddress: string, excludeOwners?: string[] }} options
+ *   excludeOwners - escrow contracts whose cards are not "held by other collectors"
+ */
+export function createMarketState(market, { tradingAddress, excludeOwners = [] }) {
+  const state = {
+    tradingAddress,
+    excludeOwners,
+    cards: new Map(),
+    // Seller of a card escrowed in the trading contract (AuctionStarted does not carry the seller)
+    escrowedBy: new Map(),
+  };
+  for (const card of [...market.myCards, ...market.otherCards]) state.cards.set(card.tokenId, card);
+  for (const name of MARKETS) {
+    state[name] = new Map();
+    for (const item of market[name]) {
+      const { card, record } = splitEntry(item);
+      state.cards.set(item.tokenId, { ...state.cards.get(item.tokenId), ...card });
+      state[name].set(item.tokenId, record);
+    }
+  }
+  return state;
+}
+
+/** Shallow copy with fresh maps, so patches never mutate state React already rendered */
+function cloneState(state) {
+  const next = { ...state, cards: new Map(state.cards), escrowedBy: new Map(state.escrowedBy) };
+  for (const name of MARKETS) next[name] = new Map(state[name]);
+  return next;
+}
+
+function closeMarkets(state, tokenId) {
+  for (const name of MARKETS) state[name].delete(tokenId);
+}
+
+/**
+ * Apply one contract event to a cloned state in place.
+ * @returns {boolean} true when the event does not carry enough to patch and the token must be re-read
+ */
+function applyEvent(state, { name, args }) {
+  const tokenId = args.tokenId != null ? Number(args.tokenId) : null;
+
+  switch (name) {
+    case 'Transfer': {
+      // Burned by an evolution: gone from every list, like indexer/state.js
+      if (sameAddress(args.to, ZeroAddress)) {
+        state.cards.delete(tokenId);
+        state.escrowedBy.delete(tokenId);
+        closeMarkets(state, tokenId);
+        return false;
+      }
+      const card = state.cards.get(tokenId);
+      state.cards.set(tokenId, { ...card, tokenId, owner: args.to });
+      if (sameAddress(args.to, state.tradingAddress)) state.escrowedBy.set(tokenId, args.from);
+      // Every way a card leaves escrow (sale, unlist, settle, cancel) ends whatever market it was in
+      if (sameAddress(args.from, state.tradingAddress)) {
+        state.escrowedBy.delete(tokenId);
+        closeMarkets(state, tokenId);
+      }
+      // A mint: stats and URI are not in the event
+      return !card;
+    }
+    case 'CardListed':
+      state.listings.set(tokenId, { price: args.price, seller: args.seller, expiresAt: 0n });
+      return false;
+    case 'CardUnlisted':
+    case 'ListingExpired':
+      state.listings.delete(tokenId);
+      return false;
+    case 'ListingExpirySet': {
+      const listing = state.listings.get(tokenId);
+      if (!listing) return true;
+      state.listings.set(tokenId, { ...listing, expiresAt: args.expiresAt });
+      return false;
+    }
+    case 'ListingPriceUpdated': {
+      const listing = state.listings.get(tokenId);
+      if (!listing) return true;
+      state.listings.set(tokenId, { ...listing, price: args.newPrice });
+      return false;
+    }
+    case 'CardSold':
+      state.listings.delete(tokenId);
+      state.dutchAuctions.delete(tokenId);
+      return false;
+    case 'AuctionStarted': {
+      const seller = state.escrowedBy.get(tokenId);
+      state.auctions.set(tokenId, {
+        startingPrice: args.startingPrice,
+        highestBid: 0n,
+        highestBidder: ZeroAddress,
+        endTime: args.endTime,
+        seller: seller ?? ZeroAddress,
+        minIncrementBps: MIN_BID_INCREMENT_BPS,
+        extensionWindow: AUCTION_EXTENSION_DURATION,
+      });
+      return !seller;
+    }
+    case 'AuctionRulesSet': {
+      const auction = state.auctions.get(tokenId);
+      if (!auction) return true;
+      state.auctions.set(tokenId, { ...auction, minIncrementBps: args.minIncrementBps, extensionWindow: args.extensionWindow });
+      return false;
+    }
+    case 'BidPlaced': {
+      const auction = state.auctions.get(tokenId);
+      if (!auction) return true;
+      state.auctions.set(tokenId, { ...auction, highestBid: args.amount, highestBidder: args.bidder });
+      // The new endTime depends on the bid's block timestamp, which the event does not carry. Compare on chain time
+      // like the countdowns: a chain clock ahead of this machine's would otherwise never re-read an extension.
+      return BigInt(auction.endTime) - BigInt(Math.floor(chainNow())) <= BigInt(auction.extensionWindow);
+    }
+    case 'AuctionSettled':
+      state.auctions.delete(tokenId);
+      return false;
+    case 'DutchAuctionStarted':
+      state.dutchAuctions.set(tokenId, {
+        seller: args.seller,
+        startPrice: args.startPrice,
+        floorPrice: args.floorPrice,
+        startTime: args.startTime,
+        duration: args.duration,
+      });
+      return false;
+    case 'DutchAuctionCancelled':
+      state.dutchAuctions.delete(tokenId);
+      return false;
+    case 'SealedAuctionStarted':
+    case 'SealedBidCommitted':
+    case 'SealedBidRevealed':
+      // round, bidCount and the second price are only readable from the contract
+      return true;
+    case 'SealedAuctionSettled':
+    case 'SealedAuctionCancelled':
+      state.sealedAuctions.delete(tokenId);
+      return false;
+    default:
+      // Offers, withdrawals, royalties and swaps do not change the market maps
+      return false;
+  }
+}
+
+/**
+ * Apply a batch of contract events as targeted patches, in chain order.
+ * @param {ReturnType<typeof createMarketState>} state
+ * @param {Array<{ name: string, args: Object, blockNumber: number, logIndex: number }>} events
+ * @returns {{ state: ReturnType<typeof createMarketState>, refresh: number[] }}
+ *   refresh - token IDs whose events could not be fully applied and should be re-read with loadToken
+ */
+export function applyMarketEvents(state, events) {
+  const next = cloneState(state);
+  const refresh = new Set();
+  const ordered = [...events].sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+  for (const event of ordered) {
+    if (applyEvent(next, event)) refresh.add(Number(event.args.tokenId));
+  }
+  return { state: next, refresh: [...refresh] };
+}
+
+/**
+ * Replace one token's card and market records with a fresh read from loadToken.
+ * @param {ReturnType<typeof createMarketState>} state
+ * @param {number} tokenId
+ * @param {{card, listing, auction, dutch, sealed}} token
+ */
+export function applyTokenState(state, tokenId, token) {
+  const next = cloneState(state);
+  next.cards.set(tokenId, token.card);
+  const records = { listings: token.listing, auctions: token.auction, dutchAuctions: token.dutch, sealedAuctions: token.sealed };
+  for (const name of MARKETS) {
+    if (records[name]) next[name].set(tokenId, records[name]);
+    else next[name].delete(tokenId);
+  }
+  return next;
+}
+
+/**
+ * Derive the Marketplace lists from the normalized state, in the shape loadMarket returns.
+ * @param {ReturnType<typeof createMarketState> | null} state
+ * @param {string} [account]
+ * @returns {{listings, auctions, dutchAuctions, sealedAuctions, myCards, otherCards}}
+ */
+export function selectMarket(state, account) {
+  if (!state) return { listings: [], auctions: [], dutchAuctions: [], sealedAuctions: [], myCards: [], otherCards: [] };
+  const withCard = (entries) => [...entries].map(([tokenId, record]) => ({ ...state.cards.get(tokenId), ...record }));
+  const byTokenId = (a, b) => a.tokenId - b.tokenId;
+
+  const excluded = new Set(state.excludeOwners.map((a) => a.toLowerCase()));
+  const lowerAccount = account?.toLowerCase();
+  const cards = [...state.cards.values()].sort(byTokenId);
+
+  return {
+    listings: withCard(state.listings),
+    auctions: withCard(state.auctions),
+    dutchAuctions: withCard(state.dutchAuctions),
+    sealedAuctions: withCard(state.sealedAuctions),
+    myCards: lowerAccount ? cards.filter((c) => c.owner.toLowerCase() === lowerAccount) : [],
+    otherCards: cards.filter((c) => {
+      const owner = c.owner.toLowerCase();
+      return owner !== lowerAccount && !excluded.has(owner);
+    }),
+  };
+}
+
+/** Lists of a selectMarket result, in the order a card's CardDetail mode is picked */
+const CARD_MODES = [
+  ['listings', 'listing'],
+  ['auctions', 'auction'],
+  ['dutchAuctions', 'dutch'],
+  ['sealedAuctions', 'sealed'],
+  ['myCards', 'mine'],
+  ['otherCards', 'owned'],
+];
+
+/**
+ * One card from a selectMarket result as CardDetail expects it: card fields, market record and `mode`.
+ * @param {ReturnType<typeof selectMarket>} market
+ * @param {number} tokenId
+ * @returns {Object | null} null when the market lists do not include the token (e.g. a card in swap escrow)
+ */
+export function findMarketCard(market, tokenId) {
+  for (const [list, mode] of CARD_MODES) {
+    const item = market[list].find((c) => c.tokenId === tokenId);
+    if (item) return { ...item, mode };
+  }
+  return null;
+}
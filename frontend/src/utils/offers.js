@@ -0,0 +1,40 @@
+/**
+ * Load live offers by replaying OfferMade events and reading current state from `offers(tokenId, offerer)`.
+ * Cancelled, accepted and released offers read back as amount 0 and are dropped.
+ * @param {import('ethers').Contract} pokemonTrading - Trading contract instance
+ * @param {{ tokenIds?: Array<number|bigint>, offerer?: string }} filter - Restrict to these tokens and/or this offerer
+ * @returns {Promise<Array<{ tokenId: number, offerer: string, amount: bigint, expiresAt: bigint }>>}
+ */
+export async function loadOffers(pokemonTrading, { tokenIds = null, offerer = null } = {}) {
+  if (tokenIds && tokenIds.length === 0) return [];
+  const events = await pokemonTrading.queryFilter(
+    pokemonTrading.filters.OfferMade(tokenIds, offerer)
+  );
+
+  const seen = new Set();
+  const pairs = [];
+  for (const ev of events) {
+    const tokenId = Number(ev.args.tokenId);
+    const key = `${tokenId}:${ev.args.offerer.toLowerCase()}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    pairs.push({ tokenId, offerer: ev.args.offerer });
+  }
+
+  const current = await Promise.all(
+    pairs.map(async ({ tokenId, offerer: from }) => {
+      const offer = await pokemonTrading.offers(tokenId, from);
+      return { tokenId, offerer: from, amount: offer.amount, expiresAt: offer.expiresAt };
+    })
+  );
+  return current.filter((o) => o.amount > 0n).sort((a, b) => (b.amount > a.amount ? 1 : b.amount < a.amount ? -1 : 0));
+}
+
+/**
+ * @param {{ expiresAt: bigint }} offer
+ * @param {number} nowSec - Chain time in Unix seconds (useChainNow / chainNow), which the contract checks against
+ * @returns {boolean} true once the offer can no longer be accepted
+ */
+export function isOfferExpired(offer, nowSec) {
+  return Number(offer.expiresAt) <= nowSec;
+}
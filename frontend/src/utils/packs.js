@@ -0,0 +1,111 @@
+import { AbiCoder, keccak256, hexlify, randomBytes } from 'ethers';
+
+const STORAGE_PREFIX = 'pokeone:packSecrets';
+
+/** BoosterPacks.REVEAL_WINDOW: blocks after the purchase during which a pack can be opened */
+export const REVEAL_WINDOW = 256;
+
+/** BoosterPacks.EXPIRED_REFUND_BPS: share of the price refundPack returns for a pack never opened */
+export const EXPIRED_REFUND_BPS = 1000n;
+
+function storageKey(packsAddress, account) {
+  return `${STORAGE_PREFIX}:${String(packsAddress).toLowerCase()}:${String(account).toLowerCase()}`;
+}
+
+/**
+ * Commitment expected by BoosterPacks.buyPack: keccak256(abi.encode(secret, buyer)).
+ * @param {string} secret - 32-byte hex secret
+ * @param {string} buyer - Buyer address
+ * @returns {string} bytes32 commitment
+ */
+export function computePackCommitment(secret, buyer) {
+  return keccak256(AbiCoder.defaultAbiCoder().encode(['bytes32', 'address'], [secret, buyer]));
+}
+
+/** @returns {string} Random 32-byte hex secret for a new purchase */
+export function generatePackSecret() {
+  return hexlify(randomBytes(32));
+}
+
+/**
+ * Read the pack secrets saved for an account on a BoosterPacks contract. Secrets are keyed by commitment,
+ * since they are saved before the purchase ID is known.
+ * @returns {Object<string, {secret: string, packTypeId: number, savedAt: number}>}
+ */
+export function loadPackSecrets(packsAddress, account) {
+  if (!packsAddress || !account) return {};
+  try {
+    return JSON.parse(localStorage.getItem(storageKey(packsAddress, account))) || {};
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Save (or with record = null, remove) the secret behind a commitment.
+ * @returns {Object} The updated map of secrets for the account
+ */
+export function savePackSecret(packsAddress, account, commitment, record) {
+  const secrets = loadPackSecrets(packsAddress, account);
+  if (record) secrets[commitment.toLowerCase()] = record;
+  else delete secrets[commitment.toLowerCase()];
+  localStorage.setItem(storageKey(packsAddress, account), JSON.stringify(secrets));
+  return secrets;
+}
+
+/**
+ * Every pack type with its card pools, in ID order (drafts included).
+ * @param {import('ethers').Contract} boosterPacks
+ * @returns {Promise<Array<{id: number, name: string, price: bigint, cardsPerPack: number, rarityWeights: number[],
+ *   launched: boolean, onSale: boolean, pools: Array<Array<Object>>}>>} pools[r - 1] - templates of rarity r
+ */
+export async function loadPackTypes(boosterPacks) {
+  const count = Number(await boosterPacks.nextPackTypeId());
+  const ids = Array.from({ length: count }, (_, id) => id);
+  return Promise.all(ids.map(async (id) => {
+    const [pack, ...pools] = await Promise.all([
+      boosterPacks.getPackType(id),
+      ...[1, 2, 3, 4, 5].map((rarity) => boosterPacks.getPool(id, rarity)),
+    ]);
+    return {
+      id,
+      name: pack.name,
+      price: pack.price,
+      cardsPerPack: Number(pack.cardsPerPack),
+      rarityWeights: pack.rarityWeights.map(Number),
+      launched: pack.launched,
+      onSale: pack.onSale,
+      pools: pools.map((pool) => pool.map((t) => ({
+        name: t.name,
+        pokemonType: t.pokemonType,
+        uri: t.uri,
+        hp: Number(t.hp),
+        attack: Number(t.attack),
+        defense: Number(t.defense),
+        weight: Number(t.weight),
+      }))),
+    };
+  }));
+}
+
+/**
+ * Per-card-slot drop chances of a pack type, mirroring BoosterPacks' draw: a rarity by rarityWeights, then a
+ * template of that rarity by its weight.
+ * @param {{ rarityWeights: number[], pools: Array<Array<{name: string, weight: number}>> }} pack
+ * @returns {Array<{rarity: number, chance: number, cards: Array<{name: string, chance: number}>}>} Rarities that
+ *   can drop; chance is 0-1 per slot
+ */
+export function packOdds(pack) {
+  const total = pack.rarityWeights.reduce((sum, w) => sum + w, 0);
+  if (total === 0) return [];
+  return pack.rarityWeights.flatMap((weight, i) => {
+    if (weight === 0) return [];
+    const chance = weight / total;
+    const poolTotal = pack.pools[i].reduce((sum, t) => sum + t.weight, 0);
+    return [{
+      rarity: i + 1,
+      chance,
+      cards: pack.pools[i].map((t) => ({ name: t.name, chance: poolTotal ? (chance * t.weight) / poolTotal : 0 })),
+    }];
+  });
+}
@@ -0,0 +1,111 @@
+import { solidityPackedKeccak256, hexlify, randomBytes } from 'ethers';
+
+const STORAGE_PREFIX = 'pokeone:sealedBids';
+
+function storageKey(tradingAddress, account) {
+  return `${STORAGE_PREFIX}:${String(tradingAddress).toLowerCase()}:${String(account).toLowerCase()}`;
+}
+
+/**
+ * Commitment expected by PokemonTrading.placeBidReveal: keccak256(abi.encodePacked(bidder, tokenId, amount, nonce)).
+ * @param {string} bidder - Bidder address
+ * @param {bigint|number} tokenId - Auctioned token ID
+ * @param {bigint} amount - Bid amount in wei
+ * @param {string} nonce - 32-byte hex secret
+ * @returns {string} bytes32 commitment
+ */
+export function computeBidCommitment(bidder, tokenId, amount, nonce) {
+  return solidityPackedKeccak256(
+    ['address', 'uint256', 'uint256', 'bytes32'],
+    [bidder, BigInt(tokenId), amount, nonce]
+  );
+}
+
+/** @returns {string} Random 32-byte hex nonce for a new commitment */
+export function generateBidNonce() {
+  return hexlify(randomBytes(32));
+}
+
+/**
+ * Read all sealed bids saved for an account on a trading contract.
+ * @returns {Object<string, {amount: string, nonce: string, commitment: string, committedAt: number, revealed: boolean}>}
+ */
+export function loadSealedBids(tradingAddress, account) {
+  if (!tradingAddress || !account) return {};
+  try {
+    return JSON.parse(localStorage.getItem(storageKey(tradingAddress, account))) || {};
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Storage key for a bid in a sealed-bid (Vickrey) auction. Scoped by auction round so a new auction on
+ * the same token does not pick up an old secret, and kept apart from English-auction sealed bids.
+ * @param {bigint|number} tokenId - Auctioned token ID
+ * @param {bigint|number} round - SealedAuction.round
+ * @returns {string}
+ */
+export function vickreyBidKey(tokenId, round) {
+  return `vickrey:${tokenId}:${round}`;
+}
+
+/**
+ * Save (or with record = null, remove) one sealed bid. Amount is stored as a wei string.
+ * @param {string|number} key - vickreyBidKey(tokenId, round) for a sealed-bid auction, so a later round never
+ *   overwrites an earlier round's unrevealed secret; the token ID for an English-auction commitment, which the
+ *   contract also keeps per token (bidCommitments) and which escrows nothing until revealed
+ * @returns {Object} The updated map of sealed bids for the account
+ */
+export function saveSealedBid(tradingAddress, account, key, record) {
+  const bids = loadSealedBids(tradingAddress, account);
+  if (record) bids[String(key)] = record;
+  else delete bids[String(key)];
+  try {
+    localStorage.setItem(storageKey(tradingAddress, account), JSON.stringify(bids));
+  } catch (err) {
+    console.error('Failed to save sealed bid:', err);
+  }
+  return bids;
+}
+
+/**
+ * Whether storage now holds `record` under `key`. Check after saving and before committing on-chain: saving
+ * does not throw when storage is full or blocked, and a commitment sent without its saved secret can never be
+ * revealed.
+ * @returns {boolean}
+ */
+export function isSealedBidSaved(tradingAddress, account, key, record) {
+  return loadSealedBids(tradingAddress, account)[String(key)]?.commitment === record.commitment;
+}
+
+/**
+ * Status of a locally saved sealed bid:
+ *  - committed: saved locally, commitment not (yet) visible on-chain
+ *  - revealable: on-chain commitment matches and the auction is still open
+ *  - revealed: placeBidReveal succeeded
+ *  - expired: auction ended before the bid was revealed
+ * @param {Object|null} record - Saved sealed bid
+ * @param {{ onChainCommitment?: string, auctionEnded: boolean }} state
+ * @returns {'committed'|'revealable'|'revealed'|'expired'|null}
+ */
+export function getSealedBidStatus(record, { onChainCommitment, auctionEnded }) {
+  if (!record) return null;
+  if (record.revealed) return 'revealed';
+  if (auctionEnded) return 'expired';
+  if (onChainCommitment && onChainCommitment.toLowerCase() === record.commitment.toLowerCase()) return 'revealable';
+  return 'committed';
+}
+
+/**
+ * Phase of a sealed-bid (Vickrey) auction at a given time.
+ * @param {{ commitEnd: bigint, revealEnd: bigint, settled: boolean }} auction - PokemonTrading.sealedAuctions entry
+ * @param {number} nowSec - Unix timestamp in seconds
+ * @returns {'commit'|'reveal'|'ended'|'settled'}
+ */
+export function getSealedAuctionPhase(auction, nowSec) {
+  if (auction.settled) return 'settled';
+  if (nowSec < Number(auction.commitEnd)) return 'commit';
+  if (nowSec < Number(auction.revealEnd)) return 'reveal';
+  return 'ended';
+}
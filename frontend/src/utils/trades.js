@@ -0,0 +1,79 @@
+import { ZeroAddress } from 'ethers';
+
+/** Sale events, the market each one settles and the names of its buyer / price arguments */
+const SALE_EVENTS = {
+  CardSold: { market: 'fixed', buyer: 'buyer', price: 'price' },
+  AuctionSettled: { market: 'auction', buyer: 'winner', price: 'amount' },
+  SealedAuctionSettled: { market: 'sealed', buyer: 'winner', price: 'price' },
+  OfferAccepted: { market: 'offer', buyer: 'offerer', price: 'amount' },
+};
+
+/** Display names for the `market` of a trade */
+export const SALE_MARKET_LABELS = {
+  fixed: 'Fixed price / Dutch',
+  auction: 'Auction',
+  sealed: 'Sealed-bid auction',
+  offer: 'Offer',
+};
+
+function byChainOrder(a, b) {
+  return a.blockNumber - b.blockNumber || a.index - b.index;
+}
+
+/**
+ * Every completed sale on PokemonTrading, rebuilt from its events. Sale events carry the buyer and price but
+ * (except OfferAccepted) not the seller, so the seller is taken from the card's last Transfer into escrow; the
+ * fee and royalty come from the PlatformFeePaid / RoyaltyPaid events of the same transaction.
+ * @param {import('ethers').Contract} pokemonNFT
+ * @param {import('ethers').Contract} pokemonTrading
+ * @returns {Promise<Array<{ tokenId: number, market: 'fixed' | 'auction' | 'sealed' | 'offer', seller: string,
+ *   buyer: string, price: bigint, fee: bigint, royalty: bigint, royaltyReceiver: string | null,
+ *   sellerProceeds: bigint, timestamp: number, txHash: string }>>} Oldest first
+ */
+export async function loadTrades(pokemonNFT, pokemonTrading) {
+  const tradingAddress = await pokemonTrading.getAddress();
+  const [escrowTransfers, fees, royalties, ...saleLogs] = await Promise.all([
+    pokemonNFT.queryFilter(pokemonNFT.filters.Transfer(null, tradingAddress)),
+    pokemonTrading.queryFilter(pokemonTrading.filters.PlatformFeePaid()),
+    pokemonTrading.queryFilter(pokemonTrading.filters.RoyaltyPaid()),
+    ...Object.keys(SALE_EVENTS).map((name) => pokemonTrading.queryFilter(pokemonTrading.filters[name]())),
+  ]);
+
+  const txKey = (log) => `${log.transactionHash}:${Number(log.args.tokenId)}`;
+  const feeByTx = new Map(fees.map((log) => [txKey(log), log.args.amount]));
+  const royaltyByTx = new Map(royalties.map((log) => [txKey(log), log]));
+
+  const timestamps = new Map();
+  const escrowedBy = new Map();
+  const trades = [];
+  for (const log of [...escrowTransfers, ...saleLogs.flat()].sort(byChainOrder)) {
+    const tokenId = Number(log.args.tokenId);
+    if (log.eventName === 'Transfer') {
+      escrowedBy.set(tokenId, log.args.from);
+      continue;
+    }
+    const sale = SALE_EVENTS[log.eventName];
+    const buyer = log.args[sale.buyer];
+    // A sealed-bid auction with no valid reveal settles with no winner
+    if (buyer === ZeroAddress) continue;
+    const price = log.args[sale.price];
+    const royaltyLog = royaltyByTx.get(txKey(log));
+    const fee = feeByTx.get(txKey(log)) ?? 0n;
+    const royalty = royaltyLog?.args.amount ?? 0n;
+    if (!timestamps.has(log.blockNumber)) timestamps.set(log.blockNumber, (await log.getBlock()).timestamp);
+    trades.push({
+      tokenId,
+      market: sale.market,
+      seller: log.eventName === 'OfferAccepted' ? log.args.seller : escrowedBy.get(tokenId),
+      buyer,
+      price,
+      fee,
+      royalty,
+      royaltyReceiver: royaltyLog?.args.receiver ?? null,
+      sellerProceeds: price - fee - royalty,
+      timestamp: timestamps.get(log.blockNumber),
+      txHash: log.transactionHash,
+    });
+  }
+  return trades;
+}
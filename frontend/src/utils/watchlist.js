@@ -0,0 +1,35 @@
+const STORAGE_PREFIX = 'pokeone:watchlist';
+
+function storageKey(tradingAddress, account) {
+  return `${STORAGE_PREFIX}:${String(tradingAddress).toLowerCase()}:${String(account).toLowerCase()}`;
+}
+
+/**
+ * Read the watchlist saved for an account on a trading contract.
+ * @returns {Object<string, {addedAt: number, alertBelow: string | null}>} Keyed by token ID;
+ *   alertBelow - wei string, notify when the card is listed at or below it (null: any listing)
+ */
+export function loadWatchlist(tradingAddress, account) {
+  if (!tradingAddress || !account) return {};
+  try {
+    return JSON.parse(localStorage.getItem(storageKey(tradingAddress, account))) || {};
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Save (or with entry = null, remove) one watched card.
+ * @returns {Object} The updated watchlist for the account
+ */
+export function saveWatchlistEntry(tradingAddress, account, tokenId, entry) {
+  const watchlist = loadWatchlist(tradingAddress, account);
+  if (entry) watchlist[String(tokenId)] = entry;
+  else delete watchlist[String(tokenId)];
+  try {
+    localStorage.setItem(storageKey(tradingAddress, account), JSON.stringify(watchlist));
+  } catch (err) {
+    console.error('Failed to save watchlist:', err);
+  }
+  return watchlist;
+}
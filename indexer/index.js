@@ -0,0 +1,47 @@
+const path = require("path");
+const { ethers } = require("ethers");
+const { createJsonStore } = require("./store");
+const { createIndexer } = require("./indexer");
+const { createServer } = require("./server");
+
+const RPC_URL = process.env.RPC_URL || "http://127.0.0.1:8545";
+const PORT = Number(process.env.INDEXER_PORT || 4000);
+const POLL_INTERVAL_MS = Number(process.env.INDEXER_POLL_MS || 2000);
+const CONFIRMATIONS = Number(process.env.INDEXER_CONFIRMATIONS || 0);
+const STORE_PATH = process.env.INDEXER_STORE || path.join(__dirname, "data", "store.json");
+
+async function main() {
+  const nftAddress = process.env.POKEMON_NFT_ADDRESS;
+  const tradingAddress = process.env.POKEMON_TRADING_ADDRESS;
+  if (!nftAddress || !tradingAddress) {
+    console.log("Set POKEMON_NFT_ADDRESS and POKEMON_TRADING_ADDRESS (from npm run deploy) and run again.");
+    process.exit(1);
+  }
+
+  const provider = new ethers.JsonRpcProvider(RPC_URL);
+  const { chainId } = await provider.getNetwork();
+  const store = createJsonStore(STORE_PATH, { chainId: Number(chainId), nftAddress, tradingAddress });
+  const indexer = createIndexer({ provider, nftAddress, tradingAddress, store, confirmations: CONFIRMATIONS });
+
+  createServer(indexer).listen(PORT, () => {
+    console.log(`Indexer API listening on http://localhost:${PORT}`);
+  });
+
+  // Poll sequentially so two syncs never overlap
+  const poll = async () => {
+    try {
+      const result = await indexer.sync();
+      if (result.reorg) console.log(`Reorg detected, rolled back and re-indexed up to block ${result.toBlock}`);
+      if (result.events > 0) console.log(`Indexed ${result.events} events up to block ${result.toBlock}`);
+    } catch (err) {
+      console.error("Sync error:", err.shortMessage || err.message);
+    }
+    setTimeout(poll, POLL_INTERVAL_MS);
+  };
+  poll();
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,138 @@
+const { ethers } = require("ethers");
+const PokemonNFTArtifact = require("../artifacts/contracts/PokemonNFT.sol/PokemonNFT.json");
+const PokemonTradingArtifact = require("../artifacts/contracts/PokemonTrading.sol/PokemonTrading.json");
+const { buildState, applyEvent } = require("./state");
+
+/** Blocks per eth_getLogs request */
+const DEFAULT_BATCH_SIZE = 2000;
+
+/** uint values (also inside arrays such as CardEvolved.burnedTokenIds) become decimal strings so they survive JSON */
+function plainValue(value) {
+  if (typeof value === "bigint") return value.toString();
+  if (Array.isArray(value)) return value.map(plainValue);
+  return value;
+}
+
+/** Decoded event args as a plain object */
+function plainArgs(parsed) {
+  const args = {};
+  parsed.fragment.inputs.forEach((input, i) => {
+    args[input.name] = plainValue(parsed.args[i]);
+  });
+  return args;
+}
+
+/**
+ * Follows PokemonNFT and PokemonTrading events and keeps a reorg-safe event store plus the state derived from it.
+ * @param {Object} options
+ * @param {import('ethers').Provider} options.provider - JSON-RPC provider for the node
+ * @param {string} options.nftAddress - PokemonNFT address
+ * @param {string} options.tradingAddress - PokemonTrading address
+ * @param {ReturnType<import('./store').createJsonStore>} options.store - Event store
+ * @param {number} [options.confirmations=0] - Blocks to stay behind the head
+ * @param {number} [options.batchSize=2000] - Blocks per getLogs request
+ */
+function createIndexer({ provider, nftAddress, tradingAddress, store, confirmations = 0, batchSize = DEFAULT_BATCH_SIZE }) {
+  const nft = new ethers.Contract(nftAddress, PokemonNFTArtifact.abi, provider);
+  const nftInterface = nft.interface;
+  const tradingInterface = new ethers.Interface(PokemonTradingArtifact.abi);
+  const trading = tradingAddress.toLowerCase();
+
+  store.load();
+  let state = buildState(store.events, tradingAddress);
+
+  function parseLog(log) {
+    const iface = log.address.toLowerCase() === trading ? tradingInterface : nftInterface;
+    const parsed = iface.parseLog(log);
+    if (!parsed) return null;
+    return {
+      contract: log.address.toLowerCase() === trading ? "PokemonTrading" : "PokemonNFT",
+      name: parsed.name,
+      args: plainArgs(parsed),
+      blockNumber: log.blockNumber,
+      blockHash: log.blockHash,
+      logIndex: log.index,
+      txHash: log.transactionHash,
+    };
+  }
+
+  /** Roll back to the newest checkpoint still on the canonical chain; returns true if anything was dropped */
+  async function handleReorg() {
+    const checkpoints = store.checkpoints;
+    if (checkpoints.length === 0) return false;
+    const latest = checkpoints[checkpoints.length - 1];
+    const block = await provider.getBlock(latest.number);
+    if (block?.hash === latest.hash) return false;
+
+    let safeBlock = -1;
+    for (let i = checkpoints.length - 2; i >= 0; i--) {
+      const candidate = await provider.getBlock(checkpoints[i].number);
+      if (candidate?.hash === checkpoints[i].hash) {
+        safeBlock = checkpoints[i].number;
+        break;
+      }
+    }
+    store.rollbackTo(safeBlock);
+    state = buildState(store.events, tradingAddress);
+    store.save();
+    return true;
+  }
+
+  /**
+   * Index every block up to head - confirmations. Safe to call repeatedly (polling).
+   * @returns {Promise<{ fromBlock: number, toBlock: number, events: number, reorg: boolean }>}
+   */
+  async function sync() {
+    const reorg = await handleReorg();
+    const head = await provider.getBlockNumber();
+    const target = head - confirmations;
+    const fromBlock = store.lastBlock + 1;
+    let indexed = 0;
+
+    for (let from = fromBlock; from <= target; from += batchSize) {
+      const to = Math.min(from + batchSize - 1, target);
+      const logs = await provider.getLogs({ address: [nftAddress, tradingAddress], fromBlock: from, toBlock: to });
+      const timestamps = new Map();
+      const events = [];
+      for (const log of logs) {
+        const event = parseLog(log);
+        if (!event) continue;
+        if (!timestamps.has(log.blockNumber)) {
+          timestamps.set(log.blockNumber, (await provider.getBlock(log.blockNumber)).timestamp);
+        }
+        event.timestamp = timestamps.get(log.blockNumber);
+        // PokemonMinted only carries name/type/rarity; read the rest as of the mint block
+        if (event.name === "PokemonMinted") {
+          const [card, tokenURI] = await Promise.all([
+            nft.getCard(event.args.tokenId, { blockTag: log.blockNumber }),
+            nft.tokenURI(event.args.tokenId, { blockTag: log.blockNumber }),
+          ]);
+          event.extra = { hp: Number(card.hp), attack: Number(card.attack), defense: Number(card.defense), tokenURI };
+        }
+        events.push(event);
+      }
+      const block = await provider.getBlock(to);
+      store.append(events, { number: to, hash: block.hash });
+      for (const event of events) applyEvent(state, event, trading);
+      store.save();
+      indexed += events.length;
+    }
+
+    return { fromBlock, toBlock: Math.max(target, store.lastBlock), events: indexed, reorg };
+  }
+
+  return {
+    sync,
+    get state() {
+      return state;
+    },
+    get events() {
+      return store.events;
+    },
+    get lastBlock() {
+      return store.lastBlock;
+    },
+  };
+}
+
+module.exports = { createIndexer };
@@ -0,0 +1,139 @@
+const http = require("http");
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 500;
+
+/** Thrown by a route for a malformed request; answered with 400 and its message */
+class BadRequest extends Error {}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, {
+    "Content-Type": "application/json",
+    "Access-Control-Allow-Origin": "*",
+  });
+  res.end(JSON.stringify(body));
+}
+
+/** Non-negative integer query parameter, or null when absent */
+function intParam(query, name) {
+  if (!query.has(name)) return null;
+  const value = query.get(name);
+  if (!/^\d+$/.test(value)) throw new BadRequest(`${name} must be a non-negative integer`);
+  return Number(value);
+}
+
+function page(items, query) {
+  const limit = Math.min(intParam(query, "limit") || DEFAULT_LIMIT, MAX_LIMIT);
+  const offset = intParam(query, "offset") ?? 0;
+  return { total: items.length, offset, limit, items: items.slice(offset, offset + limit) };
+}
+
+function sameAddress(a, b) {
+  return a?.toLowerCase() === b?.toLowerCase();
+}
+
+/** Card joined with its card data and last sale, for market entries */
+function withCard(state, entry) {
+  return { ...state.cards.get(entry.tokenId), ...entry, lastSale: state.lastSales.get(entry.tokenId) ?? null };
+}
+
+/** Activity touching a token or an address, newest first */
+function activityFor(events, { tokenId, address }) {
+  return events
+    .filter((e) => {
+      if (tokenId != null && Number(e.args.tokenId) !== tokenId) return false;
+      if (address && !Object.values(e.args).some((v) => sameAddress(String(v), address))) return false;
+      return true;
+    })
+    .slice()
+    .reverse();
+}
+
+const routes = [
+  ["/health", (indexer) => ({ lastBlock: indexer.lastBlock, events: indexer.events.length })],
+  ["/listings", (indexer, query) => page([...indexer.state.listings.values()].map((l) => withCard(indexer.state, l)), query)],
+  ["/auctions", (indexer, query) => page([...indexer.state.auctions.values()].map((a) => withCard(indexer.state, a)), query)],
+  ["/dutch-auctions", (indexer, query) => page([...indexer.state.dutchAuctions.values()].map((a) => withCard(indexer.state, a)), query)],
+  ["/sealed-auctions", (indexer, query) => page([...indexer.state.sealedAuctions.values()].map((a) => withCard(indexer.state, a)), query)],
+  ["/cards", (indexer, query) => {
+    const owner = query.get("owner");
+    const cards = [...indexer.state.cards.values()].filter((c) => !owner || sameAddress(c.owner, owner));
+    return page(cards.map((c) => withCard(indexer.state, c)), query);
+  }],
+  ["/activity", (indexer, query) => {
+    return page(activityFor(indexer.events, { tokenId: intParam(query, "tokenId"), address: query.get("address") }), query);
+  }],
+];
+
+/** GET /cards/:id - card, current markets, open offers and its activity */
+function cardDetail(indexer, tokenId) {
+  const { state } = indexer;
+  const card = state.cards.get(tokenId);
+  if (!card) return null;
+  return {
+    ...withCard(state, card),
+    listing: state.listings.get(tokenId) ?? null,
+    auction: state.auctions.get(tokenId) ?? null,
+    dutchAuction: state.dutchAuctions.get(tokenId) ?? null,
+    sealedAuction: state.sealedAuctions.get(tokenId) ?? null,
+    offers: [...state.offers.values()].filter((o) => o.tokenId === tokenId),
+    activity: activityFor(indexer.events, { tokenId }),
+  };
+}
+
+/** GET /owners/:address - cards held plus cards the address has escrowed on the market */
+function portfolio(indexer, address) {
+  const { state } = indexer;
+  const bySeller = (entries) => [...entries.values()].filter((e) => sameAddress(e.seller, address)).map((e) => withCard(state, e));
+  return {
+    address,
+    cards: [...state.cards.values()].filter((c) => sameAddress(c.owner, address)).map((c) => withCard(state, c)),
+    listings: bySeller(state.listings),
+    auctions: bySeller(state.auctions),
+    dutchAuctions: bySeller(state.dutchAuctions),
+    sealedAuctions: bySeller(state.sealedAuctions),
+    offersMade: [...state.offers.values()].filter((o) => sameAddress(o.offerer, address)),
+  };
+}
+
+/** Dispatch one request; throws BadRequest for malformed input */
+function route(indexer, req, res) {
+  if (req.method !== "GET") return sendJson(res, 405, { error: "Method not allowed" });
+  const url = new URL(req.url, "http://localhost");
+
+  const listRoute = routes.find(([path]) => path === url.pathname);
+  if (listRoute) return sendJson(res, 200, listRoute[1](indexer, url.searchParams));
+
+  const cardMatch = url.pathname.match(/^\/cards\/(\d+)$/);
+  if (cardMatch) {
+    const detail = cardDetail(indexer, Number(cardMatch[1]));
+    return detail ? sendJson(res, 200, detail) : sendJson(res, 404, { error: "Card not found" });
+  }
+
+  const ownerMatch = url.pathname.match(/^\/owners\/(0x[0-9a-fA-F]{40})$/);
+  if (ownerMatch) return sendJson(res, 200, portfolio(indexer, ownerMatch[1]));
+
+  return sendJson(res, 404, { error: "Not found" });
+}
+
+/**
+ * Read-only REST API over the indexer state. All responses are JSON; wei amounts are decimal strings.
+ *   GET /health, /listings, /auctions, /dutch-auctions, /sealed-auctions, /cards?owner=, /activity?tokenId=&address=
+ *   GET /cards/:id, /owners/:address
+ * List endpoints accept ?limit= and ?offset=. Malformed input answers 400 and a failing handler 500, both as { error }.
+ * @param {ReturnType<import('./indexer').createIndexer>} indexer
+ * @returns {http.Server}
+ */
+function createServer(indexer) {
+  return http.createServer((req, res) => {
+    try {
+      route(indexer, req, res);
+    } catch (err) {
+      if (err instanceof BadRequest) return sendJson(res, 400, { error: err.message });
+      console.error("API error:", req.url, err);
+      sendJson(res, 500, { error: "Internal server error" });
+    }
+  });
+}
+
+module.exports = { createServer };
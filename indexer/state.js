@@ -0,0 +1,227 @@
+/** Mirrors PokemonTrading.AUCTION_EXTENSION_DURATION, the default anti-sniping window */
+const AUCTION_EXTENSION_DURATION = 300n;
+
+const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000";
+
+function emptyState() {
+  return {
+    cards: new Map(),
+    listings: new Map(),
+    auctions: new Map(),
+    dutchAuctions: new Map(),
+    sealedAuctions: new Map(),
+    offers: new Map(),
+    lastSales: new Map(),
+    // Seller of a card escrowed in the trading contract (AuctionStarted does not carry the seller)
+    escrowedBy: new Map(),
+    // Sealed-bid auctions started per token, mirroring SealedAuction.round
+    sealedRounds: new Map(),
+  };
+}
+
+function closeMarkets(state, tokenId) {
+  state.listings.delete(tokenId);
+  state.auctions.delete(tokenId);
+  state.dutchAuctions.delete(tokenId);
+  state.sealedAuctions.delete(tokenId);
+}
+
+function recordSale(state, event, tokenId, buyer, price) {
+  state.lastSales.set(tokenId, { buyer, price, timestamp: event.timestamp, txHash: event.txHash });
+}
+
+/**
+ * Apply one indexed event to the derived state. Wei amounts stay decimal strings; token IDs are numbers.
+ * @param {ReturnType<typeof emptyState>} state
+ * @param {{ name: string, args: Object, timestamp: number, extra?: Object }} event
+ * @param {string} tradingAddress - Lower-cased PokemonTrading address
+ */
+function applyEvent(state, event, tradingAddress) {
+  const { args } = event;
+  const tokenId = args.tokenId != null ? Number(args.tokenId) : null;
+
+  switch (event.name) {
+    case "Transfer": {
+      const from = args.from.toLowerCase();
+      const to = args.to.toLowerCase();
+      // Burned by an evolution; its sales stay in the activity feed
+      if (to === ZERO_ADDRESS) {
+        state.cards.delete(tokenId);
+        break;
+      }
+      const card = state.cards.get(tokenId) ?? { tokenId };
+      state.cards.set(tokenId, { ...card, owner: args.to });
+      if (to === tradingAddress) state.escrowedBy.set(tokenId, args.from);
+      // Every way a card leaves escrow (sale, unlist, settle, cancel) ends whatever market it was in
+      if (from === tradingAddress) {
+        state.escrowedBy.delete(tokenId);
+        closeMarkets(state, tokenId);
+      }
+      break;
+    }
+    case "PokemonMinted":
+      state.cards.set(tokenId, {
+        ...state.cards.get(tokenId),
+        tokenId,
+        name: args.name,
+        pokemonType: args.pokemonType,
+        rarity: Number(args.rarity),
+        ...event.extra,
+        mintedAt: event.timestamp,
+      });
+      break;
+    case "CardListed":
+      state.listings.set(tokenId, { tokenId, seller: args.seller, price: args.price, expiresAt: "0", listedAt: event.timestamp });
+      break;
+    case "CardUnlisted":
+    case "ListingExpired":
+      state.listings.delete(tokenId);
+      break;
+    case "ListingExpirySet": {
+      const listing = state.listings.get(tokenId);
+      if (listing) state.listings.set(tokenId, { ...listing, expiresAt: args.expiresAt });
+      break;
+    }
+    case "ListingPriceUpdated": {
+      const listing = state.listings.get(tokenId);
+      if (listing) state.listings.set(tokenId, { ...listing, price: args.newPrice });
+      break;
+    }
+    case "CardSold":
+      state.listings.delete(tokenId);
+      state.dutchAuctions.delete(tokenId);
+      recordSale(state, event, tokenId, args.buyer, args.price);
+      break;
+    case "AuctionStarted":
+      state.auctions.set(tokenId, {
+        tokenId,
+        seller: state.escrowedBy.get(tokenId) ?? ZERO_ADDRESS,
+        startingPrice: args.startingPrice,
+        highestBid: "0",
+        highestBidder: ZERO_ADDRESS,
+        endTime: args.endTime,
+        bidCount: 0,
+        minIncrementBps: "500",
+        extensionWindow: String(AUCTION_EXTENSION_DURATION),
+      });
+      break;
+    case "AuctionRulesSet": {
+      const auction = state.auctions.get(tokenId);
+      if (auction) {
+        state.auctions.set(tokenId, { ...auction, minIncrementBps: args.minIncrementBps, extensionWindow: args.extensionWindow });
+      }
+      break;
+    }
+    case "BidPlaced": {
+      const auction = state.auctions.get(tokenId);
+      if (!auction) break;
+      const now = BigInt(event.timestamp);
+      const endTime = BigInt(auction.endTime);
+      const window = BigInt(auction.extensionWindow);
+      state.auctions.set(tokenId, {
+        ...auction,
+        highestBid: args.amount,
+        highestBidder: args.bidder,
+        bidCount: auction.bidCount + 1,
+        endTime: String(endTime - now <= window ? now + window : endTime),
+      });
+      break;
+    }
+    case "AuctionSettled":
+      state.auctions.delete(tokenId);
+      recordSale(state, event, tokenId, args.winner, args.amount);
+      break;
+    case "DutchAuctionStarted":
+      state.dutchAuctions.set(tokenId, {
+        tokenId,
+        seller: args.seller,
+        startPrice: args.startPrice,
+        floorPrice: args.floorPrice,
+        startTime: args.startTime,
+        duration: args.duration,
+      });
+      break;
+    case "DutchAuctionCancelled":
+      state.dutchAuctions.delete(tokenId);
+      break;
+    case "SealedAuctionStarted": {
+      const round = (state.sealedRounds.get(tokenId) ?? 0) + 1;
+      state.sealedRounds.set(tokenId, round);
+      state.sealedAuctions.set(tokenId, {
+        tokenId,
+        seller: args.seller,
+        reservePrice: args.reservePrice,
+        commitEnd: args.commitEnd,
+        revealEnd: args.revealEnd,
+        round,
+        bidders: [],
+        highestBid: "0",
+        highestBidder: ZERO_ADDRESS,
+        secondBid: "0",
+      });
+      break;
+    }
+    case "SealedBidCommitted": {
+      const auction = state.sealedAuctions.get(tokenId);
+      if (!auction || auction.bidders.includes(args.bidder)) break;
+      state.sealedAuctions.set(tokenId, { ...auction, bidders: [...auction.bidders, args.bidder] });
+      break;
+    }
+    case "SealedBidRevealed": {
+      const auction = state.sealedAuctions.get(tokenId);
+      if (!auction) break;
+      const amount = BigInt(args.amount);
+      if (amount > BigInt(auction.highestBid)) {
+        state.sealedAuctions.set(tokenId, {
+          ...auction,
+          secondBid: auction.highestBid,
+          highestBid: args.amount,
+          highestBidder: args.bidder,
+        });
+      } else if (amount > BigInt(auction.secondBid)) {
+        state.sealedAuctions.set(tokenId, { ...auction, secondBid: args.amount });
+      }
+      break;
+    }
+    case "SealedAuctionSettled":
+      state.sealedAuctions.delete(tokenId);
+      if (args.winner !== ZERO_ADDRESS) recordSale(state, event, tokenId, args.winner, args.price);
+      break;
+    case "SealedAuctionCancelled":
+      state.sealedAuctions.delete(tokenId);
+      break;
+    case "OfferMade":
+      state.offers.set(`${tokenId}:${args.offerer.toLowerCase()}`, {
+        tokenId,
+        offerer: args.offerer,
+        amount: args.amount,
+        expiresAt: args.expiresAt,
+      });
+      break;
+    case "OfferCancelled":
+    case "OfferExpiredReclaimed":
+      state.offers.delete(`${tokenId}:${args.offerer.toLowerCase()}`);
+      break;
+    case "OfferAccepted":
+      state.offers.delete(`${tokenId}:${args.offerer.toLowerCase()}`);
+      recordSale(state, event, tokenId, args.offerer, args.amount);
+      break;
+    default:
+      // Withdrawal, RoyaltyPaid, BidCommitted, ... only appear in activity
+      break;
+  }
+}
+
+/**
+ * Rebuild the derived state by replaying events in chain order
+ * @param {Array} events - Stored events
+ * @param {string} tradingAddress - PokemonTrading address
+ */
+function buildState(events, tradingAddress) {
+  const state = emptyState();
+  const trading = tradingAddress.toLowerCase();
+  for (const event of events) applyEvent(state, event, trading);
+  return state;
+}
+
+module.exports = { emptyState, applyEvent, buildState, ZERO_ADDRESS };
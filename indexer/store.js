@@ -0,0 +1,72 @@
+const fs = require("fs");
+const path = require("path");
+
+/** Number of recent block checkpoints kept for reorg detection */
+const MAX_CHECKPOINTS = 64;
+
+function emptyData(meta) {
+  return { ...meta, lastBlock: -1, checkpoints: [], events: [] };
+}
+
+/**
+ * JSON-file event store. Holds the raw decoded events (the source of truth - derived state is rebuilt from
+ * them) plus a trail of { number, hash } checkpoints used to detect and roll back reorgs.
+ * Writes go to a temp file first and are renamed into place so a crash never leaves a half-written store.
+ * @param {string} filePath - Store location; created on first save
+ * @param {{ chainId: number, nftAddress: string, tradingAddress: string }} meta - Data indexed under another
+ *   chain or deployment is discarded on load
+ */
+function createJsonStore(filePath, meta) {
+  let data = emptyData(meta);
+
+  function load() {
+    if (!fs.existsSync(filePath)) return data;
+    const saved = JSON.parse(fs.readFileSync(filePath, "utf8"));
+    const sameDeployment =
+      saved.chainId === meta.chainId &&
+      saved.nftAddress?.toLowerCase() === meta.nftAddress.toLowerCase() &&
+      saved.tradingAddress?.toLowerCase() === meta.tradingAddress.toLowerCase();
+    data = sameDeployment ? saved : emptyData(meta);
+    return data;
+  }
+
+  function save() {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tmp = `${filePath}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(data));
+    fs.renameSync(tmp, filePath);
+  }
+
+  /** Append a synced block range: its events and the checkpoint of its last block */
+  function append(events, checkpoint) {
+    data.events.push(...events);
+    data.lastBlock = checkpoint.number;
+    data.checkpoints.push(checkpoint);
+    if (data.checkpoints.length > MAX_CHECKPOINTS) data.checkpoints.shift();
+  }
+
+  /** Drop everything after blockNumber (reorg rollback); -1 resets the store */
+  function rollbackTo(blockNumber) {
+    data.events = data.events.filter((e) => e.blockNumber <= blockNumber);
+    data.checkpoints = data.checkpoints.filter((c) => c.number <= blockNumber);
+    data.lastBlock = blockNumber;
+  }
+
+  return {
+    load,
+    save,
+    append,
+    rollbackTo,
+    get lastBlock() {
+      return data.lastBlock;
+    },
+    get checkpoints() {
+      return data.checkpoints;
+    },
+    get events() {
+      return data.events;
+    },
+  };
+}
+
+module.exports = { createJsonStore, MAX_CHECKPOINTS };
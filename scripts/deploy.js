@@ -17,12 +17,37 @@ async function main() {
   const tradingAddress = await pokemonTrading.getAddress();
   console.log("PokemonTrading deployed to:", tradingAddress);
 
+  const PokemonSwap = await hre.ethers.getContractFactory("PokemonSwap");
+  const pokemonSwap = await PokemonSwap.deploy(nftAddress);
+  await pokemonSwap.waitForDeployment();
+  const swapAddress = await pokemonSwap.getAddress();
+  console.log("PokemonSwap deployed to:", swapAddress);
+
+  const BoosterPacks = await hre.ethers.getContractFactory("BoosterPacks");
+  const boosterPacks = await BoosterPacks.deploy(nftAddress);
+  await boosterPacks.waitForDeployment();
+  const packsAddress = await boosterPacks.getAddress();
+  await (await pokemonNFT.setMinter(packsAddress, true)).wait();
+  console.log("BoosterPacks deployed to:", packsAddress, "(minter)");
+
+  const PokemonBattle = await hre.ethers.getContractFactory("PokemonBattle");
+  const pokemonBattle = await PokemonBattle.deploy(nftAddress);
+  await pokemonBattle.waitForDeployment();
+  const battleAddress = await pokemonBattle.getAddress();
+  console.log("PokemonBattle deployed to:", battleAddress);
+
   console.log("\n--- Deployment Summary ---");
   console.log("PokemonNFT:", nftAddress);
   console.log("PokemonTrading:", tradingAddress);
+  console.log("PokemonSwap:", swapAddress);
+  console.log("BoosterPacks:", packsAddress);
+  console.log("PokemonBattle:", battleAddress);
   console.log("\nFor frontend, create frontend/.env with:");
   console.log("VITE_POKEMON_NFT_ADDRESS=" + nftAddress);
   console.log("VITE_POKEMON_TRADING_ADDRESS=" + tradingAddress);
+  console.log("VITE_POKEMON_SWAP_ADDRESS=" + swapAddress);
+  console.log("VITE_BOOSTER_PACKS_ADDRESS=" + packsAddress);
+  console.log("VITE_POKEMON_BATTLE_ADDRESS=" + battleAddress);
 }
 
 main()
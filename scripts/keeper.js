@@ -0,0 +1,248 @@
+const fs = require("fs");
+const { ethers } = require("ethers");
+const PokemonTradingArtifact = require("../artifacts/contracts/PokemonTrading.sol/PokemonTrading.json");
+
+const RPC_URL = process.env.RPC_URL || "http://127.0.0.1:8545";
+const POLL_INTERVAL_MS = Number(process.env.KEEPER_POLL_MS || 5000);
+const MAX_RETRIES = Number(process.env.KEEPER_MAX_RETRIES || 5);
+const LOG_PATH = process.env.KEEPER_LOG;
+
+/** PokemonTrading.Market.Auction */
+const AUCTION_MARKET = 1;
+/** Token IDs per getActiveTokenIds call */
+const PAGE_SIZE = 200;
+/** Blocks per eth_getLogs request */
+const DEFAULT_BATCH_SIZE = 2000;
+/** Reverts meaning the auction no longer needs settling; it is dropped instead of retried */
+const FINAL_ERRORS = new Set(["AlreadySettled", "NotListed"]);
+/**
+ * Reverts that clear by themselves: the simulated block is still before the end time, or trading (or the NFT) is
+ * paused. Tried again next tick without counting, so a pause of any length does not use up maxRetries.
+ */
+const WAIT_ERRORS = new Set(["AuctionNotEnded", "EnforcedPause"]);
+
+/**
+ * Logger writing one JSON object per line to stdout and, when filePath is set, appending it to that file.
+ * @param {string} [filePath]
+ * @returns {(event: string, fields?: Object) => void}
+ */
+function createJsonLogger(filePath) {
+  return (event, fields = {}) => {
+    const line = JSON.stringify({ time: new Date().toISOString(), event, ...fields }, (_, value) =>
+      typeof value === "bigint" ? value.toString() : value
+    );
+    console.log(line);
+    if (filePath) fs.appendFileSync(filePath, line + "\n");
+  };
+}
+
+/** Revert name for a custom error (decoded with iface when the provider has not), otherwise the short message */
+function errorReason(err, iface) {
+  if (err.revert?.name) return err.revert.name;
+  const data = err.data?.data ?? err.data;
+  if (iface && typeof data === "string") {
+    try {
+      const parsed = iface.parseError(data);
+      if (parsed) return parsed.name;
+    } catch {
+      // Not one of the contract's errors
+    }
+  }
+  return err.shortMessage || err.message;
+}
+
+/**
+ * Settles English auctions once they end. Auctions are loaded from the contract on start, then followed through
+ * AuctionStarted / BidPlaced / AuctionSettled logs; a bid re-reads the end time, since a late bid extends it
+ * (anti-sniping). Each tick settles every tracked auction whose end time has passed in chain time.
+ * @param {Object} options
+ * @param {import('ethers').Provider} options.provider - JSON-RPC provider for the node
+ * @param {import('ethers').Signer} options.signer - Account paying for settleAuction
+ * @param {string} options.tradingAddress - PokemonTrading address
+ * @param {boolean} [options.dryRun=false] - Simulate settleAuction and log what would be sent, without sending
+ * @param {number} [options.maxRetries=5] - Failed attempts per auction before giving up on it
+ * @param {number} [options.retryDelayMs=5000] - Delay before the first retry; doubles with each failure
+ * @param {number} [options.batchSize=2000] - Blocks per getLogs request
+ * @param {ReturnType<typeof createJsonLogger>} [options.log]
+ */
+function createKeeper({
+  provider,
+  signer,
+  tradingAddress,
+  dryRun = false,
+  maxRetries = MAX_RETRIES,
+  retryDelayMs = 5000,
+  batchSize = DEFAULT_BATCH_SIZE,
+  log = createJsonLogger(),
+}) {
+  const trading = new ethers.Contract(tradingAddress, PokemonTradingArtifact.abi, signer);
+  /** tokenId -> { endTime: number, attempts: number, retryAt: number } */
+  const tracked = new Map();
+  let lastBlock = -1;
+  let nonce = null;
+
+  async function track(tokenId) {
+    const auction = await trading.auctions(tokenId);
+    if (auction.endTime === 0n || auction.settled) {
+      tracked.delete(tokenId);
+      return;
+    }
+    const previous = tracked.get(tokenId);
+    const endTime = Number(auction.endTime);
+    if (previous && previous.endTime !== endTime) log("extended", { tokenId, from: previous.endTime, to: endTime });
+    if (!previous) log("tracking", { tokenId, endTime });
+    tracked.set(tokenId, { attempts: 0, retryAt: 0, ...previous, endTime });
+  }
+
+  /** Load every open auction and start following events from the current head */
+  async function start() {
+    lastBlock = await provider.getBlockNumber();
+    for (let offset = 0; ; offset += PAGE_SIZE) {
+      const [ids, total] = await trading.getActiveTokenIds(AUCTION_MARKET, offset, PAGE_SIZE);
+      for (const id of ids) await track(Number(id));
+      if (offset + PAGE_SIZE >= Number(total)) break;
+    }
+    log("started", { tradingAddress, keeper: await signer.getAddress(), dryRun, auctions: tracked.size, block: lastBlock });
+  }
+
+  /** Apply auction events mined since the last poll */
+  async function poll() {
+    const head = await provider.getBlockNumber();
+    for (let from = lastBlock + 1; from <= head; from += batchSize) {
+      const to = Math.min(from + batchSize - 1, head);
+      const logs = await provider.getLogs({ address: tradingAddress, fromBlock: from, toBlock: to });
+      for (const entry of logs) {
+        const parsed = trading.interface.parseLog(entry);
+        if (!parsed) continue;
+        const tokenId = Number(parsed.args.tokenId);
+        if (parsed.name === "AuctionStarted" || parsed.name === "BidPlaced") await track(tokenId);
+        if (parsed.name === "AuctionSettled" && tracked.delete(tokenId)) log("settled-elsewhere", { tokenId, txHash: entry.transactionHash });
+      }
+      lastBlock = to;
+    }
+  }
+
+  async function nextNonce() {
+    if (nonce == null) nonce = await provider.getTransactionCount(await signer.getAddress(), "pending");
+    return nonce++;
+  }
+
+  async function settle(tokenId, entry, now) {
+    try {
+      // Simulating first keeps reverts (already settled by someone else, paused) from costing gas or a nonce
+      await trading.settleAuction.staticCall(tokenId);
+    } catch (err) {
+      return fail(tokenId, entry, now, err);
+    }
+    if (dryRun) {
+      log("dry-run", { tokenId, endTime: entry.endTime });
+      tracked.delete(tokenId);
+      return null;
+    }
+    try {
+      const tx = await trading.settleAuction(tokenId, { nonce: await nextNonce() });
+      log("sent", { tokenId, txHash: tx.hash, nonce: tx.nonce });
+      return { tokenId, entry, tx };
+    } catch (err) {
+      // The local count is off (another sender on this account, a dropped tx); re-read it on the next send
+      nonce = null;
+      return fail(tokenId, entry, now, err);
+    }
+  }
+
+  function fail(tokenId, entry, now, err) {
+    const reason = errorReason(err, trading.interface);
+    if (WAIT_ERRORS.has(reason)) return null;
+    if (FINAL_ERRORS.has(reason)) {
+      tracked.delete(tokenId);
+      log("dropped", { tokenId, reason });
+      return null;
+    }
+    entry.attempts += 1;
+    if (entry.attempts >= maxRetries) {
+      tracked.delete(tokenId);
+      log("gave-up", { tokenId, attempts: entry.attempts, reason });
+      return null;
+    }
+    entry.retryAt = now + retryDelayMs * 2 ** (entry.attempts - 1);
+    log("retry", { tokenId, attempts: entry.attempts, retryAt: new Date(entry.retryAt).toISOString(), reason });
+    return null;
+  }
+
+  /**
+   * Poll for events, then settle every auction that has ended. Safe to call repeatedly.
+   * @returns {Promise<{ settled: number[], pending: number }>} settled - token IDs confirmed this tick;
+   *   pending - auctions still tracked
+   */
+  async function tick() {
+    if (lastBlock < 0) await start();
+    await poll();
+    const { timestamp } = await provider.getBlock("latest");
+    const now = Date.now();
+    const due = [...tracked].filter(([, entry]) => entry.endTime <= timestamp && entry.retryAt <= now);
+
+    // Send all settlements first with consecutive nonces, then wait for them together
+    const sent = [];
+    for (const [tokenId, entry] of due) {
+      const result = await settle(tokenId, entry, now);
+      if (result) sent.push(result);
+    }
+    const settled = [];
+    for (const { tokenId, entry, tx } of sent) {
+      try {
+        const receipt = await tx.wait();
+        tracked.delete(tokenId);
+        settled.push(tokenId);
+        log("confirmed", { tokenId, txHash: receipt.hash, block: receipt.blockNumber, gasUsed: receipt.gasUsed });
+      } catch (err) {
+        nonce = null;
+        fail(tokenId, entry, now, err);
+      }
+    }
+    return { settled, pending: tracked.size };
+  }
+
+  return {
+    tick,
+    get tracked() {
+      return tracked;
+    },
+  };
+}
+
+async function main() {
+  const tradingAddress = process.env.POKEMON_TRADING_ADDRESS;
+  if (!tradingAddress) {
+    console.log("Set POKEMON_TRADING_ADDRESS (from npm run deploy) and run again.");
+    process.exit(1);
+  }
+  const dryRun = process.argv.includes("--dry-run") || process.env.KEEPER_DRY_RUN === "1";
+
+  const provider = new ethers.JsonRpcProvider(RPC_URL);
+  // Without a key, use the node's first unlocked account (the Hardhat node's test accounts)
+  const signer = process.env.KEEPER_PRIVATE_KEY
+    ? new ethers.Wallet(process.env.KEEPER_PRIVATE_KEY, provider)
+    : await provider.getSigner(Number(process.env.KEEPER_ACCOUNT_INDEX || 0));
+  const log = createJsonLogger(LOG_PATH);
+  const keeper = createKeeper({ provider, signer, tradingAddress, dryRun, log });
+
+  // Tick sequentially so two rounds never send overlapping nonces
+  const loop = async () => {
+    try {
+      await keeper.tick();
+    } catch (err) {
+      log("error", { reason: errorReason(err) });
+    }
+    setTimeout(loop, POLL_INTERVAL_MS);
+  };
+  loop();
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
+}
+
+module.exports = { createKeeper, createJsonLogger };
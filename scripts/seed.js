@@ -17,6 +17,8 @@ async function main() {
     { name: "Blastoise", type: "Water", hp: 79, atk: 83, def: 100, rarity: 5 },
     { name: "Bulbasaur", type: "Grass", hp: 45, atk: 49, def: 49, rarity: 2 },
     { name: "Mewtwo", type: "Psychic", hp: 106, atk: 110, def: 90, rarity: 5 },
+    // A second Bulbasaur so the deployer can try evolving right away
+    { name: "Bulbasaur", type: "Grass", hp: 45, atk: 49, def: 49, rarity: 2 },
   ];
 
   for (const c of cards) {
@@ -33,6 +35,59 @@ async function main() {
     await tx.wait();
     console.log(`Minted ${c.name}`);
   }
+
+  const recipes = [
+    { from: "Bulbasaur", count: 2, to: "Ivysaur", hp: 15, atk: 13, def: 14, rarity: 1 },
+    { from: "Charmander", count: 2, to: "Charmeleon", hp: 19, atk: 12, def: 15, rarity: 1 },
+    { from: "Poliwag", count: 2, to: "Poliwhirl", hp: 25, atk: 15, def: 25, rarity: 1 },
+    { from: "Pikachu", count: 3, to: "Raichu", hp: 25, atk: 35, def: 15, rarity: 1 },
+  ];
+  for (const r of recipes) {
+    await (await nft.addEvolutionRecipe({
+      inputName: r.from,
+      outputName: r.to,
+      outputType: "",
+      outputUri: `ipfs://${r.to.toLowerCase()}`,
+      inputCount: r.count,
+      hpBonus: r.hp,
+      attackBonus: r.atk,
+      defenseBonus: r.def,
+      rarityBonus: r.rarity,
+      active: true,
+    })).wait();
+    console.log(`Added evolution ${r.count}x ${r.from} -> ${r.to}`);
+  }
+
+  // Optional: a launched booster pack so the Packs page has something to sell
+  const packsAddress = process.env.BOOSTER_PACKS_ADDRESS;
+  if (packsAddress) {
+    const BoosterPacks = await hre.ethers.getContractFactory("BoosterPacks");
+    const packs = BoosterPacks.attach(packsAddress);
+    const packTypeId = await packs.nextPackTypeId();
+    await (await packs.createPackType("Kanto Starter", hre.ethers.parseEther("0.01"), 3, [60, 25, 10, 4, 1])).wait();
+    const templates = [
+      { rarity: 1, name: "Charmander", type: "Fire", hp: 39, atk: 52, def: 43, weight: 3 },
+      { rarity: 1, name: "Poliwag", type: "Water", hp: 40, atk: 50, def: 40, weight: 3 },
+      { rarity: 2, name: "Bulbasaur", type: "Grass", hp: 45, atk: 49, def: 49, weight: 1 },
+      { rarity: 2, name: "Machop", type: "Fighting", hp: 70, atk: 80, def: 50, weight: 1 },
+      { rarity: 3, name: "Pikachu", type: "Electric", hp: 35, atk: 55, def: 40, weight: 1 },
+      { rarity: 4, name: "Gyarados", type: "Water", hp: 95, atk: 125, def: 79, weight: 1 },
+      { rarity: 5, name: "Mew", type: "Psychic", hp: 100, atk: 100, def: 100, weight: 1 },
+    ];
+    for (const t of templates) {
+      await (await packs.addCardTemplate(packTypeId, t.rarity, {
+        name: t.name,
+        pokemonType: t.type,
+        uri: `ipfs://${t.name.toLowerCase()}`,
+        hp: t.hp,
+        attack: t.atk,
+        defense: t.def,
+        weight: t.weight,
+      })).wait();
+    }
+    await (await packs.launchPack(packTypeId)).wait();
+    console.log("Launched Kanto Starter booster pack");
+  }
   console.log("Seed complete.");
 }
 
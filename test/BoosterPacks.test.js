@@ -0,0 +1,260 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+describe("BoosterPacks", function () {
+  let pokemonNFT;
+  let boosterPacks;
+  let owner;
+  let alice;
+  let bob;
+
+  const PRICE = ethers.parseEther("0.05");
+
+  function template(name, weight = 1) {
+    return { name, pokemonType: "Fire", uri: `ipfs://${name}`, hp: 50, attack: 60, defense: 40, weight };
+  }
+
+  function commitmentFor(secret, buyer) {
+    return ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode(["bytes32", "address"], [secret, buyer]));
+  }
+
+  async function buy(signer, secret = ethers.hexlify(ethers.randomBytes(32))) {
+    await boosterPacks.connect(signer).buyPack(0, commitmentFor(secret, signer.address), { value: PRICE });
+    return secret;
+  }
+
+  // Before each test:
+  //   1. Deploy fresh PokemonNFT and BoosterPacks contracts and grant BoosterPacks the minter role.
+  //   2. Create pack type #0 (3 cards, commons 90 / rares 10) with Charmander and Vulpix as commons and
+  //      Charizard as the only rare, and launch it.
+  beforeEach(async function () {
+    [owner, alice, bob] = await ethers.getSigners();
+
+    const PokemonNFT = await ethers.getContractFactory("PokemonNFT");
+    pokemonNFT = await PokemonNFT.deploy();
+    const BoosterPacks = await ethers.getContractFactory("BoosterPacks");
+    boosterPacks = await BoosterPacks.deploy(await pokemonNFT.getAddress());
+    await pokemonNFT.setMinter(await boosterPacks.getAddress(), true);
+
+    await boosterPacks.createPackType("Fire Starter", PRICE, 3, [90, 0, 0, 10, 0]);
+    await boosterPacks.addCardTemplate(0, 1, template("Charmander", 3));
+    await boosterPacks.addCardTemplate(0, 1, template("Vulpix", 1));
+    await boosterPacks.addCardTemplate(0, 4, template("Charizard"));
+    await boosterPacks.launchPack(0);
+  });
+
+  describe("Minter role", function () {
+    // Only addresses the owner granted can mint through minterMint.
+    it("Should restrict minterMint to granted minters", async function () {
+      await expect(
+        pokemonNFT.connect(alice).minterMint(alice.address, "ipfs://x", "Mew", "Psychic", 100, 100, 100, 5)
+      ).to.be.revertedWithCustomError(pokemonNFT, "NotMinter");
+      await expect(pokemonNFT.connect(alice).setMinter(alice.address, true)).to.be.revertedWithCustomError(
+        pokemonNFT,
+        "OwnableUnauthorizedAccount"
+      );
+
+      await expect(pokemonNFT.setMinter(alice.address, true)).to.emit(pokemonNFT, "MinterSet").withArgs(alice.address, true);
+      await pokemonNFT.connect(alice).minterMint(bob.address, "ipfs://x", "Mew", "Psychic", 100, 100, 100, 5);
+      expect(await pokemonNFT.ownerOf(0)).to.equal(bob.address);
+    });
+  });
+
+  describe("Pack setup", function () {
+    // Launching freezes the contents; templates cannot be added or removed afterwards.
+    it("Should reject content changes after launch", async function () {
+      await expect(boosterPacks.addCardTemplate(0, 1, template("Growlithe"))).to.be.revertedWithCustomError(
+        boosterPacks,
+        "PackAlreadyLaunched"
+      );
+      await expect(boosterPacks.removeCardTemplate(0, 1, 0)).to.be.revertedWithCustomError(boosterPacks, "PackAlreadyLaunched");
+      expect((await boosterPacks.getPool(0, 1)).map((t) => t.name)).to.deep.equal(["Charmander", "Vulpix"]);
+      expect((await boosterPacks.getPackType(0)).launched).to.be.true;
+    });
+
+    // A rarity that can drop must have at least one template.
+    it("Should reject launching with an empty weighted pool", async function () {
+      await boosterPacks.createPackType("Rare Pack", PRICE, 1, [0, 0, 0, 0, 1]);
+      await expect(boosterPacks.launchPack(1)).to.be.revertedWithCustomError(boosterPacks, "EmptyPool");
+      await expect(boosterPacks.addCardTemplate(1, 6, template("Mew"))).to.be.revertedWithCustomError(
+        boosterPacks,
+        "RarityOutOfRange"
+      );
+      await expect(boosterPacks.addCardTemplate(1, 5, template("Mew", 0))).to.be.revertedWithCustomError(
+        boosterPacks,
+        "InvalidTemplate"
+      );
+      await expect(boosterPacks.createPackType("Huge", PRICE, 11, [1, 0, 0, 0, 0])).to.be.revertedWithCustomError(
+        boosterPacks,
+        "InvalidPackConfig"
+      );
+    });
+
+    // Pack administration is owner-only.
+    it("Should reject pack administration from non-owners", async function () {
+      await expect(
+        boosterPacks.connect(alice).createPackType("Mine", PRICE, 1, [1, 0, 0, 0, 0])
+      ).to.be.revertedWithCustomError(boosterPacks, "OwnableUnauthorizedAccount");
+      await expect(boosterPacks.connect(alice).setPackSale(0, 1, true)).to.be.revertedWithCustomError(
+        boosterPacks,
+        "OwnableUnauthorizedAccount"
+      );
+    });
+  });
+
+  describe("Buying and opening", function () {
+    // Buying records the commitment; opening in a later block mints cardsPerPack cards from the pack's pools.
+    it("Should mint the pack's cards to the buyer on open", async function () {
+      const secret = await buy(alice);
+      expect(await boosterPacks.getPurchaseIds(alice.address)).to.deep.equal([0n]);
+      expect(await boosterPacks.proceeds()).to.equal(0);
+
+      await expect(boosterPacks.connect(alice).openPack(0, secret)).to.emit(boosterPacks, "PackOpened");
+      expect(await boosterPacks.proceeds()).to.equal(PRICE);
+      expect(await pokemonNFT.balanceOf(alice.address)).to.equal(3);
+      for (let tokenId = 0; tokenId < 3; tokenId++) {
+        const card = await pokemonNFT.getCard(tokenId);
+        expect(["Charmander", "Vulpix", "Charizard"]).to.include(card.name);
+        expect(card.rarity).to.equal(card.name === "Charizard" ? 4 : 1);
+      }
+      expect((await boosterPacks.purchases(0)).opened).to.be.true;
+      await expect(boosterPacks.connect(alice).openPack(0, secret)).to.be.revertedWithCustomError(boosterPacks, "AlreadyOpened");
+    });
+
+    // The exact price is required and packs off sale cannot be bought.
+    it("Should reject wrong payment and packs off sale", async function () {
+      const commitment = commitmentFor(ethers.ZeroHash, alice.address);
+      await expect(
+        boosterPacks.connect(alice).buyPack(0, commitment, { value: PRICE - 1n })
+      ).to.be.revertedWithCustomError(boosterPacks, "IncorrectPayment");
+
+      await boosterPacks.setPackSale(0, PRICE, false);
+      await expect(
+        boosterPacks.connect(alice).buyPack(0, commitment, { value: PRICE })
+      ).to.be.revertedWithCustomError(boosterPacks, "PackNotOnSale");
+    });
+
+    // Only the buyer, with the committed secret, can open; a copied secret does not match another sender.
+    it("Should reject a wrong secret and openers other than the buyer", async function () {
+      const secret = await buy(alice);
+      await expect(boosterPacks.connect(alice).openPack(0, ethers.ZeroHash)).to.be.revertedWithCustomError(
+        boosterPacks,
+        "InvalidReveal"
+      );
+      await expect(boosterPacks.connect(bob).openPack(0, secret)).to.be.revertedWithCustomError(boosterPacks, "NotPurchaser");
+    });
+
+    // Opening in the purchase block would let the buyer know the block hash when committing.
+    it("Should reject opening in the purchase block", async function () {
+      const secret = ethers.hexlify(ethers.randomBytes(32));
+      await ethers.provider.send("evm_setAutomine", [false]);
+      try {
+        await boosterPacks.connect(alice).buyPack(0, commitmentFor(secret, alice.address), { value: PRICE, gasLimit: 300000 });
+        const openTx = await boosterPacks.connect(alice).openPack(0, secret, { gasLimit: 2000000 });
+        await ethers.provider.send("evm_mine", []);
+        await expect(openTx.wait()).to.be.rejected;
+      } finally {
+        await ethers.provider.send("evm_setAutomine", [true]);
+      }
+      expect((await boosterPacks.purchases(0)).opened).to.be.false;
+    });
+
+    // blockhash only reaches back 256 blocks; after that the pack can no longer be opened.
+    it("Should reject opening after the reveal window", async function () {
+      const secret = await buy(alice);
+      await ethers.provider.send("hardhat_mine", ["0x101"]);
+      await expect(boosterPacks.connect(alice).openPack(0, secret)).to.be.revertedWithCustomError(
+        boosterPacks,
+        "RevealWindowExpired"
+      );
+    });
+
+    // Rarity weights shape the draw: over many cards commons dominate and the 10% rare still appears.
+    it("Should draw cards according to the rarity weights", async function () {
+      await boosterPacks.createPackType("Big Fire", PRICE, 10, [90, 0, 0, 10, 0]);
+      await boosterPacks.addCardTemplate(1, 1, template("Charmander"));
+      await boosterPacks.addCardTemplate(1, 4, template("Charizard"));
+      await boosterPacks.launchPack(1);
+
+      let rares = 0;
+      for (let i = 0; i < 10; i++) {
+        const secret = ethers.hexlify(ethers.randomBytes(32));
+        await boosterPacks.connect(alice).buyPack(1, commitmentFor(secret, alice.address), { value: PRICE });
+        await boosterPacks.connect(alice).openPack(i, secret);
+      }
+      for (let tokenId = 0; tokenId < 100; tokenId++) {
+        if ((await pokemonNFT.getCard(tokenId)).rarity === 4n) rares++;
+      }
+      expect(rares).to.be.greaterThan(0);
+      expect(rares).to.be.lessThan(30);
+    });
+
+    // Buying stops while paused, but packs already paid for can still be opened so a pause never runs out the window.
+    it("Should reject buying but allow opening while paused", async function () {
+      const secret = await buy(alice);
+      await boosterPacks.pause();
+      await expect(buy(bob)).to.be.revertedWithCustomError(boosterPacks, "EnforcedPause");
+      await expect(boosterPacks.connect(alice).openPack(0, secret)).to.emit(boosterPacks, "PackOpened");
+      expect(await pokemonNFT.balanceOf(alice.address)).to.equal(3);
+    });
+  });
+
+  describe("Refunds", function () {
+    // A pack past its reveal window (e.g. the secret was lost) returns part of its price to the buyer, also while paused.
+    it("Should refund an expired pack to its buyer", async function () {
+      const secret = await buy(alice);
+      await expect(boosterPacks.connect(alice).refundPack(0)).to.be.revertedWithCustomError(
+        boosterPacks,
+        "RevealWindowOpen"
+      );
+
+      await ethers.provider.send("hardhat_mine", ["0x101"]);
+      await boosterPacks.pause();
+      await expect(boosterPacks.connect(bob).refundPack(0)).to.be.revertedWithCustomError(boosterPacks, "NotPurchaser");
+      const refund = boosterPacks.connect(alice).refundPack(0);
+      await expect(refund).to.emit(boosterPacks, "PackRefunded").withArgs(0, alice.address, PRICE / 10n);
+      await expect(refund).to.changeEtherBalance(alice, PRICE / 10n);
+
+      await expect(boosterPacks.connect(alice).refundPack(0)).to.be.revertedWithCustomError(boosterPacks, "AlreadyRefunded");
+      await expect(boosterPacks.connect(alice).openPack(0, secret)).to.be.revertedWithCustomError(
+        boosterPacks,
+        "AlreadyRefunded"
+      );
+      expect(await boosterPacks.proceeds()).to.equal(PRICE - PRICE / 10n);
+    });
+
+    // The draw is computable before opening, so a buyer who lets a pack they could have opened expire does not get
+    // the full price back: a refund is no free re-roll.
+    it("Should not give the full price back for a pack that could have been opened", async function () {
+      await buy(alice);
+      await ethers.provider.send("hardhat_mine", ["0x101"]);
+      await expect(boosterPacks.connect(alice).refundPack(0)).to.changeEtherBalances(
+        [alice, boosterPacks],
+        [PRICE / 10n, -(PRICE / 10n)]
+      );
+      await expect(boosterPacks.withdrawProceeds(owner.address)).to.changeEtherBalance(owner, PRICE - PRICE / 10n);
+    });
+
+    // An opened pack's price belongs to the owner and cannot be refunded later.
+    it("Should not refund an opened pack", async function () {
+      const secret = await buy(alice);
+      await boosterPacks.connect(alice).openPack(0, secret);
+      await ethers.provider.send("hardhat_mine", ["0x101"]);
+      await expect(boosterPacks.connect(alice).refundPack(0)).to.be.revertedWithCustomError(boosterPacks, "AlreadyOpened");
+    });
+  });
+
+  describe("Proceeds", function () {
+    // The owner withdraws sales of opened packs; a second withdrawal has nothing left.
+    it("Should let the owner withdraw proceeds", async function () {
+      await boosterPacks.connect(alice).openPack(0, await buy(alice));
+      await boosterPacks.connect(bob).openPack(1, await buy(bob));
+      await buy(alice);
+      await expect(boosterPacks.withdrawProceeds(owner.address)).to.changeEtherBalance(owner, PRICE * 2n);
+      await expect(boosterPacks.withdrawProceeds(owner.address)).to.be.revertedWithCustomError(
+        boosterPacks,
+        "NothingToWithdraw"
+      );
+    });
+  });
+});
@@ -0,0 +1,224 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createJsonStore } = require("../indexer/store");
+const { createIndexer } = require("../indexer/indexer");
+const { createServer } = require("../indexer/server");
+
+describe("Indexer", function () {
+  let pokemonNFT;
+  let pokemonTrading;
+  let owner;
+  let seller;
+  let buyer;
+  let storePath;
+  let nftAddress;
+  let tradingAddress;
+
+  function newIndexer() {
+    const store = createJsonStore(storePath, { chainId: 31337, nftAddress, tradingAddress });
+    return createIndexer({ provider: ethers.provider, nftAddress, tradingAddress, store });
+  }
+
+  // Before each test:
+  //   1. Deploy fresh PokemonNFT and PokemonTrading contracts.
+  //   2. Mint Pikachu #0 and Charizard #1 to the seller.
+  //   3. Point the indexer at an empty store file in a temp directory.
+  beforeEach(async function () {
+    [owner, seller, buyer] = await ethers.getSigners();
+
+    const PokemonNFT = await ethers.getContractFactory("PokemonNFT");
+    pokemonNFT = await PokemonNFT.deploy();
+    nftAddress = await pokemonNFT.getAddress();
+
+    const PokemonTrading = await ethers.getContractFactory("PokemonTrading");
+    pokemonTrading = await PokemonTrading.deploy(nftAddress);
+    tradingAddress = await pokemonTrading.getAddress();
+
+    await pokemonNFT.mint(seller.address, "ipfs://0", "Pikachu", "Electric", 35, 55, 40, 3);
+    await pokemonNFT.mint(seller.address, "ipfs://1", "Charizard", "Fire", 78, 84, 78, 5);
+
+    storePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "pokeone-indexer-")), "store.json");
+  });
+
+  afterEach(function () {
+    fs.rmSync(path.dirname(storePath), { recursive: true, force: true });
+  });
+
+  // Mint data is enriched with the stats and URI read at the mint block.
+  it("Should index mints with full card data and owners", async function () {
+    const indexer = newIndexer();
+    await indexer.sync();
+
+    const card = indexer.state.cards.get(1);
+    expect(card.name).to.equal("Charizard");
+    expect(card.hp).to.equal(78);
+    expect(card.tokenURI).to.equal("ipfs://1");
+    expect(card.owner).to.equal(seller.address);
+  });
+
+  // A listing shows up once indexed and disappears when bought; the sale is recorded.
+  it("Should follow listings, sales and auctions", async function () {
+    const indexer = newIndexer();
+    await pokemonNFT.connect(seller).approve(tradingAddress, 0);
+    await pokemonTrading.connect(seller).listCard(0, ethers.parseEther("1"));
+    await pokemonNFT.connect(seller).approve(tradingAddress, 1);
+    await pokemonTrading.connect(seller).startAuction(1, ethers.parseEther("0.5"), 600);
+    await pokemonTrading.connect(buyer).placeBid(1, { value: ethers.parseEther("0.6") });
+    await indexer.sync();
+
+    expect(indexer.state.listings.get(0).price).to.equal(ethers.parseEther("1").toString());
+    const auction = indexer.state.auctions.get(1);
+    expect(auction.seller).to.equal(seller.address);
+    expect(auction.highestBidder).to.equal(buyer.address);
+    expect(auction.endTime).to.equal((await pokemonTrading.auctions(1)).endTime.toString());
+
+    await pokemonTrading.connect(buyer).buyCard(0, { value: ethers.parseEther("1") });
+    await indexer.sync();
+    expect(indexer.state.listings.has(0)).to.be.false;
+    expect(indexer.state.cards.get(0).owner).to.equal(buyer.address);
+    expect(indexer.state.lastSales.get(0).price).to.equal(ethers.parseEther("1").toString());
+  });
+
+  // Evolving burns the inputs: they leave the card set and the evolved card is indexed like any mint.
+  it("Should drop burned cards and index evolved ones", async function () {
+    await pokemonNFT.mint(seller.address, "ipfs://2", "Pikachu", "Electric", 40, 50, 45, 2);
+    await pokemonNFT.addEvolutionRecipe({
+      inputName: "Pikachu",
+      outputName: "Raichu",
+      outputType: "",
+      outputUri: "ipfs://raichu",
+      inputCount: 2,
+      hpBonus: 20,
+      attackBonus: 35,
+      defenseBonus: 10,
+      rarityBonus: 1,
+      active: false,
+    });
+    await pokemonNFT.connect(seller).evolve(0, [0, 2]);
+    const indexer = newIndexer();
+    await indexer.sync();
+
+    expect([...indexer.state.cards.keys()].sort()).to.deep.equal([1, 3]);
+    const raichu = indexer.state.cards.get(3);
+    expect([raichu.name, raichu.hp, raichu.attack, raichu.rarity]).to.deep.equal(["Raichu", 60, 90, 4]);
+    const evolved = indexer.events.find((e) => e.name === "CardEvolved");
+    expect(evolved.args.burnedTokenIds).to.deep.equal(["0", "2"]);
+
+    // The store round-trips through JSON
+    expect(newIndexer().state.cards.size).to.equal(2);
+  });
+
+  // A restarted indexer resumes from the saved store instead of re-reading the chain.
+  it("Should persist events and resume from the last checkpoint", async function () {
+    const first = newIndexer();
+    await first.sync();
+    const lastBlock = first.lastBlock;
+
+    const resumed = newIndexer();
+    expect(resumed.lastBlock).to.equal(lastBlock);
+    expect(resumed.state.cards.size).to.equal(2);
+    const result = await resumed.sync();
+    expect(result.events).to.equal(0);
+  });
+
+  // Index a listing, revert the chain to before it and mine a different block:
+  // the indexer rolls back to a checkpoint still on the chain and drops the listing.
+  it("Should roll back events from blocks that were reorged out", async function () {
+    const indexer = newIndexer();
+    await indexer.sync();
+    const snapshot = await ethers.provider.send("evm_snapshot", []);
+
+    await pokemonNFT.connect(seller).approve(tradingAddress, 0);
+    await pokemonTrading.connect(seller).listCard(0, ethers.parseEther("1"));
+    await indexer.sync();
+    expect(indexer.state.listings.has(0)).to.be.true;
+
+    await ethers.provider.send("evm_revert", [snapshot]);
+    await ethers.provider.send("evm_mine");
+    await ethers.provider.send("evm_mine");
+    await ethers.provider.send("evm_mine");
+    const result = await indexer.sync();
+
+    expect(result.reorg).to.be.true;
+    expect(indexer.state.listings.has(0)).to.be.false;
+    expect(indexer.state.cards.get(0).owner).to.equal(seller.address);
+    expect(indexer.events.every((e) => e.name !== "CardListed")).to.be.true;
+  });
+
+  describe("REST API", function () {
+    let server;
+    let baseUrl;
+
+    beforeEach(async function () {
+      await pokemonNFT.connect(seller).approve(tradingAddress, 0);
+      await pokemonTrading.connect(seller).listCard(0, ethers.parseEther("1"));
+      const indexer = newIndexer();
+      await indexer.sync();
+      server = createServer(indexer);
+      await new Promise((resolve) => server.listen(0, resolve));
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    afterEach(function () {
+      server.close();
+    });
+
+    async function get(route) {
+      const res = await fetch(baseUrl + route);
+      return { status: res.status, body: await res.json() };
+    }
+
+    it("Should serve listings with card data", async function () {
+      const { body } = await get("/listings");
+      expect(body.total).to.equal(1);
+      expect(body.items[0].name).to.equal("Pikachu");
+      expect(body.items[0].seller).to.equal(seller.address);
+      expect(body.items[0].price).to.equal(ethers.parseEther("1").toString());
+    });
+
+    it("Should serve card details, portfolios and activity", async function () {
+      const card = await get("/cards/0");
+      expect(card.body.listing.seller).to.equal(seller.address);
+      expect(card.body.activity.map((e) => e.name)).to.include.members(["PokemonMinted", "CardListed"]);
+
+      const portfolio = await get(`/owners/${seller.address}`);
+      expect(portfolio.body.cards.map((c) => c.tokenId)).to.deep.equal([1]);
+      expect(portfolio.body.listings.map((c) => c.tokenId)).to.deep.equal([0]);
+
+      const activity = await get(`/activity?address=${seller.address}&limit=1`);
+      expect(activity.body.items).to.have.length(1);
+      expect(activity.body.items[0].name).to.equal("CardListed");
+    });
+
+    it("Should return 404 for unknown cards and routes", async function () {
+      expect((await get("/cards/99")).status).to.equal(404);
+      expect((await get("/nope")).status).to.equal(404);
+    });
+
+    it("Should answer 400 for bad input and 500 for handler errors", async function () {
+      const bad = await get("/activity?tokenId=abc");
+      expect(bad.status).to.equal(400);
+      expect(bad.body.error).to.match(/tokenId/);
+      expect((await get("/listings?limit=-5")).status).to.equal(400);
+      expect((await get("/listings?offset=1.5")).status).to.equal(400);
+
+      const broken = createServer({ state: {}, events: [] });
+      await new Promise((resolve) => broken.listen(0, resolve));
+      // The handler error is logged; keep it out of the test output
+      const consoleError = console.error;
+      console.error = () => {};
+      let res;
+      try {
+        res = await fetch(`http://127.0.0.1:${broken.address().port}/listings`);
+      } finally {
+        console.error = consoleError;
+        broken.close();
+      }
+      expect(res.status).to.equal(500);
+      expect((await res.json()).error).to.equal("Internal server error");
+    });
+  });
+});
@@ -0,0 +1,145 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { createKeeper } = require("../scripts/keeper");
+
+describe("Keeper", function () {
+  let pokemonNFT;
+  let pokemonTrading;
+  let keeperSigner;
+  let seller;
+  let bidder;
+  let tradingAddress;
+  let logs;
+
+  function newKeeper(options = {}) {
+    const log = (event, fields) => logs.push({ event, ...fields });
+    return createKeeper({ provider: ethers.provider, signer: keeperSigner, tradingAddress, log, retryDelayMs: 0, ...options });
+  }
+
+  async function startAuction(tokenId, duration = 600) {
+    await pokemonNFT.connect(seller).approve(tradingAddress, tokenId);
+    await pokemonTrading.connect(seller).startAuction(tokenId, ethers.parseEther("0.5"), duration);
+  }
+
+  async function increaseTime(seconds) {
+    await ethers.provider.send("evm_increaseTime", [seconds]);
+    await ethers.provider.send("evm_mine", []);
+  }
+
+  // Before each test:
+  //   1. Deploy fresh PokemonNFT and PokemonTrading contracts.
+  //   2. Mint Pikachu #0 and Charizard #1 to the seller.
+  beforeEach(async function () {
+    [keeperSigner, seller, bidder] = await ethers.getSigners();
+    logs = [];
+
+    const PokemonNFT = await ethers.getContractFactory("PokemonNFT");
+    pokemonNFT = await PokemonNFT.deploy();
+    const PokemonTrading = await ethers.getContractFactory("PokemonTrading");
+    pokemonTrading = await PokemonTrading.deploy(await pokemonNFT.getAddress());
+    tradingAddress = await pokemonTrading.getAddress();
+
+    await pokemonNFT.mint(seller.address, "ipfs://0", "Pikachu", "Electric", 35, 55, 40, 3);
+    await pokemonNFT.mint(seller.address, "ipfs://1", "Charizard", "Fire", 78, 84, 78, 5);
+  });
+
+  // Auctions open before the keeper starts are picked up and settled once they end; a no-bid auction goes back.
+  it("Should settle auctions that ended, including ones started before it ran", async function () {
+    await startAuction(0);
+    await pokemonTrading.connect(bidder).placeBid(0, { value: ethers.parseEther("0.6") });
+    await startAuction(1);
+
+    const keeper = newKeeper();
+    expect((await keeper.tick()).settled).to.deep.equal([]);
+    expect(keeper.tracked.size).to.equal(2);
+
+    await increaseTime(601);
+    const { settled, pending } = await keeper.tick();
+    expect(settled).to.have.members([0, 1]);
+    expect(pending).to.equal(0);
+    expect(await pokemonNFT.ownerOf(0)).to.equal(bidder.address);
+    expect(await pokemonNFT.ownerOf(1)).to.equal(seller.address);
+    expect(logs.filter((l) => l.event === "confirmed")).to.have.length(2);
+  });
+
+  // A bid in the last minutes moves the end time; the keeper waits for the new one.
+  it("Should follow anti-sniping extensions", async function () {
+    const keeper = newKeeper();
+    await keeper.tick();
+    await startAuction(0);
+    await keeper.tick();
+    const { endTime } = keeper.tracked.get(0);
+
+    await increaseTime(550);
+    await pokemonTrading.connect(bidder).placeBid(0, { value: ethers.parseEther("0.6") });
+    await increaseTime(60);
+    expect((await keeper.tick()).settled).to.deep.equal([]);
+    expect(keeper.tracked.get(0).endTime).to.be.greaterThan(endTime);
+    expect(logs.some((l) => l.event === "extended" && l.tokenId === 0)).to.be.true;
+
+    await increaseTime(300);
+    expect((await keeper.tick()).settled).to.deep.equal([0]);
+    expect(await pokemonNFT.ownerOf(0)).to.equal(bidder.address);
+  });
+
+  // Dry run simulates settlement and logs it, but sends nothing.
+  it("Should only log in dry-run mode", async function () {
+    await startAuction(0);
+    const keeper = newKeeper({ dryRun: true });
+    await increaseTime(601);
+    const nonce = await ethers.provider.getTransactionCount(keeperSigner.address);
+
+    expect((await keeper.tick()).settled).to.deep.equal([]);
+    expect(logs.some((l) => l.event === "dry-run" && l.tokenId === 0)).to.be.true;
+    expect(await ethers.provider.getTransactionCount(keeperSigner.address)).to.equal(nonce);
+    expect(await pokemonNFT.ownerOf(0)).to.equal(tradingAddress);
+  });
+
+  // Someone else settling first is noticed from the event and the auction is dropped.
+  it("Should drop auctions settled by someone else", async function () {
+    await startAuction(0);
+    await pokemonTrading.connect(bidder).placeBid(0, { value: ethers.parseEther("0.6") });
+    const keeper = newKeeper();
+    await keeper.tick();
+
+    await increaseTime(601);
+    await pokemonTrading.connect(bidder).settleAuction(0);
+    expect((await keeper.tick()).settled).to.deep.equal([]);
+    expect(keeper.tracked.size).to.equal(0);
+    expect(logs.some((l) => l.event === "settled-elsewhere" && l.tokenId === 0)).to.be.true;
+  });
+
+  // A keeper account without gas money cannot send; the keeper retries and gives up after maxRetries.
+  it("Should retry failed settlements and give up after maxRetries", async function () {
+    await startAuction(0);
+    const unfunded = ethers.Wallet.createRandom().connect(ethers.provider);
+    const keeper = newKeeper({ signer: unfunded, maxRetries: 2 });
+    await increaseTime(601);
+
+    await keeper.tick();
+    expect(keeper.tracked.get(0).attempts).to.equal(1);
+    expect(logs.some((l) => l.event === "retry" && l.tokenId === 0)).to.be.true;
+
+    await keeper.tick();
+    expect(keeper.tracked.has(0)).to.be.false;
+    expect(logs.some((l) => l.event === "gave-up" && l.tokenId === 0)).to.be.true;
+  });
+
+  // A pause of any length does not use up the retries: the auction is settled once trading is unpaused.
+  it("Should wait out a pause without counting it as a failure", async function () {
+    await startAuction(0);
+    const keeper = newKeeper({ maxRetries: 2 });
+    await increaseTime(601);
+    await pokemonTrading.pause();
+
+    for (let i = 0; i < 4; i++) {
+      expect((await keeper.tick()).settled).to.deep.equal([]);
+    }
+    expect(keeper.tracked.get(0).attempts).to.equal(0);
+    expect(logs.some((l) => l.event === "gave-up")).to.be.false;
+
+    await pokemonTrading.unpause();
+    expect((await keeper.tick()).settled).to.deep.equal([0]);
+    expect(await pokemonNFT.ownerOf(0)).to.equal(seller.address);
+  });
+});
@@ -0,0 +1,241 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+describe("PokemonBattle", function () {
+  let pokemonNFT;
+  let pokemonBattle;
+  let battleAddress;
+  let owner;
+  let alice;
+  let bob;
+  let carol;
+
+  const STAKE = ethers.parseEther("0.1");
+  // PokemonBattle.Outcome
+  const CHALLENGER_WON = 1;
+  const OPPONENT_WON = 2;
+  const DRAW = 3;
+
+  async function challenge(signer, tokenId, opponentTokenId, stake = STAKE) {
+    await pokemonNFT.connect(signer).approve(battleAddress, tokenId);
+    await pokemonBattle.connect(signer).createChallenge(tokenId, opponentTokenId, { value: stake });
+  }
+
+  // Before each test:
+  //   1. Deploy fresh PokemonNFT and PokemonBattle contracts.
+  //   2. Mint Charizard #0 and Snorlax #3 to alice; Bulbasaur #1, Blastoise #2 and Snorlax #4 to bob.
+  beforeEach(async function () {
+    [owner, alice, bob, carol] = await ethers.getSigners();
+
+    const PokemonNFT = await ethers.getContractFactory("PokemonNFT");
+    pokemonNFT = await PokemonNFT.deploy();
+    const PokemonBattle = await ethers.getContractFactory("PokemonBattle");
+    pokemonBattle = await PokemonBattle.deploy(await pokemonNFT.getAddress());
+    battleAddress = await pokemonBattle.getAddress();
+
+    await pokemonNFT.mint(alice.address, "ipfs://0", "Charizard", "Fire", 78, 84, 78, 5);
+    await pokemonNFT.mint(bob.address, "ipfs://1", "Bulbasaur", "Grass", 45, 49, 49, 2);
+    await pokemonNFT.mint(bob.address, "ipfs://2", "Blastoise", "Water", 79, 83, 100, 5);
+    await pokemonNFT.mint(alice.address, "ipfs://3", "Snorlax", "Normal", 255, 0, 255, 4);
+    await pokemonNFT.mint(bob.address, "ipfs://4", "Snorlax", "Normal", 255, 0, 255, 4);
+  });
+
+  describe("Challenge", function () {
+    // The challenger's card and stake are escrowed until the challenge is accepted or cancelled; the owner of the
+    // challenged card becomes the opponent.
+    it("Should escrow the challenger's card and stake", async function () {
+      await pokemonNFT.connect(alice).approve(battleAddress, 0);
+      await expect(pokemonBattle.connect(alice).createChallenge(0, 1, { value: STAKE }))
+        .to.emit(pokemonBattle, "ChallengeCreated")
+        .withArgs(0, alice.address, bob.address, 0, 1, STAKE);
+
+      expect(await pokemonNFT.ownerOf(0)).to.equal(battleAddress);
+      expect(await ethers.provider.getBalance(battleAddress)).to.equal(STAKE);
+      const [ids, total] = await pokemonBattle.getOpenChallengeIds(0, 10);
+      expect(ids).to.deep.equal([0n]);
+      expect(total).to.equal(1);
+      expect(await pokemonBattle.getChallengeIdsByOpponent(bob.address)).to.deep.equal([0n]);
+    });
+
+    // Only the card's owner can challenge with it, and not against themselves.
+    it("Should reject challenges with someone else's card or against yourself", async function () {
+      await expect(pokemonBattle.connect(alice).createChallenge(1, 2)).to.be.revertedWithCustomError(
+        pokemonBattle,
+        "NotCardOwner"
+      );
+      await expect(pokemonBattle.connect(alice).createChallenge(0, 3)).to.be.revertedWithCustomError(
+        pokemonBattle,
+        "InvalidOpponent"
+      );
+    });
+  });
+
+  describe("Battle", function () {
+    // Charizard strikes first (higher attack) for 84 * 2 * 32 / (49 + 32) = 66, a super-effective knockout.
+    it("Should resolve a win, record it and pay the winner both stakes", async function () {
+      await challenge(alice, 0, 1);
+      await expect(pokemonBattle.connect(bob).acceptChallenge(0, { value: STAKE }))
+        .to.emit(pokemonBattle, "BattleStarted")
+        .withArgs(0, 0, 1, 78, 45)
+        .and.to.emit(pokemonBattle, "BattleTurn")
+        .withArgs(0, 0, 0, 66, 200, 0)
+        .and.to.emit(pokemonBattle, "BattleResolved")
+        .withArgs(0, CHALLENGER_WON, alice.address, STAKE * 2n);
+
+      expect(await pokemonNFT.ownerOf(0)).to.equal(alice.address);
+      expect(await pokemonNFT.ownerOf(1)).to.equal(bob.address);
+      expect(await pokemonBattle.pendingWithdrawals(alice.address)).to.equal(STAKE * 2n);
+      const charizard = await pokemonBattle.records(0);
+      const bulbasaur = await pokemonBattle.records(1);
+      expect([charizard.wins, charizard.losses]).to.deep.equal([1n, 0n]);
+      expect([bulbasaur.wins, bulbasaur.losses]).to.deep.equal([0n, 1n]);
+      const resolved = await pokemonBattle.getChallenge(0);
+      expect(resolved.status).to.equal(2); // Resolved
+      expect(resolved.outcome).to.equal(CHALLENGER_WON);
+      expect((await pokemonBattle.getOpenChallengeIds(0, 10))[1]).to.equal(0);
+    });
+
+    // Charizard hits first but Water resists Fire (10 per hit) while Blastoise hits back super-effectively (48).
+    it("Should replay every turn of the fight in order", async function () {
+      const [outcome, turns] = await pokemonBattle.previewBattle(0, 2);
+      expect(outcome).to.equal(OPPONENT_WON);
+      expect(turns.map((t) => [t.attackerTokenId, t.damage, t.multiplier, t.defenderHp])).to.deep.equal([
+        [0n, 10n, 50n, 69n],
+        [2n, 48n, 200n, 30n],
+        [0n, 10n, 50n, 59n],
+        [2n, 48n, 200n, 0n],
+      ]);
+
+      await challenge(alice, 0, 2);
+      const receipt = await (await pokemonBattle.connect(bob).acceptChallenge(0, { value: STAKE })).wait();
+      const emitted = receipt.logs
+        .map((log) => pokemonBattle.interface.parseLog(log))
+        .filter((parsed) => parsed?.name === "BattleTurn")
+        .map((parsed) => [parsed.args.turn, parsed.args.attackerTokenId, parsed.args.defenderHp]);
+      expect(emitted).to.deep.equal([
+        [0n, 0n, 69n],
+        [1n, 2n, 30n],
+        [2n, 0n, 59n],
+        [3n, 2n, 0n],
+      ]);
+      expect(await pokemonBattle.pendingWithdrawals(bob.address)).to.equal(STAKE * 2n);
+    });
+
+    // Two 0-attack walls chip 1 HP per hit; after MAX_TURNS both keep the same share of HP and stakes go back.
+    it("Should call a draw after MAX_TURNS and refund both stakes", async function () {
+      await challenge(alice, 3, 4);
+      await expect(pokemonBattle.connect(bob).acceptChallenge(0, { value: STAKE }))
+        .to.emit(pokemonBattle, "BattleResolved")
+        .withArgs(0, DRAW, ethers.ZeroAddress, 0);
+
+      expect(await pokemonBattle.pendingWithdrawals(alice.address)).to.equal(STAKE);
+      expect(await pokemonBattle.pendingWithdrawals(bob.address)).to.equal(STAKE);
+      expect((await pokemonBattle.records(3)).draws).to.equal(1);
+      expect((await pokemonBattle.records(4)).draws).to.equal(1);
+    });
+
+    // Only the challenged card's owner can accept, with a matching stake, and only once.
+    it("Should restrict who can accept", async function () {
+      await challenge(alice, 0, 1);
+      await expect(pokemonBattle.connect(carol).acceptChallenge(0, { value: STAKE })).to.be.revertedWithCustomError(
+        pokemonBattle,
+        "NotOpponent"
+      );
+      await expect(pokemonBattle.connect(alice).acceptChallenge(0, { value: STAKE })).to.be.revertedWithCustomError(
+        pokemonBattle,
+        "NotOpponent"
+      );
+      await expect(pokemonBattle.connect(bob).acceptChallenge(0)).to.be.revertedWithCustomError(
+        pokemonBattle,
+        "StakeMismatch"
+      );
+
+      await pokemonBattle.connect(bob).acceptChallenge(0, { value: STAKE });
+      await expect(pokemonBattle.connect(bob).acceptChallenge(0, { value: STAKE })).to.be.revertedWithCustomError(
+        pokemonBattle,
+        "ChallengeNotOpen"
+      );
+    });
+
+    // Bob also holds Blastoise, which beats Charizard, but the challenge fights the Bulbasaur alice picked: the
+    // acceptor cannot swap in a better card after seeing the challenger's, and giving the card away voids the accept.
+    it("Should fight the card the challenger named, not one the acceptor picks", async function () {
+      expect((await pokemonBattle.previewBattle(0, 2))[0]).to.equal(OPPONENT_WON);
+      await challenge(alice, 0, 1);
+      expect(pokemonBattle.interface.getFunction("acceptChallenge").inputs.map((i) => i.name)).to.deep.equal([
+        "challengeId",
+      ]);
+
+      await pokemonNFT.connect(bob).transferFrom(bob.address, carol.address, 1);
+      await expect(pokemonBattle.connect(bob).acceptChallenge(0, { value: STAKE })).to.be.revertedWithCustomError(
+        pokemonBattle,
+        "NotCardOwner"
+      );
+      await pokemonNFT.connect(carol).transferFrom(carol.address, bob.address, 1);
+
+      await expect(pokemonBattle.connect(bob).acceptChallenge(0, { value: STAKE }))
+        .to.emit(pokemonBattle, "BattleStarted")
+        .withArgs(0, 0, 1, 78, 45)
+        .and.to.emit(pokemonBattle, "BattleResolved")
+        .withArgs(0, CHALLENGER_WON, alice.address, STAKE * 2n);
+      expect((await pokemonBattle.records(2)).wins).to.equal(0);
+    });
+  });
+
+  describe("Cancel", function () {
+    // The named opponent can decline; the card returns and the stake is withdrawable by the challenger.
+    it("Should let the opponent decline and return the escrow", async function () {
+      await challenge(alice, 0, 1);
+      await expect(pokemonBattle.connect(carol).cancelChallenge(0)).to.be.revertedWithCustomError(
+        pokemonBattle,
+        "NotChallengeParty"
+      );
+      await expect(pokemonBattle.connect(bob).cancelChallenge(0))
+        .to.emit(pokemonBattle, "ChallengeCancelled")
+        .withArgs(0, bob.address);
+
+      expect(await pokemonNFT.ownerOf(0)).to.equal(alice.address);
+      await expect(pokemonBattle.connect(alice).withdraw()).to.changeEtherBalance(alice, STAKE);
+    });
+
+    // While paused challenges cannot be created or accepted, but can still be cancelled.
+    it("Should allow cancel while paused but reject create and accept", async function () {
+      await challenge(alice, 0, 1);
+      await pokemonBattle.pause();
+
+      await expect(pokemonBattle.connect(bob).acceptChallenge(0, { value: STAKE })).to.be.revertedWithCustomError(
+        pokemonBattle,
+        "EnforcedPause"
+      );
+      await expect(pokemonBattle.connect(alice).createChallenge(3, 4)).to.be.revertedWithCustomError(
+        pokemonBattle,
+        "EnforcedPause"
+      );
+      await pokemonBattle.connect(alice).cancelChallenge(0);
+      expect(await pokemonNFT.ownerOf(0)).to.equal(alice.address);
+    });
+  });
+
+  describe("Type effectiveness", function () {
+    // The default table covers the six card types; unknown pairs are neutral. Only the owner edits it.
+    it("Should read and update the effectiveness table", async function () {
+      expect(await pokemonBattle.effectiveness("Water", "Fire")).to.equal(200);
+      expect(await pokemonBattle.effectiveness("Fire", "Water")).to.equal(50);
+      expect(await pokemonBattle.effectiveness("Normal", "Fire")).to.equal(100);
+
+      await expect(pokemonBattle.setEffectiveness("Normal", "Fire", 150))
+        .to.emit(pokemonBattle, "EffectivenessSet")
+        .withArgs("Normal", "Fire", 150);
+      expect(await pokemonBattle.effectiveness("Normal", "Fire")).to.equal(150);
+
+      await expect(pokemonBattle.setEffectiveness("Normal", "Fire", 0)).to.be.revertedWithCustomError(
+        pokemonBattle,
+        "InvalidMultiplier"
+      );
+      await expect(pokemonBattle.connect(alice).setEffectiveness("Fire", "Water", 400)).to.be.revertedWithCustomError(
+        pokemonBattle,
+        "OwnableUnauthorizedAccount"
+      );
+    });
+  });
+});
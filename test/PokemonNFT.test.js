@@ -142,6 +142,237 @@ describe("PokemonNFT", function () {
     });
   });
 
+  describe("Enumeration", function () {
+    // Mint three cards to user1 and one to owner, interleaved.
+    beforeEach(async function () {
+      await pokemonNFT.mint(user1.address, "uri0", "Pikachu", "Electric", 35, 55, 40, 3);
+      await pokemonNFT.mint(owner.address, "uri1", "Charizard", "Fire", 78, 84, 78, 5);
+      await pokemonNFT.mint(user1.address, "uri2", "Squirtle", "Water", 44, 48, 65, 1);
+      await pokemonNFT.mint(user1.address, "uri3", "Bulbasaur", "Grass", 45, 49, 49, 2);
+    });
+
+    it("Should support the ERC-721 Enumerable interface", async function () {
+      expect(await pokemonNFT.supportsInterface("0x780e9d63")).to.be.true;
+    });
+
+    it("Should page through the tokens of an owner", async function () {
+      const [firstPage, total] = await pokemonNFT.tokensOfOwner(user1.address, 0, 2);
+      expect(total).to.equal(3);
+      expect(firstPage).to.deep.equal([0n, 2n]);
+
+      const [secondPage] = await pokemonNFT.tokensOfOwner(user1.address, 2, 2);
+      expect(secondPage).to.deep.equal([3n]);
+
+      const [pastEnd] = await pokemonNFT.tokensOfOwner(user1.address, 5, 2);
+      expect(pastEnd).to.deep.equal([]);
+    });
+
+    // After a transfer the token moves from one owner index to the other.
+    it("Should keep owner indexes up to date on transfer", async function () {
+      await pokemonNFT.connect(user1).transferFrom(user1.address, owner.address, 0);
+      const [mine] = await pokemonNFT.tokensOfOwner(owner.address, 0, 10);
+      const [theirs] = await pokemonNFT.tokensOfOwner(user1.address, 0, 10);
+      expect([...mine].sort()).to.deep.equal([0n, 1n]);
+      expect([...theirs].sort()).to.deep.equal([2n, 3n]);
+    });
+
+    it("Should return card, URI and owner for a batch of tokens", async function () {
+      const [cards, uris, owners] = await pokemonNFT.getCards([3, 1]);
+      expect(cards.map((c) => c.name)).to.deep.equal(["Bulbasaur", "Charizard"]);
+      expect(uris).to.deep.equal(["uri3", "uri1"]);
+      expect(owners).to.deep.equal([user1.address, owner.address]);
+
+      await expect(pokemonNFT.getCards([0, 9])).to.be.revertedWithCustomError(pokemonNFT, "TokenDoesNotExist");
+    });
+  });
+
+  describe("Royalties (ERC-2981)", function () {
+    it("Should support the ERC-2981 interface", async function () {
+      expect(await pokemonNFT.supportsInterface("0x2a55205a")).to.be.true;
+    });
+
+    // No royalty is configured until the owner sets one.
+    it("Should return no royalty by default", async function () {
+      await pokemonNFT.mint(user1.address, "uri", "Pikachu", "Electric", 35, 55, 40, 3);
+      const [receiver, amount] = await pokemonNFT.royaltyInfo(0, ethers.parseEther("1"));
+      expect(receiver).to.equal(ethers.ZeroAddress);
+      expect(amount).to.equal(0);
+    });
+
+    it("Should apply the default royalty to plain mints", async function () {
+      await pokemonNFT.setDefaultRoyalty(owner.address, 500);
+      await pokemonNFT.mint(user1.address, "uri", "Pikachu", "Electric", 35, 55, 40, 3);
+      const [receiver, amount] = await pokemonNFT.royaltyInfo(0, ethers.parseEther("1"));
+      expect(receiver).to.equal(owner.address);
+      expect(amount).to.equal(ethers.parseEther("0.05"));
+    });
+
+    // A per-token royalty set at mint time overrides the default.
+    it("Should mint with a per-token royalty", async function () {
+      await pokemonNFT.setDefaultRoyalty(owner.address, 500);
+      await pokemonNFT.mintWithRoyalty(
+        user1.address, "uri", "Charizard", "Fire", 78, 84, 78, 5, user1.address, 250
+      );
+      expect((await pokemonNFT.getCard(0)).name).to.equal("Charizard");
+      const [receiver, amount] = await pokemonNFT.royaltyInfo(0, ethers.parseEther("1"));
+      expect(receiver).to.equal(user1.address);
+      expect(amount).to.equal(ethers.parseEther("0.025"));
+    });
+
+    it("Should reject royalties above MAX_ROYALTY_BPS", async function () {
+      const max = await pokemonNFT.MAX_ROYALTY_BPS();
+      await expect(
+        pokemonNFT.setDefaultRoyalty(owner.address, max + 1n)
+      ).to.be.revertedWithCustomError(pokemonNFT, "RoyaltyTooHigh");
+      await expect(
+        pokemonNFT.mintWithRoyalty(user1.address, "uri", "Pikachu", "Electric", 35, 55, 40, 3, owner.address, max + 1n)
+      ).to.be.revertedWithCustomError(pokemonNFT, "RoyaltyTooHigh");
+    });
+
+    it("Should reject royalty configuration from non-owner", async function () {
+      await expect(
+        pokemonNFT.connect(user1).setDefaultRoyalty(user1.address, 500)
+      ).to.be.revertedWithCustomError(pokemonNFT, "OwnableUnauthorizedAccount");
+      await expect(
+        pokemonNFT.connect(user1).mintWithRoyalty(user1.address, "uri", "Pikachu", "Electric", 35, 55, 40, 3, user1.address, 500)
+      ).to.be.revertedWithCustomError(pokemonNFT, "OwnableUnauthorizedAccount");
+    });
+
+    it("Should remove the default royalty", async function () {
+      await pokemonNFT.setDefaultRoyalty(owner.address, 500);
+      await pokemonNFT.deleteDefaultRoyalty();
+      await pokemonNFT.mint(user1.address, "uri", "Pikachu", "Electric", 35, 55, 40, 3);
+      const [, amount] = await pokemonNFT.royaltyInfo(0, ethers.parseEther("1"));
+      expect(amount).to.equal(0);
+    });
+  });
+
+  describe("Evolution", function () {
+    const recipe = (overrides = {}) => ({
+      inputName: "Charmander",
+      outputName: "Charmeleon",
+      outputType: "",
+      outputUri: "",
+      inputCount: 2,
+      hpBonus: 20,
+      attackBonus: 20,
+      defenseBonus: 10,
+      rarityBonus: 1,
+      active: false,
+      ...overrides,
+    });
+
+    // Mint Charmander #0, #1 and Squirtle #2 to user1 and Charmander #3 to owner; add the Charmander x2 recipe.
+    beforeEach(async function () {
+      await pokemonNFT.mint(user1.address, "uri0", "Charmander", "Fire", 39, 52, 43, 1);
+      await pokemonNFT.mint(user1.address, "uri1", "Charmander", "Fire", 45, 50, 60, 2);
+      await pokemonNFT.mint(user1.address, "uri2", "Squirtle", "Water", 44, 48, 65, 1);
+      await pokemonNFT.mint(owner.address, "uri3", "Charmander", "Fire", 39, 52, 43, 1);
+      await pokemonNFT.addEvolutionRecipe(recipe());
+    });
+
+    // The evolved card takes the best input stats plus the bonuses; the inputs are burned, not just moved.
+    it("Should burn the inputs and mint the evolved card", async function () {
+      await expect(pokemonNFT.connect(user1).evolve(0, [0, 1]))
+        .to.emit(pokemonNFT, "CardEvolved")
+        .withArgs(user1.address, 0, [0, 1], 4)
+        .and.to.emit(pokemonNFT, "Transfer")
+        .withArgs(user1.address, ethers.ZeroAddress, 0);
+
+      const card = await pokemonNFT.getCard(4);
+      expect([card.name, card.pokemonType, card.hp, card.attack, card.defense, card.rarity]).to.deep.equal([
+        "Charmeleon", "Fire", 65n, 72n, 70n, 3n,
+      ]);
+      expect(await pokemonNFT.tokenURI(4)).to.equal("uri0");
+      expect(await pokemonNFT.ownerOf(4)).to.equal(user1.address);
+      await expect(pokemonNFT.getCard(0)).to.be.revertedWithCustomError(pokemonNFT, "TokenDoesNotExist");
+      expect((await pokemonNFT.tokensOfOwner(user1.address, 0, 10))[1]).to.equal(2);
+    });
+
+    // totalSupply counts cards that exist, totalMinted every ID handed out; allTokenIds skips burned IDs.
+    it("Should keep totalSupply to existing cards", async function () {
+      await pokemonNFT.connect(user1).evolve(0, [1, 0]);
+      expect(await pokemonNFT.totalSupply()).to.equal(3);
+      expect(await pokemonNFT.totalMinted()).to.equal(5);
+      const [ids, total] = await pokemonNFT.allTokenIds(0, 10);
+      expect([...ids].sort()).to.deep.equal([2n, 3n, 4n]);
+      expect(total).to.equal(3);
+
+      // Burned cards stay readable in batches so history can still name them
+      const [cards, uris, owners] = await pokemonNFT.getCards([0, 4]);
+      expect(cards.map((c) => c.name)).to.deep.equal(["Charmander", "Charmeleon"]);
+      expect(uris).to.deep.equal(["", "uri1"]);
+      expect(owners).to.deep.equal([ethers.ZeroAddress, user1.address]);
+    });
+
+    // Stats cap at 255 and rarity at 5; the recipe can set the evolved type and image.
+    it("Should cap evolved stats and rarity", async function () {
+      await pokemonNFT.addEvolutionRecipe(
+        recipe({ outputName: "Charizard", outputType: "Flying", outputUri: "uri-zard", hpBonus: 250, rarityBonus: 4 })
+      );
+      await pokemonNFT.connect(user1).evolve(1, [0, 1]);
+      const card = await pokemonNFT.getCard(4);
+      expect([card.pokemonType, card.hp, card.rarity]).to.deep.equal(["Flying", 255n, 5n]);
+      expect(await pokemonNFT.tokenURI(4)).to.equal("uri-zard");
+    });
+
+    // Inputs must be the caller's own, distinct cards of the recipe's species, exactly inputCount of them.
+    it("Should reject inputs that do not match the recipe", async function () {
+      await expect(pokemonNFT.connect(user1).evolve(0, [0])).to.be.revertedWithCustomError(
+        pokemonNFT,
+        "InvalidEvolutionInputs"
+      );
+      await expect(pokemonNFT.connect(user1).evolve(0, [0, 2])).to.be.revertedWithCustomError(
+        pokemonNFT,
+        "InvalidEvolutionInputs"
+      );
+      await expect(pokemonNFT.connect(user1).evolve(0, [0, 3])).to.be.revertedWithCustomError(
+        pokemonNFT,
+        "NotTokenOwner"
+      );
+      await expect(pokemonNFT.connect(user1).evolve(0, [0, 0])).to.be.revertedWithCustomError(
+        pokemonNFT,
+        "NotTokenOwner"
+      );
+      // Checked before the first input's URI is read, so a missing card is not an unrelated revert
+      await expect(pokemonNFT.connect(user1).evolve(0, [99, 0])).to.be.revertedWithCustomError(
+        pokemonNFT,
+        "NotTokenOwner"
+      );
+      await expect(pokemonNFT.connect(user1).evolve(1, [0, 1])).to.be.revertedWithCustomError(
+        pokemonNFT,
+        "RecipeNotActive"
+      );
+    });
+
+    // Only the owner manages recipes; a disabled recipe cannot be used until it is enabled again.
+    it("Should let only the owner add and disable recipes", async function () {
+      await expect(pokemonNFT.connect(user1).addEvolutionRecipe(recipe())).to.be.revertedWithCustomError(
+        pokemonNFT,
+        "OwnableUnauthorizedAccount"
+      );
+      await expect(pokemonNFT.addEvolutionRecipe(recipe({ inputCount: 4 }))).to.be.revertedWithCustomError(
+        pokemonNFT,
+        "InvalidRecipe"
+      );
+      await expect(
+        pokemonNFT.addEvolutionRecipe(recipe({ hpBonus: 0, attackBonus: 0, defenseBonus: 0, rarityBonus: 0 }))
+      ).to.be.revertedWithCustomError(pokemonNFT, "InvalidRecipe");
+
+      await expect(pokemonNFT.setEvolutionRecipeActive(0, false))
+        .to.emit(pokemonNFT, "EvolutionRecipeActiveSet")
+        .withArgs(0, false);
+      await expect(pokemonNFT.connect(user1).evolve(0, [0, 1])).to.be.revertedWithCustomError(
+        pokemonNFT,
+        "RecipeNotActive"
+      );
+      await pokemonNFT.setEvolutionRecipeActive(0, true);
+      await pokemonNFT.connect(user1).evolve(0, [0, 1]);
+      expect(await pokemonNFT.evolutionRecipeCount()).to.equal(1);
+      expect((await pokemonNFT.getEvolutionRecipe(0)).active).to.be.true;
+    });
+  });
+
   describe("Pausable", function () {
     // Test the emergency pause mechanism:
     //   1. After calling pause(), minting should revert with EnforcedPause.
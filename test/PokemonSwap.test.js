@@ -0,0 +1,194 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+describe("PokemonSwap", function () {
+  let pokemonNFT;
+  let pokemonSwap;
+  let owner;
+  let alice;
+  let bob;
+  let carol;
+
+  // Before each test:
+  //   1. Deploy fresh PokemonNFT and PokemonSwap contracts.
+  //   2. Mint Pikachu #0 and Charizard #1 to alice, Blastoise #2 and Mewtwo #3 to bob.
+  beforeEach(async function () {
+    [owner, alice, bob, carol] = await ethers.getSigners();
+
+    const PokemonNFT = await ethers.getContractFactory("PokemonNFT");
+    pokemonNFT = await PokemonNFT.deploy();
+
+    const PokemonSwap = await ethers.getContractFactory("PokemonSwap");
+    pokemonSwap = await PokemonSwap.deploy(await pokemonNFT.getAddress());
+
+    await pokemonNFT.mint(alice.address, "ipfs://0", "Pikachu", "Electric", 35, 55, 40, 3);
+    await pokemonNFT.mint(alice.address, "ipfs://1", "Charizard", "Fire", 78, 84, 78, 5);
+    await pokemonNFT.mint(bob.address, "ipfs://2", "Blastoise", "Water", 79, 83, 100, 5);
+    await pokemonNFT.mint(bob.address, "ipfs://3", "Mewtwo", "Psychic", 106, 110, 90, 5);
+  });
+
+  async function approveAll(signer, tokenIds) {
+    for (const id of tokenIds) {
+      await pokemonNFT.connect(signer).approve(await pokemonSwap.getAddress(), id);
+    }
+  }
+
+  describe("Propose", function () {
+    // Alice offers Pikachu + Charizard + 0.5 ETH for bob's Blastoise.
+    // Offered cards and ETH are escrowed in the swap contract.
+    it("Should escrow offered cards and ETH", async function () {
+      await approveAll(alice, [0, 1]);
+      await expect(
+        pokemonSwap.connect(alice).proposeSwap(bob.address, [0, 1], [2], { value: ethers.parseEther("0.5") })
+      )
+        .to.emit(pokemonSwap, "SwapProposed")
+        .withArgs(0, alice.address, bob.address, [0, 1], [2], ethers.parseEther("0.5"));
+
+      const swapAddress = await pokemonSwap.getAddress();
+      expect(await pokemonNFT.ownerOf(0)).to.equal(swapAddress);
+      expect(await pokemonNFT.ownerOf(1)).to.equal(swapAddress);
+      expect(await ethers.provider.getBalance(swapAddress)).to.equal(ethers.parseEther("0.5"));
+
+      const swap = await pokemonSwap.getSwap(0);
+      expect(swap.proposer).to.equal(alice.address);
+      expect(swap.counterparty).to.equal(bob.address);
+      expect(swap.offeredTokenIds).to.deep.equal([0n, 1n]);
+      expect(swap.requestedTokenIds).to.deep.equal([2n]);
+      expect(swap.status).to.equal(1); // Open
+      expect(await pokemonSwap.getSwapIdsByProposer(alice.address)).to.deep.equal([0n]);
+      expect(await pokemonSwap.getSwapIdsByCounterparty(bob.address)).to.deep.equal([0n]);
+    });
+
+    it("Should reject requesting cards the counterparty does not own", async function () {
+      await approveAll(alice, [0]);
+      await expect(
+        pokemonSwap.connect(alice).proposeSwap(carol.address, [0], [2])
+      ).to.be.revertedWithCustomError(pokemonSwap, "NotCardOwner");
+    });
+
+    it("Should reject offering cards the proposer does not own", async function () {
+      await expect(
+        pokemonSwap.connect(alice).proposeSwap(bob.address, [3], [2])
+      ).to.be.revertedWithCustomError(pokemonSwap, "NotCardOwner");
+    });
+
+    it("Should reject invalid counterparty and empty sides", async function () {
+      await expect(
+        pokemonSwap.connect(alice).proposeSwap(alice.address, [0], [1])
+      ).to.be.revertedWithCustomError(pokemonSwap, "InvalidCounterparty");
+      await expect(
+        pokemonSwap.connect(alice).proposeSwap(bob.address, [0], [])
+      ).to.be.revertedWithCustomError(pokemonSwap, "NothingRequested");
+      await expect(
+        pokemonSwap.connect(alice).proposeSwap(bob.address, [], [2])
+      ).to.be.revertedWithCustomError(pokemonSwap, "NothingOffered");
+    });
+
+    it("Should reject more than MAX_TOKENS_PER_SIDE tokens", async function () {
+      const tooMany = Array.from({ length: 11 }, () => 2);
+      await expect(
+        pokemonSwap.connect(alice).proposeSwap(bob.address, [0], tooMany)
+      ).to.be.revertedWithCustomError(pokemonSwap, "TooManyTokens");
+    });
+  });
+
+  describe("Accept", function () {
+    // Bob approves Blastoise and accepts: cards change hands atomically and
+    // bob is credited the escrowed ETH (pull pattern).
+    it("Should swap cards atomically and credit ETH to the counterparty", async function () {
+      await approveAll(alice, [0, 1]);
+      await pokemonSwap.connect(alice).proposeSwap(bob.address, [0, 1], [2], { value: ethers.parseEther("0.5") });
+
+      await approveAll(bob, [2]);
+      await expect(pokemonSwap.connect(bob).acceptSwap(0))
+        .to.emit(pokemonSwap, "SwapAccepted")
+        .withArgs(0, alice.address, bob.address);
+
+      expect(await pokemonNFT.ownerOf(0)).to.equal(bob.address);
+      expect(await pokemonNFT.ownerOf(1)).to.equal(bob.address);
+      expect(await pokemonNFT.ownerOf(2)).to.equal(alice.address);
+      expect(await pokemonSwap.pendingWithdrawals(bob.address)).to.equal(ethers.parseEther("0.5"));
+      expect((await pokemonSwap.getSwap(0)).status).to.equal(2); // Accepted
+
+      const before = await ethers.provider.getBalance(bob.address);
+      const tx = await pokemonSwap.connect(bob).withdraw();
+      const receipt = await tx.wait();
+      const after = await ethers.provider.getBalance(bob.address);
+      expect(after).to.equal(before + ethers.parseEther("0.5") - receipt.gasUsed * receipt.gasPrice);
+    });
+
+    it("Should reject accept from anyone but the counterparty", async function () {
+      await approveAll(alice, [0]);
+      await pokemonSwap.connect(alice).proposeSwap(bob.address, [0], [2]);
+      await expect(pokemonSwap.connect(carol).acceptSwap(0)).to.be.revertedWithCustomError(pokemonSwap, "NotCounterparty");
+    });
+
+    // If bob no longer owns (or has not approved) a requested card, nothing moves.
+    it("Should revert the whole swap when a requested card cannot be transferred", async function () {
+      await approveAll(alice, [0]);
+      await pokemonSwap.connect(alice).proposeSwap(bob.address, [0], [2, 3]);
+      await approveAll(bob, [2]);
+
+      await expect(pokemonSwap.connect(bob).acceptSwap(0)).to.be.reverted;
+      expect(await pokemonNFT.ownerOf(0)).to.equal(await pokemonSwap.getAddress());
+      expect(await pokemonNFT.ownerOf(2)).to.equal(bob.address);
+    });
+
+    it("Should reject accepting a swap twice", async function () {
+      await approveAll(alice, [0]);
+      await pokemonSwap.connect(alice).proposeSwap(bob.address, [0], [2]);
+      await approveAll(bob, [2]);
+      await pokemonSwap.connect(bob).acceptSwap(0);
+      await expect(pokemonSwap.connect(bob).acceptSwap(0)).to.be.revertedWithCustomError(pokemonSwap, "SwapNotOpen");
+    });
+  });
+
+  describe("Cancel", function () {
+    it("Should let the proposer cancel and reclaim cards and ETH", async function () {
+      await approveAll(alice, [0]);
+      await pokemonSwap.connect(alice).proposeSwap(bob.address, [0], [2], { value: ethers.parseEther("0.2") });
+
+      await expect(pokemonSwap.connect(alice).cancelSwap(0))
+        .to.emit(pokemonSwap, "SwapCancelled")
+        .withArgs(0, alice.address);
+
+      expect(await pokemonNFT.ownerOf(0)).to.equal(alice.address);
+      expect(await pokemonSwap.pendingWithdrawals(alice.address)).to.equal(ethers.parseEther("0.2"));
+      expect((await pokemonSwap.getSwap(0)).status).to.equal(3); // Cancelled
+    });
+
+    it("Should let the counterparty decline", async function () {
+      await approveAll(alice, [0]);
+      await pokemonSwap.connect(alice).proposeSwap(bob.address, [0], [2]);
+      await pokemonSwap.connect(bob).cancelSwap(0);
+      expect(await pokemonNFT.ownerOf(0)).to.equal(alice.address);
+    });
+
+    it("Should reject cancel from a third party", async function () {
+      await approveAll(alice, [0]);
+      await pokemonSwap.connect(alice).proposeSwap(bob.address, [0], [2]);
+      await expect(pokemonSwap.connect(carol).cancelSwap(0)).to.be.revertedWithCustomError(pokemonSwap, "NotSwapParty");
+    });
+
+    it("Should allow cancel while paused but reject propose and accept", async function () {
+      await approveAll(alice, [0, 1]);
+      await pokemonSwap.connect(alice).proposeSwap(bob.address, [0], [2]);
+      await pokemonSwap.connect(owner).pause();
+
+      await expect(
+        pokemonSwap.connect(alice).proposeSwap(bob.address, [1], [3])
+      ).to.be.revertedWithCustomError(pokemonSwap, "EnforcedPause");
+      await approveAll(bob, [2]);
+      await expect(pokemonSwap.connect(bob).acceptSwap(0)).to.be.revertedWithCustomError(pokemonSwap, "EnforcedPause");
+
+      await pokemonSwap.connect(alice).cancelSwap(0);
+      expect(await pokemonNFT.ownerOf(0)).to.equal(alice.address);
+    });
+  });
+
+  describe("Withdrawal", function () {
+    it("Should revert when withdrawing zero balance", async function () {
+      await expect(pokemonSwap.connect(bob).withdraw()).to.be.revertedWithCustomError(pokemonSwap, "NothingToWithdraw");
+    });
+  });
+});
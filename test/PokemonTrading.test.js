@@ -88,6 +88,47 @@ describe("PokemonTrading", function () {
       expect(await pokemonNFT.ownerOf(0)).to.equal(seller.address);
       expect((await pokemonTrading.listings(0)).active).to.be.false;
     });
+
+    // The seller reprices a listed card in place. Verify that:
+    //   - ListingPriceUpdated carries the old and new price
+    //   - The card stays escrowed and the listing stays active at the new price
+    //   - A buyer paying the old, higher price gets the difference credited
+    it("Should update a listing's price without unlisting", async function () {
+      const tradingAddress = await pokemonTrading.getAddress();
+      await pokemonNFT.connect(seller).approve(tradingAddress, 0);
+      await pokemonTrading.connect(seller).listCard(0, ethers.parseEther("1"));
+
+      await expect(pokemonTrading.connect(seller).updateListingPrice(0, ethers.parseEther("0.6")))
+        .to.emit(pokemonTrading, "ListingPriceUpdated")
+        .withArgs(0, ethers.parseEther("1"), ethers.parseEther("0.6"));
+
+      const listing = await pokemonTrading.listings(0);
+      expect(listing.price).to.equal(ethers.parseEther("0.6"));
+      expect(listing.active).to.be.true;
+      expect(await pokemonNFT.ownerOf(0)).to.equal(tradingAddress);
+
+      await pokemonTrading.connect(buyer).buyCard(0, { value: ethers.parseEther("1") });
+      expect(await pokemonTrading.pendingWithdrawals(buyer.address)).to.equal(ethers.parseEther("0.4"));
+      expect(await pokemonTrading.pendingWithdrawals(seller.address)).to.equal(ethers.parseEther("0.6"));
+    });
+
+    // Only the seller can reprice, only an active listing, and never to zero.
+    it("Should reject invalid price updates", async function () {
+      await expect(pokemonTrading.connect(seller).updateListingPrice(0, ethers.parseEther("1")))
+        .to.be.revertedWithCustomError(pokemonTrading, "NotListed");
+
+      await pokemonNFT.connect(seller).approve(await pokemonTrading.getAddress(), 0);
+      await pokemonTrading.connect(seller).listCard(0, ethers.parseEther("1"));
+      await expect(pokemonTrading.connect(buyer).updateListingPrice(0, ethers.parseEther("2")))
+        .to.be.revertedWithCustomError(pokemonTrading, "NotSeller");
+      await expect(pokemonTrading.connect(seller).updateListingPrice(0, 0))
+        .to.be.revertedWithCustomError(pokemonTrading, "PriceMustBePositive");
+
+      // A buyer sending the old price after an increase is rejected
+      await pokemonTrading.connect(seller).updateListingPrice(0, ethers.parseEther("2"));
+      await expect(pokemonTrading.connect(buyer).buyCard(0, { value: ethers.parseEther("1") }))
+        .to.be.revertedWithCustomError(pokemonTrading, "InsufficientPayment");
+    });
   });
 
   describe("Auctions", function () {
@@ -494,6 +535,660 @@ describe("PokemonTrading", function () {
     });
   });
 
+  describe("Offers", function () {
+    async function expiryIn(seconds) {
+      const block = await ethers.provider.getBlock("latest");
+      return block.timestamp + seconds;
+    }
+
+    // Buyer offers 0.5 ETH on seller's unlisted card #1. The ETH is escrowed in
+    // the contract and the offer is readable by (tokenId, offerer).
+    it("Should make an offer on an unlisted card", async function () {
+      const expiresAt = await expiryIn(3600);
+      await expect(
+        pokemonTrading.connect(buyer).makeOffer(1, expiresAt, { value: ethers.parseEther("0.5") })
+      )
+        .to.emit(pokemonTrading, "OfferMade")
+        .withArgs(1, buyer.address, ethers.parseEther("0.5"), expiresAt);
+
+      const offer = await pokemonTrading.offers(1, buyer.address);
+      expect(offer.amount).to.equal(ethers.parseEther("0.5"));
+      expect(offer.expiresAt).to.equal(expiresAt);
+      expect(await ethers.provider.getBalance(await pokemonTrading.getAddress())).to.equal(ethers.parseEther("0.5"));
+    });
+
+    // Replacing an offer refunds the previous amount through pendingWithdrawals.
+    it("Should credit the previous amount when an offer is replaced", async function () {
+      await pokemonTrading.connect(buyer).makeOffer(1, await expiryIn(3600), { value: ethers.parseEther("0.5") });
+      await pokemonTrading.connect(buyer).makeOffer(1, await expiryIn(3600), { value: ethers.parseEther("0.8") });
+
+      expect((await pokemonTrading.offers(1, buyer.address)).amount).to.equal(ethers.parseEther("0.8"));
+      expect(await pokemonTrading.pendingWithdrawals(buyer.address)).to.equal(ethers.parseEther("0.5"));
+    });
+
+    // Owner approves and accepts: the card moves straight to the offerer and the
+    // seller is credited the offer amount.
+    it("Should accept an offer", async function () {
+      await pokemonTrading.connect(buyer).makeOffer(1, await expiryIn(3600), { value: ethers.parseEther("0.5") });
+      await pokemonNFT.connect(seller).approve(await pokemonTrading.getAddress(), 1);
+
+      await expect(pokemonTrading.connect(seller).acceptOffer(1, buyer.address, ethers.parseEther("0.5")))
+        .to.emit(pokemonTrading, "OfferAccepted")
+        .withArgs(1, buyer.address, seller.address, ethers.parseEther("0.5"));
+
+      expect(await pokemonNFT.ownerOf(1)).to.equal(buyer.address);
+      expect(await pokemonTrading.pendingWithdrawals(seller.address)).to.equal(ethers.parseEther("0.5"));
+      expect((await pokemonTrading.offers(1, buyer.address)).amount).to.equal(0);
+    });
+
+    it("Should cancel an offer and credit the offerer", async function () {
+      await pokemonTrading.connect(buyer).makeOffer(1, await expiryIn(3600), { value: ethers.parseEther("0.5") });
+      await expect(pokemonTrading.connect(buyer).cancelOffer(1))
+        .to.emit(pokemonTrading, "OfferCancelled")
+        .withArgs(1, buyer.address);
+
+      expect((await pokemonTrading.offers(1, buyer.address)).amount).to.equal(0);
+      expect(await pokemonTrading.pendingWithdrawals(buyer.address)).to.equal(ethers.parseEther("0.5"));
+    });
+
+    it("Should let anyone release an expired offer to the offerer", async function () {
+      await pokemonTrading.connect(buyer).makeOffer(1, await expiryIn(60), { value: ethers.parseEther("0.5") });
+      await expect(
+        pokemonTrading.connect(bidder).expireOffer(1, buyer.address)
+      ).to.be.revertedWithCustomError(pokemonTrading, "OfferNotExpired");
+
+      await ethers.provider.send("evm_increaseTime", [61]);
+      await ethers.provider.send("evm_mine");
+
+      await expect(pokemonTrading.connect(bidder).expireOffer(1, buyer.address))
+        .to.emit(pokemonTrading, "OfferExpiredReclaimed")
+        .withArgs(1, buyer.address);
+      expect(await pokemonTrading.pendingWithdrawals(buyer.address)).to.equal(ethers.parseEther("0.5"));
+    });
+
+    it("Should reject accepting an expired offer", async function () {
+      await pokemonTrading.connect(buyer).makeOffer(1, await expiryIn(60), { value: ethers.parseEther("0.5") });
+      await pokemonNFT.connect(seller).approve(await pokemonTrading.getAddress(), 1);
+      await ethers.provider.send("evm_increaseTime", [61]);
+      await ethers.provider.send("evm_mine");
+
+      await expect(
+        pokemonTrading.connect(seller).acceptOffer(1, buyer.address, ethers.parseEther("0.5"))
+      ).to.be.revertedWithCustomError(pokemonTrading, "OfferExpired");
+    });
+
+    // Guards against the offerer swapping in a lower offer while acceptance is pending.
+    it("Should reject accepting with a mismatched amount", async function () {
+      await pokemonTrading.connect(buyer).makeOffer(1, await expiryIn(3600), { value: ethers.parseEther("0.1") });
+      await pokemonNFT.connect(seller).approve(await pokemonTrading.getAddress(), 1);
+      await expect(
+        pokemonTrading.connect(seller).acceptOffer(1, buyer.address, ethers.parseEther("0.5"))
+      ).to.be.revertedWithCustomError(pokemonTrading, "OfferAmountMismatch");
+    });
+
+    it("Should reject accept from non-owner of the card", async function () {
+      await pokemonTrading.connect(buyer).makeOffer(1, await expiryIn(3600), { value: ethers.parseEther("0.5") });
+      await expect(
+        pokemonTrading.connect(bidder).acceptOffer(1, buyer.address, ethers.parseEther("0.5"))
+      ).to.be.revertedWithCustomError(pokemonTrading, "NotCardOwner");
+    });
+
+    it("Should reject offers on own card, zero value or invalid expiry", async function () {
+      await expect(
+        pokemonTrading.connect(seller).makeOffer(1, await expiryIn(3600), { value: ethers.parseEther("0.5") })
+      ).to.be.revertedWithCustomError(pokemonTrading, "CannotOfferOnOwnCard");
+      await expect(
+        pokemonTrading.connect(buyer).makeOffer(1, await expiryIn(3600), { value: 0 })
+      ).to.be.revertedWithCustomError(pokemonTrading, "PriceMustBePositive");
+
+      const maxDuration = Number(await pokemonTrading.MAX_OFFER_DURATION());
+      await expect(
+        pokemonTrading.connect(buyer).makeOffer(1, await expiryIn(maxDuration + 60), { value: ethers.parseEther("0.5") })
+      ).to.be.revertedWithCustomError(pokemonTrading, "InvalidOfferExpiry");
+      await expect(
+        pokemonTrading.connect(buyer).makeOffer(1, await expiryIn(0), { value: ethers.parseEther("0.5") })
+      ).to.be.revertedWithCustomError(pokemonTrading, "InvalidOfferExpiry");
+    });
+
+    it("Should reject cancel when there is no offer", async function () {
+      await expect(
+        pokemonTrading.connect(buyer).cancelOffer(1)
+      ).to.be.revertedWithCustomError(pokemonTrading, "NoActiveOffer");
+    });
+  });
+
+  describe("Dutch auctions", function () {
+    // Seller starts a Dutch auction for card #1: 2 ETH decaying to 1 ETH over 1000 seconds.
+    beforeEach(async function () {
+      await pokemonNFT.connect(seller).approve(await pokemonTrading.getAddress(), 1);
+      await pokemonTrading.connect(seller).startDutchAuction(
+        1,
+        ethers.parseEther("2"),
+        ethers.parseEther("1"),
+        1000
+      );
+    });
+
+    it("Should escrow the card and record the auction", async function () {
+      const auction = await pokemonTrading.dutchAuctions(1);
+      expect(auction.seller).to.equal(seller.address);
+      expect(auction.active).to.be.true;
+      expect(await pokemonNFT.ownerOf(1)).to.equal(await pokemonTrading.getAddress());
+      expect(await pokemonTrading.getDutchPrice(1)).to.equal(ethers.parseEther("2"));
+    });
+
+    // Halfway through the decay the price is halfway between start and floor;
+    // after the duration it stays at the floor.
+    it("Should decay the price linearly down to the floor", async function () {
+      const { startTime } = await pokemonTrading.dutchAuctions(1);
+      await ethers.provider.send("evm_setNextBlockTimestamp", [Number(startTime) + 500]);
+      await ethers.provider.send("evm_mine");
+      expect(await pokemonTrading.getDutchPrice(1)).to.equal(ethers.parseEther("1.5"));
+
+      await ethers.provider.send("evm_increaseTime", [5000]);
+      await ethers.provider.send("evm_mine");
+      expect(await pokemonTrading.getDutchPrice(1)).to.equal(ethers.parseEther("1"));
+    });
+
+    // The buyer pays at the price of the block the purchase is mined in;
+    // anything above it is credited back, and the seller gets the price.
+    it("Should sell to the first buyer paying the current price", async function () {
+      const { startTime } = await pokemonTrading.dutchAuctions(1);
+      await ethers.provider.send("evm_setNextBlockTimestamp", [Number(startTime) + 250]);
+
+      await expect(pokemonTrading.connect(buyer).buyDutch(1, { value: ethers.parseEther("2") }))
+        .to.emit(pokemonTrading, "CardSold")
+        .withArgs(1, buyer.address, ethers.parseEther("1.75"));
+
+      expect(await pokemonNFT.ownerOf(1)).to.equal(buyer.address);
+      expect(await pokemonTrading.pendingWithdrawals(seller.address)).to.equal(ethers.parseEther("1.75"));
+      expect(await pokemonTrading.pendingWithdrawals(buyer.address)).to.equal(ethers.parseEther("0.25"));
+      expect((await pokemonTrading.dutchAuctions(1)).active).to.be.false;
+
+      await expect(
+        pokemonTrading.connect(bidder).buyDutch(1, { value: ethers.parseEther("2") })
+      ).to.be.revertedWithCustomError(pokemonTrading, "NotListed");
+    });
+
+    it("Should reject payment below the current price", async function () {
+      await expect(
+        pokemonTrading.connect(buyer).buyDutch(1, { value: ethers.parseEther("1") })
+      ).to.be.revertedWithCustomError(pokemonTrading, "InsufficientPayment");
+    });
+
+    it("Should let the seller cancel and reclaim the card", async function () {
+      await expect(pokemonTrading.connect(buyer).cancelDutchAuction(1))
+        .to.be.revertedWithCustomError(pokemonTrading, "NotSeller");
+      await expect(pokemonTrading.connect(seller).cancelDutchAuction(1))
+        .to.emit(pokemonTrading, "DutchAuctionCancelled")
+        .withArgs(1);
+      expect(await pokemonNFT.ownerOf(1)).to.equal(seller.address);
+    });
+
+    it("Should reject an invalid price range or duration", async function () {
+      await pokemonNFT.connect(seller).approve(await pokemonTrading.getAddress(), 0);
+      await expect(
+        pokemonTrading.connect(seller).startDutchAuction(0, ethers.parseEther("1"), ethers.parseEther("1"), 1000)
+      ).to.be.revertedWithCustomError(pokemonTrading, "InvalidPriceRange");
+      await expect(
+        pokemonTrading.connect(seller).startDutchAuction(0, ethers.parseEther("1"), 0, 1000)
+      ).to.be.revertedWithCustomError(pokemonTrading, "PriceMustBePositive");
+      await expect(
+        pokemonTrading.connect(seller).startDutchAuction(0, ethers.parseEther("2"), ethers.parseEther("1"), 30)
+      ).to.be.revertedWithCustomError(pokemonTrading, "DurationTooShort");
+    });
+  });
+
+  describe("Sealed-bid auctions", function () {
+    const COMMIT = 600;
+    const REVEAL = 600;
+
+    function commitmentFor(signer, amount, nonce) {
+      return ethers.solidityPackedKeccak256(
+        ["address", "uint256", "uint256", "bytes32"],
+        [signer.address, 1n, amount, nonce]
+      );
+    }
+
+    async function commit(signer, amount, deposit) {
+      const nonce = ethers.hexlify(ethers.randomBytes(32));
+      await pokemonTrading.connect(signer).commitSealedBid(1, commitmentFor(signer, amount, nonce), { value: deposit });
+      return nonce;
+    }
+
+    async function toRevealPhase() {
+      await ethers.provider.send("evm_increaseTime", [COMMIT]);
+      await ethers.provider.send("evm_mine");
+    }
+
+    async function toRevealEnd() {
+      await ethers.provider.send("evm_increaseTime", [REVEAL]);
+      await ethers.provider.send("evm_mine");
+    }
+
+    // Seller starts a sealed-bid auction for card #1 with a 0.5 ETH reserve,
+    // a 10-minute commit phase and a 10-minute reveal phase.
+    beforeEach(async function () {
+      await pokemonNFT.connect(seller).approve(await pokemonTrading.getAddress(), 1);
+      await pokemonTrading.connect(seller).startSealedAuction(1, ethers.parseEther("0.5"), COMMIT, REVEAL);
+    });
+
+    it("Should escrow the card and record both phases", async function () {
+      const auction = await pokemonTrading.sealedAuctions(1);
+      expect(auction.seller).to.equal(seller.address);
+      expect(auction.revealEnd - auction.commitEnd).to.equal(BigInt(REVEAL));
+      expect(auction.round).to.equal(1n);
+      expect(await pokemonNFT.ownerOf(1)).to.equal(await pokemonTrading.getAddress());
+    });
+
+    // Three bids of 1, 2 and 1.5 ETH, each over-deposited. The 2 ETH bidder wins
+    // and pays the second price (1.5 ETH); every other deposit is refunded.
+    it("Should sell to the highest bidder at the second-highest price", async function () {
+      const nonceBuyer = await commit(buyer, ethers.parseEther("1"), ethers.parseEther("3"));
+      const nonceBidder = await commit(bidder, ethers.parseEther("2"), ethers.parseEther("3"));
+      const nonceOwner = await commit(owner, ethers.parseEther("1.5"), ethers.parseEther("3"));
+      expect(await ethers.provider.getBalance(await pokemonTrading.getAddress())).to.equal(ethers.parseEther("9"));
+
+      await toRevealPhase();
+      await pokemonTrading.connect(buyer).revealSealedBid(1, ethers.parseEther("1"), nonceBuyer);
+      await expect(pokemonTrading.connect(bidder).revealSealedBid(1, ethers.parseEther("2"), nonceBidder))
+        .to.emit(pokemonTrading, "SealedBidRevealed")
+        .withArgs(1, bidder.address, ethers.parseEther("2"));
+      await pokemonTrading.connect(owner).revealSealedBid(1, ethers.parseEther("1.5"), nonceOwner);
+
+      expect(await pokemonTrading.pendingWithdrawals(buyer.address)).to.equal(ethers.parseEther("3"));
+      expect(await pokemonTrading.pendingWithdrawals(owner.address)).to.equal(ethers.parseEther("3"));
+
+      await expect(pokemonTrading.settleSealedAuction(1))
+        .to.be.revertedWithCustomError(pokemonTrading, "AuctionNotEnded");
+      await toRevealEnd();
+      await expect(pokemonTrading.settleSealedAuction(1))
+        .to.emit(pokemonTrading, "SealedAuctionSettled")
+        .withArgs(1, bidder.address, ethers.parseEther("1.5"));
+
+      expect(await pokemonNFT.ownerOf(1)).to.equal(bidder.address);
+      expect(await pokemonTrading.pendingWithdrawals(seller.address)).to.equal(ethers.parseEther("1.5"));
+      expect(await pokemonTrading.pendingWithdrawals(bidder.address)).to.equal(ethers.parseEther("1.5"));
+    });
+
+    it("Should charge the reserve price when only one bid is revealed", async function () {
+      const nonce = await commit(buyer, ethers.parseEther("2"), ethers.parseEther("2"));
+      await toRevealPhase();
+      await pokemonTrading.connect(buyer).revealSealedBid(1, ethers.parseEther("2"), nonce);
+      await toRevealEnd();
+      await pokemonTrading.settleSealedAuction(1);
+
+      expect(await pokemonNFT.ownerOf(1)).to.equal(buyer.address);
+      expect(await pokemonTrading.pendingWithdrawals(seller.address)).to.equal(ethers.parseEther("0.5"));
+      expect(await pokemonTrading.pendingWithdrawals(buyer.address)).to.equal(ethers.parseEther("1.5"));
+    });
+
+    it("Should only accept commits in the commit phase and reveals in the reveal phase", async function () {
+      const nonce = await commit(buyer, ethers.parseEther("1"), ethers.parseEther("1"));
+      await expect(
+        pokemonTrading.connect(buyer).revealSealedBid(1, ethers.parseEther("1"), nonce)
+      ).to.be.revertedWithCustomError(pokemonTrading, "NotInRevealPhase");
+
+      await toRevealPhase();
+      await expect(commit(bidder, ethers.parseEther("1"), ethers.parseEther("1")))
+        .to.be.revertedWithCustomError(pokemonTrading, "NotInCommitPhase");
+
+      await toRevealEnd();
+      await expect(
+        pokemonTrading.connect(buyer).revealSealedBid(1, ethers.parseEther("1"), nonce)
+      ).to.be.revertedWithCustomError(pokemonTrading, "NotInRevealPhase");
+    });
+
+    it("Should reject reveals that do not match or exceed the deposit", async function () {
+      const nonce = await commit(buyer, ethers.parseEther("2"), ethers.parseEther("1"));
+      await toRevealPhase();
+      await expect(
+        pokemonTrading.connect(buyer).revealSealedBid(1, ethers.parseEther("1"), nonce)
+      ).to.be.revertedWithCustomError(pokemonTrading, "InvalidCommitment");
+      await expect(
+        pokemonTrading.connect(buyer).revealSealedBid(1, ethers.parseEther("2"), nonce)
+      ).to.be.revertedWithCustomError(pokemonTrading, "InsufficientPayment");
+    });
+
+    // A bidder who never reveals gets their deposit back after the reveal phase;
+    // with no valid reveals the card returns to the seller.
+    it("Should refund unrevealed deposits and return an unsold card", async function () {
+      await commit(buyer, ethers.parseEther("1"), ethers.parseEther("1"));
+      await toRevealPhase();
+      await expect(pokemonTrading.connect(buyer).reclaimSealedDeposit(1))
+        .to.be.revertedWithCustomError(pokemonTrading, "AuctionNotEnded");
+
+      await toRevealEnd();
+      await pokemonTrading.settleSealedAuction(1);
+      expect(await pokemonNFT.ownerOf(1)).to.equal(seller.address);
+
+      await expect(pokemonTrading.connect(buyer).reclaimSealedDeposit(1))
+        .to.emit(pokemonTrading, "SealedDepositReclaimed")
+        .withArgs(1, buyer.address, ethers.parseEther("1"));
+      expect(await pokemonTrading.pendingWithdrawals(buyer.address)).to.equal(ethers.parseEther("1"));
+      await expect(pokemonTrading.connect(buyer).reclaimSealedDeposit(1))
+        .to.be.revertedWithCustomError(pokemonTrading, "NothingToReclaim");
+    });
+
+    it("Should let the seller cancel only before any commitment", async function () {
+      await expect(commit(seller, ethers.parseEther("1"), ethers.parseEther("1")))
+        .to.be.revertedWithCustomError(pokemonTrading, "SellerCannotBid");
+      await commit(buyer, ethers.parseEther("1"), ethers.parseEther("1"));
+      await expect(pokemonTrading.connect(seller).cancelSealedAuction(1))
+        .to.be.revertedWithCustomError(pokemonTrading, "AuctionHasBids");
+
+      await pokemonNFT.connect(seller).approve(await pokemonTrading.getAddress(), 0);
+      await pokemonTrading.connect(seller).startSealedAuction(0, ethers.parseEther("0.5"), COMMIT, REVEAL);
+      await expect(pokemonTrading.connect(seller).cancelSealedAuction(0))
+        .to.emit(pokemonTrading, "SealedAuctionCancelled")
+        .withArgs(0);
+      expect(await pokemonNFT.ownerOf(0)).to.equal(seller.address);
+    });
+  });
+
+  describe("Market enumeration", function () {
+    const Market = { Listing: 0, Auction: 1, Dutch: 2, Sealed: 3 };
+
+    async function activeIds(market) {
+      const [ids, total] = await pokemonTrading.getActiveTokenIds(market, 0, 100);
+      expect(total).to.equal(ids.length);
+      return [...ids].sort();
+    }
+
+    // Card #0 is listed and card #1 auctioned; each shows up only in its own market.
+    it("Should track active listings and auctions", async function () {
+      const tradingAddress = await pokemonTrading.getAddress();
+      await pokemonNFT.connect(seller).approve(tradingAddress, 0);
+      await pokemonTrading.connect(seller).listCard(0, ethers.parseEther("1"));
+      await pokemonNFT.connect(seller).approve(tradingAddress, 1);
+      await pokemonTrading.connect(seller).startAuction(1, ethers.parseEther("0.5"), 60);
+
+      expect(await activeIds(Market.Listing)).to.deep.equal([0n]);
+      expect(await activeIds(Market.Auction)).to.deep.equal([1n]);
+      expect(await activeIds(Market.Dutch)).to.deep.equal([]);
+
+      await pokemonTrading.connect(buyer).buyCard(0, { value: ethers.parseEther("1") });
+      expect(await activeIds(Market.Listing)).to.deep.equal([]);
+
+      // An ended auction stays in the index until it is settled.
+      await ethers.provider.send("evm_increaseTime", [61]);
+      await ethers.provider.send("evm_mine");
+      expect(await activeIds(Market.Auction)).to.deep.equal([1n]);
+      await pokemonTrading.settleAuction(1);
+      expect(await activeIds(Market.Auction)).to.deep.equal([]);
+    });
+
+    it("Should track Dutch and sealed-bid auctions until they end", async function () {
+      const tradingAddress = await pokemonTrading.getAddress();
+      await pokemonNFT.connect(seller).approve(tradingAddress, 0);
+      await pokemonTrading.connect(seller).startDutchAuction(0, ethers.parseEther("2"), ethers.parseEther("1"), 600);
+      await pokemonNFT.connect(seller).approve(tradingAddress, 1);
+      await pokemonTrading.connect(seller).startSealedAuction(1, ethers.parseEther("1"), 600, 600);
+
+      expect(await activeIds(Market.Dutch)).to.deep.equal([0n]);
+      expect(await activeIds(Market.Sealed)).to.deep.equal([1n]);
+
+      await pokemonTrading.connect(seller).cancelDutchAuction(0);
+      await pokemonTrading.connect(seller).cancelSealedAuction(1);
+      expect(await activeIds(Market.Dutch)).to.deep.equal([]);
+      expect(await activeIds(Market.Sealed)).to.deep.equal([]);
+    });
+
+    it("Should page through active token IDs", async function () {
+      const tradingAddress = await pokemonTrading.getAddress();
+      await pokemonNFT.connect(seller).approve(tradingAddress, 0);
+      await pokemonTrading.connect(seller).listCard(0, ethers.parseEther("1"));
+      await pokemonNFT.connect(seller).approve(tradingAddress, 1);
+      await pokemonTrading.connect(seller).listCard(1, ethers.parseEther("2"));
+
+      const [first, total] = await pokemonTrading.getActiveTokenIds(Market.Listing, 0, 1);
+      const [second] = await pokemonTrading.getActiveTokenIds(Market.Listing, 1, 1);
+      const [pastEnd] = await pokemonTrading.getActiveTokenIds(Market.Listing, 2, 1);
+      expect(total).to.equal(2);
+      expect([...first, ...second].sort()).to.deep.equal([0n, 1n]);
+      expect(pastEnd).to.deep.equal([]);
+    });
+
+    it("Should return the market state of a batch of tokens", async function () {
+      const tradingAddress = await pokemonTrading.getAddress();
+      await pokemonNFT.connect(seller).approve(tradingAddress, 1);
+      await pokemonTrading.connect(seller).startAuction(1, ethers.parseEther("0.5"), 60);
+
+      const [listingStates, auctionStates, dutchStates, sealedStates] = await pokemonTrading.getMarketStates([0, 1]);
+      expect(listingStates[0].active).to.be.false;
+      expect(auctionStates[0].endTime).to.equal(0);
+      expect(auctionStates[1].seller).to.equal(seller.address);
+      expect(auctionStates[1].startingPrice).to.equal(ethers.parseEther("0.5"));
+      expect(dutchStates[1].active).to.be.false;
+      expect(sealedStates[1].commitEnd).to.equal(0);
+    });
+  });
+
+  describe("Listing expiry", function () {
+    let expiresAt;
+
+    // Seller lists card #0 for 1 ETH, expiring one hour from now.
+    beforeEach(async function () {
+      expiresAt = (await ethers.provider.getBlock("latest")).timestamp + 3600;
+      await pokemonNFT.connect(seller).approve(await pokemonTrading.getAddress(), 0);
+      await expect(pokemonTrading.connect(seller).listCardWithExpiry(0, ethers.parseEther("1"), expiresAt))
+        .to.emit(pokemonTrading, "ListingExpirySet")
+        .withArgs(0, expiresAt);
+    });
+
+    it("Should record the expiry and sell before it", async function () {
+      expect((await pokemonTrading.listings(0)).expiresAt).to.equal(expiresAt);
+      await pokemonTrading.connect(buyer).buyCard(0, { value: ethers.parseEther("1") });
+      expect(await pokemonNFT.ownerOf(0)).to.equal(buyer.address);
+    });
+
+    // After expiry the card cannot be bought or repriced, and anyone can send it back to the seller.
+    it("Should let anyone return an expired listing to the seller", async function () {
+      await expect(pokemonTrading.connect(buyer).expireListing(0))
+        .to.be.revertedWithCustomError(pokemonTrading, "ListingNotExpired");
+
+      await ethers.provider.send("evm_increaseTime", [3601]);
+      await ethers.provider.send("evm_mine");
+      await expect(pokemonTrading.connect(buyer).buyCard(0, { value: ethers.parseEther("1") }))
+        .to.be.revertedWithCustomError(pokemonTrading, "ListingHasExpired");
+      await expect(pokemonTrading.connect(seller).updateListingPrice(0, ethers.parseEther("2")))
+        .to.be.revertedWithCustomError(pokemonTrading, "ListingHasExpired");
+
+      await expect(pokemonTrading.connect(buyer).expireListing(0))
+        .to.emit(pokemonTrading, "ListingExpired")
+        .withArgs(0, seller.address);
+      expect(await pokemonNFT.ownerOf(0)).to.equal(seller.address);
+      expect((await pokemonTrading.listings(0)).active).to.be.false;
+      expect((await pokemonTrading.getActiveTokenIds(0, 0, 10)).total).to.equal(0);
+    });
+
+    it("Should reject expiries in the past or beyond the maximum", async function () {
+      const now = (await ethers.provider.getBlock("latest")).timestamp;
+      await pokemonNFT.connect(seller).approve(await pokemonTrading.getAddress(), 1);
+      await expect(pokemonTrading.connect(seller).listCardWithExpiry(1, ethers.parseEther("1"), now))
+        .to.be.revertedWithCustomError(pokemonTrading, "InvalidListingExpiry");
+      await expect(pokemonTrading.connect(seller).listCardWithExpiry(1, ethers.parseEther("1"), now + 181 * 86400))
+        .to.be.revertedWithCustomError(pokemonTrading, "InvalidListingExpiry");
+    });
+
+    it("Should keep listCard listings open indefinitely", async function () {
+      await pokemonNFT.connect(seller).approve(await pokemonTrading.getAddress(), 1);
+      await pokemonTrading.connect(seller).listCard(1, ethers.parseEther("1"));
+      expect((await pokemonTrading.listings(1)).expiresAt).to.equal(0);
+      await expect(pokemonTrading.expireListing(1))
+        .to.be.revertedWithCustomError(pokemonTrading, "ListingNotExpired");
+    });
+  });
+
+  describe("Auction rules", function () {
+    // Default auctions use the 5% increment and 5-minute window; custom ones store their own.
+    it("Should record default and custom rules", async function () {
+      const tradingAddress = await pokemonTrading.getAddress();
+      await pokemonNFT.connect(seller).approve(tradingAddress, 0);
+      await expect(pokemonTrading.connect(seller).startAuction(0, ethers.parseEther("1"), 3600))
+        .to.emit(pokemonTrading, "AuctionRulesSet")
+        .withArgs(0, 500, 300);
+
+      await pokemonNFT.connect(seller).approve(tradingAddress, 1);
+      await expect(pokemonTrading.connect(seller).startAuctionWithRules(1, ethers.parseEther("1"), 3600, 1000, 600))
+        .to.emit(pokemonTrading, "AuctionRulesSet")
+        .withArgs(1, 1000, 600);
+      const auction = await pokemonTrading.auctions(1);
+      expect(auction.minIncrementBps).to.equal(1000);
+      expect(auction.extensionWindow).to.equal(600);
+    });
+
+    // A 10% increment rejects a 5% raise; a bid inside the 10-minute window pushes the end out by 10 minutes.
+    it("Should enforce the auction's increment and extension window", async function () {
+      await pokemonNFT.connect(seller).approve(await pokemonTrading.getAddress(), 1);
+      await pokemonTrading.connect(seller).startAuctionWithRules(1, ethers.parseEther("1"), 3600, 1000, 600);
+      await pokemonTrading.connect(buyer).placeBid(1, { value: ethers.parseEther("1") });
+
+      await expect(pokemonTrading.connect(bidder).placeBid(1, { value: ethers.parseEther("1.05") }))
+        .to.be.revertedWithCustomError(pokemonTrading, "BidBelowMinimumIncrement");
+
+      await ethers.provider.send("evm_increaseTime", [3600 - 400]);
+      await pokemonTrading.connect(bidder).placeBid(1, { value: ethers.parseEther("1.1") });
+      const bidTime = (await ethers.provider.getBlock("latest")).timestamp;
+      expect((await pokemonTrading.auctions(1)).endTime).to.equal(bidTime + 600);
+    });
+
+    it("Should reject rules outside the safe bounds", async function () {
+      await pokemonNFT.connect(seller).approve(await pokemonTrading.getAddress(), 1);
+      const start = (bps, window) =>
+        pokemonTrading.connect(seller).startAuctionWithRules(1, ethers.parseEther("1"), 3600, bps, window);
+      await expect(start(99, 300)).to.be.revertedWithCustomError(pokemonTrading, "InvalidAuctionRules");
+      await expect(start(5001, 300)).to.be.revertedWithCustomError(pokemonTrading, "InvalidAuctionRules");
+      await expect(start(500, 59)).to.be.revertedWithCustomError(pokemonTrading, "InvalidAuctionRules");
+      await expect(start(500, 3601)).to.be.revertedWithCustomError(pokemonTrading, "InvalidAuctionRules");
+    });
+  });
+
+  describe("Royalties", function () {
+    // The NFT owner configures a 5% default royalty paid to `owner`. Every sale
+    // path splits proceeds: 95% to the seller, 5% to the royalty receiver.
+    beforeEach(async function () {
+      await pokemonNFT.setDefaultRoyalty(owner.address, 500);
+    });
+
+    it("Should split buyCard proceeds between seller and royalty receiver", async function () {
+      await pokemonNFT.connect(seller).approve(await pokemonTrading.getAddress(), 0);
+      await pokemonTrading.connect(seller).listCard(0, ethers.parseEther("1"));
+
+      await expect(pokemonTrading.connect(buyer).buyCard(0, { value: ethers.parseEther("1") }))
+        .to.emit(pokemonTrading, "RoyaltyPaid")
+        .withArgs(0, owner.address, ethers.parseEther("0.05"));
+
+      expect(await pokemonTrading.pendingWithdrawals(seller.address)).to.equal(ethers.parseEther("0.95"));
+      expect(await pokemonTrading.pendingWithdrawals(owner.address)).to.equal(ethers.parseEther("0.05"));
+    });
+
+    it("Should split settleAuction proceeds between seller and royalty receiver", async function () {
+      await pokemonNFT.connect(seller).approve(await pokemonTrading.getAddress(), 1);
+      await pokemonTrading.connect(seller).startAuction(1, ethers.parseEther("0.5"), 60);
+      await pokemonTrading.connect(bidder).placeBid(1, { value: ethers.parseEther("2") });
+      await ethers.provider.send("evm_increaseTime", [361]);
+      await ethers.provider.send("evm_mine");
+
+      await pokemonTrading.connect(bidder).settleAuction(1);
+
+      expect(await pokemonTrading.pendingWithdrawals(seller.address)).to.equal(ethers.parseEther("1.9"));
+      expect(await pokemonTrading.pendingWithdrawals(owner.address)).to.equal(ethers.parseEther("0.1"));
+    });
+
+    it("Should split accepted offer proceeds between seller and royalty receiver", async function () {
+      const block = await ethers.provider.getBlock("latest");
+      await pokemonTrading.connect(buyer).makeOffer(1, block.timestamp + 3600, { value: ethers.parseEther("1") });
+      await pokemonNFT.connect(seller).approve(await pokemonTrading.getAddress(), 1);
+      await pokemonTrading.connect(seller).acceptOffer(1, buyer.address, ethers.parseEther("1"));
+
+      expect(await pokemonTrading.pendingWithdrawals(seller.address)).to.equal(ethers.parseEther("0.95"));
+      expect(await pokemonTrading.pendingWithdrawals(owner.address)).to.equal(ethers.parseEther("0.05"));
+    });
+
+    // Per-token royalty set at mint time takes precedence over the default.
+    it("Should use the per-token royalty when set", async function () {
+      await pokemonNFT.mintWithRoyalty(
+        seller.address, "ipfs://test3", "Mewtwo", "Psychic", 106, 110, 90, 5, bidder.address, 1000
+      );
+      await pokemonNFT.connect(seller).approve(await pokemonTrading.getAddress(), 2);
+      await pokemonTrading.connect(seller).listCard(2, ethers.parseEther("1"));
+      await pokemonTrading.connect(buyer).buyCard(2, { value: ethers.parseEther("1") });
+
+      expect(await pokemonTrading.pendingWithdrawals(seller.address)).to.equal(ethers.parseEther("0.9"));
+      expect(await pokemonTrading.pendingWithdrawals(bidder.address)).to.equal(ethers.parseEther("0.1"));
+      expect(await pokemonTrading.pendingWithdrawals(owner.address)).to.equal(0);
+    });
+
+    // When the seller is the royalty receiver they simply get the full price.
+    it("Should pay the full price when the seller is the royalty receiver", async function () {
+      await pokemonNFT.setDefaultRoyalty(seller.address, 500);
+      await pokemonNFT.connect(seller).approve(await pokemonTrading.getAddress(), 0);
+      await pokemonTrading.connect(seller).listCard(0, ethers.parseEther("1"));
+      await expect(pokemonTrading.connect(buyer).buyCard(0, { value: ethers.parseEther("1") }))
+        .to.not.emit(pokemonTrading, "RoyaltyPaid");
+
+      expect(await pokemonTrading.pendingWithdrawals(seller.address)).to.equal(ethers.parseEther("1"));
+    });
+  });
+
+  describe("Platform fee", function () {
+    // The owner sets a 2.5% fee; the seller lists card #0 for 1 ETH.
+    beforeEach(async function () {
+      await pokemonTrading.setFee(250);
+      await pokemonNFT.connect(seller).approve(await pokemonTrading.getAddress(), 0);
+      await pokemonTrading.connect(seller).listCard(0, ethers.parseEther("1"));
+    });
+
+    // The fee is held in accruedFees, not in anyone's pendingWithdrawals.
+    it("Should take the fee from sales and account for it separately", async function () {
+      await expect(pokemonTrading.connect(buyer).buyCard(0, { value: ethers.parseEther("1") }))
+        .to.emit(pokemonTrading, "PlatformFeePaid")
+        .withArgs(0, ethers.parseEther("0.025"));
+
+      expect(await pokemonTrading.accruedFees()).to.equal(ethers.parseEther("0.025"));
+      expect(await pokemonTrading.pendingWithdrawals(seller.address)).to.equal(ethers.parseEther("0.975"));
+      expect(await pokemonTrading.pendingWithdrawals(owner.address)).to.equal(0);
+    });
+
+    // Fee and royalty are both taken from the full price.
+    it("Should combine with royalties", async function () {
+      await pokemonNFT.setDefaultRoyalty(bidder.address, 500);
+      await pokemonTrading.connect(buyer).buyCard(0, { value: ethers.parseEther("1") });
+
+      expect(await pokemonTrading.pendingWithdrawals(bidder.address)).to.equal(ethers.parseEther("0.05"));
+      expect(await pokemonTrading.pendingWithdrawals(seller.address)).to.equal(ethers.parseEther("0.925"));
+    });
+
+    // Anyone can trigger the payout, but it only ever goes to the treasury.
+    it("Should send accrued fees to the treasury", async function () {
+      await expect(pokemonTrading.setTreasury(bidder.address))
+        .to.emit(pokemonTrading, "TreasuryUpdated")
+        .withArgs(owner.address, bidder.address);
+      await pokemonTrading.connect(buyer).buyCard(0, { value: ethers.parseEther("1") });
+
+      await expect(pokemonTrading.connect(buyer).withdrawFees())
+        .to.changeEtherBalance(bidder, ethers.parseEther("0.025"));
+      expect(await pokemonTrading.accruedFees()).to.equal(0);
+      await expect(pokemonTrading.withdrawFees())
+        .to.be.revertedWithCustomError(pokemonTrading, "NothingToWithdraw");
+    });
+
+    it("Should enforce the fee cap and owner-only configuration", async function () {
+      await expect(pokemonTrading.setFee(1000))
+        .to.emit(pokemonTrading, "FeeUpdated")
+        .withArgs(250, 1000);
+      await expect(pokemonTrading.setFee(1001))
+        .to.be.revertedWithCustomError(pokemonTrading, "FeeTooHigh");
+      await expect(pokemonTrading.setTreasury(ethers.ZeroAddress))
+        .to.be.revertedWithCustomError(pokemonTrading, "InvalidTreasury");
+      await expect(pokemonTrading.connect(seller).setFee(100))
+        .to.be.revertedWithCustomError(pokemonTrading, "OwnableUnauthorizedAccount");
+      await expect(pokemonTrading.connect(seller).setTreasury(seller.address))
+        .to.be.revertedWithCustomError(pokemonTrading, "OwnableUnauthorizedAccount");
+    });
+  });
+
   describe("Reentrancy", function () {
     // Withdraw zeroes pendingWithdrawals before sending ETH, so reentrant withdraw() reverts with NothingToWithdraw. See ReentrancyAttacker.sol.
     it.skip("Should prevent reentrancy on withdraw (balance zeroed before send)", async function () {